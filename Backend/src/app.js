@@ -22,6 +22,10 @@ const incidentsRouter = require('./routes/incidents');
 const policiesRouter = require('./routes/policies');
 const topologyRouter = require('./routes/topology');
 const actionsRouter = require('./routes/actions');
+const telemetryRouter = require('./routes/telemetry');
+const metricsRouter = require('./routes/metrics');
+const correlationRouter = require('./routes/correlation');
+const goldenConfigsRouter = require('./routes/goldenConfigs');
 
 // Import autonomous healing service for health endpoints
 const AutonomousHealingService = require('./services/AutonomousHealingService');
@@ -43,6 +47,10 @@ app.use('/api/incidents', incidentsRouter);       // Incident lifecycle manageme
 app.use('/api/policies', policiesRouter);         // Policy-driven automation rules
 app.use('/api/topology', topologyRouter);         // Network topology and dependencies
 app.use('/api/actions', actionsRouter);           // Remediation action management
+app.use('/api/telemetry', telemetryRouter);       // Telemetry ingestion configuration
+app.use('/api/correlation', correlationRouter);   // Alert correlation rule management
+app.use('/api/golden-configs', goldenConfigsRouter); // Golden config templates for compliance checks
+app.use('/api/metrics', metricsRouter);           // Device metric history (GET /api/metrics itself is below)
 
 /**
  * Health and Monitoring Endpoints
@@ -147,13 +155,17 @@ app.use((req, res) => {
     availableEndpoints: [
       'GET /api/health',
       'GET /api/metrics', 
+      'GET /api/metrics/query',
       'GET /api/config',
       'GET /api/devices',
       'GET /api/alerts',
       'GET /api/incidents',
       'GET /api/policies',
       'GET /api/topology',
-      'GET /api/actions'
+      'GET /api/actions',
+      'POST /api/telemetry/stream',
+      'GET /api/telemetry/classification-rules',
+      'GET /api/correlation/rules'
     ]
   });
 });
@@ -0,0 +1,109 @@
+/**
+ * Metric Threshold Configuration
+ * Alert thresholds for device status reports, with per-device-type overrides.
+ *
+ * Each metric defines:
+ * - raise: value at or above which the alert is raised
+ * - clear: value at or below which an active alert is resolved (hysteresis)
+ * - duration: seconds the value must stay at or above `raise` before alerting
+ * - critical: optional value at or above which the alert severity is critical
+ *
+ * Overrides can also be supplied as JSON in METRIC_THRESHOLDS, keyed by
+ * device type ("default", "router", "switch", ...), and per device in
+ * Device.threshold_overrides.
+ */
+
+// Alert type, category and unit for each monitored metric
+const METRICS = {
+  cpu: { alert_type: 'high_cpu', category: 'performance', unit: '%', label: 'CPU utilization' },
+  memory: { alert_type: 'high_memory', category: 'performance', unit: '%', label: 'Memory utilization' },
+  temperature: { alert_type: 'high_temperature', category: 'system', unit: 'C', label: 'Temperature' },
+  interface_status: { alert_type: 'interface_down', category: 'network', unit: '', label: 'Interface down' },
+  interface_errors: { alert_type: 'interface_errors', category: 'network', unit: '/min', label: 'Interface error rate' },
+  interface_drops: { alert_type: 'packet_drops', category: 'network', unit: '/min', label: 'Interface drop rate' },
+  interface_utilization: { alert_type: 'high_utilization', category: 'performance', unit: '%', label: 'Interface utilization' }
+};
+
+// Default thresholds for every device type
+const DEFAULT_THRESHOLDS = {
+  cpu: { raise: 90, clear: 75, duration: 60, severity: 'major', critical: 98 },
+  memory: { raise: 90, clear: 80, duration: 120, severity: 'major', critical: 97 },
+  temperature: { raise: 70, clear: 60, duration: 60, severity: 'major', critical: 85 },
+  interface_status: { raise: 1, clear: 0, duration: 0, severity: 'major' }, // 1 = down, 0 = up
+  interface_errors: { raise: 100, clear: 10, duration: 0, severity: 'minor' },
+  interface_drops: { raise: 500, clear: 50, duration: 0, severity: 'minor' },
+  interface_utilization: { raise: 90, clear: 70, duration: 300, severity: 'warning', critical: 98 }
+};
+
+// Device-type specific adjustments
+const DEVICE_TYPE_THRESHOLDS = {
+  router: {},
+  switch: {
+    cpu: { raise: 85, clear: 70 },                          // Switch control planes have less headroom
+    interface_drops: { raise: 1000, clear: 100 }
+  },
+  firewall: {
+    cpu: { raise: 80, clear: 65, duration: 120 },           // Sustained inspection load degrades throughput
+    memory: { raise: 85, clear: 75 }
+  },
+  server: {
+    cpu: { raise: 95, clear: 80, duration: 300 },
+    interface_utilization: { raise: 95, clear: 80 }
+  }
+};
+
+/**
+ * Parse threshold overrides from the environment
+ */
+function loadEnvironmentOverrides() {
+  if (!process.env.METRIC_THRESHOLDS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.METRIC_THRESHOLDS);
+  } catch (error) {
+    console.error('Ignoring invalid METRIC_THRESHOLDS:', error.message);
+    return {};
+  }
+}
+
+const environmentOverrides = loadEnvironmentOverrides();
+
+/**
+ * Merge per-metric threshold layers
+ */
+function mergeThresholds(base, ...layers) {
+  const merged = {};
+  Object.keys(base).forEach(metric => {
+    merged[metric] = { ...base[metric] };
+    layers.forEach(layer => {
+      if (layer && layer[metric]) {
+        Object.assign(merged[metric], layer[metric]);
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Effective thresholds for a device
+ *
+ * @param {String} deviceType - Device.device_type
+ * @param {Object} deviceOverrides - Device.threshold_overrides
+ */
+function getThresholds(deviceType, deviceOverrides = {}) {
+  return mergeThresholds(
+    DEFAULT_THRESHOLDS,
+    environmentOverrides.default,
+    DEVICE_TYPE_THRESHOLDS[deviceType],
+    environmentOverrides[deviceType],
+    deviceOverrides
+  );
+}
+
+module.exports = {
+  METRICS,
+  DEFAULT_THRESHOLDS,
+  DEVICE_TYPE_THRESHOLDS,
+  getThresholds
+};
@@ -1,22 +1,124 @@
 const Device = require('../models/Device');
 const Alert = require('../models/Alert');
+const { MetricSample } = require('../models/MetricSample');
+const { METRICS, getThresholds } = require('../config/thresholds');
+const thresholdEvaluator = require('../utils/thresholdEvaluator');
+const metricSeries = require('../utils/metricSeries');
+
+// Build the alert for a breached threshold, with the fields TelemetryCollector.createAlert fills in
+const buildThresholdAlert = (device, report, sample, threshold, key) => {
+  const metric = METRICS[sample.metric];
+  const iface = sample.instance ? (report.interfaces || []).find(i => i.name === sample.instance) : null;
+  const message = sample.metric === 'interface_status'
+    ? `Interface ${sample.instance} is down on ${device.hostname}`
+    : `${metric.label}${sample.instance ? ` on ${sample.instance}` : ''} is ${sample.value}${metric.unit} ` +
+      `on ${device.hostname} (threshold ${threshold.raise}${metric.unit})`;
+
+  return new Alert({
+    alert_id: Alert.generateAlertId(),
+    device: device.hostname,
+    device_ip: device.mgmt_ip,
+    type: metric.alert_type,
+    category: metric.category,
+    severity: thresholdEvaluator.getBreachSeverity(sample.value, threshold),
+    message,
+    raw_payload: report,
+    normalized_data: {
+      metric: sample.metric,
+      instance: sample.instance,
+      value: sample.value,
+      unit: metric.unit,
+      threshold
+    },
+    source_system: 'device_status',
+    telemetry_data: {
+      cpu: device.cpu,
+      memory: device.memory,
+      interface_stats: iface || undefined,
+      custom_metrics: { [sample.metric]: sample.value }
+    },
+    tags: [`metric:${sample.metric}`].concat(sample.instance ? [`interface:${sample.instance}`] : []),
+    custom_fields: { threshold_key: key }
+  });
+};
+
+// Raise and auto-resolve threshold alerts for the samples of a status report
+const evaluateThresholds = async (device, report, samples, now) => {
+  const thresholds = getThresholds(device.device_type, device.threshold_overrides);
+
+  const activeAlerts = await Alert.find({
+    device: device.hostname,
+    status: { $in: Alert.ACTIVE_ALERT_STATUSES },
+    'custom_fields.threshold_key': { $exists: true }
+  });
+  const activeByKey = new Map(activeAlerts.map(alert => [alert.custom_fields.threshold_key, alert]));
+
+  const raised = [];
+  const resolved = [];
+
+  for (const sample of samples) {
+    const threshold = thresholds[sample.metric];
+    const key = thresholdEvaluator.buildThresholdKey(device.hostname, sample.metric, sample.instance);
+    const active = activeByKey.get(key);
+    const decision = thresholdEvaluator.evaluateSample(key, sample.value, threshold, Boolean(active), now);
+
+    if (decision === 'raise') {
+      const alert = buildThresholdAlert(device, report, sample, threshold, key);
+      await alert.save();
+      raised.push(alert.alert_id);
+    } else if (decision === 'clear') {
+      // Metric recovered past the clear threshold
+      active.applyTransition('resolve', {
+        user: 'system',
+        resolution_code: 'auto_cleared',
+        note: `${sample.metric} recovered to ${sample.value}`
+      });
+      active.custom_fields = { ...active.custom_fields, resolution: 'auto_cleared', cleared_value: sample.value };
+      await active.save();
+      resolved.push(active.alert_id);
+    }
+  }
+
+  return { raised, resolved };
+};
+
+// Append the report's samples to the metric history. The history is best effort:
+// a failed write is logged without failing the status report.
+const recordMetrics = async (hostname, samples, now) => {
+  if (samples.length === 0) {
+    return 0;
+  }
+  try {
+    await MetricSample.insertMany(metricSeries.toMetricDocuments(hostname, samples, now), { ordered: false });
+    return samples.length;
+  } catch (err) {
+    console.error('Error recording metric samples:', err);
+    return 0;
+  }
+};
 
 exports.upsertStatus = async (req, res) => {
   try {
     // Incoming payload expected:
-    // { hostname, mgmt_ip, cpu, memory, interfaces: [{name, up, in_octets, out_octets}], ... }
-    const { hostname, mgmt_ip, cpu, memory, interfaces, vendor, model, os_version } = req.body;
+    // { hostname, mgmt_ip, cpu, memory, temperature, interfaces: [{name, up, in_octets, out_octets, errors, drops, utilization, speed}], ... }
+    const { hostname, mgmt_ip, cpu, memory, temperature, interfaces, vendor, model, os_version } = req.body;
     if (!hostname) return res.status(400).json({ error: 'hostname required' });
 
+    const now = new Date();
+
+    // previous report is needed to turn interface counters into rates
+    const previous = await Device.findOne({ hostname }).lean();
+
     const update = {
       mgmt_ip,
       cpu,
       memory,
+      temperature,
       interfaces,
       vendor,
       model,
       os_version,
-      last_seen: new Date()
+      last_seen: now
     };
 
     const device = await Device.findOneAndUpdate(
@@ -25,18 +127,13 @@ exports.upsertStatus = async (req, res) => {
       { upsert: true, new: true, setDefaultsOnInsert: true }
     );
 
-    // simple alert generation: create an alert if any interface down
-    const downIf = (interfaces || []).find(i => i.up === false);
-    if (downIf) {
-      await Alert.create({
-        device: hostname,
-        type: 'interface_down',
-        severity: 'major',
-        payload: { interface: downIf.name }
-      });
-    }
+    const samples = thresholdEvaluator.collectSamples(req.body, previous, now);
+    const alerts = await evaluateThresholds(device, req.body, samples, now);
+
+    const traffic = metricSeries.collectTrafficSamples(req.body, previous, now);
+    const recorded = await recordMetrics(hostname, samples.concat(traffic), now);
 
-    res.json({ ok: true, device });
+    res.json({ ok: true, device, alerts, metrics_recorded: recorded });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
@@ -0,0 +1,147 @@
+/**
+ * Device Driver
+ * Base class of the drivers the Remediation Engine executes action steps with.
+ *
+ * A driver holds one management session to one device:
+ * - connect(): open the session
+ * - execute(step): run an action step, resolving to the result stored in step.result
+ *   and rejecting with a driver error when the device refuses it
+ * - disconnect(): close the session (safe to call when not connected)
+ * - getRunningConfig() / restoreConfig(snapshot): read the running configuration
+ *   and put a snapshot of it back, for configuration backups and rollback
+ *
+ * Driver errors carry a code (see ERROR_CODES) and, where the device answered,
+ * the device output that explains the failure.
+ */
+
+const crypto = require('crypto');
+const configDiff = require('../utils/configDiff');
+
+const ERROR_CODES = {
+  CREDENTIALS_MISSING: 'DRIVER_CREDENTIALS_MISSING', // Device has no usable credentials
+  CONNECT_FAILED: 'DRIVER_CONNECT_FAILED',           // Session could not be opened
+  AUTH_FAILED: 'DRIVER_AUTH_FAILED',                 // Device refused the credentials
+  TIMEOUT: 'DRIVER_TIMEOUT',                         // Device did not answer in time
+  COMMAND_REJECTED: 'DRIVER_COMMAND_REJECTED',       // Device reported an error for a command
+  SESSION_CLOSED: 'DRIVER_SESSION_CLOSED'            // Session ended while in use
+};
+
+/**
+ * Build a driver error
+ *
+ * @param {string} code - one of ERROR_CODES
+ * @param {string} message - error message
+ * @param {string} output - device output explaining the error, if any
+ */
+function driverError(code, message, output) {
+  const error = new Error(message);
+  error.code = code;
+  if (output !== undefined) {
+    error.output = output;
+  }
+  return error;
+}
+
+class DeviceDriver {
+  /**
+   * @param {Object} device - Device document (hostname, mgmt_ip, vendor, os_version, credentials)
+   * @param {Object} options - driver options
+   */
+  constructor(device, options = {}) {
+    this.device = device;
+    this.options = options;
+    this.connected = false;
+  }
+
+  /**
+   * Credentials of the device, failing when no username is stored
+   */
+  getCredentials() {
+    const credentials = this.device.credentials || {};
+    if (!credentials.username) {
+      throw driverError(
+        ERROR_CODES.CREDENTIALS_MISSING,
+        `No credentials stored for device ${this.device.hostname}`
+      );
+    }
+    return credentials;
+  }
+
+  /**
+   * Accept an SSH host key, checking it against the stored SHA256 fingerprint when there is one
+   */
+  verifyHostKey(key, expectedFingerprint) {
+    if (!expectedFingerprint) {
+      return true;
+    }
+    const fingerprint = `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+    return fingerprint === expectedFingerprint.trim();
+  }
+
+  async connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  async execute() {
+    throw new Error(`${this.constructor.name} does not implement execute()`);
+  }
+
+  /**
+   * Make changes that await confirmation permanent (see NETCONFDriver confirmed commits).
+   * Resolves to whether there was anything to confirm.
+   */
+  async confirmChanges() {
+    return false;
+  }
+
+  /**
+   * Revert changes that await confirmation. Resolves to whether there was anything to revert.
+   */
+  async cancelChanges() {
+    return false;
+  }
+
+  /**
+   * Running configuration of the device
+   *
+   * @returns {Object} { format, content }, format being one of utils/configDiff FORMATS
+   */
+  async getRunningConfig() {
+    throw new Error(`${this.constructor.name} does not implement getRunningConfig()`);
+  }
+
+  /**
+   * Make the running configuration match a snapshot ({ format, content }). Drivers
+   * that run CLI commands apply the difference in configuration mode: what the
+   * snapshot lacks is removed and what it has is added.
+   *
+   * @returns {Object} { commands } sent to the device
+   */
+  async restoreConfig(snapshot) {
+    if (!this.constructor.acceptsCLICommands) {
+      throw new Error(`${this.constructor.name} does not implement restoreConfig()`);
+    }
+
+    const running = await this.getRunningConfig();
+    if (running.format !== snapshot.format) {
+      throw driverError(
+        ERROR_CODES.COMMAND_REJECTED,
+        `Cannot restore a ${snapshot.format} snapshot on ${this.device.hostname}, whose configuration is ${running.format}`
+      );
+    }
+
+    const commands = configDiff.buildRestoreCommands(snapshot.format, running.content, snapshot.content);
+    if (commands.length > 0) {
+      await this.execute({ command: commands.join('\n'), mode: 'config' });
+    }
+    return { commands };
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+}
+
+module.exports = DeviceDriver;
+module.exports.ERROR_CODES = ERROR_CODES;
+module.exports.driverError = driverError;
@@ -0,0 +1,143 @@
+const DeviceDriver = require('./DeviceDriver');
+const httpTransport = require('./httpTransport');
+const httpApiTemplates = require('./httpApiTemplates');
+const { parseCommands } = require('./SSHCLIDriver');
+
+const { ERROR_CODES, driverError } = DeviceDriver;
+
+/**
+ * HTTP API Driver
+ * Runs CLI commands through a controller's HTTP API (Arista eAPI, Cisco NX-API).
+ * The request and response shapes come from the template named by the device's
+ * api.protocol (see httpApiTemplates); steps use the same command text as the
+ * SSH CLI driver, one command per line, with mode 'config' for configuration.
+ */
+class HTTPAPIDriver extends DeviceDriver {
+  constructor(device, options = {}) {
+    super(device, options);
+
+    this.config = {
+      request_timeout: options.request_timeout || 30000, // Default wait for a response
+      template: options.template || (device.api && device.api.protocol) // API template (eapi, nxapi)
+    };
+
+    this.template = httpApiTemplates.getTemplate(this.config.template);
+    this.client = null;
+  }
+
+  /**
+   * Create the HTTP client and check access with the template's probe command
+   */
+  async connect() {
+    if (!this.template) {
+      throw driverError(ERROR_CODES.CONNECT_FAILED, `No HTTP API template for ${this.config.template} (device ${this.device.hostname})`);
+    }
+
+    this.client = httpTransport.createClient(this.device, {
+      timeout: this.config.request_timeout,
+      headers: { 'Content-Type': this.template.content_type, Accept: 'application/json' }
+    });
+    this.connected = true;
+
+    try {
+      await this.runCommands([this.template.probe_command], 'exec', this.config.request_timeout);
+    } catch (error) {
+      await this.disconnect();
+      throw error.code === ERROR_CODES.COMMAND_REJECTED
+        ? driverError(ERROR_CODES.CONNECT_FAILED, `${this.template.name} on ${this.device.hostname} is not usable: ${error.message}`, error.output)
+        : error;
+    }
+  }
+
+  /**
+   * Run commands in one API request
+   *
+   * @returns {Array} transcript of { command, output }
+   * @throws driver error COMMAND_REJECTED, with the transcript up to the failing command
+   */
+  async runCommands(commands, mode, timeout) {
+    if (!this.connected) {
+      throw driverError(ERROR_CODES.SESSION_CLOSED, `${this.template.name} session to ${this.device.hostname} is not open`);
+    }
+
+    const response = await httpTransport.send(this.client, this.device, {
+      method: 'POST',
+      url: this.template.path,
+      data: this.template.buildRequest(commands, mode, this.device.credentials || {}),
+      timeout
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      throw driverError(ERROR_CODES.AUTH_FAILED, `${this.template.name} on ${this.device.hostname} refused the credentials (HTTP ${response.status})`);
+    }
+
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+    let parsed = null;
+    if (response.data && typeof response.data === 'object') {
+      parsed = this.template.parseResponse(response.data, commands, mode);
+    }
+    if (!parsed) {
+      throw driverError(
+        response.status >= 400 ? ERROR_CODES.COMMAND_REJECTED : ERROR_CODES.CONNECT_FAILED,
+        `Unexpected ${this.template.name} response from ${this.device.hostname} (HTTP ${response.status})`,
+        body
+      );
+    }
+
+    const transcript = parsed.outputs.map((output, index) => ({ command: commands[index], output }));
+    if (parsed.error) {
+      const command = commands[parsed.error.index];
+      const rejected = driverError(
+        ERROR_CODES.COMMAND_REJECTED,
+        `${this.device.hostname} rejected "${command}": ${parsed.error.message}`,
+        body
+      );
+      rejected.transcript = [...transcript, { command, output: parsed.error.message }];
+      throw rejected;
+    }
+
+    return transcript;
+  }
+
+  /**
+   * Execute an action step
+   *
+   * @param {Object} step - command (one command per line), mode (exec or config), timeout (seconds)
+   * @returns {Object} { platform, mode, output, transcript }
+   */
+  async execute(step) {
+    const commands = parseCommands(step.command);
+    const mode = step.mode === 'config' ? 'config' : 'exec';
+    const timeout = step.timeout ? step.timeout * 1000 : this.config.request_timeout;
+
+    const transcript = commands.length === 0 ? [] : await this.runCommands(commands, mode, timeout);
+
+    return {
+      platform: this.template.key,
+      mode,
+      output: transcript.map(entry => entry.output).filter(Boolean).join('\n'),
+      transcript
+    };
+  }
+
+  /**
+   * Running configuration, as shown by the template's running_config_command
+   */
+  async getRunningConfig() {
+    const [entry] = await this.runCommands([this.template.running_config_command], 'exec', this.config.request_timeout);
+    return { format: this.template.config_format, content: entry ? entry.output : '' };
+  }
+
+  async disconnect() {
+    this.connected = false;
+    if (this.client) {
+      this.client.defaults.httpsAgent.destroy();
+      this.client = null;
+    }
+  }
+}
+
+// Steps hold CLI commands, like those of the SSH CLI driver
+HTTPAPIDriver.acceptsCLICommands = true;
+
+module.exports = HTTPAPIDriver;
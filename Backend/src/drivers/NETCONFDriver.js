@@ -0,0 +1,449 @@
+const { Client } = require('ssh2');
+const DeviceDriver = require('./DeviceDriver');
+const netconf = require('./netconfProtocol');
+
+const { ERROR_CODES, driverError } = DeviceDriver;
+const { CAPABILITIES } = netconf;
+
+/**
+ * NETCONF Driver
+ * NETCONF over SSH (RFC 6241, RFC 6242). Configuration steps are applied to the
+ * candidate datastore and committed:
+ *
+ *   lock candidate -> edit-config -> validate -> commit (confirmed) -> unlock
+ *
+ * When the device supports confirmed-commit, the commit is confirmed and the
+ * change only becomes permanent when confirmChanges() sends the confirming
+ * commit (the Remediation Engine does so once verification passes). Until then
+ * cancelChanges() reverts it, and the device reverts it by itself when the
+ * confirm timeout expires or the session is lost.
+ *
+ * rpc-error replies fail the step with the device's error tag and message.
+ */
+class NETCONFDriver extends DeviceDriver {
+  constructor(device, options = {}) {
+    super(device, options);
+
+    this.config = {
+      connect_timeout: options.connect_timeout || 15000, // SSH handshake and hello exchange timeout
+      rpc_timeout: options.rpc_timeout || 60000,        // Default wait for an rpc-reply
+      confirmed_commit: options.confirmed_commit !== false, // Use confirmed-commit when the device supports it
+      confirm_timeout: options.confirm_timeout || 300   // Seconds before an unconfirmed commit is rolled back
+    };
+
+    this.client = null;
+    this.stream = null;
+    this.parser = new netconf.MessageParser();
+    this.framing = 'eom';
+    this.capabilities = [];
+    this.sessionId = null;
+    this.messageId = 0;
+    this.pending = new Map(); // message-id -> { resolve, reject, timer, operation }
+    this.helloWaiter = null;
+    this.pendingConfirm = false;
+  }
+
+  /**
+   * Whether the device advertised a capability (ignoring capability parameters)
+   */
+  hasCapability(capability) {
+    return this.capabilities.some(advertised => advertised.split('?')[0] === capability);
+  }
+
+  /**
+   * Open the NETCONF subsystem and exchange hellos
+   */
+  async connect() {
+    const credentials = this.getCredentials();
+    const host = this.device.mgmt_ip;
+
+    this.client = new Client();
+    await new Promise((resolve, reject) => {
+      this.client.on('ready', resolve);
+      this.client.on('error', error => {
+        const code = error.level === 'client-authentication' ? ERROR_CODES.AUTH_FAILED : ERROR_CODES.CONNECT_FAILED;
+        reject(driverError(code, `NETCONF connection to ${this.device.hostname} (${host}) failed: ${error.message}`));
+      });
+      this.client.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+        finish(prompts.map(() => credentials.password || ''));
+      });
+
+      this.client.connect({
+        host,
+        port: credentials.netconf_port || 830,
+        username: credentials.username,
+        password: credentials.password,
+        tryKeyboard: true,
+        readyTimeout: this.config.connect_timeout,
+        hostVerifier: key => this.verifyHostKey(key, credentials.host_key_fingerprint)
+      });
+    });
+
+    this.stream = await new Promise((resolve, reject) => {
+      this.client.subsys('netconf', (error, stream) => {
+        if (error) {
+          reject(driverError(ERROR_CODES.CONNECT_FAILED, `NETCONF subsystem unavailable on ${this.device.hostname}: ${error.message}`));
+        } else {
+          resolve(stream);
+        }
+      });
+    });
+
+    this.stream.on('data', chunk => this.handleData(chunk));
+    this.stream.on('close', () => this.handleClose());
+    this.client.on('close', () => this.handleClose());
+    this.connected = true;
+
+    try {
+      await this.exchangeHello();
+    } catch (error) {
+      await this.disconnect();
+      throw error;
+    }
+  }
+
+  /**
+   * Send our hello, wait for the device's and pick the framing both support
+   */
+  async exchangeHello() {
+    const helloReceived = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.helloWaiter = null;
+        reject(driverError(ERROR_CODES.TIMEOUT, `No NETCONF hello from ${this.device.hostname}`));
+      }, this.config.connect_timeout);
+      this.helloWaiter = { resolve, reject, timer };
+    });
+
+    this.stream.write(netconf.frameMessage(
+      netconf.buildHello([CAPABILITIES.BASE_1_0, CAPABILITIES.BASE_1_1]),
+      'eom'
+    ));
+
+    const hello = netconf.parseHello(await helloReceived);
+    this.capabilities = hello.capabilities;
+    this.sessionId = hello.session_id;
+
+    if (this.hasCapability(CAPABILITIES.BASE_1_1)) {
+      this.framing = 'chunked';
+      this.parser.setFraming('chunked');
+    } else if (!this.hasCapability(CAPABILITIES.BASE_1_0)) {
+      throw driverError(ERROR_CODES.CONNECT_FAILED, `${this.device.hostname} advertised no supported NETCONF base version`);
+    }
+  }
+
+  /**
+   * Route received messages to the hello waiter or the rpc waiting for the reply
+   */
+  handleData(chunk) {
+    let messages;
+    try {
+      messages = this.parser.push(chunk);
+    } catch (error) {
+      console.error(`NETCONF framing error from ${this.device.hostname}:`, error.message);
+      this.disconnect();
+      return;
+    }
+
+    messages.forEach(message => {
+      if (netconf.getRootName(message) === 'hello') {
+        if (this.helloWaiter) {
+          clearTimeout(this.helloWaiter.timer);
+          this.helloWaiter.resolve(message);
+          this.helloWaiter = null;
+        }
+        return;
+      }
+
+      const reply = netconf.parseRpcReply(message);
+      const waiter = this.pending.get(reply.message_id);
+      if (waiter) {
+        clearTimeout(waiter.timer);
+        this.pending.delete(reply.message_id);
+        waiter.resolve({ ...reply, xml: message });
+      }
+    });
+  }
+
+  /**
+   * Fail every outstanding request when the session ends
+   */
+  handleClose() {
+    this.connected = false;
+    const closed = () => driverError(ERROR_CODES.SESSION_CLOSED, `NETCONF session to ${this.device.hostname} closed`);
+
+    if (this.helloWaiter) {
+      clearTimeout(this.helloWaiter.timer);
+      this.helloWaiter.reject(closed());
+      this.helloWaiter = null;
+    }
+    this.pending.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(closed());
+    });
+    this.pending.clear();
+  }
+
+  /**
+   * Send an rpc and wait for its reply
+   *
+   * @param {string} operationXml - operation element, e.g. <get-config>...</get-config>
+   * @returns {Object} parsed rpc-reply ({ ok, data, warnings, xml })
+   * @throws driver error COMMAND_REJECTED with rpc_errors when the reply holds an rpc-error
+   */
+  async rpc(operationXml, timeout = this.config.rpc_timeout) {
+    if (!this.connected) {
+      throw driverError(ERROR_CODES.SESSION_CLOSED, `NETCONF session to ${this.device.hostname} is not open`);
+    }
+
+    const messageId = String(++this.messageId);
+    const operation = netconf.getRootName(operationXml);
+
+    const reply = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(messageId);
+        reject(driverError(ERROR_CODES.TIMEOUT, `No reply to ${operation} from ${this.device.hostname} after ${timeout}ms`));
+      }, timeout);
+      this.pending.set(messageId, { resolve, reject, timer, operation });
+      this.stream.write(netconf.frameMessage(netconf.buildRpc(messageId, operationXml), this.framing));
+    });
+
+    if (reply.errors.length > 0) {
+      const first = reply.errors[0];
+      const error = driverError(
+        ERROR_CODES.COMMAND_REJECTED,
+        `${this.device.hostname} rejected ${operation}: ${first.tag}${first.message ? ` - ${first.message}` : ''}`,
+        reply.xml
+      );
+      error.rpc_errors = reply.errors;
+      throw error;
+    }
+
+    return reply;
+  }
+
+  /**
+   * Retrieve configuration
+   *
+   * @param {string} source - datastore (running or candidate)
+   * @param {string} filter - subtree filter contents, optional
+   * @returns {string} contents of <data>
+   */
+  async getConfig(source = 'running', filter = null) {
+    const filterXml = filter ? `<filter type="subtree">${filter}</filter>` : '';
+    const reply = await this.rpc(`<get-config><source><${source}/></source>${filterXml}</get-config>`);
+    return reply.data || '';
+  }
+
+  /**
+   * Load configuration into a datastore
+   *
+   * @param {string} configXml - contents of <config>
+   * @param {Object} options - target (default candidate), default_operation (default merge)
+   */
+  async editConfig(configXml, options = {}) {
+    const target = options.target || 'candidate';
+    const defaultOperation = options.default_operation || 'merge';
+    const errorOption = this.hasCapability(CAPABILITIES.ROLLBACK_ON_ERROR) ? '<error-option>rollback-on-error</error-option>' : '';
+
+    return this.rpc(
+      `<edit-config><target><${target}/></target>` +
+      `<default-operation>${defaultOperation}</default-operation>${errorOption}` +
+      `<config>${configXml}</config></edit-config>`
+    );
+  }
+
+  async lock(target = 'candidate') {
+    return this.rpc(`<lock><target><${target}/></target></lock>`);
+  }
+
+  async unlock(target = 'candidate') {
+    return this.rpc(`<unlock><target><${target}/></target></unlock>`);
+  }
+
+  async discardChanges() {
+    return this.rpc('<discard-changes/>');
+  }
+
+  /**
+   * Validate the candidate, when the device supports validation
+   */
+  async validate(source = 'candidate') {
+    if (!this.hasCapability(CAPABILITIES.VALIDATE_1_0) && !this.hasCapability(CAPABILITIES.VALIDATE_1_1)) {
+      return null;
+    }
+    return this.rpc(`<validate><source><${source}/></source></validate>`);
+  }
+
+  /**
+   * Commit the candidate, as a confirmed commit when requested and supported
+   *
+   * @returns {boolean} whether the commit awaits confirmation
+   */
+  async commit({ confirmed = false, confirm_timeout } = {}) {
+    const supported = this.hasCapability(CAPABILITIES.CONFIRMED_COMMIT_1_0) || this.hasCapability(CAPABILITIES.CONFIRMED_COMMIT_1_1);
+
+    if (confirmed && supported) {
+      const timeout = confirm_timeout || this.config.confirm_timeout;
+      await this.rpc(`<commit><confirmed/><confirm-timeout>${timeout}</confirm-timeout></commit>`);
+      this.pendingConfirm = true;
+      return true;
+    }
+
+    await this.rpc('<commit/>');
+    this.pendingConfirm = false;
+    return false;
+  }
+
+  /**
+   * Make a confirmed commit permanent
+   */
+  async confirmChanges() {
+    if (!this.pendingConfirm) {
+      return false;
+    }
+    await this.rpc('<commit/>');
+    this.pendingConfirm = false;
+    return true;
+  }
+
+  /**
+   * Revert a confirmed commit that has not been confirmed. Devices without
+   * cancel-commit (confirmed-commit:1.0) revert when the session closes.
+   */
+  async cancelChanges() {
+    if (!this.pendingConfirm) {
+      return false;
+    }
+    this.pendingConfirm = false;
+
+    if (this.hasCapability(CAPABILITIES.CONFIRMED_COMMIT_1_1)) {
+      await this.rpc('<cancel-commit/>');
+    } else {
+      await this.disconnect();
+    }
+    return true;
+  }
+
+  /**
+   * Apply configuration through the candidate datastore
+   *
+   * @param {Object} options - default_operation, confirmed (default config.confirmed_commit), confirm_timeout
+   * @returns {Object} { committed, confirm_pending, warnings }
+   */
+  async configure(configXml, options = {}) {
+    if (!this.hasCapability(CAPABILITIES.CANDIDATE)) {
+      await this.editConfig(configXml, { target: 'running', default_operation: options.default_operation });
+      return { committed: true, confirm_pending: false, datastore: 'running' };
+    }
+
+    await this.lock('candidate');
+    try {
+      const edit = await this.editConfig(configXml, options);
+      const validation = await this.validate('candidate');
+      const confirmPending = await this.commit({
+        confirmed: options.confirmed !== undefined ? options.confirmed : this.config.confirmed_commit,
+        confirm_timeout: options.confirm_timeout
+      });
+
+      return {
+        committed: true,
+        confirm_pending: confirmPending,
+        datastore: 'candidate',
+        warnings: [...edit.warnings, ...(validation ? validation.warnings : [])]
+      };
+
+    } catch (error) {
+      // Leave the candidate as it was for the next change
+      try {
+        await this.discardChanges();
+      } catch (discardError) {
+        console.error(`Error discarding candidate changes on ${this.device.hostname}:`, discardError.message);
+      }
+      throw error;
+
+    } finally {
+      if (this.connected) {
+        try {
+          await this.unlock('candidate');
+        } catch (unlockError) {
+          console.error(`Error unlocking candidate on ${this.device.hostname}:`, unlockError.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Running configuration (contents of <data>)
+   */
+  async getRunningConfig() {
+    return { format: 'xml', content: await this.getConfig('running') };
+  }
+
+  /**
+   * Replace the configuration with a snapshot through the candidate, committed
+   * without confirmation: the restore is what a rollback falls back on
+   */
+  async restoreConfig(snapshot) {
+    if (snapshot.format !== 'xml') {
+      throw driverError(ERROR_CODES.COMMAND_REJECTED, `Cannot restore a ${snapshot.format} snapshot over NETCONF`);
+    }
+    return this.configure(snapshot.content, { default_operation: 'replace', confirmed: false });
+  }
+
+  /**
+   * Execute an action step
+   *
+   * @param {Object} step - command holding the XML payload, mode (config or exec), timeout (seconds)
+   *   - config: command is the contents of <config>, applied through the candidate
+   *   - exec: command is an operation element sent as an rpc (e.g. <get-config>...),
+   *     or empty for the running configuration
+   * @returns {Object} { operation, data, committed, confirm_pending, warnings }
+   */
+  async execute(step) {
+    const payload = String(step.command || '').trim();
+
+    if (step.mode === 'config') {
+      const result = await this.configure(payload, { confirm_timeout: step.confirm_timeout });
+      return { operation: 'edit-config', ...result };
+    }
+
+    if (!payload) {
+      return { operation: 'get-config', data: await this.getConfig('running') };
+    }
+
+    const timeout = step.timeout ? step.timeout * 1000 : this.config.rpc_timeout;
+    const reply = await this.rpc(payload, timeout);
+    return {
+      operation: netconf.getRootName(payload),
+      data: reply.data,
+      ok: reply.ok,
+      warnings: reply.warnings
+    };
+  }
+
+  /**
+   * Close the NETCONF session and the SSH connection. An unconfirmed commit is
+   * left for the device to roll back.
+   */
+  async disconnect() {
+    if (this.connected && this.stream) {
+      try {
+        await this.rpc('<close-session/>', 5000);
+      } catch {
+        // The connection is closed below either way
+      }
+    }
+
+    this.connected = false;
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+    if (this.client) {
+      this.client.end();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = NETCONFDriver;
@@ -0,0 +1,251 @@
+const DeviceDriver = require('./DeviceDriver');
+const httpTransport = require('./httpTransport');
+
+const { ERROR_CODES, driverError } = DeviceDriver;
+
+// YANG-JSON media type (RFC 8040 section 11.3.1)
+const YANG_JSON = 'application/yang-data+json';
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// error-tag implied by an HTTP status when the reply carries no errors body (RFC 8040 section 7)
+const STATUS_ERROR_TAGS = {
+  400: 'invalid-value',
+  401: 'access-denied',
+  403: 'access-denied',
+  404: 'invalid-value',
+  405: 'operation-not-supported',
+  409: 'in-use',
+  412: 'operation-failed',
+  413: 'too-big',
+  500: 'operation-failed',
+  501: 'operation-not-supported',
+  503: 'resource-denied'
+};
+
+// Driver error code of an error-tag; anything not listed is a rejected request
+const ERROR_TAG_CODES = {
+  'access-denied': ERROR_CODES.AUTH_FAILED,
+  'resource-denied': ERROR_CODES.COMMAND_REJECTED,
+  'in-use': ERROR_CODES.COMMAND_REJECTED,
+  'lock-denied': ERROR_CODES.COMMAND_REJECTED
+};
+
+/**
+ * Parse a step command: the request line ("PATCH data/<path>"), then the
+ * YANG-JSON body, if any, on the following lines
+ *
+ * @returns {Object} { method, path, body }
+ */
+function parseRequest(command) {
+  const text = String(command || '').trim();
+  const [requestLine, ...bodyLines] = text.split('\n');
+  const match = /^([A-Z]+)\s+(\S+)$/.exec(requestLine.trim());
+
+  if (!match || !METHODS.includes(match[1])) {
+    throw driverError(ERROR_CODES.COMMAND_REJECTED, `Invalid RESTCONF request line: ${requestLine}`);
+  }
+
+  let path = match[2].replace(/^\/+/, '');
+  if (!/^(data|operations|yang-library-version)\b/.test(path)) {
+    path = `data/${path}`;
+  }
+
+  const bodyText = bodyLines.join('\n').trim();
+  let body = null;
+  if (bodyText) {
+    try {
+      body = JSON.parse(bodyText);
+    } catch (error) {
+      throw driverError(ERROR_CODES.COMMAND_REJECTED, `Invalid YANG-JSON body for ${match[1]} ${path}: ${error.message}`);
+    }
+  }
+
+  return { method: match[1], path, body };
+}
+
+/**
+ * Errors of a RESTCONF error reply as { type, tag, severity, message, path, info },
+ * the shape NETCONF rpc-errors are reported in
+ */
+function parseErrors(status, data) {
+  const container = data && typeof data === 'object'
+    ? data['ietf-restconf:errors'] || data.errors
+    : null;
+  const errors = container && [].concat(container.error || []);
+
+  if (errors && errors.length > 0) {
+    return errors.map(error => ({
+      type: error['error-type'] || null,
+      tag: error['error-tag'] || STATUS_ERROR_TAGS[status] || 'operation-failed',
+      severity: 'error',
+      message: error['error-message'] || null,
+      path: error['error-path'] || null,
+      info: error['error-info'] || null
+    }));
+  }
+
+  return [{
+    type: 'protocol',
+    tag: STATUS_ERROR_TAGS[status] || 'operation-failed',
+    severity: 'error',
+    message: typeof data === 'string' && data.trim() ? data.trim().slice(0, 500) : `HTTP ${status}`,
+    path: null,
+    info: null
+  }];
+}
+
+/**
+ * RESTCONF Driver
+ * RESTCONF (RFC 8040) over HTTPS with YANG-JSON payloads. Each step is one
+ * request against the RESTCONF root:
+ *
+ *   PATCH data/ietf-interfaces:interfaces/interface=GigabitEthernet0%2F1
+ *   {"ietf-interfaces:interface": [{"name": "GigabitEthernet0/1", "enabled": true}]}
+ *
+ * PATCH merges, PUT creates or replaces, DELETE removes a data resource; GET reads
+ * and POST creates resources or invokes operations. Changes take effect when the
+ * request succeeds; there is no candidate to commit.
+ *
+ * Error replies fail the step with their error-tag: access-denied as an
+ * authentication failure, everything else as a rejected command.
+ */
+class RESTCONFDriver extends DeviceDriver {
+  constructor(device, options = {}) {
+    super(device, options);
+
+    this.config = {
+      request_timeout: options.request_timeout || 30000 // Default wait for a response
+    };
+
+    this.client = null;
+    this.root = null;
+  }
+
+  /**
+   * Create the HTTP client, find the RESTCONF root and check that the API accepts our credentials
+   */
+  async connect() {
+    this.client = httpTransport.createClient(this.device, {
+      timeout: this.config.request_timeout,
+      headers: { Accept: YANG_JSON }
+    });
+
+    this.root = (this.device.api && this.device.api.restconf_root) || await this.discoverRoot();
+    this.root = `/${this.root.replace(/^\/+|\/+$/g, '')}`;
+
+    const response = await httpTransport.send(this.client, this.device, {
+      method: 'GET',
+      url: `${this.root}/yang-library-version`
+    });
+    if (response.status === 401 || response.status === 403) {
+      throw driverError(ERROR_CODES.AUTH_FAILED, `RESTCONF on ${this.device.hostname} refused the credentials (HTTP ${response.status})`);
+    }
+    if (response.status >= 500) {
+      throw driverError(ERROR_CODES.CONNECT_FAILED, `RESTCONF on ${this.device.hostname} is unavailable (HTTP ${response.status})`);
+    }
+
+    this.connected = true;
+  }
+
+  /**
+   * RESTCONF root from the device's host-meta (RFC 8040 section 3.1), /restconf when it has none
+   */
+  async discoverRoot() {
+    const response = await httpTransport.send(this.client, this.device, {
+      method: 'GET',
+      url: '/.well-known/host-meta',
+      headers: { Accept: 'application/xrd+xml' },
+      responseType: 'text'
+    });
+
+    if (response.status === 200 && typeof response.data === 'string') {
+      const link = /<Link\s[^>]*rel=['"]restconf['"][^>]*>/i.exec(response.data);
+      const href = link && /href=['"]([^'"]+)['"]/i.exec(link[0]);
+      if (href) {
+        return href[1];
+      }
+    }
+    return '/restconf';
+  }
+
+  /**
+   * Send one RESTCONF request
+   *
+   * @returns {Object} { status, data }
+   * @throws driver error with rpc_errors when the device answers with an error status
+   */
+  async request(method, path, body = null, timeout = this.config.request_timeout) {
+    if (!this.connected) {
+      throw driverError(ERROR_CODES.SESSION_CLOSED, `RESTCONF session to ${this.device.hostname} is not open`);
+    }
+
+    const response = await httpTransport.send(this.client, this.device, {
+      method,
+      url: `${this.root}/${path}`,
+      data: body === null ? undefined : body,
+      headers: body === null ? {} : { 'Content-Type': YANG_JSON },
+      timeout
+    });
+
+    if (response.status >= 400) {
+      const errors = parseErrors(response.status, response.data);
+      const [first] = errors;
+      const error = driverError(
+        ERROR_TAG_CODES[first.tag] || ERROR_CODES.COMMAND_REJECTED,
+        `${this.device.hostname} rejected ${method} ${path}: ${first.tag}${first.message ? ` - ${first.message}` : ''}`,
+        typeof response.data === 'string' ? response.data : JSON.stringify(response.data)
+      );
+      error.status = response.status;
+      error.rpc_errors = errors;
+      throw error;
+    }
+
+    return { status: response.status, data: response.data === '' ? null : response.data };
+  }
+
+  /**
+   * Execute an action step
+   *
+   * @param {Object} step - command (request line and YANG-JSON body), timeout (seconds)
+   * @returns {Object} { operation, path, status, data }
+   */
+  async execute(step) {
+    const { method, path, body } = parseRequest(step.command);
+    const timeout = step.timeout ? step.timeout * 1000 : this.config.request_timeout;
+    const { status, data } = await this.request(method, path, body, timeout);
+
+    return { operation: method, path, status, data };
+  }
+
+  /**
+   * Running configuration: the datastore's configuration data as YANG-JSON
+   */
+  async getRunningConfig() {
+    const { data } = await this.request('GET', 'data?content=config');
+    return { format: 'json', content: JSON.stringify(data) };
+  }
+
+  /**
+   * Replace the datastore's contents with a snapshot (PUT on the datastore resource)
+   */
+  async restoreConfig(snapshot) {
+    if (snapshot.format !== 'json') {
+      throw driverError(ERROR_CODES.COMMAND_REJECTED, `Cannot restore a ${snapshot.format} snapshot over RESTCONF`);
+    }
+    const { status } = await this.request('PUT', 'data', JSON.parse(snapshot.content));
+    return { status };
+  }
+
+  async disconnect() {
+    this.connected = false;
+    if (this.client) {
+      this.client.defaults.httpsAgent.destroy();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = RESTCONFDriver;
+module.exports.parseRequest = parseRequest;
+module.exports.parseErrors = parseErrors;
@@ -0,0 +1,347 @@
+const { Client } = require('ssh2');
+const DeviceDriver = require('./DeviceDriver');
+const cliPlatforms = require('./cliPlatforms');
+
+const { ERROR_CODES, driverError } = DeviceDriver;
+
+// Any prompt of any platform, used before the platform of the device is known
+const ANY_PROMPT = /(?:^|\n)[\w.\-/:@()]+[>#%]\s*$/;
+
+// Terminal escape sequences and carriage returns stripped from device output
+const ESCAPE_SEQUENCES = /\x1b\[[0-9;?]*[A-Za-z]|\r|[\b]/g;
+
+/**
+ * Split a step command into the lines sent to the device, leaving out blank lines
+ * and comments (lines starting with # or !)
+ */
+function parseCommands(command) {
+  return String(command || '')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(line => line.trim() && !/^\s*[#!]/.test(line));
+}
+
+/**
+ * SSH CLI Driver
+ * Runs CLI commands over an interactive SSH shell. Handles the vendor differences
+ * described in cliPlatforms: prompt detection, enable mode, paging and
+ * configuration mode.
+ *
+ * Steps with mode 'config' run inside configuration mode; on Junos they are
+ * committed with commit and-quit and rolled back when any line is rejected.
+ * Other steps run as exec (operational) commands.
+ */
+class SSHCLIDriver extends DeviceDriver {
+  constructor(device, options = {}) {
+    super(device, options);
+
+    this.config = {
+      connect_timeout: options.connect_timeout || 15000, // SSH handshake and login timeout
+      command_timeout: options.command_timeout || 30000, // Default wait for a prompt after a command
+      platform: options.platform || device.cli_platform || null // Platform override (ios, junos, eos)
+    };
+
+    this.platform = null;
+    this.promptPattern = null;
+    this.client = null;
+    this.stream = null;
+    this.buffer = '';
+    this.waiter = null;
+  }
+
+  /**
+   * Open the SSH session, log in to a privileged prompt and disable paging
+   */
+  async connect() {
+    const credentials = this.getCredentials();
+    const host = this.device.mgmt_ip;
+
+    this.client = new Client();
+    await new Promise((resolve, reject) => {
+      this.client.on('ready', resolve);
+      this.client.on('error', error => {
+        const code = error.level === 'client-authentication' ? ERROR_CODES.AUTH_FAILED : ERROR_CODES.CONNECT_FAILED;
+        reject(driverError(code, `SSH connection to ${this.device.hostname} (${host}) failed: ${error.message}`));
+      });
+      // Some devices only offer keyboard-interactive login; answer every prompt with the password
+      this.client.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+        finish(prompts.map(() => credentials.password || ''));
+      });
+
+      this.client.connect({
+        host,
+        port: credentials.ssh_port || 22,
+        username: credentials.username,
+        password: credentials.password,
+        tryKeyboard: true,
+        readyTimeout: this.config.connect_timeout,
+        hostVerifier: key => this.verifyHostKey(key, credentials.host_key_fingerprint)
+      });
+    });
+
+    this.stream = await new Promise((resolve, reject) => {
+      this.client.shell({ term: 'vt100', cols: 511, rows: 24 }, (error, stream) => {
+        if (error) {
+          reject(driverError(ERROR_CODES.CONNECT_FAILED, `Could not open a shell on ${this.device.hostname}: ${error.message}`));
+        } else {
+          resolve(stream);
+        }
+      });
+    });
+
+    this.stream.on('data', chunk => this.handleData(chunk));
+    this.stream.stderr.on('data', chunk => this.handleData(chunk));
+    this.stream.on('close', () => this.handleClose());
+    this.client.on('close', () => this.handleClose());
+    this.connected = true;
+
+    try {
+      await this.login(credentials);
+    } catch (error) {
+      await this.disconnect();
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for the first prompt, identify the platform, enter privileged mode and disable paging
+   */
+  async login(credentials) {
+    const banner = await this.readUntil([ANY_PROMPT], this.config.connect_timeout);
+
+    this.platform = cliPlatforms.getPlatform(
+      this.config.platform ||
+      cliPlatforms.identifyPlatform(this.device) ||
+      cliPlatforms.identifyPlatformFromPrompt(banner)
+    );
+
+    const prompt = cliPlatforms.matchPrompt(this.platform, banner);
+    if (!prompt) {
+      throw driverError(
+        ERROR_CODES.CONNECT_FAILED,
+        `Unrecognized ${this.platform.name} prompt on ${this.device.hostname}`,
+        banner
+      );
+    }
+    this.promptPattern = cliPlatforms.buildPromptPattern(this.platform, prompt.name);
+
+    if (this.platform.enable_command && prompt.marker !== this.platform.privileged_marker) {
+      await this.enable(credentials);
+    }
+
+    for (const command of this.platform.paging_commands) {
+      await this.sendCommand(command, this.config.command_timeout);
+    }
+  }
+
+  /**
+   * Enter privileged mode with the enable password (falling back to the login password)
+   */
+  async enable(credentials) {
+    this.buffer = '';
+    this.stream.write(`${this.platform.enable_command}\n`);
+    const output = await this.readUntil([this.platform.password_prompt, this.promptPattern], this.config.command_timeout);
+
+    if (this.platform.password_prompt.test(output)) {
+      this.buffer = '';
+      this.stream.write(`${credentials.enable_password || credentials.password || ''}\n`);
+      await this.readUntil([this.promptPattern, this.platform.password_prompt], this.config.command_timeout);
+    }
+
+    const prompt = cliPlatforms.matchPrompt(this.platform, this.buffer, this.promptPattern);
+    if (!prompt || prompt.marker !== this.platform.privileged_marker) {
+      throw driverError(ERROR_CODES.AUTH_FAILED, `Enable mode refused on ${this.device.hostname}`, this.buffer);
+    }
+    return prompt;
+  }
+
+  /**
+   * Collect device output, answering paging prompts the device shows despite paging being disabled
+   */
+  handleData(chunk) {
+    this.buffer += chunk.toString('utf8').replace(ESCAPE_SEQUENCES, '');
+
+    if (this.platform && this.platform.more_prompt.test(this.buffer)) {
+      this.buffer = this.buffer.replace(this.platform.more_prompt, '\n');
+      this.stream.write(' ');
+      return;
+    }
+
+    if (this.waiter && this.waiter.patterns.some(pattern => pattern.test(this.buffer))) {
+      const { resolve, timer } = this.waiter;
+      clearTimeout(timer);
+      this.waiter = null;
+      resolve(this.buffer);
+    }
+  }
+
+  /**
+   * Fail a pending read when the session ends
+   */
+  handleClose() {
+    this.connected = false;
+    if (this.waiter) {
+      const { reject, timer } = this.waiter;
+      clearTimeout(timer);
+      this.waiter = null;
+      reject(driverError(ERROR_CODES.SESSION_CLOSED, `SSH session to ${this.device.hostname} closed`, this.buffer));
+    }
+  }
+
+  /**
+   * Wait until the output received since the last command matches one of the patterns
+   */
+  readUntil(patterns, timeout) {
+    if (patterns.some(pattern => pattern.test(this.buffer))) {
+      return Promise.resolve(this.buffer);
+    }
+    if (!this.connected) {
+      return Promise.reject(driverError(ERROR_CODES.SESSION_CLOSED, `SSH session to ${this.device.hostname} is closed`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiter = null;
+        reject(driverError(
+          ERROR_CODES.TIMEOUT,
+          `Timed out after ${timeout}ms waiting for ${this.device.hostname}`,
+          this.buffer
+        ));
+      }, timeout);
+      this.waiter = { patterns, resolve, reject, timer };
+    });
+  }
+
+  /**
+   * Send one command and wait for the next prompt
+   *
+   * @returns {Object} { output (without the command echo and prompt), prompt }
+   */
+  async sendCommand(command, timeout) {
+    this.buffer = '';
+    this.stream.write(`${command}\n`);
+    const received = await this.readUntil([this.promptPattern], timeout);
+
+    const prompt = cliPlatforms.matchPrompt(this.platform, received, this.promptPattern);
+    const lines = received.slice(0, prompt.index).trimEnd().split('\n');
+    if (lines.length > 0 && lines[0].trim().endsWith(command.trim())) {
+      lines.shift();
+    }
+
+    return { output: lines.join('\n').trim(), prompt };
+  }
+
+  /**
+   * Send commands in order, failing at the first one the device rejects
+   *
+   * @returns {Array} transcript of { command, output }
+   */
+  async runCommands(commands, timeout) {
+    const transcript = [];
+
+    for (const command of commands) {
+      const { output } = await this.sendCommand(command, timeout);
+      transcript.push({ command, output });
+
+      const error = cliPlatforms.findCommandError(this.platform, output);
+      if (error) {
+        const rejected = driverError(
+          ERROR_CODES.COMMAND_REJECTED,
+          `${this.device.hostname} rejected "${command}": ${error}`,
+          output
+        );
+        rejected.transcript = transcript;
+        throw rejected;
+      }
+    }
+
+    return transcript;
+  }
+
+  /**
+   * Apply configuration lines, leaving configuration mode whether or not they are accepted
+   */
+  async configure(commands, timeout) {
+    await this.runCommands(this.platform.config_enter, timeout);
+
+    try {
+      const transcript = await this.runCommands(commands, timeout);
+      transcript.push(...await this.runCommands(this.platform.config_exit, timeout));
+      return transcript;
+
+    } catch (error) {
+      // Discard what the device holds of the change (Junos rolls back the candidate)
+      for (const command of this.platform.config_abort) {
+        try {
+          await this.sendCommand(command, timeout);
+        } catch (abortError) {
+          console.error(`Error leaving configuration mode on ${this.device.hostname}:`, abortError.message);
+          break;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Execute an action step
+   *
+   * @param {Object} step - command (one command per line), mode (exec or config), timeout (seconds)
+   * @returns {Object} { platform, mode, output, transcript }
+   */
+  async execute(step) {
+    if (!this.connected) {
+      throw driverError(ERROR_CODES.SESSION_CLOSED, `SSH session to ${this.device.hostname} is not open`);
+    }
+
+    const commands = parseCommands(step.command);
+    const mode = step.mode === 'config' ? 'config' : 'exec';
+    const timeout = step.timeout ? step.timeout * 1000 : this.config.command_timeout;
+
+    const transcript = commands.length === 0
+      ? []
+      : mode === 'config'
+        ? await this.configure(commands, timeout)
+        : await this.runCommands(commands, timeout);
+
+    return {
+      platform: this.platform.key,
+      mode,
+      output: transcript.map(entry => entry.output).filter(Boolean).join('\n'),
+      transcript
+    };
+  }
+
+  /**
+   * Running configuration, as shown by the platform's running_config_command
+   */
+  async getRunningConfig() {
+    const [entry] = await this.runCommands([this.platform.running_config_command], this.config.command_timeout);
+    return { format: this.platform.config_format, content: entry.output };
+  }
+
+  /**
+   * Close the shell and the SSH connection
+   */
+  async disconnect() {
+    this.connected = false;
+    if (this.waiter) {
+      clearTimeout(this.waiter.timer);
+      this.waiter = null;
+    }
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+    if (this.client) {
+      this.client.end();
+      this.client = null;
+    }
+  }
+}
+
+// Steps hold CLI commands; drivers without this flag take protocol payloads (XML, YANG-JSON)
+SSHCLIDriver.acceptsCLICommands = true;
+
+module.exports = SSHCLIDriver;
+module.exports.parseCommands = parseCommands;
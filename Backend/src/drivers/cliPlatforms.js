@@ -0,0 +1,184 @@
+/**
+ * CLI Platforms
+ * Per-vendor CLI behaviour used by the SSH CLI driver: how prompts look, how to
+ * reach privileged mode, how to disable paging, how to enter and leave
+ * configuration mode, how to read the running configuration (and in which
+ * utils/configDiff format) and which output marks a rejected command.
+ *
+ * Supported platforms: Cisco IOS / IOS-XE (ios), Juniper Junos (junos) and
+ * Arista EOS (eos).
+ */
+
+const PLATFORMS = {
+  ios: {
+    name: 'Cisco IOS / IOS-XE',
+    // router1>  router1#  router1(config)#  router1(config-if)#
+    prompt: /(?:^|\n)([\w.\-/:]+)(?:\([\w.\-/:]+\))?([>#])\s*$/,
+    mode_suffix: true,
+    privileged_marker: '#',
+    config_prompt: /\(config[^)]*\)#\s*$/,
+    enable_command: 'enable',
+    password_prompt: /(?:^|\n)Password:\s*$/i,
+    paging_commands: ['terminal length 0', 'terminal width 511'],
+    config_enter: ['configure terminal'],
+    config_exit: ['end'],
+    config_abort: ['end'],
+    running_config_command: 'show running-config',
+    config_format: 'ios',
+    more_prompt: /\s*--More--\s*$/,
+    error_patterns: [
+      /^% Invalid input detected/m,
+      /^% Incomplete command/m,
+      /^% Ambiguous command/m,
+      /^% Unknown command/m,
+      /^% Bad (?:IP address|mask)/m
+    ]
+  },
+  junos: {
+    name: 'Juniper Junos',
+    // user@router1>  user@router1#  (configuration mode adds an [edit] line above the prompt)
+    prompt: /(?:^|\n)([\w.\-]+@[\w.\-]+)([>#%])\s*$/,
+    mode_suffix: false,
+    privileged_marker: null,
+    config_prompt: /@[\w.\-]+#\s*$/,
+    enable_command: null,
+    password_prompt: null,
+    paging_commands: ['set cli screen-length 0', 'set cli screen-width 0'],
+    config_enter: ['configure private'],
+    config_exit: ['commit and-quit'],
+    config_abort: ['rollback 0', 'exit configuration-mode'],
+    running_config_command: 'show configuration | display set',
+    config_format: 'junos_set',
+    more_prompt: /\s*---\(more(?: \d+%)?\)---\s*$/,
+    error_patterns: [
+      /^error:/m,
+      /^syntax error/m,
+      /^unknown command\./m,
+      /^\s*missing argument\./m,
+      /commit failed/m
+    ]
+  },
+  eos: {
+    name: 'Arista EOS',
+    // switch1>  switch1#  switch1(config)#  switch1(config-if-Et1)#
+    prompt: /(?:^|\n)([\w.\-/:]+)(?:\([\w.\-/:]+\))?([>#])\s*$/,
+    mode_suffix: true,
+    privileged_marker: '#',
+    config_prompt: /\(config[^)]*\)#\s*$/,
+    enable_command: 'enable',
+    password_prompt: /(?:^|\n)Password:\s*$/i,
+    paging_commands: ['terminal length 0', 'terminal width 32767'],
+    config_enter: ['configure terminal'],
+    config_exit: ['end'],
+    config_abort: ['abort'],
+    running_config_command: 'show running-config',
+    config_format: 'ios',
+    more_prompt: /\s*--More--\s*$/,
+    error_patterns: [
+      /^% Invalid input/m,
+      /^% Incomplete command/m,
+      /^% Ambiguous command/m,
+      /^% Unavailable command/m,
+      /^% Error/m
+    ]
+  }
+};
+
+// Platform used when the device's vendor and OS do not identify one
+const DEFAULT_PLATFORM = 'ios';
+
+/**
+ * Platform key of a device from its vendor and OS version; null when unknown
+ */
+function identifyPlatform(device) {
+  const vendor = String((device && device.vendor) || '').toLowerCase();
+  const os = String((device && device.os_version) || '').toLowerCase();
+
+  if (vendor.includes('juniper') || os.includes('junos')) return 'junos';
+  if (vendor.includes('arista') || os.includes('eos')) return 'eos';
+  if (vendor.includes('cisco') || os.includes('ios')) return 'ios';
+  return null;
+}
+
+/**
+ * Platform key from the first prompt a device sends (user@host> is Junos)
+ */
+function identifyPlatformFromPrompt(output) {
+  return PLATFORMS.junos.prompt.test(output) ? 'junos' : DEFAULT_PLATFORM;
+}
+
+/**
+ * Platform definition by key
+ */
+function getPlatform(key) {
+  const platform = PLATFORMS[key];
+  if (!platform) {
+    throw new Error(`Unsupported CLI platform: ${key}. Supported: ${Object.keys(PLATFORMS).join(', ')}`);
+  }
+  return { key, ...platform };
+}
+
+/**
+ * Escape text for literal use in a regular expression
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Prompt pattern for a known prompt name (hostname, or user@host on Junos), so
+ * output lines that merely end in > or # are not taken for a prompt
+ */
+function buildPromptPattern(platform, name) {
+  const suffix = platform.mode_suffix ? '(?:\\([^)\\n]*\\))?' : '';
+  return new RegExp(`(?:^|\\n)(${escapeRegex(name)})${suffix}([>#%])\\s*$`);
+}
+
+/**
+ * Find the prompt at the end of device output
+ *
+ * @param {Object} platform - platform definition
+ * @param {string} output - output received so far
+ * @param {RegExp} pattern - prompt pattern of the session (defaults to any prompt of the platform)
+ * @returns {Object|null} { prompt, name, marker, config, index (where the prompt
+ *   starts in the output) } or null when the output does not end in a prompt
+ */
+function matchPrompt(platform, output, pattern = platform.prompt) {
+  const match = pattern.exec(output);
+  if (!match) {
+    return null;
+  }
+  return {
+    prompt: output.slice(match.index).trim(),
+    name: match[1],
+    marker: match[2],
+    config: platform.config_prompt.test(output),
+    index: match.index
+  };
+}
+
+/**
+ * First line of output matching one of the platform's error patterns; null when none does
+ */
+function findCommandError(platform, output) {
+  for (const pattern of platform.error_patterns) {
+    const match = pattern.exec(output);
+    if (match) {
+      const lineStart = output.lastIndexOf('\n', match.index) + 1;
+      const lineEnd = output.indexOf('\n', match.index);
+      return output.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim();
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PLATFORMS,
+  DEFAULT_PLATFORM,
+  identifyPlatform,
+  identifyPlatformFromPrompt,
+  getPlatform,
+  buildPromptPattern,
+  matchPrompt,
+  findCommandError
+};
@@ -0,0 +1,139 @@
+/**
+ * HTTP API Templates
+ * Request and response shapes of controller APIs that run CLI commands over HTTP,
+ * used by the HTTP API driver. A template describes:
+ *
+ * - name: display name
+ * - path: request path, relative to the device's API base URL
+ * - content_type: request media type
+ * - probe_command: harmless exec command run to check access when connecting
+ * - running_config_command, config_format: how the running configuration is read
+ *   and its utils/configDiff format
+ * - buildRequest(commands, mode, credentials): request body for a list of commands
+ * - parseResponse(data, commands, mode): { outputs, error } where outputs holds the
+ *   text output of each command and error, when a command failed, is
+ *   { index, message }
+ *
+ * New controllers are added with registerTemplate() and selected through the
+ * device's api.protocol.
+ */
+
+/**
+ * Arista EOS eAPI (JSON-RPC runCmds). Commands run in one request after enable
+ * (and configure for configuration steps); EOS stops at the first failing command.
+ */
+const eapi = {
+  name: 'Arista eAPI',
+  path: '/command-api',
+  content_type: 'application/json',
+  probe_command: 'show version',
+  running_config_command: 'show running-config',
+  config_format: 'ios',
+
+  buildRequest(commands, mode, credentials = {}) {
+    const enable = credentials.enable_password
+      ? { cmd: 'enable', input: credentials.enable_password }
+      : 'enable';
+    const cmds = mode === 'config'
+      ? [enable, 'configure', ...commands, 'end']
+      : [enable, ...commands];
+
+    return {
+      jsonrpc: '2.0',
+      method: 'runCmds',
+      params: { version: 1, cmds, format: 'text' },
+      id: `remediation-${Date.now()}`
+    };
+  },
+
+  parseResponse(data, commands, mode) {
+    const offset = mode === 'config' ? 2 : 1; // enable (and configure) precede the commands
+
+    if (data && data.error) {
+      const results = Array.isArray(data.error.data) ? data.error.data : [];
+      const failed = results.findIndex(result => result && Array.isArray(result.errors));
+      const index = failed === -1 ? commands.length - 1 : Math.max(failed - offset, 0);
+      const detail = failed === -1 ? null : results[failed].errors.join('; ');
+
+      return {
+        outputs: results.slice(offset, offset + index).map(result => String((result && result.output) || '').trim()),
+        error: { index, message: detail || data.error.message }
+      };
+    }
+
+    const results = (data && data.result) || [];
+    return {
+      outputs: results.slice(offset, offset + commands.length).map(result => String((result && result.output) || '').trim()),
+      error: null
+    };
+  }
+};
+
+/**
+ * Cisco NX-OS NX-API (JSON-RPC cli_ascii). One request per step with one call per
+ * command; NX-API runs configuration commands without entering configuration mode.
+ */
+const nxapi = {
+  name: 'Cisco NX-API',
+  path: '/ins',
+  content_type: 'application/json-rpc',
+  probe_command: 'show version',
+  running_config_command: 'show running-config',
+  config_format: 'ios',
+
+  buildRequest(commands) {
+    return commands.map((cmd, index) => ({
+      jsonrpc: '2.0',
+      method: 'cli_ascii',
+      params: { cmd, version: 1 },
+      id: index + 1
+    }));
+  },
+
+  parseResponse(data) {
+    const replies = [].concat(data || []).sort((a, b) => (a.id || 0) - (b.id || 0));
+    const outputs = [];
+
+    for (let index = 0; index < replies.length; index++) {
+      const reply = replies[index];
+      if (reply.error) {
+        const detail = reply.error.data && reply.error.data.msg;
+        return {
+          outputs,
+          error: { index, message: String(detail || reply.error.message).trim() }
+        };
+      }
+      outputs.push(reply.result && reply.result.msg ? String(reply.result.msg).trim() : '');
+    }
+
+    return { outputs, error: null };
+  }
+};
+
+const TEMPLATES = {
+  eapi,
+  nxapi
+};
+
+/**
+ * Template of an API protocol
+ *
+ * @returns {Object|null} template with its key, null when none is registered
+ */
+function getTemplate(key) {
+  const template = TEMPLATES[key];
+  return template ? { key, ...template } : null;
+}
+
+/**
+ * Register (or replace) the template of an API protocol
+ */
+function registerTemplate(key, template) {
+  TEMPLATES[key] = template;
+}
+
+module.exports = {
+  TEMPLATES,
+  getTemplate,
+  registerTemplate
+};
@@ -0,0 +1,107 @@
+/**
+ * HTTP Transport
+ * HTTP client setup shared by the HTTP API drivers (RESTCONF and the templated
+ * controller APIs): base URL, authentication and TLS verification come from the
+ * device's api settings and credentials.
+ */
+
+const https = require('https');
+const axios = require('axios');
+const { ERROR_CODES, driverError } = require('./DeviceDriver');
+
+// Error codes of failed TLS handshakes and certificate checks
+const TLS_ERROR_PATTERN = /CERT|SELF_SIGNED|UNABLE_TO_VERIFY|ERR_TLS|SSL/;
+
+/**
+ * Base URL of a device's HTTP API
+ */
+function getBaseURL(device) {
+  const api = device.api || {};
+  return (api.base_url || `https://${device.mgmt_ip}`).replace(/\/+$/, '');
+}
+
+/**
+ * Authentication of a device's HTTP API, failing when the credentials the scheme
+ * needs are not stored
+ *
+ * @returns {Object} { auth } for basic, { headers } for bearer, {} for none
+ */
+function getAuthentication(device) {
+  const api = device.api || {};
+  const credentials = device.credentials || {};
+  const scheme = api.auth_scheme || 'basic';
+
+  if (scheme === 'none') {
+    return {};
+  }
+  if (scheme === 'bearer') {
+    if (!credentials.api_token) {
+      throw driverError(ERROR_CODES.CREDENTIALS_MISSING, `No API token stored for device ${device.hostname}`);
+    }
+    return { headers: { Authorization: `Bearer ${credentials.api_token}` } };
+  }
+  if (!credentials.username) {
+    throw driverError(ERROR_CODES.CREDENTIALS_MISSING, `No credentials stored for device ${device.hostname}`);
+  }
+  return { auth: { username: credentials.username, password: credentials.password || '' } };
+}
+
+/**
+ * Create the HTTP client of a device. Responses of any status resolve; drivers
+ * interpret error statuses themselves.
+ *
+ * @param {Object} device - Device document
+ * @param {Object} options - timeout (ms), headers
+ */
+function createClient(device, options = {}) {
+  const api = device.api || {};
+  const authentication = getAuthentication(device);
+
+  return axios.create({
+    baseURL: getBaseURL(device),
+    timeout: options.timeout || 30000,
+    auth: authentication.auth,
+    headers: { ...options.headers, ...authentication.headers },
+    httpsAgent: new https.Agent({
+      rejectUnauthorized: api.tls_verify !== false,
+      ca: api.ca_certificate || undefined,
+      keepAlive: true
+    }),
+    maxRedirects: 0,
+    validateStatus: () => true
+  });
+}
+
+/**
+ * Driver error for a request that got no HTTP response
+ */
+function transportError(error, device) {
+  const host = `${device.hostname} (${getBaseURL(device)})`;
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+    return driverError(ERROR_CODES.TIMEOUT, `HTTP request to ${host} timed out`);
+  }
+  if (TLS_ERROR_PATTERN.test(error.code || '')) {
+    return driverError(ERROR_CODES.CONNECT_FAILED, `TLS verification of ${host} failed: ${error.message}`);
+  }
+  return driverError(ERROR_CODES.CONNECT_FAILED, `HTTP connection to ${host} failed: ${error.message}`);
+}
+
+/**
+ * Send a request, turning network failures into driver errors
+ */
+async function send(client, device, request) {
+  try {
+    return await client.request(request);
+  } catch (error) {
+    throw transportError(error, device);
+  }
+}
+
+module.exports = {
+  getBaseURL,
+  getAuthentication,
+  createClient,
+  transportError,
+  send
+};
@@ -0,0 +1,78 @@
+/**
+ * Device Drivers
+ * Registry of the drivers used to execute remediation steps, keyed by the
+ * Action execution method (Action.method).
+ *
+ * Registered drivers:
+ * - cli: SSHCLIDriver (Cisco IOS / IOS-XE, Juniper Junos, Arista EOS)
+ * - netconf: NETCONFDriver (NETCONF over SSH, RFC 6241)
+ * - restconf: RESTCONFDriver (RESTCONF, RFC 8040)
+ * - http_api: HTTPAPIDriver (Arista eAPI, Cisco NX-API and other templated HTTP APIs)
+ *
+ * The rest_api method uses restconf or http_api depending on the device's api.protocol.
+ */
+
+const DeviceDriver = require('./DeviceDriver');
+const SSHCLIDriver = require('./SSHCLIDriver');
+const NETCONFDriver = require('./NETCONFDriver');
+const RESTCONFDriver = require('./RESTCONFDriver');
+const HTTPAPIDriver = require('./HTTPAPIDriver');
+
+// Execution method -> driver class
+const DRIVERS = {
+  cli: SSHCLIDriver,
+  netconf: NETCONFDriver,
+  restconf: RESTCONFDriver,
+  http_api: HTTPAPIDriver
+};
+
+// Execution methods whose driver depends on the device
+const METHOD_RESOLVERS = {
+  rest_api: device => ((device.api && device.api.protocol) || 'restconf') === 'restconf' ? 'restconf' : 'http_api'
+};
+
+/**
+ * Whether a driver is registered for an execution method
+ */
+function hasDriver(method) {
+  return Boolean(DRIVERS[method] || METHOD_RESOLVERS[method]);
+}
+
+/**
+ * Register (or replace) the driver class of an execution method
+ */
+function registerDriver(method, DriverClass) {
+  DRIVERS[method] = DriverClass;
+}
+
+/**
+ * Driver class used for an execution method on a device; null when there is none
+ */
+function getDriverClass(method, device) {
+  const resolve = METHOD_RESOLVERS[method];
+  return DRIVERS[resolve ? resolve(device) : method] || null;
+}
+
+/**
+ * Create an unconnected driver for a device
+ *
+ * @param {string} method - execution method (cli, netconf, rest_api)
+ * @param {Object} device - Device document
+ * @param {Object} options - driver options (timeouts)
+ */
+function createDriver(method, device, options = {}) {
+  const DriverClass = getDriverClass(method, device);
+  if (!DriverClass) {
+    throw new Error(`No device driver for execution method: ${method}`);
+  }
+  return new DriverClass(device, options);
+}
+
+module.exports = {
+  DeviceDriver,
+  ERROR_CODES: DeviceDriver.ERROR_CODES,
+  hasDriver,
+  registerDriver,
+  getDriverClass,
+  createDriver
+};
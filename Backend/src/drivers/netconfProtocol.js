@@ -0,0 +1,289 @@
+/**
+ * NETCONF Protocol
+ * Message framing and XML helpers for NETCONF over SSH (RFC 6241, RFC 6242),
+ * shared by the NETCONF driver and the test server.
+ *
+ * Framing: messages are delimited by ]]>]]> (base:1.0) until both peers have
+ * advertised base:1.1 in their hello, then sent as chunks (\n#<size>\n...\n##\n).
+ *
+ * XML handling is deliberately small: replies are searched for the few elements
+ * NETCONF defines (ok, data, rpc-error and its children, capability, session-id),
+ * tolerating namespace prefixes, and configuration payloads are passed through
+ * as text.
+ */
+
+const NETCONF_NS = 'urn:ietf:params:xml:ns:netconf:base:1.0';
+
+const CAPABILITIES = {
+  BASE_1_0: 'urn:ietf:params:netconf:base:1.0',
+  BASE_1_1: 'urn:ietf:params:netconf:base:1.1',
+  CANDIDATE: 'urn:ietf:params:netconf:capability:candidate:1.0',
+  VALIDATE_1_0: 'urn:ietf:params:netconf:capability:validate:1.0',
+  VALIDATE_1_1: 'urn:ietf:params:netconf:capability:validate:1.1',
+  CONFIRMED_COMMIT_1_0: 'urn:ietf:params:netconf:capability:confirmed-commit:1.0',
+  CONFIRMED_COMMIT_1_1: 'urn:ietf:params:netconf:capability:confirmed-commit:1.1',
+  ROLLBACK_ON_ERROR: 'urn:ietf:params:netconf:capability:rollback-on-error:1.0'
+};
+
+// End-of-message marker of base:1.0 framing
+const EOM = ']]>]]>';
+
+/**
+ * Escape text for use in XML content or attributes
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Reverse escapeXml for element text
+ */
+function unescapeXml(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Frame a message for sending
+ *
+ * @param {string} xml - message
+ * @param {string} framing - 'eom' (base:1.0) or 'chunked' (base:1.1)
+ */
+function frameMessage(xml, framing) {
+  if (framing === 'chunked') {
+    return `\n#${Buffer.byteLength(xml, 'utf8')}\n${xml}\n##\n`;
+  }
+  return `${xml}\n${EOM}\n`;
+}
+
+/**
+ * Splits a received byte stream into NETCONF messages
+ */
+class MessageParser {
+  constructor() {
+    this.framing = 'eom';
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Switch framing after the hello exchange
+   */
+  setFraming(framing) {
+    this.framing = framing;
+  }
+
+  /**
+   * Add received data
+   *
+   * @returns {Array} complete messages received
+   */
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, Buffer.from(chunk)]);
+    const messages = [];
+
+    let message = this.next();
+    while (message !== null) {
+      messages.push(message);
+      message = this.next();
+    }
+    return messages;
+  }
+
+  /**
+   * Take the next complete message from the buffer; null when none is complete
+   */
+  next() {
+    if (this.framing === 'eom') {
+      const end = this.buffer.indexOf(EOM);
+      if (end === -1) {
+        return null;
+      }
+      const message = this.buffer.subarray(0, end).toString('utf8').trim();
+      this.buffer = this.buffer.subarray(end + EOM.length);
+      return message;
+    }
+
+    // Chunked: \n#<size>\n<data> repeated, closed by \n##\n
+    const chunks = [];
+    let offset = 0;
+    for (;;) {
+      const window = this.buffer.subarray(offset, offset + 16).toString('latin1');
+      const header = /^\s*\n#(\d+|#)\n/.exec(window);
+      if (!header) {
+        if (/^\s*(?:\n(?:#(?:\d*|#))?)?$/.test(window)) {
+          return null; // header not fully received yet
+        }
+        throw new Error('Invalid NETCONF chunk framing');
+      }
+      offset += header[0].length;
+      if (header[1] === '#') {
+        this.buffer = this.buffer.subarray(offset);
+        return Buffer.concat(chunks).toString('utf8').trim();
+      }
+      const size = parseInt(header[1], 10);
+      if (this.buffer.length < offset + size) {
+        return null;
+      }
+      chunks.push(this.buffer.subarray(offset, offset + size));
+      offset += size;
+    }
+  }
+}
+
+/**
+ * Build a hello message
+ */
+function buildHello(capabilities, sessionId) {
+  const capabilityXml = capabilities.map(capability => `<capability>${escapeXml(capability)}</capability>`).join('');
+  const sessionXml = sessionId ? `<session-id>${sessionId}</session-id>` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?><hello xmlns="${NETCONF_NS}"><capabilities>${capabilityXml}</capabilities>${sessionXml}</hello>`;
+}
+
+/**
+ * Build an rpc message around an operation
+ */
+function buildRpc(messageId, operationXml) {
+  return `<?xml version="1.0" encoding="UTF-8"?><rpc xmlns="${NETCONF_NS}" message-id="${messageId}">${operationXml}</rpc>`;
+}
+
+/**
+ * Contents of every element with a local name, ignoring namespace prefixes
+ */
+function findElements(xml, name) {
+  const pattern = new RegExp(`<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}\\s*>)`, 'g');
+  const contents = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    contents.push(match[1] === undefined ? '' : match[1]);
+  }
+  return contents;
+}
+
+/**
+ * Contents of the outermost element with a local name, from its first opening tag
+ * to the last closing tag, so that nested elements of the same name (e.g. OpenConfig
+ * <config> containers inside an edit-config <config>) stay intact; null when absent
+ */
+function findOuterElement(xml, name) {
+  const open = new RegExp(`<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?(/)?>`).exec(xml);
+  if (!open) {
+    return null;
+  }
+  if (open[1]) {
+    return '';
+  }
+  const closing = new RegExp(`</(?:[\\w.-]+:)?${name}\\s*>`, 'g');
+  let end = -1;
+  let match;
+  while ((match = closing.exec(xml)) !== null) {
+    end = match.index;
+  }
+  return end === -1 ? null : xml.slice(open.index + open[0].length, end);
+}
+
+/**
+ * Text of the first element with a local name; null when absent
+ */
+function findText(xml, name) {
+  const [content] = findElements(xml, name);
+  return content === undefined ? null : unescapeXml(content.trim());
+}
+
+/**
+ * Value of an attribute of the root element
+ */
+function findRootAttribute(xml, attribute) {
+  const root = /<(?:[\w.-]+:)?[\w.-]+(\s[^>]*)?>/.exec(xml.replace(/^<\?xml[^>]*\?>\s*/, ''));
+  const match = root && root[1] && new RegExp(`\\s${attribute}="([^"]*)"`).exec(root[1]);
+  return match ? match[1] : null;
+}
+
+/**
+ * Local name of the root element of a message
+ */
+function getRootName(xml) {
+  const root = /<(?:[\w.-]+:)?([\w.-]+)/.exec(xml.replace(/^<\?xml[^>]*\?>\s*/, ''));
+  return root ? root[1] : null;
+}
+
+/**
+ * Parse a hello message
+ *
+ * @returns {Object} { capabilities, session_id }
+ */
+function parseHello(xml) {
+  const sessionId = findText(xml, 'session-id');
+  return {
+    capabilities: findElements(xml, 'capability').map(capability => unescapeXml(capability.trim())),
+    session_id: sessionId ? parseInt(sessionId, 10) : null
+  };
+}
+
+/**
+ * Parse an rpc-reply
+ *
+ * @returns {Object} { message_id, ok, data (inner XML of <data>, or null), errors, warnings }
+ *   where errors and warnings are { type, tag, severity, message, path, info }
+ */
+function parseRpcReply(xml) {
+  const rpcErrors = findElements(xml, 'rpc-error').map(errorXml => ({
+    type: findText(errorXml, 'error-type'),
+    tag: findText(errorXml, 'error-tag'),
+    severity: findText(errorXml, 'error-severity') || 'error',
+    message: findText(errorXml, 'error-message'),
+    path: findText(errorXml, 'error-path'),
+    info: findElements(errorXml, 'error-info')[0] || null
+  }));
+  const data = findOuterElement(xml, 'data');
+
+  return {
+    message_id: findRootAttribute(xml, 'message-id'),
+    ok: findElements(xml, 'ok').length > 0,
+    data: data === null ? null : data.trim(),
+    errors: rpcErrors.filter(error => error.severity !== 'warning'),
+    warnings: rpcErrors.filter(error => error.severity === 'warning')
+  };
+}
+
+/**
+ * Build an rpc-error element
+ */
+function buildRpcError({ type = 'application', tag, severity = 'error', message, path, info }) {
+  return '<rpc-error>' +
+    `<error-type>${type}</error-type>` +
+    `<error-tag>${tag}</error-tag>` +
+    `<error-severity>${severity}</error-severity>` +
+    (path ? `<error-path>${escapeXml(path)}</error-path>` : '') +
+    (message ? `<error-message xml:lang="en">${escapeXml(message)}</error-message>` : '') +
+    (info ? `<error-info>${info}</error-info>` : '') +
+    '</rpc-error>';
+}
+
+module.exports = {
+  NETCONF_NS,
+  CAPABILITIES,
+  EOM,
+  escapeXml,
+  unescapeXml,
+  frameMessage,
+  MessageParser,
+  buildHello,
+  buildRpc,
+  findElements,
+  findOuterElement,
+  findText,
+  findRootAttribute,
+  getRootName,
+  parseHello,
+  parseRpcReply,
+  buildRpcError
+};
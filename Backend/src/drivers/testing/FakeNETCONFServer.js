@@ -0,0 +1,424 @@
+/**
+ * Fake NETCONF Server
+ * In-process NETCONF over SSH server speaking enough of RFC 6241 / RFC 6242 to
+ * exercise the NETCONF driver and the Remediation Engine without network
+ * equipment.
+ *
+ * Emulated behaviour:
+ * - hello exchange, base:1.0 end-of-message and base:1.1 chunked framing
+ * - running and candidate datastores: get, get-config, edit-config, discard-changes,
+ *   lock / unlock (lock-denied when another session holds the lock)
+ * - validate, commit, confirmed commit with confirm-timeout (running reverts when
+ *   the timeout expires, on cancel-commit, or when the session that made the
+ *   confirmed commit closes without confirming), close-session
+ * - rpc-error replies: operation-not-supported for anything else, invalid-value for
+ *   edit-config payloads matching options.reject_config, and operation-failed from
+ *   validate / commit when options.validate_error / options.commit_error are set
+ *
+ * Datastores are kept as lists of configuration fragments: edit-config appends its
+ * <config> contents (default-operation replace replaces the datastore) and
+ * get-config returns them joined. That is enough to observe what was committed and
+ * what was rolled back; it is not a YANG datastore.
+ *
+ * Every rpc received is recorded in `rpcs` as { session_id, operation, xml }.
+ *
+ * Usage:
+ *   const server = new FakeNETCONFServer({ running: '<interfaces .../>' });
+ *   const port = await server.start();
+ *   ...
+ *   await server.stop();
+ *
+ * Or standalone: node src/drivers/testing/FakeNETCONFServer.js --port 8300
+ */
+
+const EventEmitter = require('events');
+const { Server, utils } = require('ssh2');
+const netconf = require('../netconfProtocol');
+
+const { CAPABILITIES } = netconf;
+
+const DEFAULT_CAPABILITIES = [
+  CAPABILITIES.BASE_1_0,
+  CAPABILITIES.BASE_1_1,
+  CAPABILITIES.CANDIDATE,
+  CAPABILITIES.VALIDATE_1_1,
+  CAPABILITIES.CONFIRMED_COMMIT_1_1,
+  CAPABILITIES.ROLLBACK_ON_ERROR
+];
+
+// Seconds before an unconfirmed commit is reverted when the rpc sets no confirm-timeout (RFC 6241 8.4.5.1)
+const DEFAULT_CONFIRM_TIMEOUT = 600;
+
+class FakeNETCONFServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      username: options.username || 'admin',             // Accepted login username
+      password: options.password || 'admin',             // Accepted login password
+      capabilities: options.capabilities || DEFAULT_CAPABILITIES, // Capabilities advertised in the hello
+      reject_config: options.reject_config ? new RegExp(options.reject_config) : null, // edit-config payloads answered with invalid-value
+      validate_error: options.validate_error || null,     // Message of the error every validate reports
+      commit_error: options.commit_error || null          // Message of the error every commit reports
+    };
+
+    this.running = options.running ? [options.running] : [];
+    this.candidate = [...this.running];
+    this.locks = { running: null, candidate: null };   // datastore -> session id holding the lock
+    this.pendingCommit = null;                          // { session_id, previous, timer } while a confirmed commit awaits confirmation
+    this.nextSessionId = 1;
+
+    this.rpcs = [];
+    this.server = null;
+    this.clients = new Set();
+    this.hostKey = utils.generateKeyPairSync('ecdsa', { bits: 256 }).private;
+  }
+
+  /**
+   * Start listening
+   *
+   * @param {number} port - port to listen on (0 picks a free port)
+   * @returns {Promise<number>} the port listened on
+   */
+  start(port = 0, host = '127.0.0.1') {
+    this.server = new Server({ hostKeys: [this.hostKey] }, client => this.handleClient(client));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening, drop connected clients and cancel a pending confirmed commit timer
+   */
+  stop() {
+    if (this.pendingCommit) {
+      clearTimeout(this.pendingCommit.timer);
+      this.pendingCommit = null;
+    }
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      this.clients.forEach(client => client.end());
+      this.clients.clear();
+    });
+  }
+
+  /**
+   * Configuration of a datastore as returned by get-config
+   */
+  getDatastore(name) {
+    return (name === 'candidate' ? this.candidate : this.running).join('');
+  }
+
+  /**
+   * Authenticate a client and start a NETCONF session on the netconf subsystem
+   */
+  handleClient(client) {
+    this.clients.add(client);
+    client.on('close', () => this.clients.delete(client));
+
+    client.on('authentication', ctx => {
+      if (ctx.method === 'password' && ctx.username === this.config.username && ctx.password === this.config.password) {
+        ctx.accept();
+      } else {
+        ctx.reject(['password']);
+      }
+    });
+
+    client.on('ready', () => {
+      client.on('session', accept => {
+        const session = accept();
+        session.on('subsystem', (accept, reject, info) => {
+          if (info.name === 'netconf') {
+            this.runSession(accept());
+          } else {
+            reject();
+          }
+        });
+      });
+    });
+
+    client.on('error', () => {});
+  }
+
+  /**
+   * Run one NETCONF session on a channel
+   */
+  runSession(stream) {
+    const session = {
+      id: this.nextSessionId++,
+      framing: 'eom',
+      parser: new netconf.MessageParser(),
+      hello_received: false,
+      closed: false,
+      stream
+    };
+
+    const send = xml => {
+      if (!session.closed) {
+        stream.write(netconf.frameMessage(xml, session.framing));
+      }
+    };
+
+    send(netconf.buildHello(this.config.capabilities, session.id));
+
+    stream.on('data', chunk => {
+      let messages;
+      try {
+        messages = session.parser.push(chunk);
+      } catch {
+        stream.end();
+        return;
+      }
+
+      messages.forEach(message => {
+        if (!session.hello_received) {
+          const hello = netconf.parseHello(message);
+          session.hello_received = true;
+          if (hello.capabilities.includes(CAPABILITIES.BASE_1_1) && this.config.capabilities.includes(CAPABILITIES.BASE_1_1)) {
+            session.framing = 'chunked';
+            session.parser.setFraming('chunked');
+          }
+          return;
+        }
+        this.handleRpc(session, message, send);
+      });
+    });
+
+    stream.on('close', () => this.endSession(session));
+  }
+
+  /**
+   * Release the session's locks and revert its unconfirmed commit
+   */
+  endSession(session) {
+    if (session.closed) {
+      return;
+    }
+    session.closed = true;
+
+    Object.keys(this.locks).forEach(datastore => {
+      if (this.locks[datastore] === session.id) {
+        this.locks[datastore] = null;
+      }
+    });
+    if (this.pendingCommit && this.pendingCommit.session_id === session.id) {
+      this.revertCommit('session closed');
+    }
+  }
+
+  /**
+   * Answer one rpc
+   */
+  handleRpc(session, xml, send) {
+    const messageId = netconf.findRootAttribute(xml, 'message-id');
+    const body = netconf.findOuterElement(xml, 'rpc') || '';
+    const operation = netconf.getRootName(body.trim());
+
+    this.rpcs.push({ session_id: session.id, operation, xml });
+    this.emit('rpc', operation, session.id);
+
+    const reply = content => send(
+      `<?xml version="1.0" encoding="UTF-8"?><rpc-reply xmlns="${netconf.NETCONF_NS}" message-id="${messageId}">${content}</rpc-reply>`
+    );
+
+    let result;
+    try {
+      result = this.runOperation(session, operation, body);
+    } catch (error) {
+      reply(netconf.buildRpcError(error.rpc_error));
+      return;
+    }
+
+    reply(result === undefined ? '<ok/>' : `<data>${result}</data>`);
+    if (operation === 'close-session') {
+      this.endSession(session);
+      session.stream.end();
+    }
+  }
+
+  /**
+   * Perform an operation
+   *
+   * @returns {string|undefined} contents of <data>, or undefined for <ok/>
+   * @throws error carrying rpc_error ({ type, tag, message, ... }) for rpc-error replies
+   */
+  runOperation(session, operation, body) {
+    const datastoreOf = element => {
+      const [content] = netconf.findElements(body, element);
+      return content === undefined ? null : netconf.getRootName(content.trim());
+    };
+
+    switch (operation) {
+      case 'get':
+        return this.getDatastore('running');
+
+      case 'get-config': {
+        const source = datastoreOf('source');
+        this.checkDatastore(source);
+        return this.getDatastore(source);
+      }
+
+      case 'edit-config': {
+        const target = datastoreOf('target');
+        this.checkDatastore(target);
+        this.checkLock(session, target);
+
+        const configXml = netconf.findOuterElement(body, 'config');
+        if (configXml === null) {
+          throw rpcFault('protocol', 'missing-element', 'edit-config requires a config element', { info: '<bad-element>config</bad-element>' });
+        }
+        if (this.config.reject_config && this.config.reject_config.test(configXml)) {
+          throw rpcFault('application', 'invalid-value', 'Configuration rejected by the device', { path: '/config' });
+        }
+
+        const replace = netconf.findText(body, 'default-operation') === 'replace';
+        const datastore = target === 'candidate' ? 'candidate' : 'running';
+        this[datastore] = replace ? [configXml.trim()] : [...this[datastore], configXml.trim()];
+        return undefined;
+      }
+
+      case 'lock':
+      case 'unlock': {
+        const target = datastoreOf('target');
+        this.checkDatastore(target);
+        const holder = this.locks[target];
+
+        if (operation === 'lock') {
+          if (holder !== null) {
+            throw rpcFault('protocol', 'lock-denied', `Lock held by session ${holder}`, { info: `<session-id>${holder}</session-id>` });
+          }
+          this.locks[target] = session.id;
+        } else {
+          if (holder !== session.id) {
+            throw rpcFault('protocol', 'operation-failed', `Session does not hold the ${target} lock`);
+          }
+          this.locks[target] = null;
+        }
+        return undefined;
+      }
+
+      case 'discard-changes':
+        this.candidate = [...this.running];
+        return undefined;
+
+      case 'validate':
+        if (this.config.validate_error) {
+          throw rpcFault('application', 'operation-failed', this.config.validate_error);
+        }
+        return undefined;
+
+      case 'commit':
+        return this.commit(session, body);
+
+      case 'cancel-commit':
+        if (!this.pendingCommit) {
+          throw rpcFault('protocol', 'operation-failed', 'No confirmed commit is in progress');
+        }
+        this.revertCommit('cancel-commit');
+        return undefined;
+
+      case 'close-session':
+        return undefined;
+
+      default:
+        throw rpcFault('protocol', 'operation-not-supported', `Operation ${operation} is not supported`);
+    }
+  }
+
+  /**
+   * Commit the candidate: confirmed commits keep the previous running configuration
+   * until confirmed, a plain commit confirms a pending one
+   */
+  commit(session, body) {
+    this.checkLock(session, 'running');
+    if (this.config.commit_error) {
+      throw rpcFault('application', 'operation-failed', this.config.commit_error);
+    }
+
+    if (netconf.findElements(body, 'confirmed').length > 0) {
+      const timeout = parseInt(netconf.findText(body, 'confirm-timeout'), 10) || DEFAULT_CONFIRM_TIMEOUT;
+      const previous = this.pendingCommit ? this.pendingCommit.previous : [...this.running];
+      if (this.pendingCommit) {
+        clearTimeout(this.pendingCommit.timer);
+      }
+
+      this.pendingCommit = {
+        session_id: session.id,
+        previous,
+        timer: setTimeout(() => this.revertCommit('confirm-timeout expired'), timeout * 1000)
+      };
+      this.running = [...this.candidate];
+      return undefined;
+    }
+
+    if (this.pendingCommit) {
+      clearTimeout(this.pendingCommit.timer);
+      this.pendingCommit = null;
+      this.emit('confirmed');
+    }
+    this.running = [...this.candidate];
+    return undefined;
+  }
+
+  /**
+   * Restore the running configuration from before an unconfirmed commit
+   */
+  revertCommit(reason) {
+    clearTimeout(this.pendingCommit.timer);
+    this.running = this.pendingCommit.previous;
+    this.candidate = [...this.running];
+    this.pendingCommit = null;
+    this.emit('rollback', reason);
+  }
+
+  checkDatastore(name) {
+    if (name !== 'running' && name !== 'candidate') {
+      throw rpcFault('protocol', 'invalid-value', `Unknown datastore: ${name}`);
+    }
+  }
+
+  checkLock(session, datastore) {
+    const holder = this.locks[datastore];
+    if (holder !== null && holder !== session.id) {
+      throw rpcFault('protocol', 'in-use', `The ${datastore} datastore is locked by session ${holder}`, { info: `<session-id>${holder}</session-id>` });
+    }
+  }
+}
+
+/**
+ * Error answered as an rpc-error
+ */
+function rpcFault(type, tag, message, extra = {}) {
+  const error = new Error(message);
+  error.rpc_error = { type, tag, message, ...extra };
+  return error;
+}
+
+module.exports = FakeNETCONFServer;
+
+// Standalone: node FakeNETCONFServer.js --port 8300 --username admin --password admin
+if (require.main === module) {
+  const args = {};
+  process.argv.slice(2).forEach((arg, index, all) => {
+    if (arg.startsWith('--')) {
+      args[arg.slice(2)] = all[index + 1];
+    }
+  });
+
+  const server = new FakeNETCONFServer(args);
+  server.on('rpc', (operation, sessionId) => console.log(`[session ${sessionId}] ${operation}`));
+  server.on('rollback', reason => console.log(`Confirmed commit rolled back: ${reason}`));
+  server.start(parseInt(args.port) || 8300, args.host || '127.0.0.1').then(port => {
+    console.log(`Fake NETCONF server listening on port ${port}`);
+  });
+}
@@ -0,0 +1,479 @@
+/**
+ * Fake SSH Device
+ * In-process SSH server emulating the CLI of a Cisco IOS, Juniper Junos or Arista
+ * EOS device, for exercising the SSH CLI driver and the Remediation Engine
+ * without network equipment.
+ *
+ * Emulated behaviour:
+ * - password login, enable mode with its own password (IOS and EOS)
+ * - paging: long output stops at a --More-- prompt until paging is disabled
+ * - configuration mode (configure terminal / end, and configure / commit and-quit
+ *   with a candidate configuration on Junos)
+ * - canned exec command output (options.responses) and the platform's error
+ *   message for unknown commands and for lines matching options.reject_commands
+ *
+ * Every command received is recorded in `commands`. The configuration is kept in
+ * `configuration` (options.configuration sets the initial one) and shown by show
+ * running-config / show configuration:
+ * - IOS / EOS: top-level lines with the lines of their section (interface, router,
+ *   ...) indented by one space below them; "no <line>" removes a line, or a whole
+ *   section when given its header
+ * - Junos: set and deactivate lines; commit applies set, delete, deactivate and
+ *   activate from the candidate
+ *
+ * Usage:
+ *   const device = new FakeSSHDevice({ platform: 'junos', hostname: 'mx1' });
+ *   const port = await device.start();
+ *   ...
+ *   await device.stop();
+ *
+ * Or standalone: node src/drivers/testing/FakeSSHDevice.js --platform ios --port 2222
+ */
+
+const EventEmitter = require('events');
+const { Server, utils } = require('ssh2');
+
+// IOS / EOS configuration lines that open a section
+const IOS_SECTION = /^(interface|router|line|vlan|ip access-list|route-map|policy-map|class-map)\s/;
+
+// Command output of each platform for rejected input
+const REJECT_MESSAGES = {
+  ios: "% Invalid input detected at '^' marker.",
+  junos: 'syntax error.',
+  eos: '% Invalid input'
+};
+
+class FakeSSHDevice extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      platform: options.platform || 'ios',              // ios, junos or eos
+      hostname: options.hostname || 'fake-device',      // Hostname shown in the prompt
+      username: options.username || 'admin',            // Accepted login username
+      password: options.password || 'admin',            // Accepted login password
+      enable_password: options.enable_password || null, // Enable password (login password when unset)
+      start_privileged: options.start_privileged || false, // Log in straight to the privileged prompt
+      page_length: options.page_length || 24,           // Lines per page while paging is enabled
+      responses: options.responses || {},               // Exec command -> output (string or function)
+      reject_commands: (options.reject_commands || []).map(pattern => new RegExp(pattern)), // Lines answered with an error
+      commit_error: options.commit_error || null        // Junos: error reported by every commit
+    };
+
+    if (!REJECT_MESSAGES[this.config.platform]) {
+      throw new Error(`Unsupported fake device platform: ${this.config.platform}`);
+    }
+
+    this.commands = [];
+    this.configuration = [...(options.configuration || [])];
+    this.server = null;
+    this.clients = new Set();
+    this.hostKey = utils.generateKeyPairSync('ecdsa', { bits: 256 }).private;
+  }
+
+  /**
+   * Start listening
+   *
+   * @param {number} port - port to listen on (0 picks a free port)
+   * @returns {Promise<number>} the port listened on
+   */
+  start(port = 0, host = '127.0.0.1') {
+    this.server = new Server({ hostKeys: [this.hostKey] }, client => this.handleClient(client));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and drop connected clients
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      // Connected clients keep the server open until they are gone
+      this.clients.forEach(client => client.end());
+      this.clients.clear();
+    });
+  }
+
+  /**
+   * Authenticate a client and open a shell for it
+   */
+  handleClient(client) {
+    this.clients.add(client);
+    client.on('close', () => this.clients.delete(client));
+
+    client.on('authentication', ctx => {
+      if (ctx.method === 'password' && ctx.username === this.config.username && ctx.password === this.config.password) {
+        ctx.accept();
+      } else {
+        ctx.reject(['password']);
+      }
+    });
+
+    client.on('ready', () => {
+      client.on('session', accept => {
+        const session = accept();
+        session.on('pty', accept => accept && accept());
+        session.on('shell', accept => this.runShell(accept()));
+      });
+    });
+
+    client.on('error', () => {});
+  }
+
+  /**
+   * Prompt for the current shell state
+   */
+  getPrompt(state) {
+    const { platform, hostname, username } = this.config;
+
+    if (platform === 'junos') {
+      return state.mode === 'config'
+        ? `\r\n[edit]\r\n${username}@${hostname}# `
+        : `${username}@${hostname}> `;
+    }
+
+    if (state.mode === 'config') {
+      return `${hostname}(${state.context || 'config'})#`;
+    }
+    return `${hostname}${state.mode === 'privileged' ? '#' : '>'}`;
+  }
+
+  /**
+   * Run an interactive shell on a channel
+   */
+  runShell(stream) {
+    const state = {
+      mode: this.config.platform === 'junos' || this.config.start_privileged ? 'privileged' : 'user',
+      context: null,
+      section: null,
+      paging: true,
+      awaiting_password: false,
+      pending_output: null,
+      candidate: [],
+      line: '',
+      skip_newline: false
+    };
+
+    const write = text => stream.write(text.replace(/\r?\n/g, '\r\n'));
+    write(`\n${this.getPrompt(state)}`);
+
+    stream.on('data', data => {
+      const text = data.toString('utf8');
+
+      // Any key continues paged output
+      if (state.pending_output) {
+        const rest = state.pending_output;
+        state.pending_output = null;
+        write(`${rest}\n${this.getPrompt(state)}`);
+        return;
+      }
+
+      for (const char of text) {
+        if (char === '\r' || char === '\n') {
+          if (char === '\n' && state.skip_newline) {
+            state.skip_newline = false;
+            continue;
+          }
+          state.skip_newline = char === '\r';
+
+          const line = state.line;
+          state.line = '';
+          write(state.awaiting_password ? '\n' : `${line}\n`);
+
+          const reply = this.handleLine(state, line.trim());
+          if (reply === null) {
+            stream.end();
+            return;
+          }
+          this.sendReply(state, write, reply);
+        } else {
+          state.skip_newline = false;
+          state.line += char;
+        }
+      }
+    });
+  }
+
+  /**
+   * Send command output followed by the prompt, paging long output
+   */
+  sendReply(state, write, reply) {
+    if (reply.password_prompt) {
+      write('Password: ');
+      return;
+    }
+
+    const lines = reply.output ? reply.output.split('\n') : [];
+    if (state.paging && lines.length > this.config.page_length) {
+      write(lines.slice(0, this.config.page_length).join('\n'));
+      state.pending_output = lines.slice(this.config.page_length).join('\n');
+      write(this.config.platform === 'junos' ? '\n---(more)---' : '\n --More-- ');
+      return;
+    }
+
+    if (lines.length > 0) {
+      write(`${lines.join('\n')}\n`);
+    }
+    write(this.getPrompt(state));
+  }
+
+  /**
+   * Handle one input line
+   *
+   * @returns {Object|null} { output } or { password_prompt: true }; null closes the session
+   */
+  handleLine(state, line) {
+    if (state.awaiting_password) {
+      state.awaiting_password = false;
+      if (line === (this.config.enable_password || this.config.password)) {
+        state.mode = 'privileged';
+        return { output: '' };
+      }
+      return { output: '% Access denied' };
+    }
+
+    if (!line) {
+      return { output: '' };
+    }
+
+    this.commands.push(line);
+    this.emit('command', line, state.mode);
+
+    if (this.config.reject_commands.some(pattern => pattern.test(line))) {
+      return { output: REJECT_MESSAGES[this.config.platform] };
+    }
+
+    return this.config.platform === 'junos'
+      ? this.handleJunosLine(state, line)
+      : this.handleIOSLine(state, line);
+  }
+
+  /**
+   * IOS / EOS command handling
+   */
+  handleIOSLine(state, line) {
+    const reject = { output: REJECT_MESSAGES[this.config.platform] };
+
+    if (state.mode === 'config') {
+      if (line === 'end' || (line === 'abort' && this.config.platform === 'eos')) {
+        state.mode = 'privileged';
+        state.context = null;
+        state.section = null;
+        return { output: '' };
+      }
+      if (line === 'exit') {
+        if (state.context && state.context !== 'config') {
+          state.context = 'config';
+          state.section = null;
+        } else {
+          state.mode = 'privileged';
+        }
+        return { output: '' };
+      }
+      if (IOS_SECTION.test(line)) {
+        state.context = /^interface\s/.test(line) ? 'config-if' : 'config-section';
+        state.section = line;
+      }
+      this.applyIOSLine(state.section === line ? null : state.section, line);
+      return { output: '' };
+    }
+
+    if (line === 'exit' || line === 'logout') {
+      return null;
+    }
+    if (line === 'enable') {
+      if (state.mode === 'privileged') {
+        return { output: '' };
+      }
+      state.awaiting_password = true;
+      return { password_prompt: true };
+    }
+    if (/^terminal length 0$/.test(line)) {
+      state.paging = false;
+      return { output: '' };
+    }
+    if (/^terminal (length|width) \d+$/.test(line)) {
+      return { output: '' };
+    }
+    if (state.mode !== 'privileged') {
+      return /^(show|ping)\b/.test(line) ? this.execOutput(line) : reject;
+    }
+    if (/^conf(igure)?( t(erminal)?)?$/.test(line)) {
+      state.mode = 'config';
+      state.context = 'config';
+      return { output: 'Enter configuration commands, one per line.  End with CNTL/Z.' };
+    }
+    if (/^show run(ning-config)?$/.test(line)) {
+      const text = this.configuration.join('\n');
+      return { output: `Building configuration...\n\nCurrent configuration : ${text.length} bytes\n!\n${text}\n!\nend` };
+    }
+    return this.execOutput(line);
+  }
+
+  /**
+   * Apply an IOS / EOS configuration line, within a section when one is entered.
+   * "no <line>" removes the line (with its section lines for a header).
+   */
+  applyIOSLine(section, line) {
+    let start = 0;
+    let end = this.configuration.length;
+
+    if (section !== null) {
+      if (!this.configuration.includes(section)) {
+        this.configuration.push(section);
+      }
+      start = this.configuration.indexOf(section) + 1;
+      end = start;
+      while (end < this.configuration.length && this.configuration[end].startsWith(' ')) {
+        end++;
+      }
+    }
+
+    const indent = section === null ? '' : ' ';
+    const index = this.configuration.indexOf(`${indent}${line.startsWith('no ') ? line.slice(3) : line}`, start);
+    const found = index !== -1 && index < end;
+
+    if (line.startsWith('no ')) {
+      if (found) {
+        let last = index + 1;
+        while (section === null && last < this.configuration.length && this.configuration[last].startsWith(' ')) {
+          last++;
+        }
+        this.configuration.splice(index, last - index);
+      }
+    } else if (!found) {
+      this.configuration.splice(end, 0, `${indent}${line}`);
+    }
+  }
+
+  /**
+   * Junos command handling
+   */
+  handleJunosLine(state, line) {
+    if (state.mode === 'config') {
+      if (/^(set|delete|deactivate|activate) /.test(line)) {
+        state.candidate.push(line);
+        return { output: '' };
+      }
+      if (line === 'rollback 0') {
+        state.candidate = [];
+        return { output: 'load complete' };
+      }
+      if (line === 'commit' || line === 'commit and-quit' || line === 'commit check') {
+        if (this.config.commit_error) {
+          return { output: `error: ${this.config.commit_error}\nerror: configuration check-out failed` };
+        }
+        if (line === 'commit check') {
+          return { output: 'configuration check succeeds' };
+        }
+        state.candidate.forEach(change => this.applyJunosChange(change));
+        state.candidate = [];
+        if (line === 'commit') {
+          return { output: 'commit complete' };
+        }
+        state.mode = 'privileged';
+        return { output: 'commit complete\nExiting configuration mode' };
+      }
+      if (line === 'exit configuration-mode' || line === 'exit' || line === 'quit') {
+        if (state.candidate.length > 0 && line !== 'exit configuration-mode') {
+          return { output: 'The configuration has been changed but not committed' };
+        }
+        state.candidate = [];
+        state.mode = 'privileged';
+        return { output: 'Exiting configuration mode' };
+      }
+      if (line === 'show' || line === 'show | compare') {
+        return { output: state.candidate.join('\n') };
+      }
+      return { output: 'syntax error.' };
+    }
+
+    if (line === 'exit' || line === 'quit') {
+      return null;
+    }
+    if (/^set cli screen-length 0$/.test(line)) {
+      state.paging = false;
+      return { output: 'Screen length set to 0' };
+    }
+    if (/^set cli screen-(length|width) \d+$/.test(line)) {
+      return { output: '' };
+    }
+    if (/^configure( private| exclusive)?$/.test(line)) {
+      state.mode = 'config';
+      return { output: line === 'configure private'
+        ? 'warning: uncommitted changes will be discarded on exit\nEntering configuration mode'
+        : 'Entering configuration mode' };
+    }
+    if (/^show configuration( \| display set)?$/.test(line)) {
+      return { output: this.configuration.join('\n') };
+    }
+    const reply = this.execOutput(line);
+    return reply.output === REJECT_MESSAGES.junos ? { output: 'unknown command.' } : reply;
+  }
+
+  /**
+   * Apply a committed Junos change to the set-style configuration
+   */
+  applyJunosChange(change) {
+    const [, verb, statement] = /^(\S+) (.*)$/.exec(change);
+    const remove = line => {
+      this.configuration = this.configuration.filter(existing => existing !== line && !existing.startsWith(`${line} `));
+    };
+
+    if (verb === 'set' && !this.configuration.includes(change)) {
+      this.configuration.push(change);
+    } else if (verb === 'delete') {
+      remove(`set ${statement}`);
+      remove(`deactivate ${statement}`);
+    } else if (verb === 'deactivate' && !this.configuration.includes(change)) {
+      this.configuration.push(change);
+    } else if (verb === 'activate') {
+      remove(`deactivate ${statement}`);
+    }
+  }
+
+  /**
+   * Output of an exec command from the canned responses; show and ping commands
+   * without a canned response print nothing, anything else is rejected
+   */
+  execOutput(line) {
+    const response = this.config.responses[line];
+    if (response !== undefined) {
+      return { output: typeof response === 'function' ? String(response(line, this)) : String(response) };
+    }
+    if (/^(show|ping|clear)\b/.test(line)) {
+      return { output: '' };
+    }
+    return { output: REJECT_MESSAGES[this.config.platform] };
+  }
+}
+
+module.exports = FakeSSHDevice;
+
+// Standalone: node FakeSSHDevice.js --platform ios --port 2222 --hostname r1 --username admin --password admin
+if (require.main === module) {
+  const args = {};
+  process.argv.slice(2).forEach((arg, index, all) => {
+    if (arg.startsWith('--')) {
+      args[arg.slice(2)] = all[index + 1];
+    }
+  });
+
+  const device = new FakeSSHDevice(args);
+  device.on('command', (line, mode) => console.log(`[${mode}] ${line}`));
+  device.start(parseInt(args.port) || 2222, args.host || '127.0.0.1').then(port => {
+    console.log(`Fake ${device.config.platform} device ${device.config.hostname} listening on port ${port}`);
+  });
+}
@@ -5,6 +5,8 @@ const ActionStepSchema = new mongoose.Schema({
   step_number: Number,                                       // Order of execution
   description: String,                                       // Human-readable step description
   command: String,                                          // Actual command to execute
+  mode: { type: String, enum: ['exec', 'config'], default: 'exec' }, // CLI mode the command runs in
+  method: { type: String, enum: ['netconf', 'cli', 'rest_api', 'snmp'] }, // Execution method when different from the action's
   expected_result: String,                                  // Expected outcome
   timeout: { type: Number, default: 30 },                  // Timeout in seconds
   critical: { type: Boolean, default: false },             // Whether failure should abort entire action
@@ -21,12 +23,13 @@ const ActionStepSchema = new mongoose.Schema({
 const RollbackPlanSchema = new mongoose.Schema({
   description: String,                                      // Description of rollback action
   commands: [String],                                       // Commands to execute for rollback
-  config_backup: String,                                    // Configuration backup to restore
+  config_backup: String,                                    // ConfigSnapshot to restore
   verification_steps: [String],                            // Steps to verify rollback success
   automatic: { type: Boolean, default: true },             // Whether rollback should be automatic
   executed: { type: Boolean, default: false },             // Whether rollback was executed
   executed_at: Date,                                        // When rollback was executed
-  success: { type: Boolean, default: false }               // Whether rollback succeeded
+  success: { type: Boolean, default: false },              // Whether rollback succeeded
+  restore_result: Object                                    // Snapshot restore: versions, verified, remaining differences
 }, { _id: false });
 
 // Enhanced action schema for autonomous remediation
@@ -66,7 +69,7 @@ const ActionSchema = new mongoose.Schema({
   impact_assessment: String,                               // Assessment of potential impact
   
   // Execution tracking
-  status: { type: String, enum: ['draft', 'pending_approval', 'approved', 'queued', 'executing', 'completed', 'failed', 'cancelled', 'rolled_back'], default: 'draft' },
+  status: { type: String, enum: ['draft', 'pending_approval', 'approved', 'queued', 'executing', 'completed', 'failed', 'cancelled', 'rolling_back', 'rolled_back', 'rollback_failed'], default: 'draft' },
   execution_mode: { type: String, enum: ['automatic', 'manual', 'scheduled'], default: 'automatic' }, // How action is triggered
   scheduled_execution: Date,                               // Scheduled execution time
   started_at: Date,                                        // When execution started
@@ -88,7 +91,7 @@ const ActionSchema = new mongoose.Schema({
   // Rollback and recovery
   rollback_plan: RollbackPlanSchema,                      // Plan for rolling back changes
   rollback_required: { type: Boolean, default: false },   // Whether rollback is needed
-  config_backup: String,                                   // Configuration backup before action
+  config_backup: String,                                   // ConfigSnapshot taken before action
   
   // Incident and alert correlation
   incident_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident' }, // Associated incident
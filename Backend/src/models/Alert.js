@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+// Lifecycle actions: statuses they apply to and the status they lead to
+// (unshelve returns the alert to the status it had when it was shelved)
+const ALERT_TRANSITIONS = {
+  acknowledge: { from: ['open', 'flapping'], to: 'acknowledged' },
+  shelve: { from: ['open', 'acknowledged', 'in_progress', 'flapping'], to: 'shelved' },
+  unshelve: { from: ['shelved'], to: null },
+  resolve: { from: ['open', 'acknowledged', 'in_progress', 'suppressed', 'flapping', 'shelved'], to: 'resolved' }
+};
+
+// Statuses of an alert whose problem is still live
+const ACTIVE_ALERT_STATUSES = ['open', 'acknowledged', 'in_progress', 'shelved'];
+
+// Why an alert was resolved
+const RESOLUTION_CODES = ['fixed', 'workaround', 'false_positive', 'duplicate', 'expected_behavior', 'auto_cleared', 'other'];
+
+// Audit trail entry for a lifecycle action
+const AlertHistorySchema = new mongoose.Schema({
+  action: { type: String, required: true },                 // Lifecycle action (acknowledge, shelve, unshelve, resolve)
+  from_status: String,                                       // Status before the action
+  status: String,                                            // Status after the action
+  changed_by: String,                                        // User (or system) that performed the action
+  changed_at: { type: Date, default: Date.now },             // When the action was performed
+  note: String,                                              // Why the action was performed
+  resolution_code: String,                                   // Resolution code (resolve)
+  shelved_until: Date                                        // End of the shelve period (shelve)
+}, { _id: false });
+
 // Enhanced alert schema for autonomous network healing
 const AlertSchema = new mongoose.Schema({
   // Alert identification and source
@@ -18,8 +45,12 @@ const AlertSchema = new mongoose.Schema({
   normalized_data: { type: Object, default: {} },           // Processed/normalized alert data
   
   // Alert lifecycle management
-  status: { type: String, enum: ['open', 'acknowledged', 'in_progress', 'resolved', 'suppressed'], default: 'open' }, // Alert status
+  status: { type: String, enum: ['open', 'acknowledged', 'in_progress', 'resolved', 'suppressed', 'flapping', 'shelved'], default: 'open' }, // Alert status ('flapping' while dampened)
   acknowledged_by: String,                                   // User who acknowledged the alert
+  shelved_by: String,                                        // User who shelved the alert
+  shelved_until: Date,                                       // When a shelved alert returns automatically
+  resolved_by: String,                                       // User who resolved the alert
+  resolution_code: { type: String, enum: RESOLUTION_CODES }, // Why the alert was resolved
   assigned_to: String,                                       // User assigned to handle alert
   
   // Correlation and incident tracking
@@ -47,7 +78,10 @@ const AlertSchema = new mongoose.Schema({
     cpu: Number,
     memory: Number,
     interface_stats: Object,
-    custom_metrics: Object
+    custom_metrics: Object,
+    expected: Number,                                        // Baseline value expected at alert time (anomaly alerts)
+    observed: Number,                                        // Observed value that deviated from the baseline
+    deviation: Number                                        // Deviation from the baseline in standard deviations
   },
   
   // Alert enrichment
@@ -57,14 +91,92 @@ const AlertSchema = new mongoose.Schema({
   
   // Metadata
   tags: [String],                                           // Custom tags for filtering/grouping
-  custom_fields: { type: Object, default: {} }             // Extensible custom data
+  custom_fields: { type: Object, default: {} },            // Extensible custom data
+  
+  // Audit trail
+  history: [AlertHistorySchema]                             // Lifecycle actions, oldest first
 });
 
 // Index for efficient querying
 AlertSchema.index({ device: 1, type: 1, status: 1 });     // Query alerts by device, type, and status
 AlertSchema.index({ createdAt: -1 });                     // Sort by creation time
+AlertSchema.index({ type: 1, status: 1 });                // Find active alerts of a type (outages)
 AlertSchema.index({ incident_id: 1 });                    // Query alerts by incident
 AlertSchema.index({ correlation_key: 1 });                // Group correlated alerts
+AlertSchema.index({ status: 1, shelved_until: 1 });       // Find shelved alerts due to return
+AlertSchema.index({ severity: 1, createdAt: -1 });        // Search alerts by severity
+AlertSchema.index({ tags: 1 });                           // Search alerts by tag
+
+// Generate unique alert ID (ALT-<time>-<random> format)
+AlertSchema.statics.generateAlertId = function() {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 9);
+  return `ALT-${timestamp}-${random}`;
+};
+
+// Apply a lifecycle action, recording it in the history.
+// Throws an error with code INVALID_TRANSITION when the action does not apply to the
+// current status, or INVALID_TRANSITION_INPUT when its options are missing or invalid.
+// The caller saves the alert.
+AlertSchema.methods.applyTransition = function(action, options = {}) {
+  const { user, note, until, resolution_code } = options;
+  const transition = ALERT_TRANSITIONS[action];
+  const fail = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    throw error;
+  };
+  
+  if (!transition) {
+    fail('INVALID_TRANSITION_INPUT', `Unknown alert action: ${action}`);
+  }
+  if (!user) {
+    fail('INVALID_TRANSITION_INPUT', 'user is required');
+  }
+  if (!transition.from.includes(this.status)) {
+    fail('INVALID_TRANSITION', `Cannot ${action} an alert that is ${this.status}`);
+  }
+  
+  const now = new Date();
+  const entry = { action, from_status: this.status, changed_by: user, changed_at: now, note };
+  let status = transition.to;
+  
+  if (action === 'acknowledge') {
+    this.acknowledged_by = user;
+    this.acknowledgedAt = now;
+  } else if (action === 'shelve') {
+    const shelvedUntil = new Date(until);
+    if (!until || isNaN(shelvedUntil.getTime()) || shelvedUntil <= now) {
+      fail('INVALID_TRANSITION_INPUT', 'until must be a time in the future');
+    }
+    this.shelved_by = user;
+    this.shelved_until = shelvedUntil;
+    entry.shelved_until = shelvedUntil;
+  } else if (action === 'unshelve') {
+    const shelved = this.history.slice().reverse().find(item => item.action === 'shelve');
+    status = shelved && shelved.from_status ? shelved.from_status : 'open';
+    this.shelved_by = undefined;
+    this.shelved_until = undefined;
+  } else if (action === 'resolve') {
+    if (!RESOLUTION_CODES.includes(resolution_code)) {
+      fail('INVALID_TRANSITION_INPUT', `resolution_code must be one of: ${RESOLUTION_CODES.join(', ')}`);
+    }
+    this.resolved_by = user;
+    this.resolvedAt = now;
+    this.resolution_code = resolution_code;
+    this.shelved_until = undefined;
+    entry.resolution_code = resolution_code;
+  }
+  
+  if (!this.schema.path('status').enumValues.includes(status)) {
+    fail('INVALID_TRANSITION', `Invalid alert status: ${status}`);
+  }
+  
+  this.status = status;
+  entry.status = status;
+  this.history.push(entry);
+  return this;
+};
 
 // Update last_occurrence on save if alert is recurring
 AlertSchema.pre('save', function() {
@@ -73,4 +185,7 @@ AlertSchema.pre('save', function() {
   }
 });
 
-module.exports = mongoose.model('Alert', AlertSchema);
+const Alert = mongoose.model('Alert', AlertSchema);
+Alert.ACTIVE_ALERT_STATUSES = ACTIVE_ALERT_STATUSES;
+
+module.exports = Alert;
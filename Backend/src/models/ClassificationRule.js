@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Capture group to event field mapping
+const CaptureSchema = new mongoose.Schema({
+  name: { type: String, required: true },                   // Field name in extracted data (interface, peer_ip, etc.)
+  group: { type: mongoose.Schema.Types.Mixed, required: true } // Capture group index or named group
+}, { _id: false });
+
+// Syslog classification rule: maps matching messages onto a normalized event type
+const ClassificationRuleSchema = new mongoose.Schema({
+  // Rule identification
+  rule_id: { type: String, unique: true },                  // Unique rule identifier
+  name: { type: String, required: true },                   // Human-readable rule name
+  description: String,                                      // What the rule detects
+
+  // Matching
+  match_type: { type: String, enum: ['regex', 'mnemonic'], required: true }, // How pattern is applied
+  pattern: { type: String, required: true },                // Regex source, or vendor tag (LINK-UPDOWN, SNMP_TRAP_LINK_DOWN)
+  message_pattern: String,                                  // Optional regex on the tag description for mnemonic rules
+  flags: { type: String, default: 'i' },                    // Regex flags
+  vendors: [String],                                        // Only apply to these vendors (empty = all)
+  os_versions: [String],                                    // Only apply when the device OS contains one of these
+  captures: [CaptureSchema],                                // Capture groups copied into extracted data
+
+  // Classification result
+  event_type: { type: String, required: true },             // Normalized event type to assign
+  severity: { type: String, enum: ['critical', 'major', 'minor', 'warning', 'info'] }, // Overrides syslog severity when set
+
+  // Rule behavior
+  priority: { type: Number, default: 100 },                 // Evaluation order (lower number = evaluated first)
+  enabled: { type: Boolean, default: true },                // Whether rule is active
+
+  // Match tracking
+  statistics: {
+    match_count: { type: Number, default: 0 },              // Number of messages classified by this rule
+    last_matched: Date                                      // Last time the rule matched
+  },
+
+  // Audit
+  created_by: String,                                       // User who created the rule
+  tags: [String],                                           // Custom tags for grouping
+
+  // Timestamps
+  createdAt: { type: Date, default: Date.now },             // Rule creation timestamp
+  updatedAt: { type: Date, default: Date.now }              // Last update timestamp
+});
+
+// Indexes for efficient querying
+ClassificationRuleSchema.index({ enabled: 1, priority: 1 }); // Load active rules in evaluation order
+ClassificationRuleSchema.index({ event_type: 1 });          // Query by target event type
+
+// Generate rule ID automatically
+ClassificationRuleSchema.pre('save', function() {
+  if (!this.rule_id) {
+    // Generate unique rule ID (CLR-YYYYMMDD-NNNN format)
+    const now = new Date();
+    const dateStr = now.getFullYear().toString() +
+                   (now.getMonth() + 1).toString().padStart(2, '0') +
+                   now.getDate().toString().padStart(2, '0');
+    const randomNum = Math.floor(Math.random() * 9999).toString().padStart(4, '0');
+    this.rule_id = `CLR-${dateStr}-${randomNum}`;
+  }
+
+  // Update the updatedAt timestamp
+  this.updatedAt = new Date();
+});
+
+// Reject patterns that do not compile
+ClassificationRuleSchema.pre('validate', function() {
+  this.compileMatcher();
+});
+
+// Compile the rule into a matcher; throws when a pattern is not a valid regex
+ClassificationRuleSchema.methods.compileMatcher = function() {
+  // The matcher is reused across messages, so the stateful global and sticky flags are dropped
+  const flags = (this.flags || '').replace(/[gy]/g, '');
+  const compile = (source, field) => {
+    try {
+      return new RegExp(source, flags);
+    } catch (error) {
+      const validationError = new mongoose.Error.ValidationError(this);
+      validationError.addError(field, new mongoose.Error.ValidatorError({
+        path: field,
+        message: error.message,
+        value: source
+      }));
+      throw validationError;
+    }
+  };
+
+  return {
+    rule: this,
+    regex: this.match_type === 'regex' ? compile(this.pattern, 'pattern') : null,
+    tag: this.match_type === 'mnemonic' ? this.pattern.toUpperCase() : null,
+    message_regex: this.message_pattern ? compile(this.message_pattern, 'message_pattern') : null,
+    // Group indexes may arrive as strings from JSON bodies ("1"); anything else is a named group
+    captures: (this.captures || []).map(capture => ({
+      name: capture.name,
+      group: /^\d+$/.test(String(capture.group)) ? Number(capture.group) : capture.group
+    })),
+    vendors: (this.vendors || []).map(vendor => vendor.toLowerCase()),
+    os_versions: (this.os_versions || []).map(os => os.toLowerCase())
+  };
+};
+
+module.exports = mongoose.model('ClassificationRule', ClassificationRuleSchema);
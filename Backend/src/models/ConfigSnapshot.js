@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Device configuration captured through a device driver. Snapshots are numbered per
+// device; the one taken before a configuration action is what its rollback restores,
+// scheduled ones are what golden config compliance is checked against.
+const ConfigSnapshotSchema = new mongoose.Schema({
+  device: { type: String, required: true },                 // Device hostname
+  version: { type: Number, required: true },                // Per-device version number, starting at 1
+  method: { type: String, enum: ['cli', 'netconf', 'rest_api'], required: true }, // Execution method the configuration was read with and is restored through
+  format: { type: String, enum: ['ios', 'junos_set', 'xml', 'json'], required: true }, // Content format (see utils/configDiff)
+  content: { type: String, required: true },                // Configuration as read from the device
+  content_hash: String,                                     // SHA-256 of content
+  size: Number,                                             // Content size in bytes
+  reason: { type: String, enum: ['pre_change', 'post_rollback', 'scheduled', 'manual'], default: 'manual' }, // Why the snapshot was taken
+  action_id: String,                                        // Action the snapshot was taken for
+
+  createdAt: { type: Date, default: Date.now }              // Capture timestamp
+});
+
+ConfigSnapshotSchema.index({ device: 1, version: -1 }, { unique: true }); // Latest snapshots of a device
+ConfigSnapshotSchema.index({ action_id: 1 });                             // Snapshots of an action
+
+// SHA-256 of configuration content, as stored in content_hash
+ConfigSnapshotSchema.statics.hashContent = function(content) {
+  return crypto.createHash('sha256').update(String(content)).digest('hex');
+};
+
+// Store a snapshot under the device's next version number, with its hash and size
+ConfigSnapshotSchema.statics.createVersion = async function(data) {
+  const content = String(data.content);
+  const fields = {
+    ...data,
+    content,
+    content_hash: this.hashContent(content),
+    size: Buffer.byteLength(content, 'utf8')
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ device: data.device }).sort({ version: -1 }).select('version').lean();
+    try {
+      return await this.create({ ...fields, version: latest ? latest.version + 1 : 1 });
+    } catch (error) {
+      // Another snapshot of the device took the version; retry with the next one
+      if (error.code !== 11000 || attempt >= 3) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Most recent snapshot collected for compliance checks, in the given format if any;
+// snapshots taken around actions may hold a configuration that is no longer running
+ConfigSnapshotSchema.statics.findLatestCollected = function(device, format = null) {
+  const filter = { device, reason: 'scheduled' };
+  if (format) {
+    filter.format = format;
+  }
+  return this.findOne(filter).sort({ version: -1 });
+};
+
+module.exports = mongoose.model('ConfigSnapshot', ConfigSnapshotSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Restricts a rule to alerts from matching devices (empty = all devices)
+const RuleScopeSchema = new mongoose.Schema({
+  sites: [String],                                          // Device sites the rule applies to
+  device_types: [{ type: String, enum: ['router', 'switch', 'firewall', 'server'] }] // Device types the rule applies to
+}, { _id: false });
+
+// Alert correlation rule: groups alerts of related types into one incident
+const CorrelationRuleSchema = new mongoose.Schema({
+  // Rule identification
+  rule_id: { type: String, unique: true },                  // Unique rule identifier
+  name: { type: String, required: true },                   // Human-readable rule name
+  description: String,                                      // What the rule correlates (used as suspected cause)
+
+  // Correlation logic
+  trigger_types: {                                          // Alert types that start correlation
+    type: [String],
+    validate: {
+      validator: types => types.length > 0,
+      message: 'At least one trigger type is required'
+    }
+  },
+  correlated_types: [String],                               // Alert types grouped with the trigger
+  time_window: { type: Number, default: 300000, min: 1000 }, // Milliseconds around the trigger to search
+  topology_dependent: { type: Boolean, default: false },   // Also search topologically related devices
+  confidence_score: { type: Number, min: 0, max: 1, default: 0.7 }, // Base correlation confidence
+  scope: { type: RuleScopeSchema, default: () => ({}) },    // Devices the rule applies to
+
+  // Rule behavior
+  enabled: { type: Boolean, default: true },                // Whether rule is active
+
+  // Match tracking
+  statistics: {
+    match_count: { type: Number, default: 0 },              // Number of times the rule correlated alerts
+    last_matched: Date                                      // Last time the rule correlated alerts
+  },
+
+  // Audit
+  created_by: String,                                       // User who created the rule
+  tags: [String],                                           // Custom tags for grouping
+
+  // Timestamps
+  createdAt: { type: Date, default: Date.now },             // Rule creation timestamp
+  updatedAt: { type: Date, default: Date.now }              // Last update timestamp
+});
+
+// Indexes for efficient querying
+CorrelationRuleSchema.index({ enabled: 1 });                 // Load active rules
+CorrelationRuleSchema.index({ trigger_types: 1 });           // Query by trigger type
+
+// Generate rule ID automatically
+CorrelationRuleSchema.pre('save', function() {
+  if (!this.rule_id) {
+    // Generate unique rule ID (COR-YYYYMMDD-NNNN format)
+    const now = new Date();
+    const dateStr = now.getFullYear().toString() +
+                   (now.getMonth() + 1).toString().padStart(2, '0') +
+                   now.getDate().toString().padStart(2, '0');
+    const randomNum = Math.floor(Math.random() * 9999).toString().padStart(4, '0');
+    this.rule_id = `COR-${dateStr}-${randomNum}`;
+  }
+
+  // Update the updatedAt timestamp
+  this.updatedAt = new Date();
+});
+
+module.exports = mongoose.model('CorrelationRule', CorrelationRuleSchema);
@@ -8,7 +8,18 @@ const InterfaceSchema = new mongoose.Schema({
   out_octets: { type: Number, default: 0 },  // Outgoing traffic bytes
   errors: { type: Number, default: 0 },      // Interface error count
   drops: { type: Number, default: 0 },       // Packet drop count
-  utilization: { type: Number, default: 0 }  // Interface utilization percentage
+  utilization: { type: Number, default: 0 }, // Interface utilization percentage
+  speed: Number                               // Interface speed in bits per second
+}, { _id: false });
+
+// SNMPv3 USM user used by the device when sending notifications
+const SNMPv3UserSchema = new mongoose.Schema({
+  username: String,               // USM security name
+  engine_id: String,              // Authoritative engine ID (hex), optional
+  auth_protocol: { type: String, enum: ['MD5', 'SHA'] }, // Authentication protocol
+  auth_password: String,          // Authentication passphrase (should be encrypted)
+  priv_protocol: { type: String, enum: ['DES', 'AES'] }, // Privacy protocol
+  priv_password: String           // Privacy passphrase (should be encrypted)
 }, { _id: false });
 
 // Device credentials for automation (encrypted in production)
@@ -17,8 +28,21 @@ const CredentialSchema = new mongoose.Schema({
   password: String,               // Device login password (should be encrypted)
   enable_password: String,        // Cisco enable password
   ssh_port: { type: Number, default: 22 },     // SSH port for CLI access
+  host_key_fingerprint: String,   // Expected SSH host key (SHA256:...), unchecked when unset
   netconf_port: { type: Number, default: 830 }, // NETCONF port
-  snmp_community: { type: String, default: 'public' } // SNMP community string
+  api_token: String,              // Bearer token for HTTP APIs (should be encrypted)
+  snmp_community: { type: String, default: 'public' }, // SNMP community string
+  snmpv3: SNMPv3UserSchema         // SNMPv3 trap credentials
+}, { _id: false });
+
+// HTTP management API access (RESTCONF, Arista eAPI, Cisco NX-API)
+const APIAccessSchema = new mongoose.Schema({
+  protocol: { type: String, default: 'restconf' }, // restconf, eapi, nxapi or another registered HTTP API template
+  base_url: String,               // API base URL (e.g. https://10.0.0.1:8443), https://<mgmt_ip> when unset
+  restconf_root: String,          // RESTCONF root resource, discovered from /.well-known/host-meta when unset
+  auth_scheme: { type: String, enum: ['basic', 'bearer', 'none'], default: 'basic' }, // basic: credentials username/password, bearer: credentials api_token
+  tls_verify: { type: Boolean, default: true }, // Verify the device's TLS certificate
+  ca_certificate: String          // PEM CA certificate(s) the device certificate is signed with
 }, { _id: false });
 
 // Enhanced device schema for autonomous healing
@@ -28,6 +52,7 @@ const DeviceSchema = new mongoose.Schema({
   vendor: String,                   // Device vendor (Cisco, Juniper, etc.)
   model: String,                    // Device model number
   os_version: String,               // Operating system version
+  cli_platform: { type: String, enum: ['ios', 'junos', 'eos'] }, // CLI platform when vendor and os_version do not identify it
   device_type: { type: String, enum: ['router', 'switch', 'firewall', 'server'], default: 'router' }, // Device category
   site: String,                     // Physical site location
   rack: String,                     // Rack location
@@ -35,16 +60,22 @@ const DeviceSchema = new mongoose.Schema({
   // Status and health monitoring
   status: { type: String, enum: ['UP', 'DOWN', 'UNREACHABLE'], default: 'UP' }, // Device operational status
   last_seen: Date,                  // Last successful communication timestamp
+  last_status_change: Date,         // When status last changed
+  last_reachability_check: Date,    // Last reachability poll
+  reachability_probes: [String],    // Probes overriding the poller defaults (tcp:22, tcp:830, tcp:443, icmp)
   cpu: Number,                      // Current CPU utilization percentage
   memory: Number,                   // Current memory utilization percentage
   temperature: Number,              // Device temperature in Celsius
   interfaces: [InterfaceSchema],    // Network interfaces array
+  threshold_overrides: { type: Object, default: {} }, // Per-device metric thresholds (see config/thresholds)
   
   // Automation and healing configuration
   credentials: CredentialSchema,    // Device access credentials
+  api: APIAccessSchema,             // HTTP management API settings
   automation_enabled: { type: Boolean, default: false }, // Allow automated changes
   netconf_enabled: { type: Boolean, default: false },   // NETCONF support available
   ssh_enabled: { type: Boolean, default: true },        // SSH access available
+  api_enabled: { type: Boolean, default: false },       // HTTP management API (see api) available
   snmp_enabled: { type: Boolean, default: true },       // SNMP monitoring enabled
   
   // Topology and dependencies
@@ -59,6 +90,7 @@ const DeviceSchema = new mongoose.Schema({
     end_time: String,
     days: [String]
   },
+  config_variables: { type: Object, default: {} }, // Golden config template variable values for this device
   backup_config: String,            // Last known good configuration backup
   config_version: String,           // Current configuration version/hash
   last_config_change: Date,         // Timestamp of last configuration change
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Topology = require('./Topology');
+const { getRoleName } = require('../utils/dependencyGraph');
+const { identifyPlatform } = require('../drivers/cliPlatforms');
+
+// Intended configuration of the devices of a role. The template holds the
+// configuration lines every such device must have, with {{variable}} placeholders
+// filled from the device (see utils/configCompliance).
+const GoldenConfigSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },    // Template name
+  description: String,                                      // What the template enforces
+  role: { type: String, required: true, lowercase: true, trim: true }, // Device role (topology role, or device type when the device has none)
+  cli_platform: { type: String, enum: ['ios', 'junos', 'eos'] }, // Restrict to devices of a CLI platform (any when unset)
+  format: { type: String, enum: ['ios', 'junos_set'], required: true }, // Template format (see utils/configDiff)
+  template: { type: String, required: true },               // Configuration lines with {{variable}} placeholders
+  variables: { type: Object, default: {} },                 // Default variable values (Device.config_variables overrides)
+
+  // Compliance rules
+  strict: { type: Boolean, default: false },                // Lines the template lacks are violations too
+  ignore_lines: {                                           // Regular expressions of lines never reported
+    type: [String],
+    validate: {
+      validator: patterns => patterns.every(pattern => {
+        try {
+          new RegExp(pattern);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      }),
+      message: 'ignore_lines must be valid regular expressions'
+    }
+  },
+  severity: { type: String, enum: ['critical', 'major', 'minor', 'warning', 'info'], default: 'minor' }, // config_drift alert severity
+  remediate: { type: Boolean, default: true },              // Propose a fix action (subject to approval) on drift
+
+  enabled: { type: Boolean, default: true },                // Whether template is checked
+
+  // Timestamps
+  createdAt: { type: Date, default: Date.now },             // Template creation timestamp
+  updatedAt: { type: Date, default: Date.now }              // Last update timestamp
+});
+
+GoldenConfigSchema.index({ role: 1, enabled: 1 });          // Templates of a role
+
+GoldenConfigSchema.pre('save', function() {
+  this.updatedAt = new Date();
+});
+
+// Role of a device: its topology role, or its device type when no topology names one
+GoldenConfigSchema.statics.getDeviceRole = async function(device) {
+  const topologies = await Topology.find({ [`device_roles.${device.hostname}`]: { $exists: true } }).select('device_roles').lean();
+  for (const topology of topologies) {
+    const role = getRoleName(topology.device_roles, device.hostname);
+    if (role) {
+      return role;
+    }
+  }
+  return device.device_type ? String(device.device_type).toLowerCase() : null;
+};
+
+// Enabled template for a device: one for its role and CLI platform, else one for its role alone
+GoldenConfigSchema.statics.findForDevice = async function(device, role) {
+  const platform = device.cli_platform || identifyPlatform(device);
+  const candidates = await this.find({ role, enabled: true }).sort({ createdAt: 1 });
+  return candidates.find(golden => golden.cli_platform && golden.cli_platform === platform) ||
+    candidates.find(golden => !golden.cli_platform) ||
+    null;
+};
+
+module.exports = mongoose.model('GoldenConfig', GoldenConfigSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const Alert = require('./Alert');
+const Device = require('./Device');
+const Topology = require('./Topology');
+const incidentSignature = require('../utils/incidentSignature');
 
 // Root cause analysis results schema
 const RCAResultSchema = new mongoose.Schema({
@@ -6,10 +10,17 @@ const RCAResultSchema = new mongoose.Schema({
   confidence_score: { type: Number, min: 0, max: 1 },       // Confidence level (0-1)
   contributing_factors: [String],                            // Additional contributing factors
   evidence: [String],                                        // Evidence supporting this RCA
-  analysis_method: { type: String, enum: ['rule_based', 'ml_based', 'hybrid'], default: 'rule_based' }, // Analysis method used
+  analysis_method: { type: String, enum: ['rule_based', 'ml_based', 'hybrid', 'topology_based', 'historical'], default: 'rule_based' }, // Analysis method used
+  rule_id: String,                                           // RCA rule (or method) that produced this result
   rule_matches: [String],                                    // Specific rules that matched
   topology_impact: Object,                                   // Topology analysis results
-  timeline: [{ timestamp: Date, event: String }]            // Timeline of events leading to incident
+  timeline: [{ timestamp: Date, event: String }],           // Timeline of events leading to incident
+  feedback: {                                                // Operator verdict on this result
+    verdict: { type: String, enum: ['confirmed', 'rejected'] },
+    submitted_by: String,
+    submitted_at: Date,
+    notes: String
+  }
 }, { _id: false });
 
 // Remediation tracking schema
@@ -61,6 +72,15 @@ const IncidentSchema = new mongoose.Schema({
   rca_results: [RCAResultSchema],                           // Array of RCA analysis results
   final_root_cause: String,                                 // Confirmed root cause after investigation
   root_cause_confidence: { type: Number, min: 0, max: 1 }, // Confidence in final root cause
+  root_cause_confirmed: { type: Boolean, default: false }, // Whether an operator confirmed final_root_cause
+  root_cause_confirmed_by: String,                          // Operator who confirmed the root cause
+  root_cause_confirmed_at: Date,                            // When the root cause was confirmed
+  signature: {                                              // Signature for finding similar incidents
+    alert_types: [String],                                  // Alert types of the incident
+    device_roles: [String],                                 // Roles of the alerting devices
+    sites: [String],                                        // Sites of the alerting devices
+    hour_of_day: Number                                     // Hour (UTC) of the first alert
+  },
   
   // Autonomous healing and remediation
   auto_healing_enabled: { type: Boolean, default: true },   // Whether auto-healing is allowed
@@ -112,6 +132,8 @@ IncidentSchema.index({ state: 1, severity: 1 });          // Query by state and
 IncidentSchema.index({ createdAt: -1 });                  // Sort by creation time
 IncidentSchema.index({ affected_devices: 1 });            // Query by affected devices
 IncidentSchema.index({ affected_services: 1 });           // Query by affected services
+IncidentSchema.index({ root_cause_confirmed: 1, 'signature.alert_types': 1 }); // Find confirmed incidents with similar alerts
+IncidentSchema.index({ state: 1, 'signature.alert_types': 1, resolvedAt: -1 }); // Find resolved incidents with similar alerts
 
 // Generate incident ID automatically
 IncidentSchema.pre('save', function() {
@@ -136,4 +158,21 @@ IncidentSchema.pre('save', function() {
   }
 });
 
+// Build and set the incident's signature from its alerts (loaded when not given)
+IncidentSchema.methods.computeSignature = async function(alerts) {
+  const incidentAlerts = alerts || await Alert.find(
+    { incident_id: this._id },
+    { type: 1, device: 1, createdAt: 1 }
+  ).lean();
+  const hostnames = Array.from(new Set(incidentAlerts.map(alert => alert.device).filter(Boolean)));
+
+  const [devices, topologies] = await Promise.all([
+    Device.find({ hostname: { $in: hostnames } }, { hostname: 1, site: 1, device_type: 1 }).lean(),
+    Topology.find({}, { device_roles: 1 }).lean()
+  ]);
+
+  this.signature = incidentSignature.buildSignature(incidentAlerts, devices, topologies);
+  return this.signature;
+};
+
 module.exports = mongoose.model('Incident', IncidentSchema);
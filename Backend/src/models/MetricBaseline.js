@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Seasonal baseline of one device metric for one hour of the week.
+// Mean and variance are exponentially weighted, so the baseline follows
+// gradual change while still reflecting the weekly pattern.
+const MetricBaselineSchema = new mongoose.Schema({
+  device: { type: String, required: true },                 // Device hostname
+  metric: { type: String, required: true },                 // Metric name (cpu, memory, in_bps, ...)
+  instance: { type: String, default: null },                // Metric instance (interface name), null for device-wide metrics
+  hour_of_week: { type: Number, min: 0, max: 167, required: true }, // UTC hour of the week, 0 = Sunday 00:00
+
+  mean: { type: Number, default: 0 },                       // EWMA of the metric value
+  variance: { type: Number, default: 0 },                   // EWMA variance around the mean
+  samples: { type: Number, default: 0 },                    // Samples learned into this slot
+  last_value: Number,                                       // Most recent value seen in this slot
+  last_sample_at: Date,                                     // Time of the most recent value
+
+  updatedAt: { type: Date, default: Date.now }              // Last update timestamp
+});
+
+// One baseline per series and hour of the week
+MetricBaselineSchema.index({ device: 1, metric: 1, instance: 1, hour_of_week: 1 }, { unique: true });
+MetricBaselineSchema.index({ hour_of_week: 1 });             // Load the slots of an evaluation window
+
+module.exports = mongoose.model('MetricBaseline', MetricBaselineSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Retention tiers for device metric history, finest first.
+// Raw samples come from device status reports; the coarser tiers are
+// rolled up from the tier before them by MetricRollupService.
+const RETENTION_TIERS = [
+  { name: 'raw', collection: 'metric_samples', resolution: 0, retention: 24 * 60 * 60, granularity: 'seconds' },
+  { name: '5m', collection: 'metric_samples_5m', resolution: 300, retention: 30 * 24 * 60 * 60, granularity: 'minutes', source: 'raw' },
+  { name: '1h', collection: 'metric_samples_1h', resolution: 3600, retention: 365 * 24 * 60 * 60, granularity: 'hours', source: '5m' }
+];
+
+// Series identity, stored as the time-series meta field
+const MetricMetaSchema = new mongoose.Schema({
+  device: String,                  // Device hostname
+  metric: String,                  // Metric name (cpu, memory, in_bps, ...)
+  instance: String                 // Metric instance such as the interface name, null for device-wide metrics
+}, { _id: false });
+
+/**
+ * Build the schema for one retention tier. Rolled up tiers keep min, max and
+ * sample count next to the average so they can be rolled up again.
+ */
+function createMetricSchema(tier) {
+  const schema = new mongoose.Schema({
+    timestamp: { type: Date, required: true }, // Sample time, or bucket start for rolled up tiers
+    meta: { type: MetricMetaSchema, required: true }, // Series identity
+    value: { type: Number, required: true },   // Sample value, or bucket average
+    min: Number,                               // Bucket minimum (rolled up tiers)
+    max: Number,                               // Bucket maximum (rolled up tiers)
+    count: Number                              // Raw samples in the bucket (rolled up tiers)
+  }, {
+    collection: tier.collection,
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'meta',
+      granularity: tier.granularity
+    },
+    expireAfterSeconds: tier.retention,
+    versionKey: false
+  });
+
+  schema.index({ 'meta.device': 1, 'meta.metric': 1, timestamp: 1 }); // Series queries over a time range
+
+  return schema;
+}
+
+const MetricSample = mongoose.model('MetricSample', createMetricSchema(RETENTION_TIERS[0]));
+const MetricSample5m = mongoose.model('MetricSample5m', createMetricSchema(RETENTION_TIERS[1]));
+const MetricSample1h = mongoose.model('MetricSample1h', createMetricSchema(RETENTION_TIERS[2]));
+
+// Model for each tier, keyed by tier name
+const TIER_MODELS = {
+  raw: MetricSample,
+  '5m': MetricSample5m,
+  '1h': MetricSample1h
+};
+
+module.exports = {
+  MetricSample,
+  MetricSample5m,
+  MetricSample1h,
+  RETENTION_TIERS,
+  TIER_MODELS
+};
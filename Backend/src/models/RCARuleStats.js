@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Operator feedback counts for one RCA rule (or analysis method such as
+// topology localization). The RCA engine derives each rule's precision and
+// adjusted confidence_base from these counts.
+const RCARuleStatsSchema = new mongoose.Schema({
+  rule_id: { type: String, required: true, unique: true },  // RCA rule ID (e.g. interface_failure_cascade)
+  confirmed: { type: Number, default: 0, min: 0 },          // Results of this rule confirmed by operators
+  rejected: { type: Number, default: 0, min: 0 },           // Results of this rule rejected by operators
+  last_feedback_at: Date,                                   // Time of the latest feedback
+
+  updatedAt: { type: Date, default: Date.now }              // Last update timestamp
+});
+
+module.exports = mongoose.model('RCARuleStats', RCARuleStatsSchema);
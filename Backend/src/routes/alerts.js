@@ -1,22 +1,331 @@
+/**
+ * Alert API Routes
+ *
+ * Endpoints:
+ * - GET /api/alerts - Search alerts with filters, cursor pagination and facet counts
+ * - GET /api/alerts/:id - Get specific alert with its history
+ * - POST /api/alerts/:id/acknowledge - Acknowledge an alert
+ * - POST /api/alerts/:id/shelve - Shelve an alert until a given time
+ * - POST /api/alerts/:id/unshelve - Return a shelved alert to its previous status
+ * - POST /api/alerts/:id/resolve - Resolve an alert with a resolution code
+ * - POST /api/alerts/bulk/:action - Apply one of the actions above to many alerts
+ * - PATCH /api/alerts/:id - Acknowledge or resolve (legacy, use the endpoints above)
+ *
+ * Every lifecycle action takes `user` and an optional `note`, and is recorded in
+ * the alert's history. Shelve also takes `until`; resolve takes `resolution_code`.
+ */
+
 const express = require('express');
 const router = express.Router();
 const Alert = require('../models/Alert');
+const alertQuery = require('../utils/alertQuery');
+
+// Lifecycle actions accepted by the action endpoints
+const LIFECYCLE_ACTIONS = ['acknowledge', 'shelve', 'unshelve', 'resolve'];
+
+// Largest number of alerts changed by one bulk request
+const MAX_BULK_ALERTS = 500;
+
+// Page size limits for alert searches
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Number of devices listed in the device facet
+const DEVICE_FACET_SIZE = 20;
+
+/**
+ * Find an alert by its alert_id or database ID
+ */
+function findAlert(id) {
+  const query = /^[0-9a-fA-F]{24}$/.test(id) ? { $or: [{ _id: id }, { alert_id: id }] } : { alert_id: id };
+  return Alert.findOne(query);
+}
+
+/**
+ * Lifecycle action options from a request body
+ */
+function getTransitionOptions(body) {
+  const { user, note, until, resolution_code } = body || {};
+  return { user, note, until, resolution_code };
+}
+
+/**
+ * Send the error response for a failed lifecycle action
+ */
+function sendTransitionError(res, action, error) {
+  if (error.code === 'INVALID_TRANSITION_INPUT') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request',
+      message: error.message
+    });
+  }
+
+  if (error.code === 'INVALID_TRANSITION') {
+    return res.status(409).json({
+      success: false,
+      error: 'Invalid status transition',
+      message: error.message
+    });
+  }
+
+  console.error(`Error applying alert action ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action} alert`,
+    message: error.message
+  });
+}
+
+/**
+ * Count the alerts matching a filter by severity, status and device
+ */
+async function getAlertFacets(filter) {
+  const toCounts = buckets => buckets.reduce((counts, bucket) => {
+    counts[bucket._id] = bucket.count;
+    return counts;
+  }, {});
+
+  const [result] = await Alert.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        severity: [{ $group: { _id: '$severity', count: { $sum: 1 } } }],
+        status: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        device: [
+          { $group: { _id: '$device', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: DEVICE_FACET_SIZE }
+        ]
+      }
+    }
+  ]);
 
-// GET /api/alerts
+  return {
+    severity: toCounts(result.severity),
+    status: toCounts(result.status),
+    device: result.device.map(bucket => ({ device: bucket._id, count: bucket.count }))
+  };
+}
+
+/**
+ * GET /api/alerts
+ * Search alerts
+ *
+ * Query parameters:
+ * - device, type, severity, category, status: Exact match, comma separated for any of several
+ * - from, to: createdAt range (ISO date or epoch milliseconds)
+ * - tags: Comma separated tags the alert must all carry
+ * - q: Text contained in the message (case insensitive)
+ * - sort: createdAt (default), last_occurrence or occurrence_count
+ * - order: desc (default) or asc
+ * - limit: Alerts per page (default 50, at most 500)
+ * - cursor: next_cursor of the previous page
+ * - facets: false to skip the facet counts
+ */
 router.get('/', async (req, res) => {
-  const alerts = await Alert.find().sort({ createdAt: -1 }).limit(200);
-  res.json(alerts);
+  try {
+    const filter = alertQuery.buildAlertFilter(req.query);
+    const sort = alertQuery.parseSort(req.query);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const pageFilter = req.query.cursor
+      ? { $and: [filter, alertQuery.buildCursorCondition(alertQuery.decodeCursor(req.query.cursor, sort), sort)] }
+      : filter;
+
+    // One extra alert tells whether another page follows
+    const alerts = await Alert.find(pageFilter)
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .limit(limit + 1);
+
+    const hasMore = alerts.length > limit;
+    const page = hasMore ? alerts.slice(0, limit) : alerts;
+
+    const [total, facets] = await Promise.all([
+      Alert.countDocuments(filter),
+      req.query.facets === 'false' ? null : getAlertFacets(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: page,
+      pagination: {
+        limit,
+        total,
+        has_more: hasMore,
+        next_cursor: hasMore ? alertQuery.encodeCursor(page[page.length - 1], sort) : null
+      },
+      facets
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search parameters',
+        message: error.message
+      });
+    }
+
+    console.error('Error searching alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search alerts',
+      message: error.message
+    });
+  }
 });
 
-// PATCH /api/alerts/:id to ack / resolve
+/**
+ * POST /api/alerts/bulk/:action
+ * Apply a lifecycle action to many alerts. Alerts the action does not apply to
+ * are reported as failed; the others are changed.
+ *
+ * Body: ids (alert IDs or database IDs) plus the action's options
+ */
+router.post('/bulk/:action', async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { ids } = req.body;
+
+    if (!LIFECYCLE_ACTIONS.includes(action)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown alert action',
+        message: `Supported actions: ${LIFECYCLE_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_ALERTS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: `ids must be an array of 1 to ${MAX_BULK_ALERTS} alert IDs`
+      });
+    }
+
+    const options = getTransitionOptions(req.body);
+    const updated = [];
+    const failed = [];
+
+    for (const id of ids) {
+      try {
+        const alert = await findAlert(String(id));
+        if (!alert) {
+          failed.push({ id, error: 'Alert not found' });
+          continue;
+        }
+
+        alert.applyTransition(action, options);
+        await alert.save();
+        updated.push(alert.alert_id);
+
+      } catch (error) {
+        // Invalid input applies to every alert, so stop at the first one
+        if (error.code === 'INVALID_TRANSITION_INPUT') {
+          return sendTransitionError(res, action, error);
+        }
+        failed.push({ id, error: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { updated, failed },
+      message: `${action} applied to ${updated.length} of ${ids.length} alerts`
+    });
+
+  } catch (error) {
+    sendTransitionError(res, req.params.action, error);
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Retrieve a specific alert by alert ID or database ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const alert = await findAlert(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+        message: `Alert with ID ${req.params.id} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge | shelve | unshelve | resolve
+ * Apply a lifecycle action to one alert
+ */
+router.post('/:id/:action', async (req, res, next) => {
+  const { action } = req.params;
+  if (!LIFECYCLE_ACTIONS.includes(action)) {
+    return next();
+  }
+
+  try {
+    const alert = await findAlert(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+        message: `Alert with ID ${req.params.id} does not exist`
+      });
+    }
+
+    alert.applyTransition(action, getTransitionOptions(req.body));
+    await alert.save();
+
+    res.json({
+      success: true,
+      data: alert,
+      message: `Alert ${alert.alert_id} is now ${alert.status}`
+    });
+
+  } catch (error) {
+    sendTransitionError(res, action, error);
+  }
+});
+
+// PATCH /api/alerts/:id to ack / resolve (legacy)
 router.patch('/:id', async (req, res) => {
-  const { action } = req.body; // action: 'ack' or 'resolve'
-  const alert = await Alert.findById(req.params.id);
-  if (!alert) return res.status(404).json({ error: 'not found' });
-  if (action === 'ack') alert.status = 'ack';
-  if (action === 'resolve') { alert.status = 'resolved'; alert.resolvedAt = new Date(); }
-  await alert.save();
-  res.json(alert);
+  const { action, user = 'unknown', note } = req.body; // action: 'ack' or 'resolve'
+  const transitions = { ack: 'acknowledge', resolve: 'resolve' };
+
+  try {
+    const alert = await Alert.findById(req.params.id);
+    if (!alert) return res.status(404).json({ error: 'not found' });
+    if (!transitions[action]) return res.status(400).json({ error: 'action must be ack or resolve' });
+
+    alert.applyTransition(transitions[action], { user, note, resolution_code: req.body.resolution_code || 'other' });
+    await alert.save();
+    res.json(alert);
+
+  } catch (error) {
+    if (error.code === 'INVALID_TRANSITION' || error.code === 'INVALID_TRANSITION_INPUT') {
+      return res.status(error.code === 'INVALID_TRANSITION' ? 409 : 400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
 });
 
 module.exports = router;
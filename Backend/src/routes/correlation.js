@@ -0,0 +1,417 @@
+/**
+ * Correlation API Routes
+ *
+ * This module provides RESTful endpoints for managing alert correlation rules.
+ * Rules are stored in the CorrelationRule collection and hot reloaded into the
+ * running Alert Correlation Service after every change.
+ *
+ * Endpoints:
+ * - GET /api/correlation/rules - List correlation rules with filtering
+ * - GET /api/correlation/rules/:id - Get specific rule details
+ * - POST /api/correlation/rules - Create new rule
+ * - PUT /api/correlation/rules/:id - Update existing rule
+ * - DELETE /api/correlation/rules/:id - Delete rule
+ * - POST /api/correlation/rules/reload - Reload rules into the correlation service
+ * - POST /api/correlation/rules/backtest - Replay stored alerts through new or changed rules
+ */
+
+const express = require('express');
+const router = express.Router();
+const CorrelationRule = require('../models/CorrelationRule');
+const AutonomousHealingService = require('../services/AutonomousHealingService');
+
+// Longest time range a backtest may replay
+const MAX_BACKTEST_RANGE = 31 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the running Alert Correlation Service, or null when the healing service has not started it
+ */
+function getCorrelationService() {
+  if (!AutonomousHealingService.hasInstance()) {
+    return null;
+  }
+  return AutonomousHealingService.getInstance().services.alertCorrelation || null;
+}
+
+/**
+ * Reload correlation rules into the running Alert Correlation Service.
+ * Returns the number of loaded rules, or null when no service is running.
+ */
+async function reloadCorrelationRules() {
+  const correlationService = getCorrelationService();
+  if (!correlationService) {
+    return null;
+  }
+
+  return correlationService.loadCorrelationRules();
+}
+
+/**
+ * Find a rule by its rule_id or database ID
+ */
+function findRule(id) {
+  const query = /^[0-9a-fA-F]{24}$/.test(id) ? { $or: [{ _id: id }, { rule_id: id }] } : { rule_id: id };
+  return CorrelationRule.findOne(query);
+}
+
+/**
+ * GET /api/correlation/rules
+ * Retrieve correlation rules with optional filtering and pagination
+ *
+ * Query parameters:
+ * - enabled: Filter by enabled state (true, false)
+ * - trigger_type: Filter by trigger alert type
+ * - topology_dependent: Filter by topology dependence (true, false)
+ * - page: Page number for pagination
+ * - limit: Number of items per page
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const {
+      enabled,
+      trigger_type,
+      topology_dependent,
+      page = 1,
+      limit = 50,
+      search
+    } = req.query;
+
+    // Build filter object based on query parameters
+    const filter = {};
+    if (enabled !== undefined) filter.enabled = enabled === 'true';
+    if (trigger_type) filter.trigger_types = trigger_type;
+    if (topology_dependent !== undefined) filter.topology_dependent = topology_dependent === 'true';
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await CorrelationRule.countDocuments(filter);
+
+    const rules = await CorrelationRule.find(filter)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: rules,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching correlation rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch correlation rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/correlation/rules/reload
+ * Reload enabled rules into the running Alert Correlation Service
+ */
+router.post('/rules/reload', async (req, res) => {
+  try {
+    const loaded = await reloadCorrelationRules();
+
+    if (loaded === null) {
+      return res.status(503).json({
+        success: false,
+        error: 'Correlation service not running',
+        message: 'Rules will be loaded when the Alert Correlation Service starts'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { rules_loaded: loaded },
+      message: 'Correlation rules reloaded successfully'
+    });
+
+  } catch (error) {
+    console.error('Error reloading correlation rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reload correlation rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/correlation/rules/backtest
+ * Replay the alerts of a time range through correlation without writing incidents, and
+ * report what the rules would have created compared with the incidents that exist
+ *
+ * Body:
+ * - from, to: Time range of the alerts to replay (required, at most 31 days)
+ * - rules: Rule definitions to test, e.g. an edited copy of a stored rule
+ * - rule_ids: Stored rules to test, including disabled ones
+ * - mode: 'merge' (default) tests the rules together with the enabled rules,
+ *   'only' tests them alone
+ */
+router.post('/rules/backtest', async (req, res) => {
+  try {
+    const correlationService = getCorrelationService();
+    if (!correlationService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Correlation service not running',
+        message: 'Backtests run through the Alert Correlation Service'
+      });
+    }
+
+    const { rules = [], rule_ids = [], mode = 'merge' } = req.body;
+    const from = new Date(req.body.from);
+    const to = new Date(req.body.to);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid time range',
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    if (to - from > MAX_BACKTEST_RANGE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Time range too large',
+        message: 'Backtests cover at most 31 days'
+      });
+    }
+
+    if (!Array.isArray(rules) || !Array.isArray(rule_ids) || !['merge', 'only'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid backtest options',
+        message: 'rules and rule_ids must be arrays and mode must be merge or only'
+      });
+    }
+
+    if (mode === 'only' && rules.length === 0 && rule_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No rules to test',
+        message: 'mode only requires rules or rule_ids'
+      });
+    }
+
+    const report = await correlationService.backtestCorrelation({ from, to, rules, rule_ids, mode });
+
+    res.json({
+      success: true,
+      data: report,
+      message: `Backtest would have created ${report.incidents_would_create} incidents from ${report.alerts_replayed} alerts`
+    });
+
+  } catch (error) {
+    console.error('Error running correlation backtest:', error);
+
+    if (error.name === 'ValidationError' || error.code === 'BACKTEST_TOO_LARGE') {
+      return res.status(400).json({
+        success: false,
+        error: error.name === 'ValidationError' ? 'Invalid correlation rule' : 'Backtest too large',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run correlation backtest',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/correlation/rules/:id
+ * Retrieve a specific correlation rule by rule ID or database ID
+ */
+router.get('/rules/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Correlation rule not found',
+        message: `Correlation rule with ID ${req.params.id} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error fetching correlation rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch correlation rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/correlation/rules
+ * Create a new correlation rule
+ *
+ * Required fields: name, trigger_types
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    const { name, trigger_types } = req.body;
+
+    // Validate required fields
+    if (!name || !Array.isArray(trigger_types) || trigger_types.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'name and a non-empty trigger_types array are required'
+      });
+    }
+
+    // Match statistics are managed by the server
+    const { statistics, ...fields } = req.body;
+
+    const rule = new CorrelationRule(fields);
+    await rule.save();
+
+    const loaded = await reloadCorrelationRules();
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      rules_loaded: loaded,
+      message: 'Correlation rule created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating correlation rule:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid correlation rule',
+        message: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate rule ID',
+        message: `A correlation rule with ID ${req.body.rule_id} already exists`
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create correlation rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/correlation/rules/:id
+ * Update an existing correlation rule
+ */
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Correlation rule not found',
+        message: `Correlation rule with ID ${req.params.id} does not exist`
+      });
+    }
+
+    // Identity and match statistics are managed by the server
+    const { _id, rule_id, statistics, createdAt, ...updates } = req.body;
+
+    rule.set(updates);
+    await rule.save();
+
+    const loaded = await reloadCorrelationRules();
+
+    res.json({
+      success: true,
+      data: rule,
+      rules_loaded: loaded,
+      message: 'Correlation rule updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating correlation rule:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid correlation rule',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update correlation rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/correlation/rules/:id
+ * Delete a correlation rule
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Correlation rule not found',
+        message: `Correlation rule with ID ${req.params.id} does not exist`
+      });
+    }
+
+    await rule.deleteOne();
+
+    const loaded = await reloadCorrelationRules();
+
+    res.json({
+      success: true,
+      rules_loaded: loaded,
+      message: 'Correlation rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting correlation rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete correlation rule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
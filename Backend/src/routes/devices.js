@@ -2,6 +2,29 @@ const express = require('express');
 const router = express.Router();
 const deviceController = require('../controllers/deviceController');
 const Device = require('../models/Device');
+const Action = require('../models/Action');
+const ConfigSnapshot = require('../models/ConfigSnapshot');
+const GoldenConfig = require('../models/GoldenConfig');
+const configCompliance = require('../utils/configCompliance');
+const AutonomousHealingService = require('../services/AutonomousHealingService');
+
+// Statuses of an apply_golden_config action that has not finished
+const OPEN_ACTION_STATUSES = ['draft', 'pending_approval', 'approved', 'queued', 'executing'];
+
+/**
+ * Golden config of a device and its compliance report from the latest collected
+ * configuration in the golden config's format (or any format, for the report to
+ * name the mismatch)
+ */
+async function getComplianceReport(device) {
+  const role = await GoldenConfig.getDeviceRole(device);
+  const golden = await GoldenConfig.findForDevice(device, role);
+  const snapshot = golden
+    ? (await ConfigSnapshot.findLatestCollected(device.hostname, golden.format)) ||
+      (await ConfigSnapshot.findLatestCollected(device.hostname))
+    : null;
+  return { golden, report: configCompliance.buildReport(device, golden, snapshot, role) };
+}
 
 // GET /api/devices - Get all devices
 router.get('/', async (req, res) => {
@@ -26,6 +49,59 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/devices/:id/compliance - Golden config compliance of the latest collected configuration,
+// with every violating stanza and the fix action awaiting approval or execution, if any
+router.get('/:id/compliance', async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const { report } = await getComplianceReport(device);
+    const fix = await Action.findOne({
+      target_device: device.hostname,
+      type: 'apply_golden_config',
+      status: { $in: OPEN_ACTION_STATUSES }
+    }).select('action_id status');
+
+    res.json({ ...report, remediation_action: fix ? { action_id: fix.action_id, status: fix.status } : null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/devices/:id/compliance/remediate - Propose the fix for a drifted device; the
+// apply_golden_config action goes through the Remediation Engine's approval path
+router.post('/:id/compliance/remediate', async (req, res) => {
+  try {
+    const remediationEngine = AutonomousHealingService.hasInstance()
+      ? AutonomousHealingService.getInstance().services.remediationEngine
+      : null;
+    if (!remediationEngine) {
+      return res.status(503).json({ error: 'Remediation engine not running' });
+    }
+
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const { golden, report } = await getComplianceReport(device);
+    if (report.status !== 'non_compliant') {
+      return res.status(409).json({ error: `Nothing to remediate: compliance status is ${report.status}`, report });
+    }
+
+    const action = await remediationEngine.createComplianceAction(device, golden);
+    if (!action) {
+      return res.status(500).json({ error: 'Could not create the compliance action' });
+    }
+    res.status(202).json(action);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /api/devices - Create new device
 router.post('/', async (req, res) => {
   try {
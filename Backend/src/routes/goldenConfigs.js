@@ -0,0 +1,248 @@
+/**
+ * Golden Config API Routes
+ *
+ * This module provides RESTful endpoints for managing golden config templates:
+ * the intended configuration of the devices of a role, checked by the Config
+ * Compliance Service against every collected running configuration.
+ *
+ * Endpoints:
+ * - GET /api/golden-configs - List golden configs with filtering
+ * - GET /api/golden-configs/:id - Get specific golden config
+ * - POST /api/golden-configs - Create new golden config
+ * - PUT /api/golden-configs/:id - Update existing golden config
+ * - DELETE /api/golden-configs/:id - Delete golden config
+ * - GET /api/golden-configs/:id/render/:hostname - Render the template for a device
+ */
+
+const express = require('express');
+const router = express.Router();
+const GoldenConfig = require('../models/GoldenConfig');
+const Device = require('../models/Device');
+const configCompliance = require('../utils/configCompliance');
+
+/**
+ * Find a golden config by its name or database ID
+ */
+function findGoldenConfig(id) {
+  const query = /^[0-9a-fA-F]{24}$/.test(id) ? { $or: [{ _id: id }, { name: id }] } : { name: id };
+  return GoldenConfig.findOne(query);
+}
+
+/**
+ * Error response for a failed create or update
+ */
+function sendSaveError(res, error, action) {
+  console.error(`Error ${action} golden config:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid golden config',
+      message: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'Duplicate golden config name',
+      message: 'A golden config with this name already exists'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action === 'creating' ? 'create' : 'update'} golden config`,
+    message: error.message
+  });
+}
+
+/**
+ * GET /api/golden-configs
+ * Retrieve golden configs
+ *
+ * Query parameters:
+ * - role: Filter by device role
+ * - enabled: Filter by enabled state (true, false)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { role, enabled } = req.query;
+
+    const filter = {};
+    if (role) filter.role = String(role).toLowerCase();
+    if (enabled !== undefined) filter.enabled = enabled === 'true';
+
+    const goldenConfigs = await GoldenConfig.find(filter).sort({ role: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: goldenConfigs
+    });
+
+  } catch (error) {
+    console.error('Error fetching golden configs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch golden configs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/golden-configs/:id/render/:hostname
+ * Render a golden config with the variables of a device, to check a template
+ * before it is enabled
+ */
+router.get('/:id/render/:hostname', async (req, res) => {
+  try {
+    const goldenConfig = await findGoldenConfig(req.params.id);
+    const device = await Device.findOne({ hostname: req.params.hostname });
+
+    if (!goldenConfig || !device) {
+      return res.status(404).json({
+        success: false,
+        error: goldenConfig ? 'Device not found' : 'Golden config not found',
+        message: goldenConfig
+          ? `Device ${req.params.hostname} does not exist`
+          : `Golden config ${req.params.id} does not exist`
+      });
+    }
+
+    const variables = configCompliance.getTemplateVariables(goldenConfig, device);
+    const rendered = configCompliance.renderTemplate(goldenConfig.template, variables);
+
+    res.json({
+      success: true,
+      data: { golden_config: goldenConfig.name, device: device.hostname, variables, ...rendered }
+    });
+
+  } catch (error) {
+    console.error('Error rendering golden config:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render golden config',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/golden-configs/:id
+ * Retrieve a specific golden config by name or database ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const goldenConfig = await findGoldenConfig(req.params.id);
+
+    if (!goldenConfig) {
+      return res.status(404).json({
+        success: false,
+        error: 'Golden config not found',
+        message: `Golden config ${req.params.id} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: goldenConfig
+    });
+
+  } catch (error) {
+    console.error('Error fetching golden config:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch golden config',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/golden-configs
+ * Create a new golden config
+ *
+ * Required fields: name, role, format, template
+ */
+router.post('/', async (req, res) => {
+  try {
+    const goldenConfig = new GoldenConfig(req.body);
+    await goldenConfig.save();
+
+    res.status(201).json({
+      success: true,
+      data: goldenConfig,
+      message: 'Golden config created successfully'
+    });
+
+  } catch (error) {
+    sendSaveError(res, error, 'creating');
+  }
+});
+
+/**
+ * PUT /api/golden-configs/:id
+ * Update an existing golden config
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const goldenConfig = await findGoldenConfig(req.params.id);
+
+    if (!goldenConfig) {
+      return res.status(404).json({
+        success: false,
+        error: 'Golden config not found',
+        message: `Golden config ${req.params.id} does not exist`
+      });
+    }
+
+    const { _id, createdAt, ...fields } = req.body;
+    goldenConfig.set(fields);
+    await goldenConfig.save();
+
+    res.json({
+      success: true,
+      data: goldenConfig,
+      message: 'Golden config updated successfully'
+    });
+
+  } catch (error) {
+    sendSaveError(res, error, 'updating');
+  }
+});
+
+/**
+ * DELETE /api/golden-configs/:id
+ * Delete a golden config
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const goldenConfig = await findGoldenConfig(req.params.id);
+
+    if (!goldenConfig) {
+      return res.status(404).json({
+        success: false,
+        error: 'Golden config not found',
+        message: `Golden config ${req.params.id} does not exist`
+      });
+    }
+
+    await goldenConfig.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Golden config deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting golden config:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete golden config',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,12 +3,43 @@ const router = express.Router();
 const Incident = require('../models/Incident');
 const Action = require('../models/Action');
 const Policy = require('../models/Policy');
+const RCARuleStats = require('../models/RCARuleStats');
+const AutonomousHealingService = require('../services/AutonomousHealingService');
+const incidentSignature = require('../utils/incidentSignature');
+const rcaFeedback = require('../utils/rcaFeedback');
 
 /**
  * Routes for Incident Management
  * Handles incident creation, retrieval, and lifecycle management
  */
 
+// Incident states searched for similar incidents
+const SIMILAR_INCIDENT_STATES = ['resolved', 'closed'];
+
+// Most recent resolved incidents scored per similar-incident search
+const SIMILAR_CANDIDATE_LIMIT = 500;
+
+/**
+ * Get the running RCA engine, or null when the healing service has not started it
+ */
+function getRCAEngine() {
+  if (!AutonomousHealingService.hasInstance()) {
+    return null;
+  }
+  return AutonomousHealingService.getInstance().services.rcaEngine || null;
+}
+
+/**
+ * Record an operator-confirmed root cause on an incident
+ */
+function confirmRootCause(incident, rootCause, user, now) {
+  incident.final_root_cause = rootCause;
+  incident.root_cause_confidence = 1;
+  incident.root_cause_confirmed = true;
+  incident.root_cause_confirmed_by = user;
+  incident.root_cause_confirmed_at = now;
+}
+
 // GET /api/incidents - Get all incidents with filtering and pagination
 router.get('/', async (req, res) => {
   try {
@@ -198,6 +229,9 @@ router.patch('/:id', async (req, res) => {
             (incident.resolvedAt - incident.first_alert_time) / (1000 * 60)
           );
         }
+        
+        // Similar-incident searches match resolved incidents by signature
+        await incident.computeSignature();
       } else if (state === 'closed' && !incident.closedAt) {
         incident.closedAt = new Date();
       }
@@ -371,6 +405,207 @@ router.post('/:id/escalate', async (req, res) => {
   }
 });
 
+// POST /api/incidents/:id/rca/feedback - Confirm or reject an RCA result
+// Body: verdict (confirmed or rejected), result_index (default 0), submitted_by,
+// notes, and for a rejection optionally root_cause (the actual cause)
+router.post('/:id/rca/feedback', async (req, res) => {
+  try {
+    const { verdict, result_index = 0, root_cause, submitted_by, notes } = req.body;
+    
+    if (!submitted_by || !rcaFeedback.VERDICTS.includes(verdict)) {
+      return res.status(400).json({ 
+        error: `submitted_by and verdict (${rcaFeedback.VERDICTS.join(' or ')}) are required` 
+      });
+    }
+    
+    const incident = await Incident.findById(req.params.id);
+    
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    
+    const result = incident.rca_results[parseInt(result_index)];
+    if (!result) {
+      return res.status(400).json({ error: `Incident has no RCA result at index ${result_index}` });
+    }
+    
+    const previousVerdict = result.feedback && result.feedback.verdict;
+    const now = new Date();
+    result.feedback = { verdict, submitted_by, submitted_at: now, notes };
+    
+    if (verdict === 'confirmed') {
+      confirmRootCause(incident, result.suspected_cause, submitted_by, now);
+    } else if (root_cause) {
+      confirmRootCause(incident, root_cause, submitted_by, now);
+    } else if (incident.final_root_cause === result.suspected_cause) {
+      // Fall back to the best result nobody rejected
+      const next = incident.rca_results.find(rca => !(rca.feedback && rca.feedback.verdict === 'rejected'));
+      incident.final_root_cause = next ? next.suspected_cause : undefined;
+      incident.root_cause_confidence = next ? next.confidence_score : undefined;
+      incident.root_cause_confirmed = false;
+      incident.root_cause_confirmed_by = undefined;
+      incident.root_cause_confirmed_at = undefined;
+    }
+    
+    // Confirmed incidents are matched by signature in later analyses
+    if (!incident.signature || !incident.signature.alert_types || incident.signature.alert_types.length === 0) {
+      await incident.computeSignature();
+    }
+    
+    incident.communication_log.push({
+      timestamp: now,
+      user: submitted_by,
+      message: `RCA result "${result.suspected_cause}" ${verdict}${notes ? `: ${notes}` : ''}`
+    });
+    
+    await incident.save();
+    
+    // Count the verdict for the rule that produced the result; a changed verdict replaces the old one
+    let ruleStats = null;
+    if (result.rule_id) {
+      ruleStats = await RCARuleStats.findOne({ rule_id: result.rule_id });
+      
+      if (previousVerdict !== verdict) {
+        const counts = { [verdict]: 1 };
+        if (previousVerdict) {
+          counts[previousVerdict] = -1;
+        }
+        ruleStats = await RCARuleStats.findOneAndUpdate(
+          { rule_id: result.rule_id },
+          { $inc: counts, $set: { last_feedback_at: now, updatedAt: now } },
+          { upsert: true, new: true }
+        );
+      }
+    }
+    
+    // Rule precision and the confidence_base the running engine derived from it
+    const rcaEngine = getRCAEngine();
+    let ruleStatistics = null;
+    if (ruleStats && rcaEngine) {
+      await rcaEngine.loadRuleStatistics();
+      ruleStatistics = rcaEngine.getRuleStatistics().find(entry => entry.rule_id === ruleStats.rule_id);
+    } else if (ruleStats) {
+      ruleStatistics = {
+        rule_id: ruleStats.rule_id,
+        confirmed: ruleStats.confirmed,
+        rejected: ruleStats.rejected,
+        precision: rcaFeedback.computePrecision(ruleStats)
+      };
+    }
+    
+    res.json({
+      success: true,
+      incident: incident,
+      rule_statistics: ruleStatistics,
+      message: `RCA result ${verdict}`
+    });
+    
+  } catch (error) {
+    console.error('Error recording RCA feedback:', error);
+    res.status(500).json({ 
+      error: 'Failed to record RCA feedback',
+      details: error.message 
+    });
+  }
+});
+
+// GET /api/incidents/:id/similar - Find resolved incidents similar to this one
+// Query: limit (default 5, at most 50), min_similarity (default 0.3)
+router.get('/:id/similar', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 50);
+    const minSimilarity = req.query.min_similarity !== undefined ? parseFloat(req.query.min_similarity) : 0.3;
+    
+    if (isNaN(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+      return res.status(400).json({ error: 'min_similarity must be between 0 and 1' });
+    }
+    
+    const incident = await Incident.findById(req.params.id);
+    
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    
+    const signature = await incident.computeSignature();
+    if (signature.alert_types.length === 0) {
+      return res.json({ success: true, data: [], signature });
+    }
+    
+    // Candidates share at least one alert type; the full signature ranks them
+    const candidates = await Incident.find({
+      _id: { $ne: incident._id },
+      state: { $in: SIMILAR_INCIDENT_STATES },
+      'signature.alert_types': { $in: signature.alert_types }
+    })
+      .sort({ resolvedAt: -1 })
+      .limit(SIMILAR_CANDIDATE_LIMIT)
+      .select('incident_id title severity state signature final_root_cause root_cause_confirmed first_alert_time createdAt resolvedAt time_to_resolve');
+    
+    const matches = candidates
+      .map(candidate => ({ candidate, ...incidentSignature.scoreSignatures(signature, candidate.signature) }))
+      .filter(match => match.similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+    
+    // Latest successful remediation of each match
+    const actions = await Action.find({
+      incident_id: { $in: matches.map(match => match.candidate._id) },
+      success: true
+    })
+      .sort({ completed_at: -1 })
+      .select('action_id name type method incident_id completed_at');
+    
+    const remediationByIncident = new Map();
+    actions.forEach(action => {
+      const key = action.incident_id.toString();
+      if (!remediationByIncident.has(key)) {
+        remediationByIncident.set(key, {
+          action_id: action.action_id,
+          name: action.name,
+          type: action.type,
+          method: action.method,
+          completed_at: action.completed_at
+        });
+      }
+    });
+    
+    const similar = matches.map(({ candidate, similarity, components }) => {
+      const start = candidate.first_alert_time || candidate.createdAt;
+      const timeToResolve = candidate.time_to_resolve !== undefined && candidate.time_to_resolve !== null
+        ? candidate.time_to_resolve
+        : (candidate.resolvedAt && start ? Math.floor((candidate.resolvedAt - start) / (1000 * 60)) : null);
+      
+      return {
+        _id: candidate._id,
+        incident_id: candidate.incident_id,
+        title: candidate.title,
+        severity: candidate.severity,
+        state: candidate.state,
+        similarity: Math.round(similarity * 1000) / 1000,
+        components,
+        final_root_cause: candidate.final_root_cause,
+        root_cause_confirmed: candidate.root_cause_confirmed,
+        successful_remediation: remediationByIncident.get(candidate._id.toString()) || null,
+        time_to_resolve: timeToResolve,
+        resolvedAt: candidate.resolvedAt
+      };
+    });
+    
+    res.json({
+      success: true,
+      data: similar,
+      signature
+    });
+    
+  } catch (error) {
+    console.error('Error finding similar incidents:', error);
+    res.status(500).json({ 
+      error: 'Failed to find similar incidents',
+      details: error.message 
+    });
+  }
+});
+
 // GET /api/incidents/statistics/overview - Get incident statistics
 router.get('/statistics/overview', async (req, res) => {
   try {
@@ -0,0 +1,157 @@
+/**
+ * Metrics API Routes
+ *
+ * This module serves the device metric history recorded from device status reports.
+ * Queries are answered from the coarsest retention tier that still resolves the
+ * requested step (raw for 24 hours, 5 minute buckets for 30 days, hourly buckets for
+ * a year), and values are averaged into buckets of the requested step.
+ *
+ * Recorded metrics: cpu, memory, temperature, interface_status (1 = down),
+ * interface_utilization, interface_errors, interface_drops (per minute),
+ * in_bps, out_bps (bits per second, from the interface octet counters).
+ *
+ * Endpoints:
+ * - GET /api/metrics/query - Query a metric series for a device
+ *
+ * GET /api/metrics itself reports the healing service metrics (see app.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { RETENTION_TIERS, TIER_MODELS } = require('../models/MetricSample');
+const metricSeries = require('../utils/metricSeries');
+
+// Upper bound on buckets per series in one response
+const MAX_POINTS = 11000;
+
+// Default query window when `from` is not given
+const DEFAULT_RANGE_MS = 60 * 60 * 1000;
+
+/**
+ * GET /api/metrics/query
+ * Retrieve a metric series for a device, bucketed by step
+ *
+ * Query parameters:
+ * - device: Device hostname (required)
+ * - metric: Metric name (required)
+ * - instance: Metric instance, e.g. an interface name (default: all instances)
+ * - from: Range start, ISO 8601 or epoch milliseconds (default: one hour before `to`)
+ * - to: Range end, ISO 8601 or epoch milliseconds (default: now)
+ * - step: Bucket size such as 30s, 5m, 1h or seconds (default: range / 300)
+ */
+router.get('/query', async (req, res) => {
+  try {
+    const { device, metric, instance } = req.query;
+
+    // Validate required fields
+    if (!device || !metric) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters',
+        message: 'device and metric are required'
+      });
+    }
+
+    const now = new Date();
+    const to = req.query.to !== undefined ? metricSeries.parseTime(req.query.to) : now;
+    const from = req.query.from !== undefined
+      ? metricSeries.parseTime(req.query.from)
+      : to && new Date(to.getTime() - DEFAULT_RANGE_MS);
+
+    if (!from || !to || from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid time range',
+        message: 'from and to must be ISO 8601 timestamps or epoch milliseconds, with from before to'
+      });
+    }
+
+    const rangeSeconds = (to - from) / 1000;
+    const requestedStep = req.query.step !== undefined
+      ? metricSeries.parseStep(req.query.step)
+      : Math.max(Math.ceil(rangeSeconds / 300), 1);
+
+    if (!requestedStep) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid step',
+        message: 'step must be a positive number of seconds or a duration such as 30s, 5m, 1h, 1d'
+      });
+    }
+
+    // A tier cannot be queried at a finer step than its resolution
+    const tier = metricSeries.selectTier(RETENTION_TIERS, from, requestedStep, now);
+    const step = Math.max(requestedStep, tier.resolution);
+
+    if (rangeSeconds / step > MAX_POINTS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Too many points',
+        message: `The range and step would return more than ${MAX_POINTS} points per series; increase step`
+      });
+    }
+
+    const match = {
+      'meta.device': device,
+      'meta.metric': metric,
+      timestamp: { $gte: from, $lt: to }
+    };
+    if (instance) match['meta.instance'] = instance;
+
+    const buckets = await TIER_MODELS[tier.name].aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            instance: '$meta.instance',
+            timestamp: { $dateTrunc: { date: '$timestamp', unit: 'second', binSize: step } }
+          },
+          weighted_sum: { $sum: { $multiply: ['$value', { $ifNull: ['$count', 1] }] } },
+          count: { $sum: { $ifNull: ['$count', 1] } },
+          min: { $min: { $ifNull: ['$min', '$value'] } },
+          max: { $max: { $ifNull: ['$max', '$value'] } }
+        }
+      },
+      { $sort: { '_id.instance': 1, '_id.timestamp': 1 } }
+    ]);
+
+    // One series per instance
+    const seriesByInstance = new Map();
+    buckets.forEach(bucket => {
+      const key = bucket._id.instance || null;
+      if (!seriesByInstance.has(key)) {
+        seriesByInstance.set(key, { instance: key, points: [] });
+      }
+      seriesByInstance.get(key).points.push({
+        timestamp: bucket._id.timestamp,
+        value: Math.round((bucket.weighted_sum / bucket.count) * 100) / 100,
+        min: bucket.min,
+        max: bucket.max,
+        count: bucket.count
+      });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        device,
+        metric,
+        from,
+        to,
+        step,
+        tier: tier.name,
+        series: Array.from(seriesByInstance.values())
+      }
+    });
+
+  } catch (error) {
+    console.error('Error querying metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to query metrics',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
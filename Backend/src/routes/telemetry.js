@@ -0,0 +1,369 @@
+/**
+ * Telemetry API Routes
+ *
+ * This module provides RESTful endpoints for telemetry ingestion and its configuration.
+ * Streaming telemetry (OpenConfig JSON-IETF / gNMI JSON notifications) can be posted
+ * here or sent over a WebSocket on the same path.
+ * Classification rules map syslog messages onto normalized event types and are
+ * hot reloaded into the running Telemetry Collector after every change.
+ *
+ * Endpoints:
+ * - POST /api/telemetry/stream - Ingest streaming telemetry notifications
+ * - GET /api/telemetry/classification-rules - List classification rules with filtering
+ * - GET /api/telemetry/classification-rules/:id - Get specific rule details
+ * - POST /api/telemetry/classification-rules - Create new rule
+ * - PUT /api/telemetry/classification-rules/:id - Update existing rule
+ * - DELETE /api/telemetry/classification-rules/:id - Delete rule
+ * - POST /api/telemetry/classification-rules/reload - Reload rules into the collector
+ */
+
+const express = require('express');
+const router = express.Router();
+const ClassificationRule = require('../models/ClassificationRule');
+const AutonomousHealingService = require('../services/AutonomousHealingService');
+
+/**
+ * Get the running Telemetry Collector, or null when the healing service has not started it
+ */
+function getTelemetryCollector() {
+  if (!AutonomousHealingService.hasInstance()) {
+    return null;
+  }
+  return AutonomousHealingService.getInstance().services.telemetryCollector || null;
+}
+
+/**
+ * Reload classification rules into the running Telemetry Collector.
+ * Returns the number of loaded rules, or null when no collector is running.
+ */
+async function reloadClassificationRules() {
+  const collector = getTelemetryCollector();
+  if (!collector) {
+    return null;
+  }
+
+  return collector.loadClassificationRules();
+}
+
+/**
+ * POST /api/telemetry/stream
+ * Ingest streaming telemetry. The body may be a gNMI SubscribeResponse or Notification,
+ * a gnmic event message, a JSON-IETF OpenConfig tree, or an array of these.
+ * The target device is taken from prefix.target / target / source, or the sender address.
+ */
+router.post('/stream', async (req, res) => {
+  try {
+    const collector = getTelemetryCollector();
+
+    if (!collector) {
+      return res.status(503).json({
+        success: false,
+        error: 'Telemetry collector not running',
+        message: 'Streaming telemetry cannot be ingested until the Telemetry Collector starts'
+      });
+    }
+
+    const remoteInfo = {
+      address: (req.socket.remoteAddress || '').replace(/^::ffff:/, ''),
+      port: req.socket.remotePort
+    };
+    const result = collector.ingestStreamingTelemetry(req.body, remoteInfo, 'http');
+
+    res.status(202).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error.code === 'OPENCONFIG_DECODE_ERROR') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid telemetry payload',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'SOURCE_DISABLED') {
+      return res.status(503).json({
+        success: false,
+        error: 'Streaming telemetry disabled',
+        message: error.message
+      });
+    }
+
+    console.error('Error ingesting streaming telemetry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to ingest streaming telemetry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/telemetry/classification-rules
+ * Retrieve classification rules with optional filtering and pagination
+ *
+ * Query parameters:
+ * - enabled: Filter by enabled state (true, false)
+ * - match_type: Filter by match type (regex, mnemonic)
+ * - event_type: Filter by target event type
+ * - vendor: Filter by vendor filter
+ * - page: Page number for pagination
+ * - limit: Number of items per page
+ */
+router.get('/classification-rules', async (req, res) => {
+  try {
+    const {
+      enabled,
+      match_type,
+      event_type,
+      vendor,
+      page = 1,
+      limit = 50,
+      search
+    } = req.query;
+
+    // Build filter object based on query parameters
+    const filter = {};
+    if (enabled !== undefined) filter.enabled = enabled === 'true';
+    if (match_type) filter.match_type = match_type;
+    if (event_type) filter.event_type = event_type;
+    if (vendor) filter.vendors = vendor;
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { pattern: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await ClassificationRule.countDocuments(filter);
+
+    // Fetch rules in evaluation order
+    const rules = await ClassificationRule.find(filter)
+      .sort({ priority: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: rules,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching classification rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch classification rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/telemetry/classification-rules/reload
+ * Reload enabled rules into the running Telemetry Collector
+ */
+router.post('/classification-rules/reload', async (req, res) => {
+  try {
+    const loaded = await reloadClassificationRules();
+
+    if (loaded === null) {
+      return res.status(503).json({
+        success: false,
+        error: 'Telemetry collector not running',
+        message: 'Rules will be loaded when the Telemetry Collector starts'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { rules_loaded: loaded },
+      message: 'Classification rules reloaded successfully'
+    });
+
+  } catch (error) {
+    console.error('Error reloading classification rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reload classification rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/telemetry/classification-rules/:id
+ * Retrieve a specific classification rule by ID
+ */
+router.get('/classification-rules/:id', async (req, res) => {
+  try {
+    const rule = await ClassificationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Classification rule not found',
+        message: `Classification rule with ID ${req.params.id} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error fetching classification rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch classification rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/telemetry/classification-rules
+ * Create a new classification rule
+ *
+ * Required fields: name, match_type, pattern, event_type
+ */
+router.post('/classification-rules', async (req, res) => {
+  try {
+    const { name, match_type, pattern, event_type } = req.body;
+
+    // Validate required fields
+    if (!name || !match_type || !pattern || !event_type) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'name, match_type, pattern, and event_type are required'
+      });
+    }
+
+    const rule = new ClassificationRule(req.body);
+    await rule.save();
+
+    const loaded = await reloadClassificationRules();
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      rules_loaded: loaded,
+      message: 'Classification rule created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating classification rule:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid classification rule',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create classification rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/telemetry/classification-rules/:id
+ * Update an existing classification rule
+ */
+router.put('/classification-rules/:id', async (req, res) => {
+  try {
+    const rule = await ClassificationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Classification rule not found',
+        message: `Classification rule with ID ${req.params.id} does not exist`
+      });
+    }
+
+    // Identity and match statistics are managed by the server
+    const { _id, rule_id, statistics, createdAt, ...updates } = req.body;
+
+    // Save through the document so the patterns are compiled and validated
+    rule.set(updates);
+    await rule.save();
+
+    const loaded = await reloadClassificationRules();
+
+    res.json({
+      success: true,
+      data: rule,
+      rules_loaded: loaded,
+      message: 'Classification rule updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating classification rule:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid classification rule',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update classification rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/telemetry/classification-rules/:id
+ * Delete a classification rule
+ */
+router.delete('/classification-rules/:id', async (req, res) => {
+  try {
+    const rule = await ClassificationRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Classification rule not found',
+        message: `Classification rule with ID ${req.params.id} does not exist`
+      });
+    }
+
+    const loaded = await reloadClassificationRules();
+
+    res.json({
+      success: true,
+      rules_loaded: loaded,
+      message: 'Classification rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting classification rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete classification rule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
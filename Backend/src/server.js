@@ -67,6 +67,11 @@ async function startServer() {
       console.log('🎯 Autonomous Network Healing Platform is ready!');
     });
     
+    // Accept streaming telemetry over WebSocket on the API server
+    if (healingService.services.telemetryCollector) {
+      healingService.services.telemetryCollector.attachStreamingWebSocket(server);
+    }
+    
     /**
      * Graceful shutdown handling
      * Ensures all services are properly stopped before process termination
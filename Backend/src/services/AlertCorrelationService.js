@@ -3,11 +3,84 @@ const Alert = require('../models/Alert');
 const Incident = require('../models/Incident');
 const Device = require('../models/Device');
 const Topology = require('../models/Topology');
+const CorrelationRule = require('../models/CorrelationRule');
+const dependencyGraph = require('../utils/dependencyGraph');
+
+// Incident states that resolve automatically once all their alerts have cleared
+const AUTO_RESOLVABLE_INCIDENT_STATES = ['open', 'investigating', 'in_progress'];
+
+// suppression_rule of alerts suppressed behind a down upstream device
+const TOPOLOGY_SUPPRESSION_RULE = 'topology_dependency';
+
+// Built-in correlation rules, seeded into the CorrelationRule collection when it is empty
+const DEFAULT_CORRELATION_RULES = [
+  {
+    // Interface down cascade - when interface goes down, correlated alerts follow
+    rule_id: 'interface_cascade',
+    name: 'Interface Down Cascade',
+    description: 'Correlates alerts caused by interface failures',
+    trigger_types: ['interface_down'],
+    correlated_types: ['bgp_peer_down', 'service_unreachable', 'high_latency'],
+    time_window: 120000, // 2 minutes
+    topology_dependent: true,
+    confidence_score: 0.9
+  },
+  {
+    // Device failure cascade - when device fails, all dependent services fail
+    rule_id: 'device_failure_cascade',
+    name: 'Device Failure Cascade',
+    description: 'Correlates alerts when entire device becomes unreachable',
+    trigger_types: ['device_unreachable', 'snmp_timeout'],
+    correlated_types: ['interface_down', 'service_unreachable', 'bgp_peer_down'],
+    time_window: 180000, // 3 minutes
+    topology_dependent: true,
+    confidence_score: 0.95
+  },
+  {
+    // BGP session flapping - correlate BGP related alerts
+    rule_id: 'bgp_flapping',
+    name: 'BGP Session Flapping',
+    description: 'Correlates BGP session instability alerts',
+    trigger_types: ['bgp_peer_down'],
+    correlated_types: ['bgp_peer_up', 'routing_table_change', 'packet_loss'],
+    time_window: 300000, // 5 minutes
+    topology_dependent: false,
+    confidence_score: 0.8
+  },
+  {
+    // Performance degradation cluster - high CPU/memory/utilization
+    rule_id: 'performance_degradation',
+    name: 'Performance Degradation Cluster',
+    description: 'Correlates performance-related alerts',
+    trigger_types: ['high_cpu', 'high_memory'],
+    correlated_types: ['high_utilization', 'slow_response', 'packet_drops', 'anomaly'],
+    time_window: 600000, // 10 minutes
+    topology_dependent: false,
+    confidence_score: 0.7
+  },
+  {
+    // Security incident cluster - authentication and security alerts
+    rule_id: 'security_incident',
+    name: 'Security Incident Cluster',
+    description: 'Correlates security-related alerts',
+    trigger_types: ['authentication_failure', 'unauthorized_access'],
+    correlated_types: ['config_change', 'unusual_traffic', 'port_scan'],
+    time_window: 900000, // 15 minutes
+    topology_dependent: false,
+    confidence_score: 0.85
+  }
+];
 
 /**
  * Alert Correlation Service
  * Groups related alerts into incidents using rule-based and temporal correlation
  * Identifies patterns and reduces alert noise by finding root causes
+ * Correlation rules live in the CorrelationRule collection and are reloaded
+ * after every change made through /api/correlation/rules
+ *
+ * Alerts from devices that are reachable only through a device confirmed DOWN by the
+ * reachability poller are suppressed (status 'suppressed', parent_alert set to the
+ * upstream device's device_unreachable alert) and released again when that alert clears.
  */
 class AlertCorrelationService extends EventEmitter {
   constructor(options = {}) {
@@ -22,7 +95,10 @@ class AlertCorrelationService extends EventEmitter {
       deduplication_enabled: options.deduplication_enabled || true, // Enable alert deduplication
       topology_aware: options.topology_aware || true, // Use topology for correlation
       temporal_correlation_enabled: true, // Enable time-based correlation
-      max_correlation_distance: 3 // Maximum network hops for topology correlation
+      max_correlation_distance: 3, // Maximum network hops for topology correlation
+      topology_suppression_enabled: options.topology_suppression_enabled !== undefined ? options.topology_suppression_enabled : true, // Suppress alerts behind down devices
+      suppression_lookback: options.suppression_lookback || 300000, // Suppress alerts raised up to 5 minutes before the outage was confirmed
+      dependency_graph_ttl: options.dependency_graph_ttl || 60000 // Rebuild the device dependency graph every minute
     };
     
     // Correlation rules and patterns
@@ -34,6 +110,7 @@ class AlertCorrelationService extends EventEmitter {
     this.running = false;
     this.processingQueue = [];
     this.correlationCache = new Map(); // Cache for recent correlations
+    this.outages = null; // Active DOWN alerts by device, loaded on first use and kept current by trackOutage
     
     // Statistics
     this.stats = {
@@ -41,6 +118,9 @@ class AlertCorrelationService extends EventEmitter {
       incidents_created: 0,
       alerts_correlated: 0,
       deduplication_hits: 0,
+      alerts_suppressed: 0,
+      alerts_unsuppressed: 0,
+      incidents_auto_resolved: 0,
       correlation_errors: 0,
       average_correlation_time: 0,
       last_reset: Date.now()
@@ -55,8 +135,8 @@ class AlertCorrelationService extends EventEmitter {
   init() {
     console.log('Initializing Alert Correlation Service...');
     
-    // Load correlation rules
-    this.loadCorrelationRules();
+    // Load correlation rules, seeding the built-in ones into an empty collection
+    this.seedDefaultCorrelationRules().then(() => this.loadCorrelationRules());
     
     // Setup processing pipeline
     this.setupProcessingPipeline();
@@ -68,65 +148,62 @@ class AlertCorrelationService extends EventEmitter {
   }
   
   /**
-   * Load predefined correlation rules
+   * Seed the built-in rules when the CorrelationRule collection is empty, so a fresh
+   * install correlates out of the box. Runs at startup only; disable rules rather
+   * than deleting them all, or the defaults return on the next start.
    */
-  loadCorrelationRules() {
-    // Rule 1: Interface down cascade - when interface goes down, correlated alerts follow
-    this.correlationRules.set('interface_cascade', {
-      name: 'Interface Down Cascade',
-      description: 'Correlates alerts caused by interface failures',
-      trigger_types: ['interface_down'],
-      correlated_types: ['bgp_peer_down', 'service_unreachable', 'high_latency'],
-      time_window: 120000, // 2 minutes
-      topology_dependent: true,
-      confidence_score: 0.9
-    });
-    
-    // Rule 2: Device failure cascade - when device fails, all dependent services fail
-    this.correlationRules.set('device_failure_cascade', {
-      name: 'Device Failure Cascade',
-      description: 'Correlates alerts when entire device becomes unreachable',
-      trigger_types: ['device_unreachable', 'snmp_timeout'],
-      correlated_types: ['interface_down', 'service_unreachable', 'bgp_peer_down'],
-      time_window: 180000, // 3 minutes
-      topology_dependent: true,
-      confidence_score: 0.95
-    });
-    
-    // Rule 3: BGP session flapping - correlate BGP related alerts
-    this.correlationRules.set('bgp_flapping', {
-      name: 'BGP Session Flapping',
-      description: 'Correlates BGP session instability alerts',
-      trigger_types: ['bgp_peer_down'],
-      correlated_types: ['bgp_peer_up', 'routing_table_change', 'packet_loss'],
-      time_window: 300000, // 5 minutes
-      topology_dependent: false,
-      confidence_score: 0.8
-    });
-    
-    // Rule 4: Performance degradation cluster - high CPU/memory/utilization
-    this.correlationRules.set('performance_degradation', {
-      name: 'Performance Degradation Cluster',
-      description: 'Correlates performance-related alerts',
-      trigger_types: ['high_cpu', 'high_memory'],
-      correlated_types: ['high_utilization', 'slow_response', 'packet_drops'],
-      time_window: 600000, // 10 minutes
-      topology_dependent: false,
-      confidence_score: 0.7
-    });
-    
-    // Rule 5: Security incident cluster - authentication and security alerts
-    this.correlationRules.set('security_incident', {
-      name: 'Security Incident Cluster',
-      description: 'Correlates security-related alerts',
-      trigger_types: ['authentication_failure', 'unauthorized_access'],
-      correlated_types: ['config_change', 'unusual_traffic', 'port_scan'],
-      time_window: 900000, // 15 minutes
-      topology_dependent: false,
-      confidence_score: 0.85
-    });
-    
-    console.log(`Loaded ${this.correlationRules.size} correlation rules`);
+  async seedDefaultCorrelationRules() {
+    try {
+      if (await CorrelationRule.countDocuments() === 0) {
+        await CorrelationRule.insertMany(DEFAULT_CORRELATION_RULES);
+        console.log(`Seeded ${DEFAULT_CORRELATION_RULES.length} default correlation rules`);
+      }
+    } catch (error) {
+      console.error('Error seeding default correlation rules:', error);
+    }
+  }
+  
+  /**
+   * Load enabled correlation rules from the database.
+   * Returns the number of loaded rules.
+   */
+  async loadCorrelationRules() {
+    try {
+      const rules = await CorrelationRule.find({ enabled: true }).sort({ createdAt: 1 }).lean();
+      const correlationRules = new Map();
+      
+      rules.forEach(rule => {
+        correlationRules.set(rule.rule_id, this.buildRuleEntry(rule));
+      });
+      
+      this.correlationRules = correlationRules;
+      console.log(`Loaded ${this.correlationRules.size} correlation rules`);
+      this.emit('correlation_rules_loaded', { count: this.correlationRules.size });
+      
+      return this.correlationRules.size;
+    } catch (error) {
+      console.error('Error loading correlation rules:', error);
+      return this.correlationRules.size;
+    }
+  }
+  
+  /**
+   * Build the in-memory form of a CorrelationRule document
+   */
+  buildRuleEntry(rule) {
+    return {
+      name: rule.name,
+      description: rule.description,
+      trigger_types: rule.trigger_types || [],
+      correlated_types: rule.correlated_types || [],
+      time_window: rule.time_window,
+      topology_dependent: rule.topology_dependent,
+      confidence_score: rule.confidence_score,
+      scope: {
+        sites: (rule.scope && rule.scope.sites) || [],
+        device_types: (rule.scope && rule.scope.device_types) || []
+      }
+    };
   }
   
   /**
@@ -156,6 +233,14 @@ class AlertCorrelationService extends EventEmitter {
       // Update statistics
       this.stats.total_alerts_processed++;
       
+      // Alerts behind a down upstream device are suppressed, not correlated
+      if (this.config.topology_suppression_enabled) {
+        const isSuppressed = await this.checkTopologySuppression(alert);
+        if (isSuppressed) {
+          return;
+        }
+      }
+      
       // Check for deduplication first
       if (this.config.deduplication_enabled) {
         const isDuplicate = await this.checkForDuplication(alert);
@@ -182,6 +267,313 @@ class AlertCorrelationService extends EventEmitter {
     }
   }
   
+  /**
+   * Suppress an alert from a device cut off by a down upstream device.
+   * An alert confirming a device DOWN instead suppresses the alerts already raised behind it.
+   * Returns true when the alert was suppressed.
+   */
+  async checkTopologySuppression(alert) {
+    try {
+      const state = await this.loadSuppressionState();
+      if (!state) {
+        return false;
+      }
+      
+      if (this.isConfirmedDownAlert(alert)) {
+        await this.suppressDownstreamAlerts(alert, state);
+        return false;
+      }
+      
+      const parentDevice = state.isolated.get(alert.device);
+      if (!parentDevice) {
+        return false;
+      }
+      
+      await this.suppressAlert(alert, state.parents.get(parentDevice));
+      return true;
+      
+    } catch (error) {
+      console.error('Error checking topology suppression:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Whether an alert is the reachability poller's confirmation that a device is DOWN
+   */
+  isConfirmedDownAlert(alert) {
+    return alert.type === 'device_unreachable' &&
+      Alert.ACTIVE_ALERT_STATUSES.includes(alert.status) &&
+      alert.normalized_data && alert.normalized_data.status === 'DOWN';
+  }
+  
+  /**
+   * Record a reachability alert as an outage while it confirms its device DOWN,
+   * and drop it once it no longer does
+   */
+  trackOutage(alert) {
+    if (!this.outages || alert.type !== 'device_unreachable') {
+      return;
+    }
+    
+    if (this.isConfirmedDownAlert(alert)) {
+      this.outages.set(alert.device, alert);
+    } else if (this.outages.has(alert.device) && this.outages.get(alert.device)._id.equals(alert._id)) {
+      this.outages.delete(alert.device);
+    }
+  }
+  
+  /**
+   * Active DOWN alerts by device. Read from the database on first use, or when reload is set;
+   * the reachability poller's alert events keep them current in between.
+   */
+  async loadOutages(reload = false) {
+    if (!this.outages || reload) {
+      const parentAlerts = await Alert.find({
+        type: 'device_unreachable',
+        status: { $in: Alert.ACTIVE_ALERT_STATUSES },
+        'normalized_data.status': 'DOWN'
+      });
+      this.outages = new Map(parentAlerts.map(parentAlert => [parentAlert.device, parentAlert]));
+    }
+    return this.outages;
+  }
+  
+  /**
+   * Current outages: active DOWN alerts by device, and the devices cut off by them.
+   * Returns null when no device is confirmed DOWN.
+   */
+  async loadSuppressionState(reload = false) {
+    const outages = await this.loadOutages(reload);
+    if (outages.size === 0) {
+      return null;
+    }
+    
+    const parents = new Map(outages);
+    const upstream = await dependencyGraph.loadUpstreamMap(this.config.dependency_graph_ttl);
+    
+    return {
+      parents,
+      isolated: dependencyGraph.findIsolatedDevices(upstream, new Set(parents.keys()))
+    };
+  }
+  
+  /**
+   * Mark an alert as suppressed behind a parent alert
+   */
+  async suppressAlert(alert, parentAlert) {
+    alert.status = 'suppressed';
+    alert.parent_alert = parentAlert._id;
+    alert.suppression_rule = TOPOLOGY_SUPPRESSION_RULE;
+    await alert.save();
+    
+    this.stats.alerts_suppressed++;
+    console.log(`Alert ${alert.alert_id} suppressed: ${alert.device} is reachable only through down device ${parentAlert.device}`);
+    this.emit('alert_suppressed', { alert, parent_alert: parentAlert });
+  }
+  
+  /**
+   * Suppress the open alerts already raised by devices cut off by a newly confirmed outage.
+   * Acknowledged alerts are left alone, someone is already working on them.
+   */
+  async suppressDownstreamAlerts(parentAlert, state = null) {
+    try {
+      if (!this.config.topology_suppression_enabled || !this.isConfirmedDownAlert(parentAlert)) {
+        return 0;
+      }
+      
+      state = state || await this.loadSuppressionState();
+      if (!state) {
+        return 0;
+      }
+      
+      const devices = Array.from(state.isolated.entries())
+        .filter(([, parentDevice]) => parentDevice === parentAlert.device)
+        .map(([hostname]) => hostname);
+      
+      if (devices.length === 0) {
+        return 0;
+      }
+      
+      const since = new Date(parentAlert.createdAt.getTime() - this.config.suppression_lookback);
+      const alerts = await Alert.find({
+        device: { $in: devices },
+        status: 'open',
+        createdAt: { $gte: since }
+      });
+      
+      for (const alert of alerts) {
+        await this.suppressAlert(alert, parentAlert);
+      }
+      return alerts.length;
+      
+    } catch (error) {
+      console.error('Error suppressing downstream alerts:', error);
+      return 0;
+    }
+  }
+  
+  /**
+   * Release the alerts suppressed behind a parent alert that cleared
+   */
+  async releaseSuppressedAlerts(parentAlert) {
+    try {
+      const alerts = await Alert.find({
+        parent_alert: parentAlert._id,
+        status: 'suppressed',
+        suppression_rule: TOPOLOGY_SUPPRESSION_RULE
+      });
+      
+      return this.reevaluateSuppressedAlerts(alerts);
+      
+    } catch (error) {
+      console.error('Error releasing suppressed alerts:', error);
+      return 0;
+    }
+  }
+  
+  /**
+   * Release suppressed alerts whose parent alert is no longer an active outage,
+   * e.g. because it was resolved by hand. Outages are re-read from the database
+   * here, so ones that ended outside the poller drop out.
+   */
+  async releaseOrphanedSuppressions() {
+    try {
+      const state = await this.loadSuppressionState(true);
+      const alerts = await Alert.find({
+        status: 'suppressed',
+        suppression_rule: TOPOLOGY_SUPPRESSION_RULE
+      });
+      
+      if (alerts.length === 0) {
+        return 0;
+      }
+      
+      const activeParents = new Set(state ? Array.from(state.parents.values()).map(parentAlert => parentAlert._id.toString()) : []);
+      const orphaned = alerts.filter(alert => !alert.parent_alert || !activeParents.has(alert.parent_alert.toString()));
+      
+      return this.reevaluateSuppressedAlerts(orphaned, state);
+      
+    } catch (error) {
+      console.error('Error releasing orphaned suppressions:', error);
+      return 0;
+    }
+  }
+  
+  /**
+   * Move suppressed alerts to another outage that still cuts their device off,
+   * or reopen them and queue them for correlation.
+   * Returns the number of reopened alerts.
+   */
+  async reevaluateSuppressedAlerts(alerts, state) {
+    if (alerts.length === 0) {
+      return 0;
+    }
+    
+    if (state === undefined) {
+      state = await this.loadSuppressionState();
+    }
+    
+    let released = 0;
+    for (const alert of alerts) {
+      const parentDevice = state && state.isolated.get(alert.device);
+      
+      if (parentDevice) {
+        alert.parent_alert = state.parents.get(parentDevice)._id;
+        await alert.save();
+        continue;
+      }
+      
+      alert.status = 'open';
+      alert.parent_alert = undefined;
+      alert.suppression_rule = undefined;
+      await alert.save();
+      
+      this.processingQueue.push({
+        alert: alert,
+        timestamp: Date.now(),
+        processed: false
+      });
+      
+      released++;
+      this.stats.alerts_unsuppressed++;
+      console.log(`Alert ${alert.alert_id} unsuppressed: upstream outage cleared`);
+      this.emit('alert_unsuppressed', alert);
+    }
+    
+    return released;
+  }
+  
+  /**
+   * Return shelved alerts whose shelve period ended to their previous status
+   */
+  async unshelveExpiredAlerts() {
+    try {
+      const alerts = await Alert.find({ status: 'shelved', shelved_until: { $lte: new Date() } });
+      
+      for (const alert of alerts) {
+        alert.applyTransition('unshelve', { user: 'system', note: 'Shelve period ended' });
+        await alert.save();
+        console.log(`Alert ${alert.alert_id} unshelved: shelve period ended`);
+        this.emit('alert_unshelved', alert);
+      }
+      
+      return alerts.length;
+      
+    } catch (error) {
+      console.error('Error unshelving expired alerts:', error);
+      return 0;
+    }
+  }
+  
+  /**
+   * Resolve the incident of a resolved alert when none of the incident's alerts
+   * is left unresolved. Returns the resolved incident, or null.
+   */
+  async reevaluateIncidentResolution(alert) {
+    try {
+      if (!alert.incident_id) {
+        return null;
+      }
+      
+      const incident = await Incident.findById(alert.incident_id);
+      if (!incident || !AUTO_RESOLVABLE_INCIDENT_STATES.includes(incident.state)) {
+        return null;
+      }
+      
+      const unresolved = await Alert.countDocuments({
+        $or: [{ _id: { $in: incident.alerts } }, { incident_id: incident._id }],
+        status: { $ne: 'resolved' }
+      });
+      if (unresolved > 0) {
+        return null;
+      }
+      
+      const now = new Date();
+      incident.state = 'resolved';
+      incident.resolvedAt = now;
+      incident.status_history.push({
+        status: 'resolved',
+        changed_by: 'system',
+        changed_at: now,
+        reason: `All alerts cleared (last: ${alert.alert_id})`
+      });
+      
+      // Similar-incident searches match resolved incidents by signature
+      await incident.computeSignature();
+      await incident.save();
+      
+      this.stats.incidents_auto_resolved++;
+      console.log(`Incident ${incident.incident_id} resolved: all ${incident.alert_count} alerts cleared`);
+      this.emit('incident_resolved', incident);
+      return incident;
+      
+    } catch (error) {
+      console.error('Error re-evaluating incident resolution:', error);
+      return null;
+    }
+  }
+  
   /**
    * Check if alert is a duplicate of recent alerts
    */
@@ -242,57 +634,116 @@ class AlertCorrelationService extends EventEmitter {
   
   /**
    * Perform correlation analysis for an alert
+   *
+   * @param {Object} alert - alert to correlate
+   * @param {Object} backtest - replay state from backtestCorrelation; when given, rules,
+   *   related alerts and incidents come from it and nothing is written to the database
    */
-  async performCorrelation(alert) {
+  async performCorrelation(alert, backtest = null) {
     try {
-      console.log(`Performing correlation analysis for alert: ${alert.alert_id}`);
+      if (!backtest) {
+        console.log(`Performing correlation analysis for alert: ${alert.alert_id}`);
+      }
       
       // Find matching correlation rules
-      const matchingRules = this.findMatchingRules(alert);
+      const matchingRules = await this.findMatchingRules(alert, backtest);
       
       if (matchingRules.length === 0) {
         // No correlation rules match - check for existing incident by device
-        await this.checkDeviceIncident(alert);
+        if (backtest) {
+          this.checkBacktestDeviceIncident(alert, backtest);
+        } else {
+          await this.checkDeviceIncident(alert);
+        }
         return;
       }
       
       // Process each matching rule
       for (const rule of matchingRules) {
-        await this.processCorrelationRule(alert, rule);
+        await this.processCorrelationRule(alert, rule, backtest);
       }
       
     } catch (error) {
       console.error('Error performing correlation:', error);
-      this.stats.correlation_errors++;
+      if (backtest) {
+        backtest.errors++;
+      } else {
+        this.stats.correlation_errors++;
+      }
     }
   }
   
   /**
    * Find correlation rules that match the alert
    */
-  findMatchingRules(alert) {
-    const matchingRules = [];
+  async findMatchingRules(alert, backtest = null) {
+    const candidates = [];
+    const rules = backtest ? backtest.rules : this.correlationRules;
     
-    for (const [ruleId, rule] of this.correlationRules) {
+    for (const [ruleId, rule] of rules) {
       // Check if alert type matches rule trigger types
       if (rule.trigger_types.includes(alert.type)) {
-        matchingRules.push({ id: ruleId, ...rule });
+        candidates.push({ id: ruleId, ...rule });
       }
     }
     
-    return matchingRules;
+    // Scoped rules only apply to alerts from devices at their sites / of their types
+    const scoped = candidates.some(rule => rule.scope.sites.length > 0 || rule.scope.device_types.length > 0);
+    if (!scoped) {
+      return candidates;
+    }
+    
+    let device;
+    if (backtest && backtest.deviceCache.has(alert.device)) {
+      device = backtest.deviceCache.get(alert.device);
+    } else {
+      device = await Device.findOne({ hostname: alert.device }, { site: 1, device_type: 1 }).lean();
+      if (backtest) backtest.deviceCache.set(alert.device, device);
+    }
+    return candidates.filter(rule => this.isRuleInScope(rule, device));
+  }
+  
+  /**
+   * Whether a device falls within a rule's scope
+   */
+  isRuleInScope(rule, device) {
+    if (rule.scope.sites.length > 0 && !(device && rule.scope.sites.includes(device.site))) {
+      return false;
+    }
+    if (rule.scope.device_types.length > 0 && !(device && rule.scope.device_types.includes(device.device_type))) {
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Record that a rule correlated alerts
+   */
+  async recordRuleMatch(rule) {
+    try {
+      await CorrelationRule.updateOne(
+        { rule_id: rule.id },
+        { $inc: { 'statistics.match_count': 1 }, $set: { 'statistics.last_matched': new Date() } }
+      );
+    } catch (error) {
+      console.error('Error recording correlation rule match:', error);
+    }
   }
   
   /**
    * Process a specific correlation rule for an alert
    */
-  async processCorrelationRule(alert, rule) {
+  async processCorrelationRule(alert, rule, backtest = null) {
     try {
       // Find related alerts based on the rule
-      const relatedAlerts = await this.findRelatedAlerts(alert, rule);
+      const relatedAlerts = backtest
+        ? await this.findBacktestRelatedAlerts(alert, rule, backtest)
+        : await this.findRelatedAlerts(alert, rule);
       
       if (relatedAlerts.length === 0) {
-        console.log(`No related alerts found for rule: ${rule.name}`);
+        if (!backtest) {
+          console.log(`No related alerts found for rule: ${rule.name}`);
+        }
         return;
       }
       
@@ -300,12 +751,20 @@ class AlertCorrelationService extends EventEmitter {
       const confidence = this.calculateCorrelationConfidence(alert, relatedAlerts, rule);
       
       if (confidence < this.config.min_correlation_confidence) {
-        console.log(`Correlation confidence too low: ${confidence} < ${this.config.min_correlation_confidence}`);
+        if (!backtest) {
+          console.log(`Correlation confidence too low: ${confidence} < ${this.config.min_correlation_confidence}`);
+        }
+        return;
+      }
+      
+      if (backtest) {
+        this.recordBacktestIncident(alert, relatedAlerts, rule, confidence, backtest);
         return;
       }
       
       // Check for existing incident or create new one
       await this.createOrUpdateIncident(alert, relatedAlerts, rule, confidence);
+      await this.recordRuleMatch(rule);
       
     } catch (error) {
       console.error('Error processing correlation rule:', error);
@@ -618,6 +1077,237 @@ class AlertCorrelationService extends EventEmitter {
     }
   }
   
+  /**
+   * Replay stored alerts from a time range through performCorrelation without writing
+   * anything, and compare the incidents it would have created with the actual ones.
+   *
+   * @param {Object} options
+   * @param {Date} options.from - range start
+   * @param {Date} options.to - range end
+   * @param {Array} options.rules - rule definitions to test (unsaved, or changed copies of stored rules)
+   * @param {Array} options.rule_ids - stored rules to test, enabled or not
+   * @param {String} options.mode - 'merge' tests the candidates on top of the enabled rules
+   *   (replacing rules with the same rule_id), 'only' tests the candidates alone
+   * @param {Number} options.max_alerts - refuse ranges holding more alerts than this
+   */
+  async backtestCorrelation(options) {
+    const { from, to, rules = [], rule_ids = [], mode = 'merge', max_alerts = 50000 } = options;
+    const startTime = Date.now();
+    
+    // Candidate rules, validated like stored rules
+    const candidates = new Map();
+    for (const definition of rules) {
+      const rule = new CorrelationRule(definition);
+      await rule.validate();
+      candidates.set(rule.rule_id || `candidate-${candidates.size + 1}`, this.buildRuleEntry(rule));
+    }
+    if (rule_ids.length > 0) {
+      const stored = await CorrelationRule.find({ rule_id: { $in: rule_ids } }).lean();
+      stored.forEach(rule => candidates.set(rule.rule_id, this.buildRuleEntry(rule)));
+    }
+    
+    const ruleSet = mode === 'only' ? candidates : new Map([...this.correlationRules, ...candidates]);
+    
+    const alertCount = await Alert.countDocuments({ createdAt: { $gte: from, $lt: to } });
+    if (alertCount > max_alerts) {
+      const error = new Error(`Range holds ${alertCount} alerts, more than the backtest limit of ${max_alerts}`);
+      error.code = 'BACKTEST_TOO_LARGE';
+      throw error;
+    }
+    
+    const alerts = await Alert.find({ createdAt: { $gte: from, $lt: to } }).sort({ createdAt: 1 }).lean();
+    
+    const backtest = {
+      rules: ruleSet,
+      alerts,
+      position: 0, // Index of the alert being replayed; later alerts had not arrived yet
+      incidentByAlert: new Map(), // Alert _id -> simulated incident
+      incidents: [],
+      deviceCache: new Map(),
+      topologyCache: new Map(),
+      errors: 0
+    };
+    
+    for (let i = 0; i < alerts.length; i++) {
+      backtest.position = i;
+      await this.performCorrelation(alerts[i], backtest);
+    }
+    
+    const correlatedAlerts = backtest.incidentByAlert.size;
+    const actualIncidents = await Incident.find(
+      { createdAt: { $gte: from, $lt: to } },
+      { incident_id: 1, title: 1, alerts: 1, createdAt: 1 }
+    ).lean();
+    
+    return {
+      range: { from, to },
+      mode,
+      rules_evaluated: Array.from(ruleSet.keys()),
+      candidate_rules: Array.from(candidates.keys()),
+      alerts_replayed: alerts.length,
+      alerts_correlated: correlatedAlerts,
+      incidents_would_create: backtest.incidents.length,
+      // Alerts an operator would see per incident; uncorrelated alerts count as their own item
+      compression_ratio: alerts.length > 0
+        ? Math.round((alerts.length / (backtest.incidents.length + alerts.length - correlatedAlerts)) * 100) / 100
+        : null,
+      alerts_per_incident: backtest.incidents.length > 0
+        ? Math.round((correlatedAlerts / backtest.incidents.length) * 100) / 100
+        : null,
+      incidents: backtest.incidents.map(incident => ({
+        id: incident.id,
+        rule_id: incident.rule_id,
+        rule_name: incident.rule_name,
+        primary_alert: incident.primary_alert,
+        alert_count: incident.alerts.size,
+        affected_devices: Array.from(incident.devices),
+        first_alert_time: incident.first_alert_time,
+        confidence: incident.confidence
+      })),
+      diff: this.diffBacktestIncidents(backtest.incidents, actualIncidents),
+      errors: backtest.errors,
+      duration_ms: Date.now() - startTime
+    };
+  }
+  
+  /**
+   * In-memory equivalent of findRelatedAlerts over the replayed alerts:
+   * alerts of the rule's correlated types that arrived within the rule's window.
+   * Alert status is ignored, as most replayed alerts have been resolved since.
+   */
+  async findBacktestRelatedAlerts(alert, rule, backtest) {
+    const timeWindow = rule.time_window || this.config.correlation_window;
+    const windowStart = alert.createdAt.getTime() - timeWindow;
+    
+    let devices = [alert.device];
+    if (rule.topology_dependent && this.config.topology_aware) {
+      if (!backtest.topologyCache.has(alert.device)) {
+        backtest.topologyCache.set(alert.device, await this.findTopologicallyRelatedDevices(alert.device));
+      }
+      devices = devices.concat(backtest.topologyCache.get(alert.device));
+    }
+    
+    const related = [];
+    for (let i = backtest.position - 1; i >= 0; i--) {
+      const candidate = backtest.alerts[i];
+      if (candidate.createdAt.getTime() < windowStart) {
+        break;
+      }
+      if (rule.correlated_types.includes(candidate.type) && devices.includes(candidate.device)) {
+        related.unshift(candidate);
+      }
+    }
+    return related;
+  }
+  
+  /**
+   * In-memory equivalent of createOrUpdateIncident
+   */
+  recordBacktestIncident(primaryAlert, relatedAlerts, rule, confidence, backtest) {
+    const existing = relatedAlerts
+      .map(alert => backtest.incidentByAlert.get(alert._id.toString()))
+      .find(Boolean);
+    
+    let incident = existing;
+    if (!incident) {
+      incident = {
+        id: `BT-${backtest.incidents.length + 1}`,
+        rule_id: rule.id,
+        rule_name: rule.name,
+        primary_alert: primaryAlert.alert_id,
+        alerts: new Set(),
+        devices: new Set(),
+        first_alert_time: primaryAlert.createdAt,
+        created_at: primaryAlert.createdAt,
+        confidence
+      };
+      backtest.incidents.push(incident);
+    }
+    
+    [primaryAlert, ...relatedAlerts].forEach(alert => {
+      const id = alert._id.toString();
+      if (!backtest.incidentByAlert.has(id)) {
+        backtest.incidentByAlert.set(id, incident);
+        incident.alerts.add(id);
+        incident.devices.add(alert.device);
+        if (alert.createdAt < incident.first_alert_time) {
+          incident.first_alert_time = alert.createdAt;
+        }
+      }
+    });
+  }
+  
+  /**
+   * In-memory equivalent of checkDeviceIncident
+   */
+  checkBacktestDeviceIncident(alert, backtest) {
+    const windowStart = alert.createdAt.getTime() - this.config.correlation_window;
+    const incident = backtest.incidents.find(candidate =>
+      candidate.devices.has(alert.device) && candidate.created_at.getTime() >= windowStart
+    );
+    
+    const id = alert._id.toString();
+    if (incident && !backtest.incidentByAlert.has(id)) {
+      backtest.incidentByAlert.set(id, incident);
+      incident.alerts.add(id);
+    }
+  }
+  
+  /**
+   * Compare simulated incidents with actual ones by the alerts they share.
+   * Each simulated incident is paired with the actual incident it shares most alerts with.
+   */
+  diffBacktestIncidents(simulatedIncidents, actualIncidents) {
+    const matched = [];
+    const wouldCreate = [];
+    const pairedActual = new Set();
+    
+    simulatedIncidents.forEach(simulated => {
+      let best = null;
+      let bestShared = 0;
+      
+      actualIncidents.forEach(actual => {
+        const shared = (actual.alerts || []).filter(alertId => simulated.alerts.has(alertId.toString())).length;
+        if (shared > bestShared) {
+          best = actual;
+          bestShared = shared;
+        }
+      });
+      
+      if (!best) {
+        wouldCreate.push({ id: simulated.id, rule_id: simulated.rule_id, alert_count: simulated.alerts.size });
+        return;
+      }
+      
+      pairedActual.add(best.incident_id);
+      const union = new Set([...simulated.alerts, ...(best.alerts || []).map(alertId => alertId.toString())]).size;
+      matched.push({
+        id: simulated.id,
+        incident_id: best.incident_id,
+        shared_alerts: bestShared,
+        simulated_alerts: simulated.alerts.size,
+        actual_alerts: (best.alerts || []).length,
+        similarity: Math.round((bestShared / union) * 100) / 100
+      });
+    });
+    
+    const wouldNotCreate = actualIncidents
+      .filter(actual => !pairedActual.has(actual.incident_id))
+      .map(actual => ({ incident_id: actual.incident_id, title: actual.title, alert_count: (actual.alerts || []).length }));
+    
+    return {
+      matched,
+      would_create: wouldCreate,
+      would_not_create: wouldNotCreate,
+      summary: {
+        matched: matched.length,
+        identical: matched.filter(match => match.similarity === 1).length,
+        would_create: wouldCreate.length,
+        would_not_create: wouldNotCreate.length
+      }
+    };
+  }
+  
   /**
    * Generate incident title based on primary alert and rule
    */
@@ -721,6 +1411,23 @@ class AlertCorrelationService extends EventEmitter {
     setInterval(() => {
       this.resetStatistics();
     }, 60 * 60 * 1000);
+    
+    // Reload correlation rules every minute to pick up changes made by other instances
+    setInterval(() => {
+      this.loadCorrelationRules();
+    }, 60 * 1000);
+    
+    // Return shelved alerts whose shelve period ended
+    setInterval(() => {
+      this.unshelveExpiredAlerts();
+    }, 60 * 1000);
+    
+    // Release alerts suppressed behind outages that were cleared outside the poller
+    setInterval(() => {
+      if (this.config.topology_suppression_enabled) {
+        this.releaseOrphanedSuppressions();
+      }
+    }, 60 * 1000);
   }
   
   /**
@@ -732,6 +1439,7 @@ class AlertCorrelationService extends EventEmitter {
       incidents_created: this.stats.incidents_created,
       alerts_correlated: this.stats.alerts_correlated,
       deduplication_hits: this.stats.deduplication_hits,
+      alerts_suppressed: this.stats.alerts_suppressed,
       correlation_errors: this.stats.correlation_errors,
       average_correlation_time: Math.round(this.stats.average_correlation_time),
       queue_size: this.processingQueue.length,
@@ -748,6 +1456,9 @@ class AlertCorrelationService extends EventEmitter {
       incidents_created: 0,
       alerts_correlated: 0,
       deduplication_hits: 0,
+      alerts_suppressed: 0,
+      alerts_unsuppressed: 0,
+      incidents_auto_resolved: 0,
       correlation_errors: 0,
       average_correlation_time: 0,
       last_reset: Date.now()
@@ -771,6 +1482,7 @@ class AlertCorrelationService extends EventEmitter {
     this.processingQueue = [];
     this.correlationCache.clear();
     this.activeCorrelations.clear();
+    this.outages = null;
     console.log('Alert Correlation Service stopped');
     this.emit('service_stopped');
   }
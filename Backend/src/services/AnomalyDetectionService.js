@@ -0,0 +1,271 @@
+const EventEmitter = require('events');
+const Alert = require('../models/Alert');
+const MetricBaseline = require('../models/MetricBaseline');
+const { MetricSample5m } = require('../models/MetricSample');
+const { METRICS } = require('../config/thresholds');
+const seasonalBaseline = require('../utils/seasonalBaseline');
+
+// Display details for metrics that have no threshold definition
+const TRAFFIC_METRICS = {
+  in_bps: { category: 'performance', unit: 'bps', label: 'Inbound traffic' },
+  out_bps: { category: 'performance', unit: 'bps', label: 'Outbound traffic' }
+};
+
+/**
+ * Anomaly Detection Service
+ * Learns an hour-of-week baseline for every device metric series from the 5 minute
+ * metric buckets and raises `anomaly` alerts when a bucket deviates from its baseline
+ * by more than the z-score threshold. Alerts resolve automatically once the series
+ * returns close to its baseline. Evaluation is driven by MetricRollupService, so every
+ * 5 minute bucket is scored once, right after it is written.
+ */
+class AnomalyDetectionService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // Service configuration
+    this.config = {
+      metrics: options.metrics || [
+        'cpu', 'memory', 'temperature', 'interface_utilization',
+        'interface_errors', 'interface_drops', 'in_bps', 'out_bps'
+      ],
+      z_threshold: options.z_threshold || 4, // Standard deviations from baseline that raise an anomaly
+      clear_threshold: options.clear_threshold || 2, // Standard deviations at or below which it is resolved
+      alpha: options.alpha || 0.05, // EWMA weight of a new bucket (about two weeks of memory per slot)
+      anomaly_learning_weight: options.anomaly_learning_weight || 0.25, // Anomalous buckets are learned at a quarter of alpha
+      min_samples: options.min_samples || 12, // One week of 5 minute buckets before a slot is scored
+      relative_min_stddev: options.relative_min_stddev || 0.05, // Spread floor as a fraction of the mean
+      min_stddev: options.min_stddev || { // Absolute spread floor per metric
+        cpu: 2,
+        memory: 2,
+        temperature: 1,
+        interface_utilization: 2,
+        interface_errors: 1,
+        interface_drops: 1
+      }
+    };
+
+    // Service state
+    this.running = false;
+    this.evaluationChain = Promise.resolve(); // Windows are evaluated one after another
+
+    // Statistics
+    this.stats = {
+      windows_evaluated: 0,
+      buckets_scored: 0,
+      buckets_learning: 0,
+      anomalies_detected: 0,
+      anomalies_resolved: 0,
+      evaluation_failures: 0,
+      last_evaluation: null,
+      last_reset: Date.now()
+    };
+  }
+
+  /**
+   * Queue evaluation of the 5 minute buckets in [from, to)
+   */
+  evaluateWindow(from, to) {
+    this.evaluationChain = this.evaluationChain
+      .then(() => this.running ? this.detectAnomalies(from, to) : null)
+      .catch(error => {
+        console.error('Error detecting metric anomalies:', error);
+        this.stats.evaluation_failures++;
+      });
+    return this.evaluationChain;
+  }
+
+  /**
+   * Score the buckets of a window against their baselines, raise or resolve
+   * anomaly alerts, and learn the buckets into the baselines
+   */
+  async detectAnomalies(from, to) {
+    const buckets = await MetricSample5m.find({
+      timestamp: { $gte: from, $lt: to },
+      'meta.metric': { $in: this.config.metrics }
+    }).sort({ timestamp: 1 }).lean();
+
+    if (buckets.length === 0) {
+      return { raised: [], resolved: [] };
+    }
+
+    const slots = [...new Set(buckets.map(bucket => seasonalBaseline.hourOfWeek(bucket.timestamp)))];
+    const baselines = new Map(
+      (await MetricBaseline.find({ hour_of_week: { $in: slots }, metric: { $in: this.config.metrics } }))
+        .map(baseline => [
+          seasonalBaseline.buildBaselineKey(baseline.device, baseline.metric, baseline.instance, baseline.hour_of_week),
+          baseline
+        ])
+    );
+
+    const activeAlerts = new Map(
+      (await Alert.find({
+        type: 'anomaly',
+        status: { $in: Alert.ACTIVE_ALERT_STATUSES },
+        'custom_fields.anomaly_key': { $exists: true }
+      })).map(alert => [alert.custom_fields.anomaly_key, alert])
+    );
+
+    const raised = [];
+    const resolved = [];
+    const updatedBaselines = new Set();
+
+    for (const bucket of buckets) {
+      const { device, metric, instance } = bucket.meta;
+      const slot = seasonalBaseline.hourOfWeek(bucket.timestamp);
+      const slotKey = seasonalBaseline.buildBaselineKey(device, metric, instance, slot);
+      const seriesKey = instance ? `${device}:${metric}:${instance}` : `${device}:${metric}`;
+
+      let baseline = baselines.get(slotKey);
+      if (!baseline) {
+        baseline = new MetricBaseline({ device, metric, instance: instance || null, hour_of_week: slot });
+        baselines.set(slotKey, baseline);
+      }
+
+      const score = seasonalBaseline.scoreValue(baseline, bucket.value, {
+        min_samples: this.config.min_samples,
+        min_stddev: this.config.min_stddev[metric],
+        relative_min_stddev: this.config.relative_min_stddev
+      });
+      const anomalous = Boolean(score) && Math.abs(score.deviation) >= this.config.z_threshold;
+      const active = activeAlerts.get(seriesKey);
+
+      if (score) {
+        this.stats.buckets_scored++;
+      } else {
+        this.stats.buckets_learning++;
+      }
+
+      if (anomalous && !active) {
+        const alert = this.buildAnomalyAlert(bucket, score, seriesKey, slot);
+        await alert.save();
+        activeAlerts.set(seriesKey, alert);
+        raised.push(alert.alert_id);
+        this.stats.anomalies_detected++;
+        this.emit('alert_created', alert);
+      } else if (anomalous && active) {
+        active.occurrence_count += 1;
+        active.last_occurrence = bucket.timestamp;
+        await active.save();
+      } else if (active && score && Math.abs(score.deviation) <= this.config.clear_threshold) {
+        // Series is back within its normal range
+        active.applyTransition('resolve', {
+          user: 'system',
+          resolution_code: 'auto_cleared',
+          note: `${seriesKey} back within its normal range at ${bucket.value}`
+        });
+        active.custom_fields = { ...active.custom_fields, resolution: 'auto_cleared', cleared_value: bucket.value };
+        await active.save();
+        activeAlerts.delete(seriesKey);
+        resolved.push(active.alert_id);
+        this.stats.anomalies_resolved++;
+        this.emit('alert_resolved', active);
+      }
+
+      // Anomalies are learned slowly so a lasting shift still becomes the new normal
+      const alpha = anomalous ? this.config.alpha * this.config.anomaly_learning_weight : this.config.alpha;
+      Object.assign(baseline, seasonalBaseline.updateBaseline(baseline, bucket.value, alpha), {
+        last_value: bucket.value,
+        last_sample_at: bucket.timestamp,
+        updatedAt: new Date()
+      });
+      updatedBaselines.add(baseline);
+    }
+
+    await Promise.all(Array.from(updatedBaselines).map(baseline => baseline.save()));
+
+    this.stats.windows_evaluated++;
+    this.stats.last_evaluation = new Date();
+
+    return { raised, resolved };
+  }
+
+  /**
+   * Build the alert for an anomalous bucket
+   */
+  buildAnomalyAlert(bucket, score, seriesKey, slot) {
+    const { device, metric, instance } = bucket.meta;
+    const details = METRICS[metric] || TRAFFIC_METRICS[metric] || { category: 'performance', unit: '', label: metric };
+    const direction = score.deviation > 0 ? 'above' : 'below';
+
+    return new Alert({
+      alert_id: Alert.generateAlertId(),
+      device,
+      type: 'anomaly',
+      category: details.category,
+      severity: Math.abs(score.deviation) >= this.config.z_threshold * 2 ? 'major' : 'minor',
+      message: `${details.label}${instance ? ` on ${instance}` : ''} is ${bucket.value}${details.unit} on ${device}, ` +
+        `${direction} the expected ${score.expected}${details.unit} for this time of week (z=${score.deviation})`,
+      normalized_data: {
+        metric,
+        instance,
+        unit: details.unit,
+        expected: score.expected,
+        observed: bucket.value,
+        stddev: score.stddev,
+        deviation: score.deviation,
+        direction,
+        hour_of_week: slot,
+        method: 'seasonal_ewma'
+      },
+      source_system: 'anomaly_detection',
+      first_occurrence: bucket.timestamp,
+      last_occurrence: bucket.timestamp,
+      telemetry_data: {
+        expected: score.expected,
+        observed: bucket.value,
+        deviation: score.deviation,
+        custom_metrics: { [metric]: bucket.value }
+      },
+      tags: [`metric:${metric}`, 'anomaly'].concat(instance ? [`interface:${instance}`] : []),
+      custom_fields: { anomaly_key: seriesKey }
+    });
+  }
+
+  /**
+   * Reset statistics
+   */
+  resetStatistics() {
+    this.stats = {
+      windows_evaluated: 0,
+      buckets_scored: 0,
+      buckets_learning: 0,
+      anomalies_detected: 0,
+      anomalies_resolved: 0,
+      evaluation_failures: 0,
+      last_evaluation: null,
+      last_reset: Date.now()
+    };
+  }
+
+  /**
+   * Start the anomaly detection service
+   */
+  start() {
+    this.running = true;
+    console.log('Anomaly Detection Service started');
+    this.emit('service_started');
+  }
+
+  /**
+   * Stop the anomaly detection service
+   */
+  stop() {
+    this.running = false;
+    console.log('Anomaly Detection Service stopped');
+    this.emit('service_stopped');
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      config: this.config,
+      statistics: this.stats
+    };
+  }
+}
+
+module.exports = AnomalyDetectionService;
@@ -3,6 +3,21 @@ const TelemetryCollector = require('./TelemetryCollector');
 const AlertCorrelationService = require('./AlertCorrelationService');
 const RootCauseAnalysisEngine = require('./RootCauseAnalysisEngine');
 const RemediationEngine = require('./RemediationEngine');
+const MetricRollupService = require('./MetricRollupService');
+const AnomalyDetectionService = require('./AnomalyDetectionService');
+const ReachabilityPoller = require('./ReachabilityPoller');
+const ConfigComplianceService = require('./ConfigComplianceService');
+
+/**
+ * Comma-separated environment list ("snmp, syslog"), trimmed and without empty
+ * entries; undefined when the variable is not set
+ */
+function parseListEnv(value) {
+  if (!value) {
+    return undefined;
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
 
 /**
  * Autonomous Network Healing Service
@@ -11,6 +26,9 @@ const RemediationEngine = require('./RemediationEngine');
  * - Alert correlation and incident creation
  * - Root cause analysis
  * - Automated remediation
+ * - Device metric history downsampling and anomaly detection
+ * - Device reachability polling
+ * - Configuration collection and golden config compliance
  */
 class AutonomousHealingService extends EventEmitter {
   constructor(options = {}) {
@@ -23,6 +41,10 @@ class AutonomousHealingService extends EventEmitter {
       correlation_enabled: options.correlation_enabled !== undefined ? options.correlation_enabled : true,
       rca_enabled: options.rca_enabled !== undefined ? options.rca_enabled : true,
       remediation_enabled: options.remediation_enabled !== undefined ? options.remediation_enabled : true,
+      metric_rollup_enabled: options.metric_rollup_enabled !== undefined ? options.metric_rollup_enabled : true,
+      anomaly_detection_enabled: options.anomaly_detection_enabled !== undefined ? options.anomaly_detection_enabled : true,
+      reachability_enabled: options.reachability_enabled !== undefined ? options.reachability_enabled : true,
+      config_compliance_enabled: options.config_compliance_enabled !== undefined ? options.config_compliance_enabled : true,
       auto_remediation: options.auto_remediation !== undefined ? options.auto_remediation : false, // Start with manual approval
       healing_mode: options.healing_mode || 'conservative', // conservative, moderate, aggressive
       max_concurrent_incidents: options.max_concurrent_incidents || 10, // Maximum incidents to process simultaneously
@@ -36,7 +58,11 @@ class AutonomousHealingService extends EventEmitter {
       telemetryCollector: null,
       alertCorrelation: null,
       rcaEngine: null,
-      remediationEngine: null
+      remediationEngine: null,
+      metricRollup: null,
+      anomalyDetection: null,
+      reachabilityPoller: null,
+      configCompliance: null
     };
     
     // Service state
@@ -59,7 +85,11 @@ class AutonomousHealingService extends EventEmitter {
         telemetry_collector: 'unknown',
         alert_correlation: 'unknown',
         rca_engine: 'unknown',
-        remediation_engine: 'unknown'
+        remediation_engine: 'unknown',
+        metric_rollup: 'unknown',
+        anomaly_detection: 'unknown',
+        reachability_poller: 'unknown',
+        config_compliance: 'unknown'
       },
       last_reset: Date.now()
     };
@@ -108,7 +138,13 @@ class AutonomousHealingService extends EventEmitter {
           this.services.telemetryCollector = new TelemetryCollector({
             snmp_port: process.env.SNMP_PORT || 1162, // Use alternative port 1162 instead of 162
             syslog_port: process.env.SYSLOG_PORT || 1514, // Use alternative port 1514 instead of 514
-            enabled_sources: ['snmp', 'syslog'],
+            syslog_tcp_port: process.env.SYSLOG_TCP_PORT || 1601,
+            syslog_tls_port: process.env.SYSLOG_TLS_PORT || 6514,
+            syslog_tls_cert: process.env.SYSLOG_TLS_CERT,
+            syslog_tls_key: process.env.SYSLOG_TLS_KEY,
+            syslog_tls_ca: process.env.SYSLOG_TLS_CA,
+            enabled_sources: parseListEnv(process.env.TELEMETRY_SOURCES) || ['snmp', 'syslog', 'streaming'],
+            snmp_allowed_versions: parseListEnv(process.env.SNMP_ALLOWED_VERSIONS),
             max_events_per_second: 1000
           });
           console.log('✅ Telemetry Collector initialized');
@@ -165,6 +201,60 @@ class AutonomousHealingService extends EventEmitter {
         }
       }
       
+      // Initialize Metric Rollup Service
+      if (this.config.metric_rollup_enabled) {
+        try {
+          this.services.metricRollup = new MetricRollupService({
+            rollup_interval: 60000 // Check for completed buckets every minute
+          });
+          console.log('✅ Metric Rollup Service initialized');
+        } catch (error) {
+          console.warn('⚠️  Metric Rollup Service initialization failed:', error.message);
+          this.services.metricRollup = null;
+        }
+      }
+      
+      // Initialize Anomaly Detection Service (scores the buckets written by the rollup service)
+      if (this.config.anomaly_detection_enabled && this.services.metricRollup) {
+        try {
+          this.services.anomalyDetection = new AnomalyDetectionService({
+            z_threshold: process.env.ANOMALY_Z_THRESHOLD ? parseFloat(process.env.ANOMALY_Z_THRESHOLD) : undefined
+          });
+          console.log('✅ Anomaly Detection Service initialized');
+        } catch (error) {
+          console.warn('⚠️  Anomaly Detection Service initialization failed:', error.message);
+          this.services.anomalyDetection = null;
+        }
+      }
+      
+      // Initialize Reachability Poller
+      if (this.config.reachability_enabled) {
+        try {
+          this.services.reachabilityPoller = new ReachabilityPoller({
+            poll_interval: process.env.REACHABILITY_INTERVAL ? parseInt(process.env.REACHABILITY_INTERVAL) * 1000 : undefined,
+            probes: parseListEnv(process.env.REACHABILITY_PROBES),
+            retries: process.env.REACHABILITY_RETRIES !== undefined ? parseInt(process.env.REACHABILITY_RETRIES) : undefined
+          });
+          console.log('✅ Reachability Poller initialized');
+        } catch (error) {
+          console.warn('⚠️  Reachability Poller initialization failed:', error.message);
+          this.services.reachabilityPoller = null;
+        }
+      }
+      
+      // Initialize Config Compliance Service
+      if (this.config.config_compliance_enabled) {
+        try {
+          this.services.configCompliance = new ConfigComplianceService({
+            collection_interval: process.env.CONFIG_COLLECTION_INTERVAL ? parseInt(process.env.CONFIG_COLLECTION_INTERVAL) * 1000 : undefined
+          });
+          console.log('✅ Config Compliance Service initialized');
+        } catch (error) {
+          console.warn('⚠️  Config Compliance Service initialization failed:', error.message);
+          this.services.configCompliance = null;
+        }
+      }
+      
       console.log('All component services initialized');
       
     } catch (error) {
@@ -207,6 +297,92 @@ class AutonomousHealingService extends EventEmitter {
           console.error('Error processing alert for correlation:', error);
         }
       });
+      
+      // Cleared alerts may close their incident
+      this.services.telemetryCollector.on('alert_resolved', async (alert) => {
+        await this.services.alertCorrelation.reevaluateIncidentResolution(alert);
+      });
+    }
+    
+    // Metric Rollup -> Anomaly Detection (score each batch of 5 minute buckets)
+    if (this.services.metricRollup && this.services.anomalyDetection) {
+      this.services.metricRollup.on('rollup_completed', ({ tier, from, to }) => {
+        if (tier === '5m') {
+          this.services.anomalyDetection.evaluateWindow(from, to);
+        }
+      });
+    }
+    
+    // Anomaly Detection -> Alert Correlation
+    if (this.services.anomalyDetection && this.services.alertCorrelation) {
+      this.services.anomalyDetection.on('alert_created', async (alert) => {
+        try {
+          this.stats.total_alerts_processed++;
+          await this.services.alertCorrelation.processAlert(alert);
+        } catch (error) {
+          console.error('Error processing anomaly alert for correlation:', error);
+        }
+      });
+      
+      this.services.anomalyDetection.on('alert_resolved', async (alert) => {
+        await this.services.alertCorrelation.reevaluateIncidentResolution(alert);
+      });
+    }
+    
+    // Reachability Poller -> Alert Correlation
+    if (this.services.reachabilityPoller && this.services.alertCorrelation) {
+      this.services.reachabilityPoller.on('alert_created', async (alert) => {
+        try {
+          this.services.alertCorrelation.trackOutage(alert);
+          this.stats.total_alerts_processed++;
+          await this.services.alertCorrelation.processAlert(alert);
+        } catch (error) {
+          console.error('Error processing reachability alert for correlation:', error);
+        }
+      });
+      
+      // Outage changes drive topology suppression of the alerts behind the device
+      this.services.reachabilityPoller.on('alert_updated', async (alert) => {
+        this.services.alertCorrelation.trackOutage(alert);
+        if (alert.normalized_data.status === 'DOWN') {
+          await this.services.alertCorrelation.suppressDownstreamAlerts(alert);
+        } else {
+          await this.services.alertCorrelation.releaseSuppressedAlerts(alert);
+        }
+      });
+      
+      this.services.reachabilityPoller.on('alert_resolved', async (alert) => {
+        this.services.alertCorrelation.trackOutage(alert);
+        await this.services.alertCorrelation.releaseSuppressedAlerts(alert);
+        await this.services.alertCorrelation.reevaluateIncidentResolution(alert);
+      });
+    }
+    
+    // Config Compliance -> Alert Correlation
+    if (this.services.configCompliance && this.services.alertCorrelation) {
+      this.services.configCompliance.on('alert_created', async (alert) => {
+        try {
+          this.stats.total_alerts_processed++;
+          await this.services.alertCorrelation.processAlert(alert);
+        } catch (error) {
+          console.error('Error processing config drift alert for correlation:', error);
+        }
+      });
+      
+      this.services.configCompliance.on('alert_resolved', async (alert) => {
+        await this.services.alertCorrelation.reevaluateIncidentResolution(alert);
+      });
+    }
+    
+    // Config Compliance -> Remediation Engine (fixes wait for approval like any other action)
+    if (this.services.configCompliance && this.services.remediationEngine) {
+      this.services.configCompliance.on('drift_detected', async ({ device, golden, alert }) => {
+        try {
+          await this.services.remediationEngine.createComplianceAction(device, golden, alert);
+        } catch (error) {
+          console.error('Error proposing config drift fix:', error);
+        }
+      });
     }
     
     // Alert Correlation -> RCA Engine
@@ -242,6 +418,14 @@ class AutonomousHealingService extends EventEmitter {
           console.error('Error handling incident update:', error);
         }
       });
+      
+      // An incident whose alerts all cleared needs no further healing
+      this.services.alertCorrelation.on('incident_resolved', (incident) => {
+        const pipelineData = this.healingPipeline.get(incident.incident_id);
+        if (pipelineData && !['completed', 'failed'].includes(pipelineData.stage)) {
+          this.completePipeline(incident.incident_id, true, 'All incident alerts cleared');
+        }
+      });
     }
     
     // RCA Engine -> Remediation Engine
@@ -753,7 +937,11 @@ class AutonomousHealingService extends EventEmitter {
         telemetry_collector: !!this.services.telemetryCollector,
         alert_correlation: !!this.services.alertCorrelation,
         rca_engine: !!this.services.rcaEngine,
-        remediation_engine: !!this.services.remediationEngine
+        remediation_engine: !!this.services.remediationEngine,
+        metric_rollup: !!this.services.metricRollup,
+        anomaly_detection: !!this.services.anomalyDetection,
+        reachability_poller: !!this.services.reachabilityPoller,
+        config_compliance: !!this.services.configCompliance
       }
     };
   }
@@ -858,6 +1046,22 @@ class AutonomousHealingService extends EventEmitter {
         this.services.remediationEngine.start();
       }
       
+      if (this.services.anomalyDetection) {
+        this.services.anomalyDetection.start();
+      }
+      
+      if (this.services.metricRollup) {
+        this.services.metricRollup.start();
+      }
+      
+      if (this.services.reachabilityPoller) {
+        this.services.reachabilityPoller.start();
+      }
+      
+      if (this.services.configCompliance) {
+        this.services.configCompliance.start();
+      }
+      
       console.log('Autonomous Network Healing Service started successfully');
       console.log(`Healing mode: ${this.config.healing_mode}`);
       console.log(`Auto-remediation: ${this.config.auto_remediation ? 'enabled' : 'disabled'}`);
@@ -880,6 +1084,22 @@ class AutonomousHealingService extends EventEmitter {
       this.running = false;
       
       // Stop component services
+      if (this.services.configCompliance) {
+        this.services.configCompliance.stop();
+      }
+      
+      if (this.services.reachabilityPoller) {
+        this.services.reachabilityPoller.stop();
+      }
+      
+      if (this.services.metricRollup) {
+        this.services.metricRollup.stop();
+      }
+      
+      if (this.services.anomalyDetection) {
+        this.services.anomalyDetection.stop();
+      }
+      
       if (this.services.remediationEngine) {
         this.services.remediationEngine.stop();
       }
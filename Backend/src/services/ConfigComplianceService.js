@@ -0,0 +1,347 @@
+const EventEmitter = require('events');
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const ConfigSnapshot = require('../models/ConfigSnapshot');
+const GoldenConfig = require('../models/GoldenConfig');
+const drivers = require('../drivers');
+const configCompliance = require('../utils/configCompliance');
+
+// Execution methods the running configuration is read with, in order of preference,
+// and the Device flag that makes each available. Golden configs are CLI text, so only
+// drivers that run CLI commands qualify.
+const COLLECTION_METHODS = [
+  { method: 'cli', flag: 'ssh_enabled' },
+  { method: 'rest_api', flag: 'api_enabled' }
+];
+
+/**
+ * Config Compliance Service
+ * Periodically collects the running configuration of every device and checks it
+ * against the golden config of the device's role:
+ * - a configuration that changed since the last collection is stored as a new
+ *   ConfigSnapshot version
+ * - a device that violates its golden config gets a config_drift alert listing the
+ *   violating stanzas, updated when they change and resolved automatically once the
+ *   device complies again
+ * - drift_detected is emitted for golden configs that allow remediation, for the fix
+ *   to be proposed through the Remediation Engine's approval path
+ */
+class ConfigComplianceService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // Service configuration
+    this.config = {
+      collection_interval: options.collection_interval || 3600000, // Collect every device every hour
+      max_concurrent_collections: options.max_concurrent_collections || 5, // Devices collected in parallel
+      driver_options: options.driver_options || {} // Device driver options (connect_timeout, command_timeout, request_timeout)
+    };
+
+    // Service state
+    this.running = false;
+    this.collectionInProgress = false;
+    this.collectionTimer = null;
+    this.lastCollection = null;
+    this.reports = new Map(); // hostname -> latest compliance report
+
+    // Statistics
+    this.stats = {
+      collections_completed: 0,
+      devices_collected: 0,
+      collection_errors: 0,
+      snapshots_stored: 0,
+      alerts_raised: 0,
+      alerts_updated: 0,
+      alerts_cleared: 0,
+      devices_by_status: {},
+      last_reset: Date.now()
+    };
+  }
+
+  /**
+   * Setup periodic collection
+   */
+  setupPeriodicTasks() {
+    this.collectionTimer = setInterval(() => {
+      this.collectAllDevices();
+    }, this.config.collection_interval);
+  }
+
+  /**
+   * Collect and check every reachable device that can be read
+   */
+  async collectAllDevices() {
+    if (this.collectionInProgress) {
+      return;
+    }
+    this.collectionInProgress = true;
+
+    try {
+      const devices = await Device.find({
+        status: 'UP',
+        $or: COLLECTION_METHODS.map(({ flag }) => ({ [flag]: true }))
+      });
+      const activeAlerts = await Alert.find({
+        type: 'config_drift',
+        status: { $in: Alert.ACTIVE_ALERT_STATUSES },
+        'custom_fields.drift_key': { $exists: true }
+      });
+      const activeByDevice = new Map(activeAlerts.map(alert => [alert.device, alert]));
+
+      for (let i = 0; i < devices.length; i += this.config.max_concurrent_collections) {
+        const batch = devices.slice(i, i + this.config.max_concurrent_collections);
+        await Promise.all(batch.map(device => this.checkDevice(device, activeByDevice.get(device.hostname))));
+      }
+
+      this.stats.devices_by_status = {};
+      this.reports.forEach(report => {
+        this.stats.devices_by_status[report.status] = (this.stats.devices_by_status[report.status] || 0) + 1;
+      });
+      this.stats.collections_completed++;
+      this.lastCollection = new Date();
+
+    } catch (error) {
+      console.error('Error collecting device configurations:', error);
+    } finally {
+      this.collectionInProgress = false;
+    }
+  }
+
+  /**
+   * Collect a device's configuration, check it against its golden config and
+   * raise, update or clear its config_drift alert
+   *
+   * @returns {Object|null} compliance report, null when the configuration could not be collected
+   */
+  async checkDevice(device, activeAlert = null) {
+    try {
+      const snapshot = await this.collectConfig(device);
+      const role = await GoldenConfig.getDeviceRole(device);
+      const golden = await GoldenConfig.findForDevice(device, role);
+      const report = configCompliance.buildReport(device, golden, snapshot, role);
+
+      this.reports.set(device.hostname, report);
+      await this.applyReport(device, golden, report, activeAlert);
+
+      return report;
+
+    } catch (error) {
+      this.stats.collection_errors++;
+      console.error(`Error checking configuration compliance of ${device.hostname}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Execution method to read a device's configuration with, null when it has none
+   */
+  getCollectionMethod(device) {
+    const available = COLLECTION_METHODS.find(({ method, flag }) => {
+      if (!device[flag]) {
+        return false;
+      }
+      const DriverClass = drivers.getDriverClass(method, device);
+      return Boolean(DriverClass && DriverClass.acceptsCLICommands);
+    });
+    return available ? available.method : null;
+  }
+
+  /**
+   * Read a device's running configuration and store it when it changed since the
+   * latest collected snapshot
+   *
+   * @returns {Object} the snapshot holding the current configuration
+   */
+  async collectConfig(device) {
+    const method = this.getCollectionMethod(device);
+    if (!method) {
+      throw new Error(`No CLI or HTTP API access to ${device.hostname}`);
+    }
+
+    const driver = drivers.createDriver(method, device, this.config.driver_options);
+    let running;
+    try {
+      await driver.connect();
+      running = await driver.getRunningConfig();
+    } finally {
+      await driver.disconnect();
+    }
+    this.stats.devices_collected++;
+
+    const latest = await ConfigSnapshot.findLatestCollected(device.hostname, running.format);
+    if (latest && latest.content_hash === ConfigSnapshot.hashContent(running.content)) {
+      return latest;
+    }
+
+    const snapshot = await ConfigSnapshot.createVersion({
+      device: device.hostname,
+      method,
+      format: running.format,
+      content: running.content,
+      reason: 'scheduled'
+    });
+    this.stats.snapshots_stored++;
+
+    await Device.updateOne({ _id: device._id }, {
+      $set: { config_version: snapshot.content_hash, last_config_change: snapshot.createdAt }
+    });
+    if (latest) {
+      console.log(`Configuration of ${device.hostname} changed: version ${latest.version} -> ${snapshot.version}`);
+      this.emit('config_changed', { device: device.hostname, previous_version: latest.version, version: snapshot.version });
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Raise, update or clear the config_drift alert of a device from its report
+   */
+  async applyReport(device, golden, report, activeAlert) {
+    // Nothing to say while the configuration could not be checked
+    if (report.status === 'error' || report.status === 'no_snapshot') {
+      if (report.error) {
+        console.warn(`Compliance of ${device.hostname} not checked: ${report.error}`);
+      }
+      return;
+    }
+
+    if (report.status !== 'non_compliant') {
+      if (activeAlert) {
+        activeAlert.applyTransition('resolve', {
+          user: 'system',
+          resolution_code: 'auto_cleared',
+          note: report.status === 'compliant'
+            ? `Configuration complies with golden config ${report.golden_config} as of version ${report.snapshot_version}`
+            : `No golden config applies to ${device.hostname} any more`
+        });
+        activeAlert.custom_fields = { ...activeAlert.custom_fields, resolution: 'auto_cleared' };
+        await activeAlert.save();
+        this.stats.alerts_cleared++;
+        this.emit('alert_resolved', activeAlert);
+      }
+      return;
+    }
+
+    const normalizedData = {
+      golden_config: report.golden_config,
+      role: report.role,
+      snapshot_version: report.snapshot_version,
+      summary: report.summary,
+      violations: report.violations
+    };
+
+    let alert = activeAlert;
+    if (alert) {
+      // Still drifted; follow changes to the violations
+      if (JSON.stringify(alert.normalized_data.violations) === JSON.stringify(report.violations)) {
+        return;
+      }
+      alert.severity = golden.severity;
+      alert.message = this.buildAlertMessage(device, report);
+      alert.normalized_data = normalizedData;
+      alert.last_occurrence = new Date();
+      alert.occurrence_count++;
+      await alert.save();
+      this.stats.alerts_updated++;
+      this.emit('alert_updated', alert);
+
+    } else {
+      alert = new Alert({
+        alert_id: Alert.generateAlertId(),
+        device: device.hostname,
+        device_ip: device.mgmt_ip,
+        type: 'config_drift',
+        category: 'system',
+        severity: golden.severity,
+        message: this.buildAlertMessage(device, report),
+        normalized_data: normalizedData,
+        source_system: 'config_compliance',
+        tags: [`golden_config:${golden.name}`],
+        custom_fields: { drift_key: device.hostname }
+      });
+      await alert.save();
+      this.stats.alerts_raised++;
+      this.emit('alert_created', alert);
+    }
+
+    if (golden.remediate) {
+      this.emit('drift_detected', { device, golden, report, alert });
+    }
+  }
+
+  /**
+   * Alert message for a device that violates its golden config
+   */
+  buildAlertMessage(device, report) {
+    const { stanzas, missing_lines, extra_lines } = report.summary;
+    return `Configuration of ${device.hostname} deviates from golden config ${report.golden_config}: ` +
+      `${stanzas} stanza${stanzas === 1 ? '' : 's'} (${missing_lines} missing, ${extra_lines} unexpected lines)`;
+  }
+
+  /**
+   * Latest compliance report of a device, null before its first check
+   */
+  getReport(hostname) {
+    return this.reports.get(hostname) || null;
+  }
+
+  /**
+   * Reset statistics
+   */
+  resetStatistics() {
+    this.stats = {
+      collections_completed: 0,
+      devices_collected: 0,
+      collection_errors: 0,
+      snapshots_stored: 0,
+      alerts_raised: 0,
+      alerts_updated: 0,
+      alerts_cleared: 0,
+      devices_by_status: {},
+      last_reset: Date.now()
+    };
+  }
+
+  /**
+   * Start the config compliance service
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.setupPeriodicTasks();
+
+    // Check devices now rather than one collection interval after startup
+    this.collectAllDevices();
+    console.log('Config Compliance Service started');
+    this.emit('service_started');
+  }
+
+  /**
+   * Stop the config compliance service
+   */
+  stop() {
+    this.running = false;
+    if (this.collectionTimer) {
+      clearInterval(this.collectionTimer);
+      this.collectionTimer = null;
+    }
+    console.log('Config Compliance Service stopped');
+    this.emit('service_stopped');
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      config: this.config,
+      statistics: this.stats,
+      last_collection: this.lastCollection
+    };
+  }
+}
+
+module.exports = ConfigComplianceService;
@@ -0,0 +1,217 @@
+const EventEmitter = require('events');
+const { RETENTION_TIERS, TIER_MODELS } = require('../models/MetricSample');
+
+/**
+ * Metric Rollup Service
+ * Downsamples the device metric history into its retention tiers:
+ * raw samples (kept 24 hours) into 5 minute buckets (kept 30 days), and
+ * 5 minute buckets into hourly buckets (kept a year). Each bucket keeps the
+ * average, minimum, maximum and sample count of the tier it was built from.
+ * Expiry of old data is left to the TTL of each time-series collection.
+ * Emits `rollup_completed` with the tier and time range of every batch written.
+ */
+class MetricRollupService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // Service configuration
+    this.config = {
+      rollup_interval: options.rollup_interval || 60000, // Check for completed buckets every minute
+      rollup_delay: options.rollup_delay || 60000, // Wait for late samples before closing a bucket
+      max_buckets_per_run: options.max_buckets_per_run || 288 // Catch up at most one day of 5 minute buckets per run
+    };
+
+    // Tiers built from another tier, finest first
+    this.rollupTiers = RETENTION_TIERS.filter(tier => tier.source);
+
+    // Service state
+    this.running = false;
+    this.rollupInProgress = false;
+    this.rollupTimer = null;
+    this.lastRollup = {}; // Last completed bucket end per tier
+
+    // Statistics
+    this.stats = {
+      rollup_runs: 0,
+      rollup_failures: 0,
+      buckets_written: Object.fromEntries(this.rollupTiers.map(tier => [tier.name, 0])),
+      last_reset: Date.now()
+    };
+  }
+
+  /**
+   * Setup periodic rollups
+   */
+  setupPeriodicTasks() {
+    this.rollupTimer = setInterval(() => {
+      this.runRollups();
+    }, this.config.rollup_interval);
+  }
+
+  /**
+   * Roll up every tier in order, so hourly buckets see the 5 minute buckets written in the same run
+   */
+  async runRollups(now = new Date()) {
+    if (this.rollupInProgress) {
+      return;
+    }
+    this.rollupInProgress = true;
+
+    try {
+      for (const tier of this.rollupTiers) {
+        const written = await this.rollupTier(tier, now);
+        this.stats.buckets_written[tier.name] += written;
+      }
+      this.stats.rollup_runs++;
+    } catch (error) {
+      console.error('Error rolling up metric samples:', error);
+      this.stats.rollup_failures++;
+    } finally {
+      this.rollupInProgress = false;
+    }
+  }
+
+  /**
+   * Aggregate the completed buckets of a tier that have not been written yet
+   *
+   * @param {Object} tier - entry of RETENTION_TIERS with a source tier
+   * @param {Date} now - current time
+   * @returns {Number} buckets written
+   */
+  async rollupTier(tier, now) {
+    const source = TIER_MODELS[tier.source];
+    const target = TIER_MODELS[tier.name];
+    const bucketMs = tier.resolution * 1000;
+    const sourceTier = RETENTION_TIERS.find(t => t.name === tier.source);
+
+    // Only buckets that ended before the late sample allowance are complete
+    let end = Math.floor((now.getTime() - this.config.rollup_delay) / bucketMs) * bucketMs;
+
+    const start = await this.getRollupStart(tier, source, target, now, sourceTier);
+    if (start === null || start >= end) {
+      return 0;
+    }
+    end = Math.min(end, start + this.config.max_buckets_per_run * bucketMs);
+
+    const buckets = await source.aggregate([
+      { $match: { timestamp: { $gte: new Date(start), $lt: new Date(end) } } },
+      {
+        $group: {
+          _id: {
+            device: '$meta.device',
+            metric: '$meta.metric',
+            instance: '$meta.instance',
+            timestamp: { $dateTrunc: { date: '$timestamp', unit: 'second', binSize: tier.resolution } }
+          },
+          weighted_sum: { $sum: { $multiply: ['$value', { $ifNull: ['$count', 1] }] } },
+          count: { $sum: { $ifNull: ['$count', 1] } },
+          min: { $min: { $ifNull: ['$min', '$value'] } },
+          max: { $max: { $ifNull: ['$max', '$value'] } }
+        }
+      }
+    ]);
+
+    if (buckets.length > 0) {
+      await target.insertMany(buckets.map(bucket => ({
+        timestamp: bucket._id.timestamp,
+        meta: {
+          device: bucket._id.device,
+          metric: bucket._id.metric,
+          instance: bucket._id.instance
+        },
+        value: Math.round((bucket.weighted_sum / bucket.count) * 100) / 100,
+        min: bucket.min,
+        max: bucket.max,
+        count: bucket.count
+      })), { ordered: false });
+    }
+
+    this.lastRollup[tier.name] = new Date(end);
+
+    if (buckets.length > 0) {
+      this.emit('rollup_completed', { tier: tier.name, from: new Date(start), to: new Date(end), buckets: buckets.length });
+    }
+    return buckets.length;
+  }
+
+  /**
+   * Start of the first bucket still to be rolled up: the end of the newest bucket in
+   * the target tier, or the start of the oldest bucket still retained in the source tier
+   */
+  async getRollupStart(tier, source, target, now, sourceTier) {
+    const bucketMs = tier.resolution * 1000;
+    const retainedFrom = now.getTime() - sourceTier.retention * 1000;
+
+    if (this.lastRollup[tier.name]) {
+      return Math.max(this.lastRollup[tier.name].getTime(), retainedFrom);
+    }
+
+    const newest = await target.findOne({}, { timestamp: 1 }).sort({ timestamp: -1 }).lean();
+    if (newest) {
+      return Math.max(newest.timestamp.getTime() + bucketMs, Math.ceil(retainedFrom / bucketMs) * bucketMs);
+    }
+
+    const oldest = await source.findOne({}, { timestamp: 1 }).sort({ timestamp: 1 }).lean();
+    if (!oldest) {
+      return null;
+    }
+    return Math.floor(Math.max(oldest.timestamp.getTime(), retainedFrom) / bucketMs) * bucketMs;
+  }
+
+  /**
+   * Reset statistics
+   */
+  resetStatistics() {
+    this.stats = {
+      rollup_runs: 0,
+      rollup_failures: 0,
+      buckets_written: Object.fromEntries(this.rollupTiers.map(tier => [tier.name, 0])),
+      last_reset: Date.now()
+    };
+  }
+
+  /**
+   * Start the rollup service
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.setupPeriodicTasks();
+    console.log('Metric Rollup Service started');
+    this.emit('service_started');
+  }
+
+  /**
+   * Stop the rollup service
+   */
+  stop() {
+    this.running = false;
+    if (this.rollupTimer) {
+      clearInterval(this.rollupTimer);
+      this.rollupTimer = null;
+    }
+    console.log('Metric Rollup Service stopped');
+    this.emit('service_stopped');
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      config: this.config,
+      statistics: this.stats,
+      tiers: RETENTION_TIERS.map(tier => ({
+        name: tier.name,
+        resolution: tier.resolution,
+        retention: tier.retention,
+        last_rollup: this.lastRollup[tier.name] || null
+      }))
+    };
+  }
+}
+
+module.exports = MetricRollupService;
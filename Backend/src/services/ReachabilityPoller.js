@@ -0,0 +1,316 @@
+const EventEmitter = require('events');
+const Device = require('../models/Device');
+const Alert = require('../models/Alert');
+const reachabilityProbes = require('../utils/reachabilityProbes');
+
+/**
+ * Reachability Poller
+ * Periodically probes the management address of every device and keeps Device.status current:
+ * - UP: at least one probe got an answer
+ * - UNREACHABLE: no answer, and either the network reported no route to the device or
+ *   a device it depends on is not UP (its state cannot be determined)
+ * - DOWN: no answer although the path to it is available
+ * A device that stops answering gets a device_unreachable alert, resolved automatically
+ * when it answers again. Failed polls are retried with exponential backoff before the
+ * device is declared down.
+ */
+class ReachabilityPoller extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // Service configuration
+    this.config = {
+      poll_interval: options.poll_interval || 60000, // Poll every device every minute
+      probes: options.probes || ['tcp:22', 'tcp:830', 'tcp:443', 'icmp'], // Default probes (Device.reachability_probes overrides)
+      probe_timeout: options.probe_timeout || 2000, // Per probe timeout
+      retries: options.retries !== undefined ? options.retries : 2, // Extra attempts before a device is declared down
+      retry_backoff: options.retry_backoff || 1000, // First retry delay, doubled for each further retry
+      max_concurrent_polls: options.max_concurrent_polls || 20 // Devices probed in parallel
+    };
+
+    // Service state
+    this.running = false;
+    this.pollInProgress = false;
+    this.pollTimer = null;
+    this.lastPoll = null;
+
+    // Statistics
+    this.stats = {
+      polls_completed: 0,
+      devices_polled: 0,
+      probes_sent: 0,
+      retries: 0,
+      status_changes: 0,
+      alerts_raised: 0,
+      alerts_cleared: 0,
+      devices_by_status: { UP: 0, DOWN: 0, UNREACHABLE: 0 },
+      last_reset: Date.now()
+    };
+  }
+
+  /**
+   * Setup periodic polling
+   */
+  setupPeriodicTasks() {
+    this.pollTimer = setInterval(() => {
+      this.pollAllDevices();
+    }, this.config.poll_interval);
+  }
+
+  /**
+   * Poll every device with a management address
+   */
+  async pollAllDevices() {
+    if (this.pollInProgress) {
+      return;
+    }
+    this.pollInProgress = true;
+
+    try {
+      const devices = await Device.find({ mgmt_ip: { $exists: true, $ne: '' } });
+      const activeAlerts = await Alert.find({
+        type: 'device_unreachable',
+        status: { $in: Alert.ACTIVE_ALERT_STATUSES },
+        'custom_fields.reachability_key': { $exists: true }
+      });
+      const activeByDevice = new Map(activeAlerts.map(alert => [alert.device, alert]));
+
+      // Probe in batches, then classify with every device's fresh result available
+      const results = new Map();
+      for (let i = 0; i < devices.length; i += this.config.max_concurrent_polls) {
+        const batch = devices.slice(i, i + this.config.max_concurrent_polls);
+        const batchResults = await Promise.all(batch.map(device => this.pollDevice(device)));
+        batch.forEach((device, index) => results.set(device._id.toString(), batchResults[index]));
+      }
+
+      // Provisional status, so upstream failures are known whatever the device order
+      const statusById = new Map();
+      devices.forEach(device => {
+        const result = results.get(device._id.toString());
+        const provisional = result.responded === null ? device.status : (result.responded ? 'UP' : 'DOWN');
+        statusById.set(device._id.toString(), provisional);
+      });
+
+      for (const device of devices) {
+        const result = results.get(device._id.toString());
+        const status = result.responded ? 'UP' : this.classifyFailure(device, result, statusById);
+        statusById.set(device._id.toString(), status);
+        await this.applyStatus(device, status, result, activeByDevice.get(device.hostname));
+      }
+
+      this.stats.devices_by_status = { UP: 0, DOWN: 0, UNREACHABLE: 0 };
+      statusById.forEach(status => this.stats.devices_by_status[status]++);
+      this.stats.polls_completed++;
+      this.lastPoll = new Date();
+
+    } catch (error) {
+      console.error('Error polling device reachability:', error);
+    } finally {
+      this.pollInProgress = false;
+    }
+  }
+
+  /**
+   * Probe a device, retrying with exponential backoff while nothing answers
+   *
+   * @returns {Object} { responded, attempts, probes: [probe results of the last attempt] }
+   */
+  async pollDevice(device) {
+    const probes = this.getDeviceProbes(device);
+    let attempt = 0;
+    let results = [];
+
+    while (true) {
+      results = await Promise.all(probes.map(probe =>
+        reachabilityProbes.runProbe(probe, device.mgmt_ip, this.config.probe_timeout)
+      ));
+      this.stats.probes_sent += probes.length;
+
+      const usable = results.filter(result => !result.unsupported);
+      if (usable.some(result => result.responded) || attempt >= this.config.retries || usable.length === 0) {
+        break;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.config.retry_backoff * 2 ** attempt));
+      attempt++;
+      this.stats.retries++;
+    }
+
+    this.stats.devices_polled++;
+    const usable = results.filter(result => !result.unsupported);
+
+    return {
+      // Without any usable probe nothing is known, so the current status is kept
+      responded: usable.length === 0 ? null : usable.some(result => result.responded),
+      attempts: attempt + 1,
+      probes: results
+    };
+  }
+
+  /**
+   * Probes for a device: its own list when set, otherwise the poller defaults
+   */
+  getDeviceProbes(device) {
+    const specs = device.reachability_probes && device.reachability_probes.length > 0
+      ? device.reachability_probes
+      : this.config.probes;
+
+    return specs.map(spec => reachabilityProbes.parseProbe(spec)).filter(Boolean);
+  }
+
+  /**
+   * Status of a device that did not answer
+   */
+  classifyFailure(device, result, statusById) {
+    if (result.responded === null) {
+      return device.status;
+    }
+
+    const noRoute = result.probes.some(probe => reachabilityProbes.isUnreachableError(probe));
+    const upstreamFailed = (device.dependencies || []).some(dependency => {
+      const status = statusById.get(dependency.toString());
+      return status && status !== 'UP';
+    });
+
+    return noRoute || upstreamFailed ? 'UNREACHABLE' : 'DOWN';
+  }
+
+  /**
+   * Store a device's status and raise, update or clear its device_unreachable alert
+   */
+  async applyStatus(device, status, result, activeAlert) {
+    const now = new Date();
+    const update = { status, last_reachability_check: now };
+
+    if (status === 'UP') {
+      update.last_seen = now;
+    }
+    if (status !== device.status) {
+      update.last_status_change = now;
+      this.stats.status_changes++;
+      console.log(`Device ${device.hostname} status changed: ${device.status} -> ${status}`);
+      this.emit('device_status_changed', { device: device.hostname, previous: device.status, status });
+    }
+
+    await Device.updateOne({ _id: device._id }, { $set: update });
+
+    if (status === 'UP') {
+      if (activeAlert) {
+        activeAlert.applyTransition('resolve', {
+          user: 'system',
+          resolution_code: 'auto_cleared',
+          note: `${device.hostname} answers again`
+        });
+        activeAlert.custom_fields = { ...activeAlert.custom_fields, resolution: 'auto_cleared' };
+        await activeAlert.save();
+        this.stats.alerts_cleared++;
+        this.emit('alert_resolved', activeAlert);
+      }
+      return;
+    }
+
+    const severity = status === 'DOWN' ? 'critical' : 'major';
+    const normalizedData = {
+      status,
+      attempts: result.attempts,
+      probes: result.probes.map(({ probe, responded, response_time, error }) => ({ probe, responded, response_time, error }))
+    };
+
+    if (activeAlert) {
+      // Still out; follow DOWN <-> UNREACHABLE changes
+      if (activeAlert.normalized_data.status !== status) {
+        activeAlert.severity = severity;
+        activeAlert.message = this.buildAlertMessage(device, status);
+        activeAlert.normalized_data = normalizedData;
+        activeAlert.last_occurrence = now;
+        await activeAlert.save();
+        this.emit('alert_updated', activeAlert);
+      }
+      return;
+    }
+
+    const alert = new Alert({
+      alert_id: Alert.generateAlertId(),
+      device: device.hostname,
+      device_ip: device.mgmt_ip,
+      type: 'device_unreachable',
+      category: 'network',
+      severity,
+      message: this.buildAlertMessage(device, status),
+      normalized_data: normalizedData,
+      source_system: 'reachability_poller',
+      tags: [`status:${status.toLowerCase()}`],
+      custom_fields: { reachability_key: device.hostname }
+    });
+
+    await alert.save();
+    this.stats.alerts_raised++;
+    this.emit('alert_created', alert);
+  }
+
+  /**
+   * Alert message for a device that does not answer
+   */
+  buildAlertMessage(device, status) {
+    return status === 'DOWN'
+      ? `Device ${device.hostname} (${device.mgmt_ip}) is not responding to reachability probes`
+      : `Device ${device.hostname} (${device.mgmt_ip}) is unreachable: no route or an upstream device is down`;
+  }
+
+  /**
+   * Reset statistics
+   */
+  resetStatistics() {
+    this.stats = {
+      polls_completed: 0,
+      devices_polled: 0,
+      probes_sent: 0,
+      retries: 0,
+      status_changes: 0,
+      alerts_raised: 0,
+      alerts_cleared: 0,
+      devices_by_status: { UP: 0, DOWN: 0, UNREACHABLE: 0 },
+      last_reset: Date.now()
+    };
+  }
+
+  /**
+   * Start the reachability poller
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.setupPeriodicTasks();
+    console.log('Reachability Poller started');
+    this.emit('service_started');
+  }
+
+  /**
+   * Stop the reachability poller
+   */
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    console.log('Reachability Poller stopped');
+    this.emit('service_stopped');
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      config: this.config,
+      statistics: this.stats,
+      last_poll: this.lastPoll
+    };
+  }
+}
+
+module.exports = ReachabilityPoller;
@@ -3,6 +3,12 @@ const Action = require('../models/Action');
 const Incident = require('../models/Incident');
 const Device = require('../models/Device');
 const Policy = require('../models/Policy');
+const ConfigSnapshot = require('../models/ConfigSnapshot');
+const GoldenConfig = require('../models/GoldenConfig');
+const drivers = require('../drivers');
+const netconf = require('../drivers/netconfProtocol');
+const configDiff = require('../utils/configDiff');
+const configCompliance = require('../utils/configCompliance');
 
 /**
  * Remediation Engine
@@ -23,7 +29,9 @@ class RemediationEngine extends EventEmitter {
       verification_timeout: options.verification_timeout || 60000, // 1 minute verification timeout
       cooldown_period: options.cooldown_period || 300000, // 5 minutes between actions on same device
       max_retries: options.max_retries || 3, // Maximum retry attempts
-      safety_checks_enabled: true // Enable comprehensive safety checks
+      safety_checks_enabled: true, // Enable comprehensive safety checks
+      config_backup_enabled: options.config_backup_enabled !== false, // Snapshot the running config before configuration actions
+      driver_options: options.driver_options || {} // Device driver options (connect_timeout, command_timeout, request_timeout, confirm_timeout)
     };
     
     // Remediation action templates
@@ -35,6 +43,7 @@ class RemediationEngine extends EventEmitter {
     this.executionQueue = [];
     this.activeExecutions = new Map();
     this.deviceCooldowns = new Map(); // Track per-device cooldown periods
+    this.driverSessions = new Map(); // action_id -> Map of execution method -> connected driver
     
     // Statistics
     this.stats = {
@@ -45,6 +54,10 @@ class RemediationEngine extends EventEmitter {
       auto_approved_actions: 0,
       manual_approval_required: 0,
       safety_check_failures: 0,
+      driver_sessions_opened: 0,
+      driver_errors: 0,
+      config_backups: 0,
+      config_restores: 0,
       average_execution_time: 0,
       last_reset: Date.now()
     };
@@ -85,12 +98,11 @@ class RemediationEngine extends EventEmitter {
       risk_level: 'low',
       requires_approval: false,
       estimated_duration: 30,
-      methods: ['netconf', 'cli'],
+      methods: ['netconf', 'rest_api', 'cli'],
       pre_checks: ['verify_interface_exists', 'check_interface_status'],
       verification_steps: ['check_interface_operational', 'verify_connectivity'],
       rollback_plan: {
-        description: 'Disable interface if issues occur',
-        commands: ['shutdown interface'],
+        description: 'Disable interface if issues occur', // Commands from generateRollbackCommands
         automatic: true
       }
     });
@@ -154,7 +166,7 @@ class RemediationEngine extends EventEmitter {
       risk_level: 'high',
       requires_approval: true,
       estimated_duration: 90,
-      methods: ['netconf'],
+      methods: ['netconf', 'rest_api'],
       pre_checks: ['verify_interface_exists', 'validate_configuration'],
       verification_steps: ['check_interface_config', 'verify_connectivity'],
       rollback_plan: {
@@ -180,6 +192,23 @@ class RemediationEngine extends EventEmitter {
       }
     });
     
+    // Template 7: Apply golden configuration
+    this.actionTemplates.set('apply_golden_config', {
+      name: 'Apply Golden Configuration',
+      description: 'Bring a device configuration that drifted back in line with its golden config',
+      category: 'configuration',
+      risk_level: 'medium',
+      requires_approval: true,
+      estimated_duration: 120,
+      methods: ['cli', 'rest_api'],
+      pre_checks: ['check_device_accessibility'],
+      verification_steps: ['verify_config_compliance'],
+      rollback_plan: {
+        description: 'Restore the configuration backed up before the change',
+        automatic: true
+      }
+    });
+    
     console.log(`Loaded ${this.actionTemplates.size} action templates`);
   }
   
@@ -478,9 +507,10 @@ class RemediationEngine extends EventEmitter {
         rollback_plan: template.rollback_plan,
         execution_context: 'autonomous_healing'
       });
+      action.rollback_plan.commands = this.generateRollbackCommands(action);
       
       // Generate action steps
-      action.action_steps = await this.generateActionSteps(action, template);
+      action.action_steps = await this.generateActionSteps(action, template, device);
       
       await action.save();
       
@@ -501,6 +531,11 @@ class RemediationEngine extends EventEmitter {
       return 'netconf';
     }
     
+    // Then the device's HTTP API (RESTCONF, eAPI, NX-API)
+    if (device.api_enabled && availableMethods.includes('rest_api')) {
+      return 'rest_api';
+    }
+    
     // Fall back to CLI if SSH is available
     if (device.ssh_enabled && availableMethods.includes('cli')) {
       return 'cli';
@@ -517,12 +552,15 @@ class RemediationEngine extends EventEmitter {
   
   /**
    * Generate detailed action steps
+   *
+   * @param {Object} device - target Device, looked up when not given
    */
-  async generateActionSteps(action, template) {
+  async generateActionSteps(action, template, device = null) {
     const steps = [];
     
     try {
       let stepNumber = 1;
+      const commandMethod = await this.getCommandStepMethod(action, device);
       
       // Pre-execution steps
       if (template.pre_checks) {
@@ -531,6 +569,7 @@ class RemediationEngine extends EventEmitter {
             step_number: stepNumber++,
             description: `Pre-check: ${check}`,
             command: this.generatePreCheckCommand(check, action),
+            method: commandMethod,
             expected_result: 'Success',
             timeout: 30,
             critical: true
@@ -539,10 +578,11 @@ class RemediationEngine extends EventEmitter {
       }
       
       // Main execution steps
-      const mainSteps = this.generateMainExecutionSteps(action, template);
+      const mainSteps = this.generateMainExecutionSteps(action, template, commandMethod);
       mainSteps.forEach(step => {
         steps.push({
           step_number: stepNumber++,
+          method: commandMethod,
           ...step
         });
       });
@@ -554,6 +594,7 @@ class RemediationEngine extends EventEmitter {
             step_number: stepNumber++,
             description: `Verification: ${verification}`,
             command: this.generateVerificationCommand(verification, action),
+            method: commandMethod,
             expected_result: 'Success',
             timeout: 30,
             critical: false
@@ -568,6 +609,23 @@ class RemediationEngine extends EventEmitter {
     return steps;
   }
   
+  /**
+   * Method of the steps that run CLI commands. Actions whose driver takes protocol
+   * payloads (NETCONF XML, RESTCONF YANG-JSON) only carry their configuration
+   * changes that way; show, clear and ping commands still go over SSH.
+   *
+   * @returns {string|undefined} 'cli', or undefined when the action's method runs CLI commands itself
+   */
+  async getCommandStepMethod(action, device = null) {
+    if (action.method === 'cli') {
+      return undefined;
+    }
+    
+    const target = device || await Device.findOne({ hostname: action.target_device });
+    const DriverClass = target ? drivers.getDriverClass(action.method, target) : null;
+    return DriverClass && DriverClass.acceptsCLICommands ? undefined : 'cli';
+  }
+  
   /**
    * Generate pre-check commands
    */
@@ -590,14 +648,20 @@ class RemediationEngine extends EventEmitter {
   /**
    * Generate main execution steps based on action type
    */
-  generateMainExecutionSteps(action, template) {
+  generateMainExecutionSteps(action, template, commandMethod) {
     const steps = [];
     
     switch (action.type) {
       case 'enable_interface':
         steps.push({
           description: `Enable interface ${action.parameters.interface_name}`,
-          command: `interface ${action.parameters.interface_name}\nno shutdown`,
+          ...this.generateInterfaceConfigChange(
+            action,
+            commandMethod,
+            { interface_name: action.parameters.interface_name, enable_interface: true },
+            `interface ${action.parameters.interface_name}\nno shutdown`
+          ),
+          mode: 'config',
           expected_result: 'Interface enabled',
           timeout: 60,
           critical: true
@@ -637,13 +701,30 @@ class RemediationEngine extends EventEmitter {
       case 'update_interface_config':
         steps.push({
           description: `Update interface configuration`,
-          command: this.generateInterfaceConfigCommands(action.parameters),
+          ...this.generateInterfaceConfigChange(
+            action,
+            commandMethod,
+            action.parameters,
+            this.generateInterfaceConfigCommands(action.parameters)
+          ),
+          mode: 'config',
           expected_result: 'Configuration updated',
           timeout: 90,
           critical: true
         });
         break;
         
+      case 'apply_golden_config':
+        steps.push({
+          description: `Apply golden config ${action.parameters.golden_config}`,
+          command: (action.parameters.commands || []).join('\n'),
+          mode: 'config',
+          expected_result: 'Configuration compliant',
+          timeout: 120,
+          critical: true
+        });
+        break;
+        
       case 'reload_device_config':
         steps.push({
           description: `Reload device with backup configuration`,
@@ -681,12 +762,27 @@ class RemediationEngine extends EventEmitter {
       'verify_service_functionality': `show ${action.parameters.service_name} status`,
       'check_interface_config': `show running-config interface ${action.parameters.interface_name}`,
       'check_device_online': `show version`,
-      'verify_all_services': `show processes cpu sort`
+      'verify_all_services': `show processes cpu sort`,
+      'verify_config_compliance': `show running-config`
     };
     
     return commandMap[verification] || `# Verification: ${verification}`;
   }
   
+  /**
+   * Generate the configuration-mode commands that undo an action's change, for
+   * rollbacks without a configuration snapshot to restore
+   */
+  generateRollbackCommands(action) {
+    const commandMap = {
+      'enable_interface': action.parameters.interface_name
+        ? [`interface ${action.parameters.interface_name}`, 'shutdown']
+        : []
+    };
+    
+    return commandMap[action.type] || [];
+  }
+  
   /**
    * Generate interface configuration commands
    */
@@ -708,6 +804,75 @@ class RemediationEngine extends EventEmitter {
     return commands.join('\n');
   }
   
+  /**
+   * Command and method of an interface configuration step: the CLI lines when the
+   * action's method runs CLI commands, otherwise the payload of its protocol
+   */
+  generateInterfaceConfigChange(action, commandMethod, parameters, cliCommands) {
+    if (commandMethod === undefined) {
+      return { command: cliCommands };
+    }
+    
+    return {
+      command: action.method === 'netconf'
+        ? this.generateInterfaceConfigXML(parameters)
+        : this.generateInterfaceConfigRESTCONF(parameters),
+      method: action.method
+    };
+  }
+  
+  /**
+   * Generate interface configuration as an ietf-interfaces (RFC 8343) edit-config payload
+   */
+  generateInterfaceConfigXML(parameters) {
+    const elements = [`<name>${netconf.escapeXml(parameters.interface_name)}</name>`];
+    
+    if (parameters.description) {
+      elements.push(`<description>${netconf.escapeXml(parameters.description)}</description>`);
+    }
+    
+    if (parameters.enable_interface) {
+      elements.push('<enabled>true</enabled>');
+    }
+    
+    if (parameters.ip_address && parameters.subnet_mask) {
+      elements.push(
+        '<ipv4 xmlns="urn:ietf:params:xml:ns:yang:ietf-ip"><address>' +
+        `<ip>${netconf.escapeXml(parameters.ip_address)}</ip>` +
+        `<netmask>${netconf.escapeXml(parameters.subnet_mask)}</netmask>` +
+        '</address></ipv4>'
+      );
+    }
+    
+    return '<interfaces xmlns="urn:ietf:params:xml:ns:yang:ietf-interfaces"><interface>' +
+      elements.join('') +
+      '</interface></interfaces>';
+  }
+  
+  /**
+   * Generate interface configuration as a RESTCONF merge (PATCH) of the ietf-interfaces entry
+   */
+  generateInterfaceConfigRESTCONF(parameters) {
+    const entry = { name: parameters.interface_name };
+    
+    if (parameters.description) {
+      entry.description = parameters.description;
+    }
+    
+    if (parameters.enable_interface) {
+      entry.enabled = true;
+    }
+    
+    if (parameters.ip_address && parameters.subnet_mask) {
+      entry['ietf-ip:ipv4'] = {
+        address: [{ ip: parameters.ip_address, netmask: parameters.subnet_mask }]
+      };
+    }
+    
+    const path = `data/ietf-interfaces:interfaces/interface=${encodeURIComponent(parameters.interface_name)}`;
+    return `PATCH ${path}\n${JSON.stringify({ 'ietf-interfaces:interface': [entry] })}`;
+  }
+  
   /**
    * Queue action for execution
    */
@@ -753,6 +918,81 @@ class RemediationEngine extends EventEmitter {
     }
   }
   
+  /**
+   * Propose the fix for a device that drifted from its golden config: an
+   * apply_golden_config action adding the missing lines (and removing the extra
+   * lines of strict golden configs) of its latest collected configuration, queued
+   * like any other action so that it waits for approval
+   *
+   * @param {Object} alert - config_drift alert the action answers
+   * @returns {Object|null} the action, the device's action still open, or null when there is nothing to fix
+   */
+  async createComplianceAction(device, golden, alert = null) {
+    try {
+      const open = await Action.findOne({
+        target_device: device.hostname,
+        type: 'apply_golden_config',
+        status: { $in: ['draft', 'pending_approval', 'approved', 'queued', 'executing'] }
+      });
+      if (open) {
+        return open;
+      }
+      
+      const snapshot = await ConfigSnapshot.findLatestCollected(device.hostname, golden.format);
+      if (!snapshot) {
+        console.log(`No ${golden.format} configuration of ${device.hostname} to fix`);
+        return null;
+      }
+      
+      const commands = configCompliance.buildFixCommands(golden, device, snapshot.content);
+      if (commands.length === 0) {
+        return null;
+      }
+      
+      const template = this.actionTemplates.get('apply_golden_config');
+      const action = new Action({
+        name: template.name,
+        description: `${template.description} (${golden.name})`,
+        target_device: device.hostname,
+        device_ip: device.mgmt_ip,
+        category: template.category,
+        type: 'apply_golden_config',
+        method: this.selectExecutionMethod(device, template.methods),
+        parameters: {
+          golden_config: golden.name,
+          snapshot_version: snapshot.version,
+          commands
+        },
+        estimated_duration: template.estimated_duration,
+        risk_level: template.risk_level,
+        requires_approval: template.requires_approval,
+        triggering_alert: alert ? alert._id : undefined,
+        pre_checks: template.pre_checks,
+        verification_steps: template.verification_steps,
+        rollback_plan: template.rollback_plan,
+        execution_context: 'config_compliance'
+      });
+      action.rollback_plan.commands = this.generateRollbackCommands(action);
+      
+      action.action_steps = await this.generateActionSteps(action, template, device);
+      await action.save();
+      await this.queueAction(action);
+      
+      if (alert) {
+        alert.remediation_action = action._id;
+        alert.auto_remediation_attempted = true;
+        await alert.save();
+      }
+      
+      console.log(`Compliance fix ${action.action_id} proposed for ${device.hostname}: ${commands.length} commands`);
+      return action;
+      
+    } catch (error) {
+      console.error('Error creating compliance action:', error);
+      return null;
+    }
+  }
+  
   /**
    * Check if device is in cooldown period
    */
@@ -853,6 +1093,13 @@ class RemediationEngine extends EventEmitter {
         throw new Error(`Safety check failed: ${safetyCheckResult.reason}`);
       }
       
+      // Snapshot the running configuration before changing it; a retry keeps the
+      // snapshot of the first attempt
+      if (action.category === 'configuration' && this.config.config_backup_enabled &&
+          !(action.rollback_plan && action.rollback_plan.config_backup)) {
+        await this.backupConfiguration(action);
+      }
+      
       // Execute action steps
       const executionResult = await this.executeActionSteps(action);
       
@@ -861,6 +1108,9 @@ class RemediationEngine extends EventEmitter {
         const verificationResult = await this.performVerification(action);
         
         if (verificationResult.success) {
+          // Keep the changes: confirm commits the device would otherwise roll back
+          await this.confirmDriverChanges(action);
+          
           // Action completed successfully
           await this.handleSuccessfulExecution(action, executionResult);
         } else {
@@ -882,6 +1132,7 @@ class RemediationEngine extends EventEmitter {
         clearTimeout(execution.timeout);
         this.activeExecutions.delete(action.action_id);
       }
+      await this.closeDriverSessions(action.action_id);
       
       // Set device cooldown
       this.setDeviceCooldown(action.target_device);
@@ -927,13 +1178,18 @@ class RemediationEngine extends EventEmitter {
         return { passed: false, reason: 'NETCONF not available on device' };
       }
       
-      if (action.method === 'cli' && !device.ssh_enabled) {
+      if (action.method === 'rest_api' && !device.api_enabled) {
+        return { passed: false, reason: 'HTTP API not available on device' };
+      }
+      
+      const usesCLI = action.method === 'cli' || action.action_steps.some(step => step.method === 'cli');
+      if (usesCLI && !device.ssh_enabled) {
         return { passed: false, reason: 'SSH not available on device' };
       }
       
       // Check 5: Concurrent actions on same device
       const deviceActions = Array.from(this.activeExecutions.values())
-        .filter(exec => exec.action.target_device === action.target_device);
+        .filter(exec => exec.action.target_device === action.target_device && exec.action.action_id !== action.action_id);
       
       if (deviceActions.length > 0) {
         return { passed: false, reason: 'Another action is already running on this device' };
@@ -1073,8 +1329,8 @@ class RemediationEngine extends EventEmitter {
    */
   async executeStep(action, step) {
     try {
-      // Simulate step execution based on method
-      switch (action.method) {
+      // Steps may override the action's method (e.g. show commands of NETCONF actions)
+      switch (step.method || action.method) {
         case 'netconf':
           return await this.executeNETCONFStep(action, step);
         case 'cli':
@@ -1095,100 +1351,292 @@ class RemediationEngine extends EventEmitter {
   }
   
   /**
-   * Execute NETCONF step (simulated)
+   * Execute NETCONF step. Configuration steps are committed as confirmed commits,
+   * made permanent once verification passes (see confirmDriverChanges).
    */
   async executeNETCONFStep(action, step) {
     try {
-      console.log(`NETCONF execution: ${step.command}`);
+      console.log(`NETCONF execution on ${action.target_device}: ${step.description || step.command}`);
       
-      // In a real implementation, this would use ncclient or similar
-      // For now, simulate the execution
-      await this.simulateDelay(step.timeout * 100); // Simulate network delay
+      const driver = await this.getDriverSession(action, 'netconf');
+      const result = await driver.execute(step);
       
-      // Simulate success/failure based on step criticality
-      const simulatedSuccess = Math.random() > 0.1; // 90% success rate
+      return {
+        success: true,
+        result: result,
+        method: 'netconf'
+      };
       
-      if (simulatedSuccess) {
-        return {
-          success: true,
-          result: `NETCONF command executed successfully: ${step.command}`,
-          method: 'netconf'
-        };
-      } else {
-        throw new Error('NETCONF command failed');
+    } catch (error) {
+      this.stats.driver_errors++;
+      
+      if (error.code === drivers.ERROR_CODES.TIMEOUT || error.code === drivers.ERROR_CODES.SESSION_CLOSED) {
+        await this.discardDriverSession(action, 'netconf');
       }
       
-    } catch (error) {
       return {
         success: false,
         error: `NETCONF error: ${error.message}`,
-        result: null
+        result: error.code ? { code: error.code, output: error.output, rpc_errors: error.rpc_errors } : null
       };
     }
   }
   
   /**
-   * Execute CLI step (simulated)
+   * Get the connected driver of an action for an execution method, connecting on
+   * first use. The session is reused by the action's later steps and closed when
+   * the action finishes.
+   */
+  async getDriverSession(action, method) {
+    let sessions = this.driverSessions.get(action.action_id);
+    if (!sessions) {
+      sessions = new Map();
+      this.driverSessions.set(action.action_id, sessions);
+    }
+    
+    if (sessions.has(method)) {
+      const session = sessions.get(method);
+      if (session.connected) {
+        return session;
+      }
+      // Closed since (e.g. cancelling a commit without cancel-commit ends the session)
+      sessions.delete(method);
+    }
+    
+    const device = await Device.findOne({ hostname: action.target_device });
+    if (!device) {
+      throw new Error(`Device ${action.target_device} not found`);
+    }
+    
+    const driver = drivers.createDriver(method, device, this.config.driver_options);
+    await driver.connect();
+    sessions.set(method, driver);
+    this.stats.driver_sessions_opened++;
+    
+    return driver;
+  }
+  
+  /**
+   * Drop the driver session of an action for a method after it failed, so the next step reconnects
+   */
+  async discardDriverSession(action, method) {
+    const sessions = this.driverSessions.get(action.action_id);
+    const driver = sessions && sessions.get(method);
+    if (driver) {
+      sessions.delete(method);
+      await driver.disconnect();
+    }
+  }
+  
+  /**
+   * Make the changes of an action that await confirmation permanent
+   */
+  async confirmDriverChanges(action) {
+    const sessions = this.driverSessions.get(action.action_id);
+    if (!sessions) {
+      return;
+    }
+    
+    for (const driver of sessions.values()) {
+      await driver.confirmChanges();
+    }
+  }
+  
+  /**
+   * Revert the changes of an action that await confirmation
+   */
+  async cancelDriverChanges(actionId) {
+    const sessions = this.driverSessions.get(actionId);
+    if (!sessions) {
+      return;
+    }
+    
+    for (const [method, driver] of sessions) {
+      try {
+        if (await driver.cancelChanges()) {
+          console.log(`Cancelled unconfirmed ${method} changes of action ${actionId}`);
+        }
+      } catch (error) {
+        console.error(`Error cancelling ${method} changes for action ${actionId}:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Close every driver session of an action. Changes still awaiting confirmation
+   * were not verified and are cancelled first.
+   */
+  async closeDriverSessions(actionId) {
+    const sessions = this.driverSessions.get(actionId);
+    if (!sessions) {
+      return;
+    }
+    
+    await this.cancelDriverChanges(actionId);
+    this.driverSessions.delete(actionId);
+    for (const [method, driver] of sessions) {
+      try {
+        await driver.disconnect();
+      } catch (error) {
+        console.error(`Error closing ${method} session for action ${actionId}:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Store the running configuration of the action's device as a ConfigSnapshot,
+   * read through the action's execution method so the rollback can restore it
+   * the same way
+   */
+  async backupConfiguration(action) {
+    const method = action.method;
+    
+    try {
+      if (!drivers.hasDriver(method)) {
+        throw new Error(`no device driver for ${method}`);
+      }
+      
+      const driver = await this.getDriverSession(action, method);
+      const running = await driver.getRunningConfig();
+      const snapshot = await ConfigSnapshot.createVersion({
+        device: action.target_device,
+        method,
+        format: running.format,
+        content: running.content,
+        reason: 'pre_change',
+        action_id: action.action_id
+      });
+      
+      if (!action.rollback_plan) {
+        action.rollback_plan = {};
+      }
+      action.rollback_plan.config_backup = snapshot._id.toString();
+      action.config_backup = snapshot._id.toString();
+      await action.save();
+      
+      this.stats.config_backups++;
+      console.log(`Backed up ${action.target_device} configuration as version ${snapshot.version} (${snapshot.size} bytes)`);
+      
+      return snapshot;
+      
+    } catch (error) {
+      throw new Error(`Configuration backup failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Put the pre-change snapshot of an action back on the device, then read the
+   * configuration again and compare it with the snapshot
+   *
+   * @returns {Object} restore result stored in the rollback plan
+   * @throws when the restore fails or the configuration still differs
+   */
+  async restoreConfigSnapshot(action) {
+    const snapshot = await ConfigSnapshot.findById(action.rollback_plan.config_backup);
+    if (!snapshot) {
+      throw new Error(`Configuration snapshot ${action.rollback_plan.config_backup} not found`);
+    }
+    
+    console.log(`Restoring ${snapshot.device} configuration version ${snapshot.version}`);
+    
+    const driver = await this.getDriverSession(action, snapshot.method);
+    await driver.restoreConfig({ format: snapshot.format, content: snapshot.content });
+    
+    const running = await driver.getRunningConfig();
+    const after = await ConfigSnapshot.createVersion({
+      device: snapshot.device,
+      method: snapshot.method,
+      format: running.format,
+      content: running.content,
+      reason: 'post_rollback',
+      action_id: action.action_id
+    });
+    
+    const diff = configDiff.diffConfigs(snapshot.format, snapshot.content, running.content);
+    const result = {
+      snapshot_version: snapshot.version,
+      post_rollback_version: after.version,
+      verified: diff.identical,
+      missing: diff.missing.map(configDiff.formatPath),
+      extra: diff.extra.map(configDiff.formatPath)
+    };
+    
+    action.rollback_plan.restore_result = result;
+    this.stats.config_restores++;
+    
+    if (!diff.identical) {
+      throw new Error(
+        `Configuration of ${snapshot.device} differs from version ${snapshot.version} after restore ` +
+        `(${result.missing.length} missing, ${result.extra.length} extra)`
+      );
+    }
+    
+    console.log(`Verified ${snapshot.device} configuration matches version ${snapshot.version}`);
+    return result;
+  }
+  
+  /**
+   * Execute CLI step over SSH
    */
   async executeCLIStep(action, step) {
     try {
-      console.log(`CLI execution: ${step.command}`);
+      console.log(`CLI execution on ${action.target_device}: ${step.command}`);
       
-      // In a real implementation, this would use SSH/Paramiko
-      // For now, simulate the execution
-      await this.simulateDelay(step.timeout * 50); // Simulate command execution
+      const driver = await this.getDriverSession(action, 'cli');
+      const result = await driver.execute(step);
       
-      // Simulate success/failure
-      const simulatedSuccess = Math.random() > 0.05; // 95% success rate
+      return {
+        success: true,
+        result: result,
+        method: 'cli'
+      };
       
-      if (simulatedSuccess) {
-        return {
-          success: true,
-          result: `CLI command executed successfully: ${step.command}`,
-          method: 'cli'
-        };
-      } else {
-        throw new Error('CLI command failed');
+    } catch (error) {
+      this.stats.driver_errors++;
+      
+      // A session that timed out or closed is in an unknown state
+      if (error.code === drivers.ERROR_CODES.TIMEOUT || error.code === drivers.ERROR_CODES.SESSION_CLOSED) {
+        await this.discardDriverSession(action, 'cli');
       }
       
-    } catch (error) {
       return {
         success: false,
         error: `CLI error: ${error.message}`,
-        result: null
+        result: error.code ? { code: error.code, output: error.output, transcript: error.transcript } : null
       };
     }
   }
   
   /**
-   * Execute REST API step (simulated)
+   * Execute REST API step through RESTCONF or the device's templated HTTP API
    */
   async executeRESTStep(action, step) {
     try {
-      console.log(`REST API execution: ${step.command}`);
+      console.log(`REST API execution on ${action.target_device}: ${step.description || step.command}`);
       
-      // In a real implementation, this would make HTTP requests
-      // For now, simulate the execution
-      await this.simulateDelay(step.timeout * 20); // Simulate API call
+      const driver = await this.getDriverSession(action, 'rest_api');
+      const result = await driver.execute(step);
+      
+      return {
+        success: true,
+        result: result,
+        method: 'rest_api'
+      };
       
-      // Simulate success/failure
-      const simulatedSuccess = Math.random() > 0.08; // 92% success rate
+    } catch (error) {
+      this.stats.driver_errors++;
       
-      if (simulatedSuccess) {
-        return {
-          success: true,
-          result: `REST API call executed successfully: ${step.command}`,
-          method: 'rest_api'
-        };
-      } else {
-        throw new Error('REST API call failed');
+      // A timed-out request may leave the keep-alive connection unusable
+      if (error.code === drivers.ERROR_CODES.TIMEOUT) {
+        await this.discardDriverSession(action, 'rest_api');
       }
       
-    } catch (error) {
       return {
         success: false,
         error: `REST API error: ${error.message}`,
-        result: null
+        result: error.code
+          ? { code: error.code, output: error.output, transcript: error.transcript, rpc_errors: error.rpc_errors }
+          : null
       };
     }
   }
@@ -1211,6 +1659,7 @@ class RemediationEngine extends EventEmitter {
         success: true,
         checks_passed: 0,
         checks_failed: 0,
+        checks_inconclusive: 0,
         verification_log: [],
         details: {}
       };
@@ -1220,7 +1669,10 @@ class RemediationEngine extends EventEmitter {
         try {
           const verifyResult = await this.executeVerificationCheck(action, verification);
           
-          if (verifyResult.success) {
+          if (verifyResult.success && verifyResult.inconclusive) {
+            verificationResults.checks_inconclusive++;
+            verificationResults.verification_log.push(`? ${verification}: ${verifyResult.result}`);
+          } else if (verifyResult.success) {
             verificationResults.checks_passed++;
             verificationResults.verification_log.push(`✓ ${verification}: ${verifyResult.result}`);
           } else {
@@ -1261,30 +1713,41 @@ class RemediationEngine extends EventEmitter {
    */
   async executeVerificationCheck(action, verification) {
     try {
+      // Compliance is checked against the golden config rather than by a command's success
+      if (verification === 'verify_config_compliance') {
+        return await this.verifyConfigCompliance(action);
+      }
+      
       // Generate verification command
       const command = this.generateVerificationCommand(verification, action);
       
-      // Execute verification based on method
+      // Execute verification based on method (payload-based methods verify with show commands over SSH)
       switch (action.method) {
-        case 'netconf':
         case 'cli':
-        case 'rest_api':
-          // Simulate verification execution
-          await this.simulateDelay(1000); // 1 second delay
-          
-          // Simulate verification success/failure
-          const success = Math.random() > 0.1; // 90% success rate
+        case 'netconf':
+        case 'rest_api': {
+          const method = await this.getCommandStepMethod(action);
+          const stepResult = await this.executeStep(action, { command, mode: 'exec', timeout: 30, method });
           
-          if (success) {
-            return {
-              success: true,
-              result: `Verification passed: ${verification}`,
-              command: command
-            };
-          } else {
-            throw new Error(`Verification failed: ${verification}`);
+          if (!stepResult.success) {
+            throw new Error(stepResult.error);
           }
           
+          const output = stepResult.result.output || '';
+          const outcome = this.evaluateVerificationOutput(verification, action, output);
+          if (outcome.status === 'failed') {
+            throw new Error(`${outcome.reason}${output.trim() ? `\n${output.trim()}` : ''}`);
+          }
+          return {
+            success: true,
+            inconclusive: outcome.status === 'inconclusive',
+            result: outcome.status === 'inconclusive'
+              ? `Inconclusive: ${outcome.reason}`
+              : `${outcome.reason}${output.trim() ? `\n${output.trim()}` : ''}`,
+            command: command
+          };
+        }
+        
         default:
           throw new Error(`Unsupported verification method: ${action.method}`);
       }
@@ -1298,6 +1761,111 @@ class RemediationEngine extends EventEmitter {
     }
   }
   
+  /**
+   * Judge the output of a verification command against the state the check expects.
+   * Checks whose output cannot be judged, or that printed nothing recognizable, are
+   * inconclusive: they neither pass on device state nor trigger a rollback.
+   *
+   * @returns {Object} { status: 'passed' | 'failed' | 'inconclusive', reason }
+   */
+  evaluateVerificationOutput(verification, action, output) {
+    const params = action.parameters || {};
+    const passed = reason => ({ status: 'passed', reason });
+    const failed = reason => ({ status: 'failed', reason });
+    const inconclusive = reason => ({ status: 'inconclusive', reason });
+    
+    switch (verification) {
+      case 'check_interface_operational': {
+        const state = /line protocol is (\w+)/i.exec(output);
+        if (!state) {
+          return inconclusive(`no line protocol state for ${params.interface_name || 'the interface'}`);
+        }
+        return state[1].toLowerCase() === 'up'
+          ? passed(`Line protocol of ${params.interface_name || 'the interface'} is up`)
+          : failed(`Line protocol of ${params.interface_name || 'the interface'} is ${state[1]}`);
+      }
+      
+      case 'verify_connectivity': {
+        // IOS: "Success rate is 80 percent (4/5)"; Junos and Unix style: "5 packets received"
+        const rate = /success rate is (\d+) percent/i.exec(output);
+        const received = /(\d+) (?:packets )?received/i.exec(output);
+        const replies = rate ? Number(rate[1]) : received ? Number(received[1]) : null;
+        if (replies === null) {
+          return inconclusive('no ping statistics in output');
+        }
+        return replies > 0
+          ? passed(`${params.test_ip || '8.8.8.8'} answered pings`)
+          : failed(`${params.test_ip || '8.8.8.8'} did not answer pings`);
+      }
+      
+      case 'check_bgp_session_state': {
+        if (!params.neighbor_ip) {
+          return inconclusive('no neighbor_ip to look up');
+        }
+        const line = output.split('\n').find(row => row.trim().split(/\s+/)[0] === params.neighbor_ip);
+        if (!line) {
+          return failed(`BGP neighbor ${params.neighbor_ip} is not in the summary`);
+        }
+        // The State/PfxRcd column holds the received prefix count once the session is established
+        const state = line.trim().split(/\s+/).pop();
+        return /^\d+$/.test(state)
+          ? passed(`BGP session with ${params.neighbor_ip} is established (${state} prefixes)`)
+          : failed(`BGP session with ${params.neighbor_ip} is ${state}`);
+      }
+      
+      case 'check_counters_reset': {
+        const clearing = /Last clearing of .*counters (\S+)/i.exec(output);
+        if (!clearing) {
+          return inconclusive('no counter clearing time in output');
+        }
+        return clearing[1].toLowerCase() === 'never'
+          ? failed(`Counters of ${params.interface_name || 'the interface'} were never cleared`)
+          : passed(`Counters of ${params.interface_name || 'the interface'} cleared ${clearing[1]} ago`);
+      }
+      
+      case 'check_service_status':
+        // The include filter prints nothing when no process of the service runs
+        return output.trim()
+          ? passed(`${params.service_name} is running`)
+          : failed(`No ${params.service_name} process is running`);
+      
+      case 'check_device_online':
+        return output.trim()
+          ? passed('Device answered')
+          : inconclusive('show version printed nothing');
+      
+      default:
+        return inconclusive(`output of ${verification} is not checked`);
+    }
+  }
+  
+  /**
+   * Verification of apply_golden_config: read the running configuration again and
+   * check it against the golden config the action applied
+   */
+  async verifyConfigCompliance(action) {
+    const device = await Device.findOne({ hostname: action.target_device });
+    const golden = await GoldenConfig.findOne({ name: action.parameters.golden_config });
+    if (!device || !golden) {
+      throw new Error(`Cannot verify compliance: ${!device ? `device ${action.target_device}` : `golden config ${action.parameters.golden_config}`} not found`);
+    }
+    
+    const method = (await this.getCommandStepMethod(action, device)) || action.method;
+    const driver = await this.getDriverSession(action, method);
+    const running = await driver.getRunningConfig();
+    const violations = configCompliance.findViolations(golden, configCompliance.renderForDevice(golden, device), running.content);
+    const remaining = violations.missing.length + violations.extra.length;
+    
+    if (remaining > 0) {
+      throw new Error(`${remaining} line${remaining === 1 ? '' : 's'} still violate golden config ${golden.name}`);
+    }
+    return {
+      success: true,
+      result: `Configuration complies with golden config ${golden.name}`,
+      command: null
+    };
+  }
+  
   /**
    * Handle successful action execution
    */
@@ -1370,6 +1938,23 @@ class RemediationEngine extends EventEmitter {
     try {
       console.log(`Action execution failed: ${action.action_id}`);
       
+      // Undo a partly applied change first, so a retry starts from the backed up
+      // configuration. A device whose configuration could not be restored is left
+      // for an operator rather than retried.
+      if (this.shouldRollBackFailedExecution(action)) {
+        console.log(`Rolling back partly applied changes of action: ${action.action_id}`);
+        if (!await this.performRollback(action)) {
+          this.stats.failed_actions++;
+          this.emit('action_completed', {
+            action: action,
+            success: false,
+            reason: 'execution_failed',
+            details: executionResult
+          });
+          return;
+        }
+      }
+      
       // Check if retry is possible
       if (action.retry_count < action.max_retries) {
         console.log(`Retrying action: ${action.action_id} (attempt ${action.retry_count + 1})`);
@@ -1408,6 +1993,20 @@ class RemediationEngine extends EventEmitter {
     }
   }
   
+  /**
+   * Whether a failed configuration action got far enough to change the device and
+   * has a backup or rollback commands to undo it with
+   */
+  shouldRollBackFailedExecution(action) {
+    const plan = action.rollback_plan;
+    if (action.category !== 'configuration' || !this.config.rollback_enabled || !plan) {
+      return false;
+    }
+    
+    const changed = action.action_steps.some(step => step.mode === 'config' && step.status !== 'pending');
+    return changed && Boolean(plan.config_backup || (plan.commands && plan.commands.length > 0));
+  }
+  
   /**
    * Handle execution error
    */
@@ -1434,7 +2033,11 @@ class RemediationEngine extends EventEmitter {
   }
   
   /**
-   * Perform rollback operation
+   * Perform rollback operation: cancel unconfirmed commits, then restore the
+   * pre-change configuration snapshot, or run the rollback plan's commands when
+   * no snapshot was taken
+   *
+   * @returns {boolean} whether the device was rolled back
    */
   async performRollback(action) {
     try {
@@ -1444,25 +2047,14 @@ class RemediationEngine extends EventEmitter {
       action.rollback_required = true;
       action.status = 'rolling_back';
       
-      // Execute rollback commands
-      if (action.rollback_plan.commands && action.rollback_plan.commands.length > 0) {
-        for (const command of action.rollback_plan.commands) {
-          try {
-            // Execute rollback command (simulated)
-            console.log(`Rollback command: ${command}`);
-            await this.simulateDelay(1000);
-            
-          } catch (rollbackError) {
-            console.error(`Rollback command failed: ${rollbackError.message}`);
-          }
-        }
-      }
+      // Revert unconfirmed commits on the device before anything else
+      await this.cancelDriverChanges(action.action_id);
       
-      // Restore configuration backup if available
       if (action.rollback_plan.config_backup) {
-        console.log(`Restoring configuration backup: ${action.rollback_plan.config_backup}`);
-        // In real implementation, restore the backup configuration
-        await this.simulateDelay(2000);
+        // Restore the pre-change configuration and verify it
+        await this.restoreConfigSnapshot(action);
+      } else if (action.rollback_plan.commands && action.rollback_plan.commands.length > 0) {
+        await this.executeRollbackCommands(action);
       }
       
       // Update action status
@@ -1478,16 +2070,44 @@ class RemediationEngine extends EventEmitter {
       
       console.log(`Rollback completed for action: ${action.action_id}`);
       this.emit('action_rolled_back', action);
+      return true;
       
     } catch (error) {
       console.error('Error performing rollback:', error);
       
       action.rollback_plan.executed = true;
+      action.rollback_plan.executed_at = new Date();
       action.rollback_plan.success = false;
       action.status = 'rollback_failed';
+      action.error_message = `Rollback failed: ${error.message}`;
       
       await action.save();
+      return false;
+    }
+  }
+  
+  /**
+   * Run the rollback plan's commands in configuration mode, through the session
+   * that runs the action's CLI commands
+   *
+   * @throws when the device rejects a command
+   */
+  async executeRollbackCommands(action) {
+    const commands = action.rollback_plan.commands;
+    console.log(`Running ${commands.length} rollback commands on ${action.target_device}`);
+    
+    const method = (await this.getCommandStepMethod(action)) || action.method;
+    const result = await this.executeStep(action, {
+      command: commands.join('\n'),
+      mode: 'config',
+      timeout: 60,
+      method
+    });
+    
+    if (!result.success) {
+      throw new Error(`Rollback commands failed: ${result.error}`);
     }
+    return result;
   }
   
   /**
@@ -1632,6 +2252,10 @@ class RemediationEngine extends EventEmitter {
       auto_approved_actions: 0,
       manual_approval_required: 0,
       safety_check_failures: 0,
+      driver_sessions_opened: 0,
+      driver_errors: 0,
+      config_backups: 0,
+      config_restores: 0,
       average_execution_time: 0,
       last_reset: Date.now()
     };
@@ -1725,6 +2349,7 @@ class RemediationEngine extends EventEmitter {
     // Cancel all active executions
     for (const [actionId, execution] of this.activeExecutions) {
       clearTimeout(execution.timeout);
+      this.closeDriverSessions(actionId);
     }
     
     this.activeExecutions.clear();
@@ -1,8 +1,13 @@
 const EventEmitter = require('events');
 const Incident = require('../models/Incident');
 const Alert = require('../models/Alert');
-const Device = require('../models/Device');
-const Topology = require('../models/Topology');
+const RCARuleStats = require('../models/RCARuleStats');
+const dependencyGraph = require('../utils/dependencyGraph');
+const incidentSignature = require('../utils/incidentSignature');
+const rcaFeedback = require('../utils/rcaFeedback');
+
+// Weight of an alerting device by its most severe alert, for root cause localization
+const SEVERITY_WEIGHTS = { critical: 4, major: 3, minor: 2, warning: 1, info: 0.5 };
 
 /**
  * Root Cause Analysis Engine
@@ -21,13 +26,17 @@ class RootCauseAnalysisEngine extends EventEmitter {
       topology_analysis_enabled: options.topology_analysis_enabled || true, // Use topology for analysis
       temporal_analysis_enabled: options.temporal_analysis_enabled || true, // Use time-based analysis
       historical_analysis_enabled: options.historical_analysis_enabled || true, // Use historical patterns
-      dependency_analysis_depth: options.dependency_analysis_depth || 3 // Maximum dependency analysis depth
+      historical_similarity_threshold: options.historical_similarity_threshold || 0.6, // Minimum signature similarity of a past incident
+      historical_max_candidates: options.historical_max_candidates || 200, // Past confirmed incidents compared per analysis
+      historical_boost: options.historical_boost || 0.15, // Largest confidence boost from confirmed past causes
+      dependency_analysis_depth: options.dependency_analysis_depth || 3, // Maximum dependency analysis depth
+      dependency_graph_ttl: options.dependency_graph_ttl || 60000 // Rebuild the device dependency graph every minute
     };
     
     // RCA rules and patterns
     this.rcaRules = new Map();
     this.historicalPatterns = new Map();
-    this.dependencyGraph = new Map();
+    this.ruleStatistics = new Map(); // Operator feedback counts by rule ID
     
     // Analysis state
     this.running = false;
@@ -43,6 +52,7 @@ class RootCauseAnalysisEngine extends EventEmitter {
       high_confidence_results: 0,
       topology_analyses: 0,
       temporal_analyses: 0,
+      historical_matches: 0,
       last_reset: Date.now()
     };
     
@@ -58,12 +68,12 @@ class RootCauseAnalysisEngine extends EventEmitter {
     // Load RCA rules
     this.loadRCARules();
     
+    // Adjust rule confidence from operator feedback
+    this.loadRuleStatistics();
+    
     // Setup analysis pipeline
     this.setupAnalysisPipeline();
     
-    // Load dependency graph
-    this.loadDependencyGraph();
-    
     // Setup periodic tasks
     this.setupPeriodicTasks();
     
@@ -124,7 +134,7 @@ class RootCauseAnalysisEngine extends EventEmitter {
       name: 'Performance Degradation Cascade',
       description: 'Performance issues leading to service degradation',
       conditions: {
-        primary_alert_types: ['high_cpu', 'high_memory', 'disk_full'],
+        primary_alert_types: ['high_cpu', 'high_memory', 'disk_full', 'anomaly'],
         secondary_alert_types: ['slow_response', 'timeout', 'service_degraded'],
         correlation_pattern: 'performance_metrics',
         temporal_window: 600000 // 10 minutes
@@ -164,77 +174,70 @@ class RootCauseAnalysisEngine extends EventEmitter {
       impact_assessment: 'medium'
     });
     
-    console.log(`Loaded ${this.rcaRules.size} RCA rules`);
-  }
-  
-  /**
-   * Setup analysis processing pipeline
-   */
-  setupAnalysisPipeline() {
-    // Process analysis queue every 10 seconds
-    setInterval(() => {
-      this.processAnalysisQueue();
-    }, 10000);
+    // Feedback adjusts confidence_base starting from the built-in value
+    this.rcaRules.forEach(rule => {
+      rule.default_confidence_base = rule.confidence_base;
+    });
     
-    // Clean up completed analyses every 5 minutes
-    setInterval(() => {
-      this.cleanupCompletedAnalyses();
-    }, 5 * 60 * 1000);
+    console.log(`Loaded ${this.rcaRules.size} RCA rules`);
   }
   
   /**
-   * Load dependency graph from topology
+   * Load operator feedback counts and adjust each rule's confidence_base from
+   * its observed precision. Returns the number of rules with feedback.
    */
-  async loadDependencyGraph() {
+  async loadRuleStatistics() {
     try {
-      console.log('Loading dependency graph from topology...');
+      const statistics = await RCARuleStats.find({}).lean();
+      this.ruleStatistics = new Map(statistics.map(entry => [entry.rule_id, entry]));
       
-      const topology = await Topology.findOne({}).populate('devices');
-      if (!topology) {
-        console.log('No topology found, dependency graph will be limited');
-        return;
-      }
-      
-      // Build dependency graph from topology links
-      topology.links.forEach(link => {
-        // Add bidirectional dependencies
-        this.addDependency(link.source_device, link.destination_device, 'network_link');
-        this.addDependency(link.destination_device, link.source_device, 'network_link');
+      this.rcaRules.forEach((rule, ruleId) => {
+        rule.confidence_base = rcaFeedback.adjustConfidenceBase(rule.default_confidence_base, this.ruleStatistics.get(ruleId));
       });
       
-      // Add service dependencies
-      topology.services.forEach(service => {
-        service.dependent_devices.forEach(device => {
-          this.addDependency(service.service_name, device, 'service_dependency');
-        });
-        
-        service.critical_devices.forEach(device => {
-          this.addDependency(service.service_name, device, 'critical_dependency');
-        });
-      });
-      
-      console.log(`Loaded dependency graph with ${this.dependencyGraph.size} nodes`);
+      return this.ruleStatistics.size;
       
     } catch (error) {
-      console.error('Error loading dependency graph:', error);
+      console.error('Error loading RCA rule statistics:', error);
+      return 0;
     }
   }
   
   /**
-   * Add dependency relationship to the graph
+   * Precision and confidence of each rule, and of analysis methods that received feedback
    */
-  addDependency(source, target, type) {
-    if (!this.dependencyGraph.has(source)) {
-      this.dependencyGraph.set(source, []);
-    }
-    
-    this.dependencyGraph.get(source).push({
-      target: target,
-      type: type,
-      weight: type === 'critical_dependency' ? 1.0 : type === 'service_dependency' ? 0.8 : 0.6
+  getRuleStatistics() {
+    const ruleIds = new Set([...this.rcaRules.keys(), ...this.ruleStatistics.keys()]);
+    return Array.from(ruleIds).map(ruleId => {
+      const rule = this.rcaRules.get(ruleId);
+      const stats = this.ruleStatistics.get(ruleId) || { confirmed: 0, rejected: 0 };
+      return {
+        rule_id: ruleId,
+        name: rule ? rule.name : ruleId,
+        confirmed: stats.confirmed,
+        rejected: stats.rejected,
+        precision: rcaFeedback.computePrecision(stats),
+        confidence_base: rule ? rule.confidence_base : null,
+        default_confidence_base: rule ? rule.default_confidence_base : null
+      };
     });
   }
   
+  /**
+   * Setup analysis processing pipeline
+   */
+  setupAnalysisPipeline() {
+    // Process analysis queue every 10 seconds
+    setInterval(() => {
+      this.processAnalysisQueue();
+    }, 10000);
+    
+    // Clean up completed analyses every 5 minutes
+    setInterval(() => {
+      this.cleanupCompletedAnalyses();
+    }, 5 * 60 * 1000);
+  }
+  
   /**
    * Analyze an incident to determine root cause
    */
@@ -326,14 +329,23 @@ class RootCauseAnalysisEngine extends EventEmitter {
       }
       
       // 4. Historical pattern analysis
+      await incident.computeSignature(alerts);
       if (this.config.historical_analysis_enabled) {
-        const historicalResults = await this.performHistoricalAnalysis(incident, alerts);
+        const historicalResults = await this.performHistoricalAnalysis(incident, analysisResults);
         analysisResults.push(...historicalResults);
       }
       
       // Merge and rank results
       const finalResults = this.mergeAndRankResults(analysisResults);
       
+      // Every result carries the localization candidates, so each cause can be checked against the graph
+      const localization = analysisResults.find(result => result.analysis_method === 'topology_based');
+      if (localization) {
+        finalResults.forEach(result => {
+          result.topology_impact = result.topology_impact || localization.topology_impact;
+        });
+      }
+      
       // Update incident with RCA results
       await this.updateIncidentWithResults(incident, finalResults);
       
@@ -374,12 +386,17 @@ class RootCauseAnalysisEngine extends EventEmitter {
       for (const [ruleId, rule] of this.rcaRules) {
         const ruleResult = await rule.analysis_logic(incident, alerts, alertsByType);
         
+        // Rules whose results operators often reject count for less
+        if (ruleResult) {
+          ruleResult.confidence_score = Math.min(ruleResult.confidence_score * rule.confidence_base / rule.default_confidence_base, 1.0);
+        }
+        
         if (ruleResult && ruleResult.confidence_score >= this.config.min_confidence_threshold) {
           results.push({
             ...ruleResult,
             rule_id: ruleId,
             rule_name: rule.name,
-            analysis_method: 'rule_based',
+            analysis_method: ruleResult.analysis_method || 'rule_based',
             impact_assessment: rule.impact_assessment
           });
         }
@@ -565,7 +582,10 @@ class RootCauseAnalysisEngine extends EventEmitter {
   }
   
   /**
-   * Analyze performance degradation pattern
+   * Analyze performance degradation pattern.
+   * Threshold alerts (high_cpu, high_memory, disk_full) and baseline anomaly alerts from
+   * the anomaly detector are both accepted as evidence; the result is rule_based,
+   * ml_based or hybrid depending on which of them were present.
    */
   async analyzePerformanceDegradation(incident, alerts, alertsByType) {
     try {
@@ -574,15 +594,16 @@ class RootCauseAnalysisEngine extends EventEmitter {
         ...(alertsByType['high_memory'] || []),
         ...(alertsByType['disk_full'] || [])
       ];
+      const anomalyAlerts = alertsByType['anomaly'] || [];
       
-      if (perfAlerts.length === 0) {
+      if (perfAlerts.length === 0 && anomalyAlerts.length === 0) {
         return null;
       }
       
       // Check for gradual increase in performance alerts
-      const timeProgression = this.analyzeTimeProgression(perfAlerts);
+      const timeProgression = this.analyzeTimeProgression([...perfAlerts, ...anomalyAlerts]);
       
-      let confidence = 0.65;
+      let confidence = perfAlerts.length > 0 ? 0.65 : 0.6;
       
       if (timeProgression.gradual_increase) {
         confidence += 0.15;
@@ -592,20 +613,65 @@ class RootCauseAnalysisEngine extends EventEmitter {
       const metricTypes = new Set(perfAlerts.map(alert => alert.type));
       confidence += Math.min(metricTypes.size * 0.05, 0.1);
       
+      const contributingFactors = [];
+      const evidence = [];
+      
+      if (perfAlerts.length > 0) {
+        contributingFactors.push(`Performance alerts: ${perfAlerts.length}`);
+        evidence.push(`${perfAlerts.length} performance-related alerts`, 'Performance metrics exceeding thresholds');
+      }
+      
+      if (anomalyAlerts.length > 0) {
+        const anomalousMetrics = new Set(anomalyAlerts.map(alert => (alert.normalized_data || {}).metric).filter(Boolean));
+        const maxDeviation = Math.max(...anomalyAlerts.map(alert => Math.abs((alert.telemetry_data || {}).deviation || 0)));
+        
+        // Deviations from the learned baseline corroborate the threshold alerts
+        confidence += Math.min(anomalousMetrics.size * 0.05, 0.15);
+        if (maxDeviation >= 8) {
+          confidence += 0.05;
+        }
+        
+        contributingFactors.push(`Baseline anomalies: ${anomalyAlerts.length} (${Array.from(anomalousMetrics).join(', ')})`);
+        anomalyAlerts.forEach(alert => {
+          const data = alert.normalized_data || {};
+          const telemetry = alert.telemetry_data || {};
+          evidence.push(
+            `${data.metric}${data.instance ? ` on ${data.instance}` : ''} (${alert.device}): ` +
+            `observed ${telemetry.observed}, expected ${telemetry.expected} (z=${telemetry.deviation})`
+          );
+        });
+        
+        // An anomaly ahead of the threshold alerts shows the degradation building up
+        if (perfAlerts.length > 0) {
+          const firstAnomaly = Math.min(...anomalyAlerts.map(alert => new Date(alert.first_occurrence || alert.createdAt).getTime()));
+          const firstBreach = Math.min(...perfAlerts.map(alert => new Date(alert.createdAt).getTime()));
+          if (firstAnomaly < firstBreach) {
+            confidence += 0.05;
+            evidence.push(`Baseline deviation preceded threshold alerts by ${Math.round((firstBreach - firstAnomaly) / 60000)} minutes`);
+          }
+        }
+        
+        anomalousMetrics.forEach(metric => metricTypes.add(metric));
+      }
+      
+      contributingFactors.push(
+        `Affected metrics: ${Array.from(metricTypes).join(', ')}`,
+        `Pattern: ${timeProgression.gradual_increase ? 'gradual increase' : 'sudden spike'}`
+      );
+      evidence.push(timeProgression.gradual_increase ? 'Gradual degradation pattern' : 'Sudden performance spike');
+      
+      let analysisMethod = 'rule_based';
+      if (anomalyAlerts.length > 0) {
+        analysisMethod = perfAlerts.length > 0 ? 'hybrid' : 'ml_based';
+      }
+      
       return {
         suspected_cause: 'Performance degradation cascade',
         confidence_score: Math.min(confidence, 1.0),
-        contributing_factors: [
-          `Performance alerts: ${perfAlerts.length}`,
-          `Affected metrics: ${Array.from(metricTypes).join(', ')}`,
-          `Pattern: ${timeProgression.gradual_increase ? 'gradual increase' : 'sudden spike'}`
-        ],
-        evidence: [
-          `${perfAlerts.length} performance-related alerts`,
-          'Performance metrics exceeding thresholds',
-          timeProgression.gradual_increase ? 'Gradual degradation pattern' : 'Sudden performance spike'
-        ],
-        timeline: this.buildTimeline(perfAlerts)
+        contributing_factors: contributingFactors,
+        evidence: evidence,
+        analysis_method: analysisMethod,
+        timeline: this.buildTimeline([...perfAlerts, ...anomalyAlerts])
       };
       
     } catch (error) {
@@ -733,16 +799,9 @@ class RootCauseAnalysisEngine extends EventEmitter {
     const results = [];
     
     try {
-      // Analyze device dependencies
-      const dependencyAnalysis = await this.analyzeDependencies(alerts);
-      if (dependencyAnalysis) {
-        results.push(dependencyAnalysis);
-      }
-      
-      // Analyze network path failures
-      const pathAnalysis = await this.analyzeNetworkPaths(alerts);
-      if (pathAnalysis) {
-        results.push(pathAnalysis);
+      const localization = await this.localizeRootCause(alerts);
+      if (localization) {
+        results.push(localization);
       }
       
     } catch (error) {
@@ -753,59 +812,145 @@ class RootCauseAnalysisEngine extends EventEmitter {
   }
   
   /**
-   * Analyze device dependencies
+   * Localize the root cause over the dependency graph: the smallest set of devices
+   * whose failure explains every alerting device, weighted by alert severity and
+   * timing. Returns null unless some device explains more than itself.
+   */
+  async localizeRootCause(alerts) {
+    const alerting = new Map();
+    alerts.forEach(alert => {
+      const weight = SEVERITY_WEIGHTS[alert.severity] || SEVERITY_WEIGHTS.info;
+      const time = new Date(alert.createdAt).getTime();
+      const info = alerting.get(alert.device);
+      
+      if (info) {
+        info.weight = Math.max(info.weight, weight);
+        info.first_alert = Math.min(info.first_alert, time);
+      } else {
+        alerting.set(alert.device, { weight, first_alert: time });
+      }
+    });
+    
+    if (alerting.size < 2) {
+      return null;
+    }
+    
+    const upstream = await dependencyGraph.loadUpstreamMap(this.config.dependency_graph_ttl);
+    const { root_set: rootSet, candidates } = dependencyGraph.localizeRootCauses(upstream, alerting, {
+      max_depth: this.config.dependency_analysis_depth,
+      max_candidates: this.config.max_root_causes * 2
+    });
+    
+    if (rootSet.length === 0 || rootSet.length >= alerting.size) {
+      return null;
+    }
+    
+    const roots = candidates.filter(candidate => candidate.in_root_set);
+    const top = roots[0] || candidates[0];
+    const othersExplained = top.explains.length - (top.alerting ? 1 : 0);
+    
+    // Fewer roots for more alerting devices is a stronger localization
+    let confidence = 0.5 + 0.4 * (1 - rootSet.length / alerting.size);
+    if (top.alerting && top.explains.every(device => alerting.get(top.device).first_alert <= alerting.get(device).first_alert)) {
+      confidence += 0.05;
+    }
+    
+    return {
+      suspected_cause: rootSet.length === 1
+        ? `Dependency failure - root device: ${rootSet[0]}`
+        : `Dependency failures - root devices: ${rootSet.join(', ')}`,
+      confidence_score: Math.min(confidence, 0.95),
+      analysis_method: 'topology_based',
+      rule_id: 'topology_localization',
+      contributing_factors: [
+        `Root devices: ${rootSet.join(', ')}`,
+        `Alerting devices explained: ${alerting.size}`,
+        `Top candidate ${top.device} explains ${othersExplained} other devices (${Math.round(top.coverage * 100)}% of alert weight)`
+      ],
+      evidence: roots.flatMap(candidate => candidate.paths
+        .filter(entry => entry.path.length > 1)
+        .map(entry => `${entry.device} depends on ${candidate.device} via ${entry.path.join(' -> ')}`)),
+      topology_impact: {
+        root_set: rootSet,
+        alerting_devices: Array.from(alerting.keys()),
+        candidates
+      }
+    };
+  }
+  
+  /**
+   * Look up resolved incidents with a similar alert signature whose root cause an
+   * operator confirmed. A confirmed cause that is already among the current
+   * results boosts that result; other confirmed causes become results of their own.
+   *
+   * @param {Object} incident - incident being analyzed, with its signature set
+   * @param {Array} currentResults - results of the other analyses, boosted in place
+   * @returns {Array} new historical results
    */
-  async analyzeDependencies(alerts) {
+  async performHistoricalAnalysis(incident, currentResults) {
+    const results = [];
+    
     try {
-      // Find potential root devices (devices that other devices depend on)
-      const affectedDevices = [...new Set(alerts.map(alert => alert.device))];
-      const dependencyScores = new Map();
+      if (!incident.signature || incident.signature.alert_types.length === 0) {
+        return results;
+      }
       
-      for (const device of affectedDevices) {
-        let score = 0;
-        
-        // Check how many other affected devices depend on this device
-        for (const otherDevice of affectedDevices) {
-          if (device !== otherDevice && this.isDependentOn(otherDevice, device)) {
-            score += 1;
-          }
+      const pastIncidents = await Incident.find({
+        _id: { $ne: incident._id },
+        root_cause_confirmed: true,
+        'signature.alert_types': { $in: incident.signature.alert_types }
+      })
+        .sort({ createdAt: -1 })
+        .limit(this.config.historical_max_candidates);
+      
+      // Similar incidents grouped by their confirmed cause
+      const causes = new Map();
+      pastIncidents.forEach(past => {
+        const similarity = incidentSignature.compareSignatures(incident.signature, past.signature);
+        if (similarity < this.config.historical_similarity_threshold || !past.final_root_cause) {
+          return;
         }
-        
-        if (score > 0) {
-          dependencyScores.set(device, score);
+        if (!causes.has(past.final_root_cause)) {
+          causes.set(past.final_root_cause, []);
         }
-      }
-      
-      if (dependencyScores.size === 0) {
-        return null;
-      }
-      
-      // Find device with highest dependency score
-      const rootDevice = Array.from(dependencyScores.entries())
-        .sort((a, b) => b[1] - a[1])[0];
-      
-      const confidence = Math.min(0.6 + (rootDevice[1] * 0.1), 0.9);
+        causes.get(past.final_root_cause).push({ incident_id: past.incident_id, similarity });
+      });
       
-      return {
-        suspected_cause: `Dependency failure - root device: ${rootDevice[0]}`,
-        confidence_score: confidence,
-        analysis_method: 'topology_based',
-        contributing_factors: [
-          `Root device: ${rootDevice[0]}`,
-          `Dependent devices: ${rootDevice[1]}`,
-          `Total affected: ${affectedDevices.length}`
-        ],
-        evidence: [
-          `Device ${rootDevice[0]} has ${rootDevice[1]} dependent devices affected`,
-          'Topology dependency analysis indicates cascading failure',
-          'Multiple dependent devices showing alerts'
-        ]
-      };
+      causes.forEach((matches, cause) => {
+        matches.sort((a, b) => b.similarity - a.similarity);
+        const best = matches[0].similarity;
+        // More confirmations of the same cause add weight, up to three
+        const boost = this.config.historical_boost * best * Math.min(matches.length, 3) / 3;
+        const evidence = `Confirmed root cause of ${matches.length} similar incident${matches.length === 1 ? '' : 's'}: ` +
+          matches.slice(0, 5).map(match => `${match.incident_id} (${Math.round(match.similarity * 100)}% similar)`).join(', ');
+        
+        this.stats.historical_matches++;
+        
+        const existing = currentResults.find(result => result.suspected_cause === cause);
+        if (existing) {
+          existing.confidence_score = Math.min(existing.confidence_score + boost, 1.0);
+          existing.evidence = [...(existing.evidence || []), evidence];
+          return;
+        }
+        
+        results.push({
+          suspected_cause: cause,
+          confidence_score: Math.min(0.5 + boost, 1.0),
+          analysis_method: 'historical',
+          rule_id: 'historical_match',
+          contributing_factors: [
+            `Similar confirmed incidents: ${matches.length}`,
+            `Best signature similarity: ${Math.round(best * 100)}%`
+          ],
+          evidence: [evidence]
+        });
+      });
       
     } catch (error) {
-      console.error('Error analyzing dependencies:', error);
-      return null;
+      console.error('Error in historical analysis:', error);
     }
+    
+    return results;
   }
   
   /**
@@ -920,15 +1065,6 @@ class RootCauseAnalysisEngine extends EventEmitter {
     };
   }
   
-  isDependentOn(dependent, dependency) {
-    const deps = this.dependencyGraph.get(dependent);
-    if (!deps) {
-      return false;
-    }
-    
-    return deps.some(dep => dep.target === dependency);
-  }
-  
   mergeAndRankResults(analysisResults) {
     // Remove duplicates and sort by confidence
     const uniqueResults = analysisResults.filter((result, index, self) =>
@@ -944,10 +1080,21 @@ class RootCauseAnalysisEngine extends EventEmitter {
   
   async updateIncidentWithResults(incident, results) {
     try {
+      // Keep operator feedback on causes that were found again
+      const feedback = new Map((incident.rca_results || [])
+        .filter(result => result.feedback && result.feedback.verdict)
+        .map(result => [result.suspected_cause, result.feedback]));
+      results.forEach(result => {
+        if (feedback.has(result.suspected_cause)) {
+          result.feedback = feedback.get(result.suspected_cause);
+        }
+      });
+      
       // Update incident with RCA results
       incident.rca_results = results;
       
-      if (results.length > 0) {
+      // A root cause confirmed by an operator is not replaced by analysis
+      if (results.length > 0 && !incident.root_cause_confirmed) {
         const topResult = results[0];
         incident.final_root_cause = topResult.suspected_cause;
         incident.root_cause_confidence = topResult.confidence_score;
@@ -997,6 +1144,11 @@ class RootCauseAnalysisEngine extends EventEmitter {
     setInterval(() => {
       this.resetStatistics();
     }, 60 * 60 * 1000);
+    
+    // Pick up feedback recorded by other instances every 5 minutes
+    setInterval(() => {
+      this.loadRuleStatistics();
+    }, 5 * 60 * 1000);
   }
   
   logStatistics() {
@@ -1022,6 +1174,7 @@ class RootCauseAnalysisEngine extends EventEmitter {
       high_confidence_results: 0,
       topology_analyses: 0,
       temporal_analyses: 0,
+      historical_matches: 0,
       last_reset: Date.now()
     };
   }
@@ -1048,7 +1201,8 @@ class RootCauseAnalysisEngine extends EventEmitter {
       queue_size: this.analysisQueue.length,
       active_analyses: this.activeAnalyses.size,
       rca_rules: this.rcaRules.size,
-      dependency_graph_size: this.dependencyGraph.size
+      rule_statistics: this.getRuleStatistics(),
+      dependency_graph_size: (dependencyGraph.getLoadedUpstreamMap() || new Map()).size
     };
   }
 }
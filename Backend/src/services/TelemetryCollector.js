@@ -1,8 +1,25 @@
 const EventEmitter = require('events');
 const dgram = require('dgram');
 const net = require('net');
+const tls = require('tls');
+const fs = require('fs');
+const { WebSocketServer } = require('ws');
 const Alert = require('../models/Alert');
 const Device = require('../models/Device');
+const ClassificationRule = require('../models/ClassificationRule');
+const snmpTrapDecoder = require('../utils/snmpTrapDecoder');
+const snmpUsm = require('../utils/snmpUsm');
+const syslogParser = require('../utils/syslogParser');
+const syslogFraming = require('../utils/syslogFraming');
+const openconfigDecoder = require('../utils/openconfigDecoder');
+const flapDampening = require('../utils/flapDampening');
+const alertPairing = require('../utils/alertPairing');
+
+// Alert states in which a flapping key still has a live alert
+const FLAP_ALERT_STATUSES = [...Alert.ACTIVE_ALERT_STATUSES, 'flapping'];
+
+// Alert states a recovery event clears
+const CLEARABLE_ALERT_STATUSES = [...FLAP_ALERT_STATUSES, 'suppressed'];
 
 /**
  * Telemetry Collector Service
@@ -17,7 +34,21 @@ class TelemetryCollector extends EventEmitter {
     this.config = {
       snmp_port: options.snmp_port || 162,          // SNMP trap listener port
       syslog_port: options.syslog_port || 514,      // Syslog listener port
-      enabled_sources: options.enabled_sources || ['snmp', 'syslog'], // Enabled telemetry sources
+      syslog_tcp_port: options.syslog_tcp_port || 601, // Syslog over TCP listener port (RFC 6587)
+      syslog_tls_port: options.syslog_tls_port || 6514, // Syslog over TLS listener port (RFC 5425)
+      syslog_tls_cert: options.syslog_tls_cert || null, // TLS certificate path
+      syslog_tls_key: options.syslog_tls_key || null,   // TLS private key path
+      syslog_tls_ca: options.syslog_tls_ca || null,     // CA path; when set, clients must present a certificate
+      syslog_max_message_size: options.syslog_max_message_size || syslogFraming.DEFAULT_MAX_MESSAGE_SIZE, // Largest accepted stream frame
+      syslog_idle_timeout: options.syslog_idle_timeout || 10 * 60 * 1000, // Close idle stream connections after 10 minutes
+      streaming_thresholds: options.streaming_thresholds || {}, // Utilization thresholds for streamed metrics
+      flap_dampening_enabled: options.flap_dampening_enabled !== undefined ? options.flap_dampening_enabled : true, // Dampen flapping interfaces and peers
+      flap_dampening: { ...flapDampening.DEFAULT_DAMPENING, ...(options.flap_dampening || {}) }, // Flap penalty, half-life and thresholds
+      auto_clear_enabled: options.auto_clear_enabled !== undefined ? options.auto_clear_enabled : true, // Resolve problem alerts on their recovery event
+      // Enabled telemetry sources: snmp, syslog (UDP), syslog_tcp, syslog_tls, streaming (OpenConfig over HTTP/WebSocket)
+      enabled_sources: options.enabled_sources || ['snmp', 'syslog', 'streaming'],
+      snmp_allowed_versions: options.snmp_allowed_versions || ['v1', 'v2c', 'v3'], // Accepted SNMP versions
+      snmpv3_users: options.snmpv3_users || [],     // Static SNMPv3 USM users
       max_events_per_second: options.max_events_per_second || 1000,   // Rate limiting
       buffer_size: options.buffer_size || 10000,    // Event buffer size
       normalization_enabled: true,                  // Enable event normalization
@@ -30,6 +61,16 @@ class TelemetryCollector extends EventEmitter {
     this.eventCount = 0;                            // Event counter for rate limiting
     this.lastReset = Date.now();                    // Last rate limit reset time
     this.servers = new Map();                       // Network servers (SNMP, syslog)
+    this.usmUsers = new Map();                      // SNMPv3 users by engine ID, device IP or name
+    this.usmEngineTimes = new Map();                // Last seen boots/time per SNMPv3 engine
+    this.classificationRules = [];                  // Compiled syslog classification rules
+    this.ruleMatches = new Map();                   // Classification rule matches not yet written, by rule _id
+    this.streamState = new Map();                   // Last streamed value per device and OpenConfig path
+    this.flapStates = new Map();                    // Flap dampening state per device, alert type and resource
+    this.syslogConnections = {                      // Open syslog stream connections by transport
+      tcp: new Set(),
+      tls: new Set()
+    };
     
     // Event processing statistics
     this.stats = {
@@ -38,6 +79,24 @@ class TelemetryCollector extends EventEmitter {
       normalization_errors: 0,                     // Normalization failures
       correlation_hits: 0,                          // Successful correlations
       buffer_overflows: 0,                          // Buffer overflow count
+      snmp_traps_decoded: 0,                        // SNMP traps successfully decoded
+      snmp_decode_errors: 0,                        // SNMP traps that failed BER decoding
+      snmp_informs_acknowledged: 0,                 // SNMP informs answered with a Response-PDU
+      snmp_version_rejected: 0,                     // Traps dropped because their version is not allowed
+      snmpv3_authenticated: 0,                      // SNMPv3 traps that passed USM processing
+      snmpv3_auth_failures: 0,                      // SNMPv3 traps rejected by USM processing
+      snmpv3_failures_by_reason: {},                // USM rejections by failure reason
+      classification_rule_hits: 0,                  // Syslog messages classified by a stored rule
+      syslog_transports: this.createSyslogTransportStats(), // Syslog statistics by transport
+      streaming_notifications: 0,                   // Streaming telemetry payloads received
+      streaming_updates: 0,                         // OpenConfig leaf updates decoded
+      streaming_events: 0,                          // Leaf updates mapped to events
+      streaming_decode_errors: 0,                   // Streaming payloads that failed to decode
+      flaps_recorded: 0,                            // Down transitions counted by flap dampening
+      flap_suppressions: 0,                         // Keys that became dampened
+      flap_releases: 0,                             // Dampened keys released after their penalty decayed
+      events_dampened: 0,                           // State change events absorbed by a flapping alert
+      alerts_auto_cleared: 0,                       // Problem alerts resolved by a recovery event
       last_reset: Date.now()                        // Last statistics reset
     };
     
@@ -55,13 +114,26 @@ class TelemetryCollector extends EventEmitter {
     
     // Initialize telemetry sources
     if (this.config.enabled_sources.includes('snmp')) {
+      this.loadSNMPv3Users();
       this.initSNMPTrapListener();
     }
     
+    if (this.isSyslogEnabled()) {
+      this.loadClassificationRules();
+    }
+    
     if (this.config.enabled_sources.includes('syslog')) {
       this.initSyslogListener();
     }
     
+    if (this.config.enabled_sources.includes('syslog_tcp')) {
+      this.initSyslogStreamListener('tcp');
+    }
+    
+    if (this.config.enabled_sources.includes('syslog_tls')) {
+      this.initSyslogStreamListener('tls');
+    }
+    
     // Setup periodic tasks
     this.setupPeriodicTasks();
     
@@ -147,6 +219,265 @@ class TelemetryCollector extends EventEmitter {
     }
   }
   
+  /**
+   * Initialize a stream syslog listener: plain TCP (RFC 6587) or TLS (RFC 5425)
+   */
+  initSyslogStreamListener(transport) {
+    try {
+      const port = transport === 'tls' ? this.config.syslog_tls_port : this.config.syslog_tcp_port;
+      const onConnection = (socket) => {
+        this.handleSyslogConnection(socket, transport);
+      };
+      
+      let server;
+      if (transport === 'tls') {
+        if (!this.config.syslog_tls_cert || !this.config.syslog_tls_key) {
+          throw new Error('syslog_tls_cert and syslog_tls_key are required for the TLS syslog listener');
+        }
+        
+        const requireClientCert = Boolean(this.config.syslog_tls_ca);
+        server = tls.createServer({
+          cert: fs.readFileSync(this.config.syslog_tls_cert),
+          key: fs.readFileSync(this.config.syslog_tls_key),
+          ca: requireClientCert ? fs.readFileSync(this.config.syslog_tls_ca) : undefined,
+          requestCert: requireClientCert,
+          rejectUnauthorized: requireClientCert
+        }, onConnection);
+        
+        // Failed handshakes never reach the connection handler
+        server.on('tlsClientError', (err, socket) => {
+          this.stats.syslog_transports.tls.handshake_errors++;
+          console.warn(`Syslog TLS handshake failed from ${socket.remoteAddress}: ${err.message}`);
+        });
+      } else {
+        server = net.createServer(onConnection);
+      }
+      
+      // Handle server errors
+      server.on('error', (err) => {
+        console.error(`Syslog ${transport.toUpperCase()} listener error:`, err);
+        this.emit('error', { source: `syslog_${transport}`, error: err });
+      });
+      
+      // Start listening for syslog connections
+      server.listen(port, () => {
+        console.log(`Syslog ${transport.toUpperCase()} listener started on port ${port}`);
+      });
+      
+      this.servers.set(`syslog_${transport}`, server);
+      
+    } catch (error) {
+      console.error(`Failed to initialize syslog ${transport.toUpperCase()} listener:`, error);
+    }
+  }
+  
+  /**
+   * Handle a syslog stream connection.
+   * Unlike UDP, stream senders are paused instead of dropped when the collector is saturated.
+   */
+  handleSyslogConnection(socket, transport) {
+    const transportStats = () => this.stats.syslog_transports[transport];
+    const connections = this.syslogConnections[transport];
+    const remoteInfo = {
+      address: (socket.remoteAddress || '').replace(/^::ffff:/, ''),
+      port: socket.remotePort
+    };
+    const pending = [];
+    let drainTimer = null;
+    
+    connections.add(socket);
+    transportStats().connections++;
+    
+    const decoder = syslogFraming.createFrameDecoder(
+      (frame) => pending.push(frame),
+      { max_message_size: this.config.syslog_max_message_size }
+    );
+    
+    // Hand queued frames to the pipeline while there is room, otherwise pause the sender
+    const drain = () => {
+      drainTimer = null;
+      while (pending.length > 0) {
+        if (!this.canAcceptEvent()) {
+          if (!socket.destroyed) {
+            socket.pause();
+          }
+          drainTimer = setTimeout(drain, 100);
+          return;
+        }
+        this.handleSyslogMessage(pending.shift(), remoteInfo, transport);
+      }
+      if (!socket.destroyed && socket.isPaused()) {
+        socket.resume();
+      }
+    };
+    
+    socket.setTimeout(this.config.syslog_idle_timeout);
+    
+    socket.on('data', (chunk) => {
+      try {
+        decoder.push(chunk);
+      } catch (error) {
+        transportStats().framing_errors++;
+        console.warn(`Syslog ${transport.toUpperCase()} framing error from ${remoteInfo.address}: ${error.message}`);
+        socket.destroy();
+      }
+      if (!drainTimer) {
+        drain();
+      }
+    });
+    
+    socket.on('end', () => {
+      decoder.end();
+      if (!drainTimer) {
+        drain();
+      }
+    });
+    
+    socket.on('timeout', () => {
+      socket.end();
+    });
+    
+    socket.on('error', (err) => {
+      console.error(`Syslog ${transport.toUpperCase()} connection error from ${remoteInfo.address}:`, err.message);
+    });
+    
+    socket.on('close', () => {
+      connections.delete(socket);
+    });
+  }
+  
+  /**
+   * Accept streaming telemetry (OpenConfig JSON-IETF / gNMI JSON) on the WebSocket path
+   * of the API server. Streaming over HTTP POST is handled by the telemetry routes.
+   */
+  attachStreamingWebSocket(httpServer, path = '/api/telemetry/stream') {
+    if (!this.config.enabled_sources.includes('streaming')) {
+      return;
+    }
+    
+    try {
+      const wss = new WebSocketServer({ server: httpServer, path });
+      
+      wss.on('connection', (socket, request) => {
+        const remoteInfo = {
+          address: (request.socket.remoteAddress || '').replace(/^::ffff:/, ''),
+          port: request.socket.remotePort
+        };
+        
+        socket.on('message', (data) => {
+          try {
+            const result = this.ingestStreamingTelemetry(JSON.parse(data.toString()), remoteInfo, 'websocket');
+            socket.send(JSON.stringify({ success: true, ...result }));
+          } catch (error) {
+            if (error instanceof SyntaxError) {
+              this.stats.streaming_decode_errors++;
+            }
+            socket.send(JSON.stringify({ success: false, error: error.message }));
+          }
+        });
+        
+        socket.on('error', (err) => {
+          console.error(`Streaming telemetry WebSocket error from ${remoteInfo.address}:`, err.message);
+        });
+      });
+      
+      wss.on('error', (err) => {
+        console.error('Streaming telemetry WebSocket server error:', err);
+        this.emit('error', { source: 'streaming', error: err });
+      });
+      
+      this.servers.set('streaming_ws', wss);
+      console.log(`Streaming telemetry WebSocket listening on ${path}`);
+      
+    } catch (error) {
+      console.error('Failed to initialize streaming telemetry WebSocket:', error);
+    }
+  }
+  
+  /**
+   * Ingest a streaming telemetry payload: decode OpenConfig leaves and buffer the ones
+   * that map onto events. Returns the number of decoded updates and generated events.
+   */
+  ingestStreamingTelemetry(payload, remoteInfo, transport = 'http') {
+    if (!this.config.enabled_sources.includes('streaming')) {
+      const error = new Error('Streaming telemetry source is not enabled');
+      error.code = 'SOURCE_DISABLED';
+      throw error;
+    }
+    
+    let leaves;
+    try {
+      leaves = openconfigDecoder.decodePayload(payload, {});
+    } catch (error) {
+      this.stats.streaming_decode_errors++;
+      throw error;
+    }
+    
+    this.stats.streaming_notifications++;
+    this.stats.streaming_updates += leaves.length;
+    
+    let events = 0;
+    leaves.forEach(leaf => {
+      const target = leaf.target || remoteInfo.address;
+      const mapped = openconfigDecoder.mapLeaf(leaf, {
+        target,
+        state: this.streamState,
+        thresholds: this.config.streaming_thresholds
+      });
+      
+      if (!mapped || !this.checkRateLimit()) {
+        return;
+      }
+      
+      const targetIsAddress = net.isIP(target) !== 0;
+      this.addToBuffer({
+        source: 'streaming',
+        transport: transport,
+        timestamp: leaf.timestamp,
+        device_ip: targetIsAddress ? target : null,
+        device_name: targetIsAddress ? null : target,
+        source_ip: remoteInfo.address,
+        path: leaf.path,
+        instance_path: leaf.instance_path,
+        keys: leaf.keys,
+        value: leaf.value,
+        mapped: mapped
+      });
+      
+      this.updateStats('streaming');
+      events++;
+    });
+    
+    this.stats.streaming_events += events;
+    return { updates: leaves.length, events };
+  }
+  
+  /**
+   * Whether the pipeline can take another event without rate limiting or buffer overflow
+   */
+  canAcceptEvent() {
+    return this.eventCount < this.config.max_events_per_second &&
+      this.eventBuffer.length < this.config.buffer_size;
+  }
+  
+  /**
+   * Whether any syslog transport is enabled
+   */
+  isSyslogEnabled() {
+    return ['syslog', 'syslog_tcp', 'syslog_tls'].some(source => this.config.enabled_sources.includes(source));
+  }
+  
+  /**
+   * Empty per-transport syslog statistics
+   */
+  createSyslogTransportStats() {
+    return {
+      udp: { messages: 0, bytes: 0, dropped: 0 },
+      tcp: { messages: 0, bytes: 0, dropped: 0, connections: 0, framing_errors: 0 },
+      tls: { messages: 0, bytes: 0, dropped: 0, connections: 0, framing_errors: 0, handshake_errors: 0 }
+    };
+  }
+  
   /**
    * Handle incoming SNMP trap messages
    */
@@ -157,13 +488,68 @@ class TelemetryCollector extends EventEmitter {
         return;
       }
       
-      // Parse SNMP trap (simplified parsing - in production use proper SNMP library)
+      // Decode the BER encoded trap; undecodable traps are still buffered with their raw bytes
+      let trap = null;
+      let decodeError = null;
+      
+      try {
+        trap = snmpTrapDecoder.decodeTrap(message);
+      } catch (error) {
+        if (error.code !== 'SNMPV3_MESSAGE') {
+          decodeError = error.message;
+        }
+      }
+      
+      // A trap whose version cannot be determined only passes when every version is allowed
+      const version = trap ? trap.version : (decodeError ? null : 'v3');
+      const versionAllowed = version
+        ? this.config.snmp_allowed_versions.includes(version)
+        : ['v1', 'v2c', 'v3'].every(known => this.config.snmp_allowed_versions.includes(known));
+      if (!versionAllowed) {
+        this.stats.snmp_version_rejected++;
+        return;
+      }
+      
+      // SNMPv3 messages must pass USM authentication and decryption before normalization
+      if (version === 'v3') {
+        try {
+          trap = snmpUsm.processIncomingMessage(
+            message,
+            (engineId, userName) => this.lookupSNMPv3User(engineId, userName, remoteInfo.address),
+            this.usmEngineTimes
+          );
+          this.stats.snmpv3_authenticated++;
+        } catch (error) {
+          if (error.code === 'USM_FAILURE') {
+            this.recordUSMFailure(error, message, remoteInfo);
+            return;
+          }
+          decodeError = error.message;
+        }
+      }
+      
+      if (trap) {
+        this.stats.snmp_traps_decoded++;
+      } else {
+        this.stats.snmp_decode_errors++;
+      }
+      
+      // Acknowledge informs so the agent stops retransmitting.
+      // SNMPv3 informs need an authoritative local engine to answer, which the collector does not run.
+      if (trap && trap.pdu_type === 'inform_request' && trap.version !== 'v3') {
+        this.acknowledgeInform(message, trap, remoteInfo);
+      }
+      
       const rawEvent = {
         source: 'snmp',
         timestamp: new Date(),
-        device_ip: remoteInfo.address,
+        // SNMPv1 traps carry the originating agent address, which may differ from a relaying sender
+        device_ip: this.resolveTrapSourceAddress(trap, remoteInfo),
+        source_ip: remoteInfo.address,
         raw_data: message.toString('hex'),
-        size: message.length
+        size: message.length,
+        trap: trap,
+        decode_error: decodeError
       };
       
       // Add to event buffer for processing
@@ -178,22 +564,134 @@ class TelemetryCollector extends EventEmitter {
     }
   }
   
+  /**
+   * Count a USM rejection and raise an authentication failure event for the sender
+   */
+  recordUSMFailure(error, message, remoteInfo) {
+    this.stats.snmpv3_auth_failures++;
+    this.stats.snmpv3_failures_by_reason[error.reason] =
+      (this.stats.snmpv3_failures_by_reason[error.reason] || 0) + 1;
+    
+    console.warn(`SNMPv3 message from ${remoteInfo.address} rejected: ${error.message}`);
+    
+    this.addToBuffer({
+      source: 'snmp',
+      timestamp: new Date(),
+      device_ip: remoteInfo.address,
+      source_ip: remoteInfo.address,
+      raw_data: message.toString('hex'),
+      size: message.length,
+      trap: null,
+      usm_failure: {
+        reason: error.reason,
+        message: error.message,
+        user_name: error.details.user_name,
+        engine_id: error.details.engine_id
+      }
+    });
+    
+    this.updateStats('snmp');
+  }
+  
+  /**
+   * Find the SNMPv3 user for an incoming message.
+   * Engine ID entries take precedence over per-device entries, which take precedence over global ones.
+   */
+  lookupSNMPv3User(engineId, userName, sourceAddress) {
+    return this.usmUsers.get(`engine:${engineId}:${userName}`) ||
+      this.usmUsers.get(`device:${sourceAddress}:${userName}`) ||
+      this.usmUsers.get(`any:${userName}`) ||
+      null;
+  }
+  
+  /**
+   * Build the SNMPv3 user table from configuration and device credentials
+   */
+  async loadSNMPv3Users() {
+    const users = new Map();
+    
+    const addUser = (user, deviceIp) => {
+      if (!user || !user.username) {
+        return;
+      }
+      if (user.engine_id) {
+        users.set(`engine:${user.engine_id.toLowerCase()}:${user.username}`, user);
+      } else if (deviceIp) {
+        users.set(`device:${deviceIp}:${user.username}`, user);
+      } else {
+        users.set(`any:${user.username}`, user);
+      }
+    };
+    
+    this.config.snmpv3_users.forEach(user => addUser(user, user.device_ip));
+    this.usmUsers = users;
+    
+    try {
+      const devices = await Device.find({ 'credentials.snmpv3.username': { $exists: true } })
+        .select('mgmt_ip credentials.snmpv3')
+        .lean();
+      
+      devices.forEach(device => addUser(device.credentials.snmpv3, device.mgmt_ip));
+    } catch (error) {
+      console.error('Error loading SNMPv3 users from devices:', error);
+    }
+    
+    console.log(`Loaded ${users.size} SNMPv3 users`);
+  }
+  
+  /**
+   * Determine the device address a trap should be attributed to
+   */
+  resolveTrapSourceAddress(trap, remoteInfo) {
+    if (trap && trap.agent_address && trap.agent_address !== '0.0.0.0') {
+      return trap.agent_address;
+    }
+    return remoteInfo.address;
+  }
+  
+  /**
+   * Send the Response-PDU for a received InformRequest
+   */
+  acknowledgeInform(message, trap, remoteInfo) {
+    const snmpServer = this.servers.get('snmp');
+    const response = snmpTrapDecoder.buildInformResponse(message, trap);
+    
+    if (!snmpServer || !response) {
+      return;
+    }
+    
+    snmpServer.send(response, remoteInfo.port, remoteInfo.address, (err) => {
+      if (err) {
+        console.error('Error acknowledging SNMP inform:', err);
+        return;
+      }
+      this.stats.snmp_informs_acknowledged++;
+    });
+  }
+  
   /**
    * Handle incoming syslog messages
    */
-  handleSyslogMessage(message, remoteInfo) {
+  handleSyslogMessage(message, remoteInfo, transport = 'udp') {
     try {
+      const transportStats = this.stats.syslog_transports[transport];
+      
       // Check rate limiting
       if (!this.checkRateLimit()) {
+        transportStats.dropped++;
         return;
       }
       
+      transportStats.messages++;
+      transportStats.bytes += message.length;
+      
       // Parse syslog message
       const syslogText = message.toString();
       const parsedSyslog = this.parseSyslogMessage(syslogText);
       
       const rawEvent = {
         source: 'syslog',
+        transport: transport,
         timestamp: new Date(),
         device_ip: remoteInfo.address,
         message: syslogText,
@@ -213,60 +711,17 @@ class TelemetryCollector extends EventEmitter {
   }
   
   /**
-   * Parse syslog message into structured format
+   * Parse syslog message into structured format (RFC 5424, RFC 3164, Cisco and Juniper tags)
    */
   parseSyslogMessage(message) {
     try {
-      // Basic syslog parsing (RFC3164/RFC5424)
-      const syslogRegex = /<(\d+)>(\w{3}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2})\s+(\S+)\s+(.+)/;
-      const match = message.match(syslogRegex);
-      
-      if (match) {
-        const priority = parseInt(match[1]);
-        const facility = Math.floor(priority / 8);
-        const severity = priority % 8;
-        
-        return {
-          priority: priority,
-          facility: facility,
-          severity: severity,
-          timestamp: match[2],
-          hostname: match[3],
-          message: match[4],
-          severity_text: this.getSyslogSeverityText(severity)
-        };
-      }
-      
-      // If parsing fails, return basic structure
-      return {
-        message: message,
-        severity: 6, // info level
-        severity_text: 'info'
-      };
-      
+      return syslogParser.parseSyslogMessage(message);
     } catch (error) {
       console.error('Error parsing syslog message:', error);
       return { message: message, parse_error: true };
     }
   }
   
-  /**
-   * Convert syslog severity number to text
-   */
-  getSyslogSeverityText(severity) {
-    const severityMap = {
-      0: 'emergency',
-      1: 'alert',
-      2: 'critical',
-      3: 'error',
-      4: 'warning',
-      5: 'notice',
-      6: 'info',
-      7: 'debug'
-    };
-    return severityMap[severity] || 'unknown';
-  }
-  
   /**
    * Check if we're within rate limiting bounds
    */
@@ -334,7 +789,7 @@ class TelemetryCollector extends EventEmitter {
         timestamp: rawEvent.timestamp,
         source_system: rawEvent.source,
         device_ip: rawEvent.device_ip,
-        device_hostname: null, // Will be enriched
+        device_hostname: rawEvent.device_name || null, // Will be enriched
         event_type: 'unknown',
         severity: 'info',
         message: '',
@@ -351,6 +806,8 @@ class TelemetryCollector extends EventEmitter {
         this.normalizeSyslogEvent(normalizedEvent, rawEvent);
       } else if (rawEvent.source === 'snmp') {
         this.normalizeSNMPEvent(normalizedEvent, rawEvent);
+      } else if (rawEvent.source === 'streaming') {
+        this.normalizeStreamingEvent(normalizedEvent, rawEvent);
       }
       
       return normalizedEvent;
@@ -369,13 +826,34 @@ class TelemetryCollector extends EventEmitter {
       normalizedEvent.severity = this.mapSyslogSeverity(rawEvent.parsed_data.severity_text);
       normalizedEvent.message = rawEvent.parsed_data.message;
       normalizedEvent.normalized_data = {
+        ...normalizedEvent.normalized_data,
+        syslog_format: rawEvent.parsed_data.format,
         facility: rawEvent.parsed_data.facility,
         syslog_severity: rawEvent.parsed_data.severity,
-        hostname: rawEvent.parsed_data.hostname
+        hostname: rawEvent.parsed_data.hostname,
+        syslog_timestamp: rawEvent.parsed_data.timestamp,
+        app_name: rawEvent.parsed_data.app_name,
+        procid: rawEvent.parsed_data.procid,
+        msgid: rawEvent.parsed_data.msgid,
+        structured_data: rawEvent.parsed_data.structured_data,
+        vendor_tag: rawEvent.parsed_data.vendor
       };
       
-      // Determine event type from message content
-      normalizedEvent.event_type = this.classifySyslogEvent(rawEvent.parsed_data.message);
+      const vendorTag = rawEvent.parsed_data.vendor;
+      if (vendorTag) {
+        normalizedEvent.tags.push(`syslog:${vendorTag.tag}`);
+        if (vendorTag.interface) {
+          normalizedEvent.tags.push(`interface:${vendorTag.interface}`);
+        }
+        if (vendorTag.peer) {
+          normalizedEvent.tags.push(`peer:${vendorTag.peer}`);
+        }
+      }
+      
+      // Stored classification rules take precedence over the built-in vendor tag mapping
+      if (!this.applyClassificationRules(normalizedEvent, rawEvent.parsed_data)) {
+        normalizedEvent.event_type = this.classifySyslogEvent(rawEvent.parsed_data);
+      }
     } else {
       normalizedEvent.message = rawEvent.message;
     }
@@ -385,14 +863,118 @@ class TelemetryCollector extends EventEmitter {
    * Normalize SNMP trap events
    */
   normalizeSNMPEvent(normalizedEvent, rawEvent) {
-    // Basic SNMP trap normalization (would use proper SNMP library in production)
-    normalizedEvent.event_type = 'snmp_trap';
-    normalizedEvent.severity = 'warning';
-    normalizedEvent.message = `SNMP trap received from ${rawEvent.device_ip}`;
+    const trap = rawEvent.trap;
+    
+    // Traps rejected by USM processing are reported against the sending address
+    if (rawEvent.usm_failure) {
+      const device = normalizedEvent.device_hostname || normalizedEvent.device_ip;
+      normalizedEvent.event_type = 'authentication_failure';
+      normalizedEvent.severity = this.getSNMPTrapSeverity('authentication_failure');
+      normalizedEvent.message = `SNMPv3 trap from ${device} failed USM processing: ${rawEvent.usm_failure.reason}`;
+      normalizedEvent.normalized_data = {
+        ...normalizedEvent.normalized_data,
+        snmp_version: 'v3',
+        usm_failure: rawEvent.usm_failure
+      };
+      normalizedEvent.tags.push(`usm:${rawEvent.usm_failure.reason}`);
+      return;
+    }
+    
+    // Undecodable traps keep the generic representation
+    if (!trap) {
+      normalizedEvent.event_type = 'snmp_trap';
+      normalizedEvent.severity = 'warning';
+      normalizedEvent.message = `SNMP trap received from ${rawEvent.device_ip}`;
+      normalizedEvent.normalized_data = {
+        ...normalizedEvent.normalized_data,
+        trap_size: rawEvent.size,
+        raw_hex: rawEvent.raw_data.substring(0, 100), // First 100 chars
+        decode_error: rawEvent.decode_error
+      };
+      return;
+    }
+    
+    normalizedEvent.event_type = trap.event_type || 'snmp_trap';
+    normalizedEvent.severity = this.getSNMPTrapSeverity(normalizedEvent.event_type);
+    normalizedEvent.message = this.buildSNMPTrapMessage(normalizedEvent, trap);
     normalizedEvent.normalized_data = {
-      trap_size: rawEvent.size,
-      raw_hex: rawEvent.raw_data.substring(0, 100) // First 100 chars
+      ...normalizedEvent.normalized_data,
+      snmp_version: trap.version,
+      pdu_type: trap.pdu_type,
+      trap_oid: trap.trap_oid,
+      trap_name: trap.trap_name,
+      enterprise: trap.enterprise,
+      generic_trap: trap.generic_trap,
+      specific_trap: trap.specific_trap,
+      sys_uptime: trap.sys_uptime,
+      agent_address: trap.agent_address,
+      interface: trap.interface,
+      varbinds: trap.varbinds,
+      security: trap.security
     };
+    
+    if (trap.interface && trap.interface.name) {
+      normalizedEvent.tags.push(`interface:${trap.interface.name}`);
+    }
+    normalizedEvent.tags.push(`trap:${trap.trap_name}`);
+  }
+  
+  /**
+   * Normalize streaming telemetry events
+   */
+  normalizeStreamingEvent(normalizedEvent, rawEvent) {
+    const mapped = rawEvent.mapped;
+    const device = normalizedEvent.device_hostname || normalizedEvent.device_ip;
+    
+    normalizedEvent.event_type = mapped.event_type;
+    normalizedEvent.severity = mapped.severity;
+    normalizedEvent.message = `${mapped.message} on ${device}`;
+    normalizedEvent.normalized_data = {
+      ...normalizedEvent.normalized_data,
+      transport: rawEvent.transport,
+      openconfig_path: rawEvent.path,
+      instance_path: rawEvent.instance_path,
+      keys: rawEvent.keys,
+      value: rawEvent.value,
+      interface: mapped.interface,
+      peer: mapped.peer,
+      metric: mapped.metric
+    };
+    
+    if (mapped.interface) {
+      normalizedEvent.tags.push(`interface:${mapped.interface}`);
+    }
+    if (mapped.peer) {
+      normalizedEvent.tags.push(`peer:${mapped.peer}`);
+    }
+    normalizedEvent.tags.push(`path:${rawEvent.path}`);
+  }
+  
+  /**
+   * Severity for event types derived from SNMP traps
+   */
+  getSNMPTrapSeverity(eventType) {
+    const severityMap = {
+      'interface_down': 'major',
+      'interface_up': 'info',
+      'device_reboot': 'warning',
+      'authentication_failure': 'minor'
+    };
+    return severityMap[eventType] || 'warning';
+  }
+  
+  /**
+   * Build a human-readable message for a decoded trap
+   */
+  buildSNMPTrapMessage(normalizedEvent, trap) {
+    const device = normalizedEvent.device_hostname || normalizedEvent.device_ip;
+    const iface = trap.interface && trap.interface.name ? ` on ${trap.interface.name}` : '';
+    
+    if (trap.trap_name === 'enterpriseSpecific') {
+      return `SNMP trap ${trap.trap_oid} received from ${device}`;
+    }
+    
+    return `SNMP ${trap.trap_name} trap${iface} received from ${device}`;
   }
   
   /**
@@ -413,27 +995,158 @@ class TelemetryCollector extends EventEmitter {
   }
   
   /**
-   * Classify syslog event type based on message content
+   * Load enabled classification rules from the database in evaluation order.
+   * Rules that fail to compile are skipped so one bad pattern cannot block the others.
    */
-  classifySyslogEvent(message) {
-    const lowerMessage = message.toLowerCase();
+  async loadClassificationRules() {
+    try {
+      const rules = await ClassificationRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 });
+      const compiled = [];
+      
+      rules.forEach(rule => {
+        try {
+          compiled.push(rule.compileMatcher());
+        } catch (error) {
+          console.error(`Skipping classification rule ${rule.rule_id}:`, error.message);
+        }
+      });
+      
+      this.classificationRules = compiled;
+      this.emit('classification_rules_loaded', { count: compiled.length });
+      
+      return compiled.length;
+    } catch (error) {
+      console.error('Error loading classification rules:', error);
+      return this.classificationRules.length;
+    }
+  }
+  
+  /**
+   * Apply the first matching classification rule to a syslog event.
+   * Returns true when a rule classified the event.
+   */
+  applyClassificationRules(normalizedEvent, parsedData) {
+    const vendorTag = parsedData.vendor;
+    const deviceInfo = normalizedEvent.normalized_data.device_info || {};
+    const vendor = (normalizedEvent.device_vendor || (vendorTag && vendorTag.vendor) || '').toLowerCase();
+    const osVersion = (deviceInfo.os_version || '').toLowerCase();
     
-    // Interface events
-    if (lowerMessage.includes('interface') && lowerMessage.includes('down')) {
-      return 'interface_down';
+    for (const matcher of this.classificationRules) {
+      if (matcher.vendors.length > 0 && !matcher.vendors.includes(vendor)) {
+        continue;
+      }
+      if (matcher.os_versions.length > 0 && !matcher.os_versions.some(os => osVersion.includes(os))) {
+        continue;
+      }
+      
+      const match = this.matchClassificationRule(matcher, parsedData);
+      if (!match) {
+        continue;
+      }
+      
+      const rule = matcher.rule;
+      const extracted = { ...(match.groups || {}) };
+      matcher.captures.forEach(capture => {
+        const value = typeof capture.group === 'number' ? match[capture.group] : (match.groups || {})[capture.group];
+        if (value !== undefined) {
+          extracted[capture.name] = value;
+        }
+      });
+      
+      normalizedEvent.event_type = rule.event_type;
+      if (rule.severity) {
+        normalizedEvent.severity = rule.severity;
+      }
+      normalizedEvent.normalized_data.classification_rule = rule.rule_id;
+      normalizedEvent.normalized_data.extracted = extracted;
+      normalizedEvent.tags.push(`rule:${rule.rule_id}`);
+      if (extracted.interface && !normalizedEvent.tags.includes(`interface:${extracted.interface}`)) {
+        normalizedEvent.tags.push(`interface:${extracted.interface}`);
+      }
+      if (extracted.peer_ip) {
+        normalizedEvent.tags.push(`peer:${extracted.peer_ip}`);
+      }
+      
+      this.stats.classification_rule_hits++;
+      const matches = this.ruleMatches.get(String(rule._id)) || { rule_id: rule._id, count: 0 };
+      matches.count++;
+      matches.last_matched = new Date();
+      this.ruleMatches.set(String(rule._id), matches);
+      
+      return true;
     }
-    if (lowerMessage.includes('interface') && lowerMessage.includes('up')) {
-      return 'interface_up';
+    
+    return false;
+  }
+  
+  /**
+   * Write the classification rule matches counted since the last flush in one bulk write
+   */
+  async flushRuleMatches() {
+    if (this.ruleMatches.size === 0) {
+      return;
+    }
+    
+    const operations = Array.from(this.ruleMatches.values()).map(matches => ({
+      updateOne: {
+        filter: { _id: matches.rule_id },
+        update: { $inc: { 'statistics.match_count': matches.count }, $set: { 'statistics.last_matched': matches.last_matched } }
+      }
+    }));
+    this.ruleMatches.clear();
+    
+    try {
+      await ClassificationRule.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      console.error('Error updating classification rule statistics:', error);
+    }
+  }
+  
+  /**
+   * Match a single compiled rule against a parsed syslog message.
+   * Returns the regex match (or an empty match for tag-only rules), or null.
+   */
+  matchClassificationRule(matcher, parsedData) {
+    if (matcher.regex) {
+      return (parsedData.message || '').match(matcher.regex);
+    }
+    
+    const vendorTag = parsedData.vendor;
+    if (!vendorTag) {
+      return null;
+    }
+    
+    const fullTag = vendorTag.vendor === 'cisco'
+      ? `${vendorTag.facility}-${vendorTag.severity}-${vendorTag.mnemonic}`
+      : vendorTag.tag;
+    if (matcher.tag !== vendorTag.tag && matcher.tag !== fullTag) {
+      return null;
+    }
+    
+    if (matcher.message_regex) {
+      return vendorTag.description.match(matcher.message_regex);
     }
+    return [vendorTag.description];
+  }
+  
+  /**
+   * Classify syslog event type from the vendor mnemonic, or from the reported state for untagged messages
+   */
+  classifySyslogEvent(parsedData) {
+    const message = parsedData.message || '';
     
-    // BGP events
-    if (lowerMessage.includes('bgp') && lowerMessage.includes('down')) {
-      return 'bgp_peer_down';
+    if (parsedData.vendor) {
+      return syslogParser.classifyVendorTag(parsedData.vendor) || 'system_message';
     }
-    if (lowerMessage.includes('bgp') && lowerMessage.includes('up')) {
-      return 'bgp_peer_up';
+    
+    // Interface and BGP state changes
+    const stateEvent = syslogParser.classifyFreeText(message);
+    if (stateEvent) {
+      return stateEvent;
     }
     
+    const lowerMessage = message.toLowerCase();
+    
     // System events
     if (lowerMessage.includes('cpu') && lowerMessage.includes('high')) {
       return 'high_cpu';
@@ -460,10 +1173,13 @@ class TelemetryCollector extends EventEmitter {
    */
   async enrichWithDeviceInfo(event) {
     try {
-      // Find device by IP address
-      const device = await Device.findOne({ mgmt_ip: event.device_ip });
+      // Find device by IP address, or by name for streaming targets identified by hostname
+      const device = event.device_ip
+        ? await Device.findOne({ mgmt_ip: event.device_ip })
+        : await Device.findOne({ hostname: event.device_hostname });
       
       if (device) {
+        event.device_ip = device.mgmt_ip;
         event.device_hostname = device.hostname;
         event.device_vendor = device.vendor;
         event.device_model = device.model;
@@ -491,13 +1207,28 @@ class TelemetryCollector extends EventEmitter {
    */
   async checkAlertConditions(event) {
     try {
+      // State changes of a flapping interface or peer update its flapping alert instead
+      if (this.config.flap_dampening_enabled && alertPairing.getPairedProblemType(event.event_type)) {
+        const dampened = await this.applyFlapDampening(event);
+        if (dampened) {
+          return;
+        }
+      }
+      
+      // Recoveries clear the problem alert of the same interface or peer
+      if (this.config.auto_clear_enabled && alertPairing.isRecovery(event.event_type)) {
+        await this.clearRecoveredAlerts(event);
+      }
+      
       // Define alert-worthy event types
       const alertEventTypes = [
         'interface_down',
         'bgp_peer_down',
+        'ospf_neighbor_down',
         'high_cpu',
         'high_memory',
         'device_unreachable',
+        'device_reboot',
         'authentication_failure'
       ];
       
@@ -538,6 +1269,7 @@ class TelemetryCollector extends EventEmitter {
       }
       
       // Create new alert
+      const resourceKey = this.getResourceKey(event);
       const alert = new Alert({
         alert_id: this.generateAlertId(),
         device: event.device_hostname || event.device_ip,
@@ -552,7 +1284,8 @@ class TelemetryCollector extends EventEmitter {
         telemetry_data: {
           custom_metrics: event.normalized_data
         },
-        tags: event.tags
+        tags: event.tags,
+        custom_fields: resourceKey ? { resource_key: resourceKey } : {}
       });
       
       await alert.save();
@@ -567,6 +1300,222 @@ class TelemetryCollector extends EventEmitter {
     }
   }
   
+  /**
+   * Resource key of a problem or recovery event, shared by flap dampening and
+   * recovery clearing; null for other events
+   */
+  getResourceKey(event) {
+    const problemType = alertPairing.getPairedProblemType(event.event_type);
+    if (!problemType) {
+      return null;
+    }
+    
+    return alertPairing.buildResourceKey(
+      event.device_hostname || event.device_ip,
+      problemType,
+      alertPairing.getResource(problemType, event.tags)
+    );
+  }
+  
+  /**
+   * Resolve the live problem alerts a recovery event clears
+   */
+  async clearRecoveredAlerts(event) {
+    const key = this.getResourceKey(event);
+    const alerts = await Alert.find({
+      'custom_fields.resource_key': key,
+      status: { $in: CLEARABLE_ALERT_STATUSES }
+    });
+    
+    for (const alert of alerts) {
+      alert.applyTransition('resolve', {
+        user: 'system',
+        resolution_code: 'auto_cleared',
+        note: `Cleared by ${event.event_type} event ${event.event_id}`
+      });
+      alert.custom_fields = { ...alert.custom_fields, resolution: 'auto_cleared', cleared_by_event: event.event_id };
+      await alert.save();
+      
+      this.stats.alerts_auto_cleared++;
+      console.log(`Alert ${alert.alert_id} cleared by ${event.event_type}: ${key}`);
+      this.emit('alert_resolved', alert);
+    }
+  }
+  
+  /**
+   * Update the flap penalty of a state change event's key.
+   * Every transition to the failed state is a flap. While the key is dampened the
+   * event only updates the key's 'flapping' alert; returns true in that case.
+   */
+  async applyFlapDampening(event) {
+    const key = this.getResourceKey(event);
+    const isDown = event.event_type === alertPairing.getPairedProblemType(event.event_type);
+    const previous = this.flapStates.get(key);
+    const now = Date.now();
+    
+    if (!isDown && !previous) {
+      return false;
+    }
+    
+    const state = isDown
+      ? flapDampening.recordFlap(previous, now, this.config.flap_dampening)
+      : flapDampening.evaluateState(previous, now, this.config.flap_dampening);
+    state.last_state = isDown ? 'down' : 'up';
+    this.flapStates.set(key, state);
+    
+    if (isDown) {
+      this.stats.flaps_recorded++;
+    }
+    if (!state.suppressed) {
+      return false;
+    }
+    
+    const startedFlapping = !previous || !previous.suppressed;
+    if (startedFlapping) {
+      state.suppressed_at = now;
+      this.stats.flap_suppressions++;
+    }
+    
+    await this.updateFlappingAlert(event, key, state, startedFlapping);
+    this.stats.events_dampened++;
+    return true;
+  }
+  
+  /**
+   * Set the alert of a dampened key to 'flapping' and record its flap state,
+   * creating the alert when the key has none
+   */
+  async updateFlappingAlert(event, key, state, startedFlapping) {
+    const flap = this.buildFlapSummary(state);
+    let alert = await Alert.findOne({
+      'custom_fields.resource_key': key,
+      status: { $in: FLAP_ALERT_STATUSES }
+    });
+    
+    if (alert) {
+      // A shelved alert stays shelved, only its flap state is kept current
+      if (alert.status !== 'shelved') {
+        alert.status = 'flapping';
+      }
+      alert.occurrence_count += 1;
+      alert.last_occurrence = new Date();
+      alert.custom_fields = { ...alert.custom_fields, flap };
+      await alert.save();
+    } else {
+      const alertType = alertPairing.getPairedProblemType(event.event_type);
+      alert = new Alert({
+        alert_id: this.generateAlertId(),
+        device: event.device_hostname || event.device_ip,
+        device_ip: event.device_ip,
+        type: alertType,
+        category: this.getAlertCategory(alertType),
+        severity: event.event_type === alertType ? event.severity : 'major',
+        message: event.message,
+        status: 'flapping',
+        raw_payload: event.raw_payload,
+        normalized_data: event.normalized_data,
+        source_system: event.source_system,
+        tags: event.tags,
+        custom_fields: { resource_key: key, flap }
+      });
+      await alert.save();
+    }
+    
+    if (startedFlapping) {
+      console.log(`Alert ${alert.alert_id} is flapping: ${state.flaps} flaps, penalty ${flap.penalty}`);
+      this.emit('alert_flapping', alert);
+    }
+  }
+  
+  /**
+   * Flap state stored on alerts (custom_fields.flap) for display
+   */
+  buildFlapSummary(state) {
+    return {
+      penalty: Math.round(state.penalty),
+      flaps: state.flaps,
+      suppressed: state.suppressed,
+      last_state: state.last_state,
+      last_flap: state.last_flap ? new Date(state.last_flap) : undefined,
+      suppressed_at: state.suppressed_at ? new Date(state.suppressed_at) : undefined,
+      reuse_at: state.suppressed ? new Date(flapDampening.getReuseTime(state, this.config.flap_dampening)) : undefined,
+      suppress_threshold: this.config.flap_dampening.suppress_threshold,
+      reuse_threshold: this.config.flap_dampening.reuse_threshold
+    };
+  }
+  
+  /**
+   * Release dampened keys whose penalty decayed below the reuse threshold.
+   * A key that settled up resolves its flapping alert; one that settled down
+   * reopens it, and it is passed on for correlation like a new alert.
+   * Keys whose penalty fell below half the reuse threshold are forgotten (RFC 2439).
+   */
+  async releaseDampenedKeys() {
+    const now = Date.now();
+    const config = this.config.flap_dampening;
+    
+    for (const [key, previous] of this.flapStates) {
+      const state = flapDampening.evaluateState(previous, now, config);
+      
+      if (previous.suppressed && !state.suppressed) {
+        try {
+          await this.releaseFlappingAlert(key, state);
+          this.stats.flap_releases++;
+        } catch (error) {
+          console.error('Error releasing flapping alert:', error);
+          continue;
+        }
+      }
+      
+      if (!state.suppressed && state.penalty < config.reuse_threshold / 2) {
+        this.flapStates.delete(key);
+      } else {
+        this.flapStates.set(key, state);
+      }
+    }
+  }
+  
+  /**
+   * Move the flapping alert of a released key back to 'open', or resolve it.
+   * A flapping alert that was shelved stays shelved, but unshelving it reopens it.
+   */
+  async releaseFlappingAlert(key, state) {
+    const alert = await Alert.findOne({ 'custom_fields.resource_key': key, status: { $in: ['flapping', 'shelved'] } });
+    const shelved = alert && alert.status === 'shelved'
+      ? alert.history.slice().reverse().find(item => item.action === 'shelve')
+      : null;
+    if (!alert || (alert.status === 'shelved' && (!shelved || shelved.from_status !== 'flapping'))) {
+      return;
+    }
+    
+    alert.custom_fields = { ...alert.custom_fields, flap: this.buildFlapSummary(state) };
+    
+    if (state.last_state === 'up') {
+      alert.applyTransition('resolve', {
+        user: 'system',
+        resolution_code: 'auto_cleared',
+        note: `Stopped flapping: ${key} stable up`
+      });
+      alert.custom_fields.resolution = 'flap_stabilized';
+      await alert.save();
+      console.log(`Flapping alert ${alert.alert_id} resolved: ${key} stable up`);
+      this.emit('alert_resolved', alert);
+      return;
+    }
+    
+    if (shelved) {
+      shelved.from_status = 'open';
+      await alert.save();
+      console.log(`Shelved flapping alert ${alert.alert_id} settled: ${key} stable down`);
+      return;
+    }
+    
+    alert.status = 'open';
+    await alert.save();
+    console.log(`Flapping alert ${alert.alert_id} reopened: ${key} stable down`);
+    this.emit('alert_created', alert);
+  }
+  
   /**
    * Get alert category based on event type
    */
@@ -576,11 +1525,14 @@ class TelemetryCollector extends EventEmitter {
       'interface_up': 'network',
       'bgp_peer_down': 'network',
       'bgp_peer_up': 'network',
+      'ospf_neighbor_down': 'network',
+      'ospf_neighbor_up': 'network',
       'high_cpu': 'performance',
       'high_memory': 'performance',
       'authentication_event': 'security',
       'authentication_failure': 'security',
       'config_change': 'system',
+      'device_reboot': 'system',
       'system_message': 'system'
     };
     return categoryMap[eventType] || 'network';
@@ -599,9 +1551,7 @@ class TelemetryCollector extends EventEmitter {
    * Generate unique alert ID
    */
   generateAlertId() {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 9);
-    return `ALT-${timestamp}-${random}`;
+    return Alert.generateAlertId();
   }
   
   /**
@@ -625,6 +1575,32 @@ class TelemetryCollector extends EventEmitter {
     setInterval(() => {
       this.resetStatistics();
     }, 60 * 60 * 1000);
+    
+    // Release flapping alerts whose penalty decayed every 30 seconds
+    if (this.config.flap_dampening_enabled) {
+      setInterval(() => {
+        this.releaseDampenedKeys();
+      }, 30 * 1000);
+    }
+    
+    // Pick up classification rules changed outside this process every minute
+    if (this.isSyslogEnabled()) {
+      setInterval(() => {
+        this.loadClassificationRules();
+      }, 60 * 1000);
+      
+      // Write classification rule match counts every 30 seconds
+      setInterval(() => {
+        this.flushRuleMatches();
+      }, 30 * 1000);
+    }
+    
+    // Pick up SNMPv3 credential changes on devices every 5 minutes
+    if (this.config.enabled_sources.includes('snmp')) {
+      setInterval(() => {
+        this.loadSNMPv3Users();
+      }, 5 * 60 * 1000);
+    }
   }
   
   /**
@@ -650,6 +1626,24 @@ class TelemetryCollector extends EventEmitter {
       normalization_errors: 0,
       correlation_hits: 0,
       buffer_overflows: 0,
+      snmp_traps_decoded: 0,
+      snmp_decode_errors: 0,
+      snmp_informs_acknowledged: 0,
+      snmp_version_rejected: 0,
+      snmpv3_authenticated: 0,
+      snmpv3_auth_failures: 0,
+      snmpv3_failures_by_reason: {},
+      classification_rule_hits: 0,
+      syslog_transports: this.createSyslogTransportStats(),
+      streaming_notifications: 0,
+      streaming_updates: 0,
+      streaming_events: 0,
+      streaming_decode_errors: 0,
+      flaps_recorded: 0,
+      flap_suppressions: 0,
+      flap_releases: 0,
+      events_dampened: 0,
+      alerts_auto_cleared: 0,
       last_reset: Date.now()
     };
   }
@@ -675,19 +1669,66 @@ class TelemetryCollector extends EventEmitter {
       console.log(`${name} listener stopped`);
     });
     
+    // WebSocket clients are not closed together with their server
+    if (this.servers.has('streaming_ws')) {
+      this.servers.get('streaming_ws').clients.forEach(client => client.terminate());
+    }
+    
+    // Stream servers only stop once their connections are gone
+    Object.values(this.syslogConnections).forEach(connections => {
+      connections.forEach(socket => socket.destroy());
+      connections.clear();
+    });
+    
     this.servers.clear();
+    
+    // Keep the rule matches counted since the last flush
+    this.flushRuleMatches();
+    
     console.log('Telemetry Collector Service stopped');
     this.emit('service_stopped');
   }
   
+  /**
+   * Per-transport syslog listener state and statistics
+   */
+  getSyslogTransportStatus() {
+    const listeners = {
+      udp: { source: 'syslog', server: 'syslog', port: this.config.syslog_port },
+      tcp: { source: 'syslog_tcp', server: 'syslog_tcp', port: this.config.syslog_tcp_port },
+      tls: { source: 'syslog_tls', server: 'syslog_tls', port: this.config.syslog_tls_port }
+    };
+    
+    const status = {};
+    Object.entries(listeners).forEach(([transport, listener]) => {
+      status[transport] = {
+        enabled: this.config.enabled_sources.includes(listener.source),
+        listening: this.servers.has(listener.server),
+        port: listener.port,
+        active_connections: this.syslogConnections[transport] ? this.syslogConnections[transport].size : undefined,
+        ...this.stats.syslog_transports[transport]
+      };
+    });
+    
+    return status;
+  }
+  
   /**
    * Get service status and statistics
    */
   getStatus() {
     return {
       running: this.running,
-      config: this.config,
+      config: {
+        ...this.config,
+        // Never expose USM secrets through the status endpoint
+        snmpv3_users: this.config.snmpv3_users.map(user => user.username)
+      },
       statistics: this.stats,
+      snmpv3_users_loaded: this.usmUsers.size,
+      classification_rules_loaded: this.classificationRules.length,
+      syslog_transports: this.getSyslogTransportStatus(),
+      flap_keys_tracked: this.flapStates.size,
       buffer_size: this.eventBuffer.length,
       active_servers: Array.from(this.servers.keys())
     };
@@ -0,0 +1,75 @@
+/**
+ * Alert Pairing
+ * Pairs problem alert types with the recovery event types that clear them, and
+ * identifies the resource (interface or peer) a problem or recovery refers to.
+ *
+ * A recovery clears the open problem alert with the same resource key
+ * (device, problem type and resource), so "Gi0/1 up" clears "Gi0/1 down" but
+ * not "Gi0/2 down" on the same device.
+ */
+
+// Problem alert type -> recovery event type that clears it
+const RECOVERY_PAIRS = {
+  interface_down: 'interface_up',
+  bgp_peer_down: 'bgp_peer_up',
+  ospf_neighbor_down: 'ospf_neighbor_up'
+};
+
+// Tag prefix naming the resource of each problem type
+const RESOURCE_TAG_PREFIXES = {
+  interface_down: 'interface:',
+  bgp_peer_down: 'peer:',
+  ospf_neighbor_down: 'peer:'
+};
+
+/**
+ * Problem type a recovery event type clears; null when it clears nothing
+ */
+function getProblemType(recoveryType) {
+  const entry = Object.entries(RECOVERY_PAIRS).find(([, recovery]) => recovery === recoveryType);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Problem type of either side of a pair (interface_up and interface_down ->
+ * interface_down); null for unpaired event types
+ */
+function getPairedProblemType(eventType) {
+  return RECOVERY_PAIRS[eventType] ? eventType : getProblemType(eventType);
+}
+
+/**
+ * Whether an event type is a recovery
+ */
+function isRecovery(eventType) {
+  return getProblemType(eventType) !== null;
+}
+
+/**
+ * Resource a problem or recovery refers to, taken from its interface: or peer:
+ * tag; empty when the event does not name one
+ */
+function getResource(problemType, tags) {
+  const prefix = RESOURCE_TAG_PREFIXES[problemType];
+  const tag = (tags || []).find(value => prefix
+    ? value.startsWith(prefix)
+    : value.startsWith('interface:') || value.startsWith('peer:'));
+  return tag || '';
+}
+
+/**
+ * Build the resource key of an alert or event
+ */
+function buildResourceKey(device, problemType, resource) {
+  return `${device}|${problemType}|${resource || ''}`;
+}
+
+module.exports = {
+  RECOVERY_PAIRS,
+  RESOURCE_TAG_PREFIXES,
+  getProblemType,
+  getPairedProblemType,
+  isRecovery,
+  getResource,
+  buildResourceKey
+};
@@ -0,0 +1,168 @@
+/**
+ * Alert Query
+ * Builds MongoDB filters, sorts and cursors for alert searches (GET /api/alerts).
+ *
+ * Cursors are opaque strings encoding the sort value and _id of the last alert of
+ * a page; the next page continues after it, so pages stay stable while new alerts
+ * arrive (unlike skip/limit paging).
+ */
+
+const mongoose = require('mongoose');
+const { parseTime } = require('./metricSeries');
+
+// Fields alerts can be sorted by
+const SORT_FIELDS = ['createdAt', 'last_occurrence', 'occurrence_count'];
+
+// Sort fields holding dates, restored as Date objects from a cursor
+const DATE_SORT_FIELDS = ['createdAt', 'last_occurrence'];
+
+// Query parameters matched exactly, with comma separated lists allowed
+const LIST_FILTERS = ['device', 'type', 'severity', 'category', 'status'];
+
+/**
+ * Error for an invalid search parameter
+ */
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+/**
+ * Split a comma separated query parameter (or repeated parameter) into values
+ */
+function parseList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Escape text for literal use in a regular expression
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the alert filter from search parameters
+ *
+ * @param {Object} query - device, type, severity, category, status (lists), from, to,
+ *   tags (all must match), q (text within the message)
+ * @returns {Object} MongoDB filter
+ */
+function buildAlertFilter(query) {
+  const filter = {};
+
+  LIST_FILTERS.forEach(field => {
+    const values = parseList(query[field]);
+    if (values.length === 1) {
+      filter[field] = values[0];
+    } else if (values.length > 1) {
+      filter[field] = { $in: values };
+    }
+  });
+
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  if ((query.from && !from) || (query.to && !to)) {
+    throw invalidQuery('from and to must be ISO dates or epoch milliseconds');
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lt = to;
+  }
+
+  const tags = parseList(query.tags);
+  if (tags.length > 0) {
+    filter.tags = { $all: tags };
+  }
+
+  if (query.q && String(query.q).trim()) {
+    filter.message = { $regex: escapeRegex(String(query.q).trim()), $options: 'i' };
+  }
+
+  return filter;
+}
+
+/**
+ * Parse sort parameters
+ *
+ * @returns {Object} { field, direction (1 or -1) }
+ */
+function parseSort(query) {
+  const field = query.sort || 'createdAt';
+  if (!SORT_FIELDS.includes(field)) {
+    throw invalidQuery(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw invalidQuery('order must be asc or desc');
+  }
+
+  return { field, direction: order === 'asc' ? 1 : -1 };
+}
+
+/**
+ * Encode the position after an alert into a cursor
+ */
+function encodeCursor(alert, sort) {
+  const value = alert[sort.field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    id: alert._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor into { value, id }
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(payload.id)) {
+      throw new Error('invalid id');
+    }
+
+    let value = payload.v;
+    if (DATE_SORT_FIELDS.includes(sort.field) && value !== null && value !== undefined) {
+      value = new Date(value);
+      if (isNaN(value.getTime())) {
+        throw new Error('invalid date');
+      }
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch {
+    throw invalidQuery('Invalid cursor');
+  }
+}
+
+/**
+ * Condition selecting the alerts after a cursor position, in sort order (ties broken by _id)
+ */
+function buildCursorCondition(position, sort) {
+  const op = sort.direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sort.field]: { [op]: position.value } },
+      { [sort.field]: position.value, _id: { [op]: position.id } }
+    ]
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  parseList,
+  escapeRegex,
+  buildAlertFilter,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition
+};
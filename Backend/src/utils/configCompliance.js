@@ -0,0 +1,158 @@
+/**
+ * Configuration Compliance
+ * Checks device configurations against golden config templates. A template is
+ * rendered for a device by filling its {{variable}} placeholders; the running
+ * configuration complies when it holds every line of the rendered template and,
+ * for strict templates, no line the template lacks.
+ *
+ * Variable values come from Device.config_variables, then the template's own
+ * defaults, then the device record (hostname, mgmt_ip, site, vendor, device_type).
+ */
+
+const configDiff = require('./configDiff');
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Variable values of a template for a device
+ */
+function getTemplateVariables(golden, device) {
+  const builtins = {};
+  ['hostname', 'mgmt_ip', 'site', 'vendor', 'device_type'].forEach(field => {
+    if (device[field] !== undefined && device[field] !== null && device[field] !== '') {
+      builtins[field] = device[field];
+    }
+  });
+
+  return {
+    ...builtins,
+    ...(golden.variables || {}),
+    ...(device.config_variables || {})
+  };
+}
+
+/**
+ * Fill the placeholders of a template
+ *
+ * @returns {Object} { content, undefined_variables } (placeholders without a value are left as they are)
+ */
+function renderTemplate(template, variables) {
+  const undefinedVariables = new Set();
+  const content = String(template || '').replace(PLACEHOLDER, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      undefinedVariables.add(name);
+      return placeholder;
+    }
+    return String(value);
+  });
+
+  return { content, undefined_variables: [...undefinedVariables] };
+}
+
+/**
+ * Template rendered for a device
+ *
+ * @throws when a placeholder has no value
+ */
+function renderForDevice(golden, device) {
+  const rendered = renderTemplate(golden.template, getTemplateVariables(golden, device));
+  if (rendered.undefined_variables.length > 0) {
+    throw new Error(`Golden config ${golden.name} has no value for ${rendered.undefined_variables.join(', ')} on ${device.hostname}`);
+  }
+  return rendered.content;
+}
+
+/**
+ * Differences between a running configuration and a rendered template that
+ * violate it: missing lines, and extra lines for strict templates. Lines matching
+ * the template's ignore_lines are never violations.
+ *
+ * @returns {Object} { missing, extra } paths (see utils/configDiff)
+ */
+function findViolations(golden, expected, actual) {
+  const diff = configDiff.diffConfigs(golden.format, expected, actual);
+  const ignored = (golden.ignore_lines || []).map(pattern => new RegExp(pattern));
+  const reported = path => !ignored.some(pattern => pattern.test(path[path.length - 1]));
+
+  return {
+    missing: diff.missing.filter(reported),
+    extra: golden.strict ? diff.extra.filter(reported) : []
+  };
+}
+
+/**
+ * Compliance report of a device
+ *
+ * @param {Object} golden - GoldenConfig for the device, null when its role has none
+ * @param {Object} snapshot - latest collected ConfigSnapshot of the device, null when there is none
+ * @returns {Object} report with status compliant, non_compliant, no_golden_config,
+ *   no_snapshot or error, and the violations grouped by stanza
+ */
+function buildReport(device, golden, snapshot, role = null) {
+  const report = {
+    device: device.hostname,
+    role,
+    golden_config: golden ? golden.name : null,
+    format: golden ? golden.format : null,
+    snapshot_version: snapshot ? snapshot.version : null,
+    collected_at: snapshot ? snapshot.createdAt : null,
+    checked_at: new Date(),
+    status: null,
+    compliant: null,
+    violations: [],
+    summary: { stanzas: 0, missing_lines: 0, extra_lines: 0 },
+    error: null
+  };
+
+  if (!golden) {
+    report.status = 'no_golden_config';
+    return report;
+  }
+  if (!snapshot) {
+    report.status = 'no_snapshot';
+    return report;
+  }
+
+  try {
+    if (snapshot.format !== golden.format) {
+      throw new Error(`Golden config ${golden.name} is ${golden.format} but the configuration of ${device.hostname} was collected as ${snapshot.format}`);
+    }
+
+    const violations = findViolations(golden, renderForDevice(golden, device), snapshot.content);
+    report.violations = configDiff.groupByStanza(golden.format, violations);
+    report.summary = {
+      stanzas: report.violations.length,
+      missing_lines: violations.missing.length,
+      extra_lines: violations.extra.length
+    };
+    report.compliant = report.violations.length === 0;
+    report.status = report.compliant ? 'compliant' : 'non_compliant';
+
+  } catch (error) {
+    report.status = 'error';
+    report.error = error.message;
+  }
+
+  return report;
+}
+
+/**
+ * Configuration-mode commands that bring a running configuration in line with
+ * the device's golden config
+ *
+ * @returns {Array} commands, empty when the configuration complies
+ */
+function buildFixCommands(golden, device, runningConfig) {
+  const violations = findViolations(golden, renderForDevice(golden, device), runningConfig);
+  return configDiff.buildChangeCommands(golden.format, violations);
+}
+
+module.exports = {
+  getTemplateVariables,
+  renderTemplate,
+  renderForDevice,
+  findViolations,
+  buildReport,
+  buildFixCommands
+};
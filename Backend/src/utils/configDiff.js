@@ -0,0 +1,337 @@
+/**
+ * Configuration Diff
+ * Compares device configurations and builds the CLI commands that turn one
+ * configuration into another. Configurations are reduced to paths, each ending in
+ * one configuration line (or leaf value) under its parents, so that a difference
+ * is reported where it is, e.g. ['interface Gi0/1', 'shutdown'].
+ *
+ * Formats:
+ * - ios: indented hierarchical text (Cisco IOS / IOS-XE / NX-OS, Arista EOS)
+ * - junos_set: Junos "display set" lines, one path per line
+ * - xml: NETCONF <data> contents, one path per leaf value
+ * - json: RESTCONF YANG-JSON, one path per leaf value; list entries are keyed by
+ *   their name when they have one
+ *
+ * Lines that change without a configuration change (timestamps, byte counts,
+ * comments) are left out. Differences can be grouped by stanza (the interface,
+ * routing process, ... they sit in) for reports.
+ */
+
+const FORMATS = ['ios', 'junos_set', 'xml', 'json'];
+
+// Lines of text configurations that are not configuration
+const VOLATILE_LINES = {
+  ios: [
+    /^Building configuration/,
+    /^Current configuration\s*:/,
+    /^!/,
+    /^end$/,
+    /^ntp clock-period/
+  ],
+  junos_set: [
+    /^#/
+  ]
+};
+
+/**
+ * Paths of an indented hierarchical configuration
+ */
+function parseHierarchical(text) {
+  const paths = [];
+  const stack = []; // { indent, line } of the enclosing lines
+
+  String(text || '').split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (!line || VOLATILE_LINES.ios.some(pattern => pattern.test(line))) {
+      return;
+    }
+
+    const indent = raw.length - raw.trimStart().length;
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+
+    paths.push([...stack.map(parent => parent.line), line]);
+    stack.push({ indent, line });
+  });
+
+  return paths;
+}
+
+/**
+ * Paths of a Junos set-style configuration
+ */
+function parseSetLines(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/\s+/g, ' '))
+    .filter(line => line && !VOLATILE_LINES.junos_set.some(pattern => pattern.test(line)))
+    .map(line => [line]);
+}
+
+/**
+ * Leaf paths of an XML document; namespace prefixes and attributes are ignored
+ */
+function parseXmlLeaves(xml) {
+  const paths = [];
+  const stack = [];
+  let hasChildren = [];
+  const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)(?:[\w.-]+:)?([\w.-]+)[^>]*?(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = token.exec(String(xml || ''))) !== null) {
+    const [, closing, name, selfClosing, text] = match;
+
+    if (text !== undefined) {
+      const value = text.trim();
+      if (value && stack.length > 0) {
+        paths.push([...stack, `= ${value}`]);
+        hasChildren[hasChildren.length - 1] = true;
+      }
+    } else if (name && closing) {
+      // Empty elements are leaves too (e.g. <enabled/> style presence containers)
+      if (!hasChildren.pop() && stack.length > 0) {
+        paths.push([...stack]);
+      }
+      stack.pop();
+      if (hasChildren.length > 0) {
+        hasChildren[hasChildren.length - 1] = true;
+      }
+    } else if (name && selfClosing) {
+      paths.push([...stack, name]);
+      if (hasChildren.length > 0) {
+        hasChildren[hasChildren.length - 1] = true;
+      }
+    } else if (name) {
+      stack.push(name);
+      hasChildren.push(false);
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Leaf paths of a JSON document
+ */
+function parseJsonLeaves(json) {
+  const paths = [];
+  let value;
+  try {
+    value = typeof json === 'string' ? JSON.parse(json || 'null') : json;
+  } catch (error) {
+    throw new Error(`Invalid JSON configuration: ${error.message}`);
+  }
+
+  const walk = (node, path) => {
+    if (Array.isArray(node)) {
+      node.forEach((entry, index) => {
+        const key = entry && typeof entry === 'object' && entry.name !== undefined ? `[name=${entry.name}]` : `[${index}]`;
+        walk(entry, [...path, key]);
+      });
+    } else if (node && typeof node === 'object') {
+      const keys = Object.keys(node).sort();
+      if (keys.length === 0) {
+        paths.push([...path, '{}']);
+      }
+      keys.forEach(key => walk(node[key], [...path, key]));
+    } else {
+      paths.push([...path, `= ${JSON.stringify(node)}`]);
+    }
+  };
+
+  if (value !== null && value !== undefined) {
+    walk(value, []);
+  }
+  return paths;
+}
+
+/**
+ * Paths of a configuration in one of FORMATS
+ */
+function parseConfig(format, content) {
+  switch (format) {
+    case 'ios':
+      return parseHierarchical(content);
+    case 'junos_set':
+      return parseSetLines(content);
+    case 'xml':
+      return parseXmlLeaves(content);
+    case 'json':
+      return parseJsonLeaves(content);
+    default:
+      throw new Error(`Unsupported configuration format: ${format}`);
+  }
+}
+
+function pathKey(path) {
+  return path.join('\n');
+}
+
+/**
+ * Readable form of a path
+ */
+function formatPath(path) {
+  return path.join(' > ');
+}
+
+/**
+ * Compare a configuration with the one expected
+ *
+ * @returns {Object} { identical, missing (expected paths absent from actual), extra (actual paths not expected) }
+ */
+function diffConfigs(format, expected, actual) {
+  const expectedPaths = parseConfig(format, expected);
+  const actualPaths = parseConfig(format, actual);
+  const expectedKeys = new Set(expectedPaths.map(pathKey));
+  const actualKeys = new Set(actualPaths.map(pathKey));
+
+  const unique = paths => {
+    const seen = new Set();
+    return paths.filter(path => {
+      const key = pathKey(path);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  };
+
+  const missing = unique(expectedPaths.filter(path => !actualKeys.has(pathKey(path))));
+  const extra = unique(actualPaths.filter(path => !expectedKeys.has(pathKey(path))));
+
+  return { identical: missing.length === 0 && extra.length === 0, missing, extra };
+}
+
+/**
+ * Paths whose parents are not in the list themselves (removing or adding the
+ * parent covers its children)
+ */
+function topmostPaths(paths) {
+  const keys = new Set(paths.map(pathKey));
+  return paths.filter(path => !path.slice(0, -1).some((_, index) => keys.has(pathKey(path.slice(0, index + 1)))));
+}
+
+/**
+ * IOS-style commands for paths: enter the parents each line sits under, leaving
+ * contexts with exit when the next line is elsewhere
+ */
+function buildHierarchicalCommands(entries) {
+  const commands = [];
+  let context = [];
+
+  entries.forEach(({ parents, line }, index) => {
+    let shared = 0;
+    while (shared < context.length && shared < parents.length && context[shared] === parents[shared]) {
+      shared++;
+    }
+    for (let level = context.length; level > shared; level--) {
+      commands.push('exit');
+    }
+    parents.slice(shared).forEach(parent => commands.push(parent));
+    commands.push(line);
+
+    // A line followed by its own children (e.g. a new interface) enters their context
+    const next = entries[index + 1];
+    const opensContext = next && next.parents.length > parents.length &&
+      pathKey(next.parents.slice(0, parents.length + 1)) === pathKey([...parents, line]);
+    context = opensContext ? [...parents, line] : parents;
+  });
+
+  for (let level = context.length; level > 0; level--) {
+    commands.push('exit');
+  }
+  return commands;
+}
+
+/**
+ * Configuration-mode commands that remove the extra paths of a diff and add its
+ * missing ones
+ *
+ * @param {string} format - ios or junos_set
+ * @param {Object} diff - { missing, extra } paths, as returned by diffConfigs
+ * @returns {Array} commands, empty when there is nothing to change
+ */
+function buildChangeCommands(format, { missing = [], extra = [] }) {
+  if (format === 'junos_set') {
+    const removals = extra.map(([line]) => {
+      if (line.startsWith('set ')) {
+        return `delete ${line.slice(4)}`;
+      }
+      if (line.startsWith('deactivate ')) {
+        return `activate ${line.slice(11)}`;
+      }
+      return null;
+    }).filter(Boolean);
+    return [...removals, ...missing.map(([line]) => line)];
+  }
+
+  if (format === 'ios') {
+    const negate = line => (line.startsWith('no ') ? line.slice(3) : `no ${line}`);
+    return buildHierarchicalCommands([
+      ...topmostPaths(extra).map(path => ({ parents: path.slice(0, -1), line: negate(path[path.length - 1]) })),
+      ...missing.map(path => ({ parents: path.slice(0, -1), line: path[path.length - 1] }))
+    ]);
+  }
+
+  throw new Error(`No CLI commands for ${format} configurations`);
+}
+
+/**
+ * Configuration-mode commands that turn the running configuration into the target
+ * configuration, removing what the target lacks and adding what it has
+ *
+ * @param {string} format - ios or junos_set
+ * @returns {Array} commands, empty when the configurations match
+ */
+function buildRestoreCommands(format, running, target) {
+  return buildChangeCommands(format, diffConfigs(format, target, running));
+}
+
+/**
+ * Stanza a path belongs to: its top-level line for hierarchical configurations,
+ * the statement's first two hierarchy levels for set lines (e.g. "interfaces
+ * ge-0/0/1", "system ntp"), the first two elements of a document path
+ */
+function stanzaOf(format, path) {
+  if (format === 'junos_set') {
+    const words = path[0].split(' ').slice(1);
+    return words.slice(0, Math.min(2, words.length)).join(' ');
+  }
+  if (format === 'ios') {
+    return path[0];
+  }
+  return formatPath(path.slice(0, Math.min(2, path.length - 1) || 1));
+}
+
+/**
+ * Missing and extra paths grouped by stanza, in order of first appearance
+ *
+ * @returns {Array} { stanza, missing, extra } with the formatted paths of each
+ */
+function groupByStanza(format, { missing = [], extra = [] }) {
+  const stanzas = new Map();
+  const add = (kind, path) => {
+    const stanza = stanzaOf(format, path);
+    if (!stanzas.has(stanza)) {
+      stanzas.set(stanza, { stanza, missing: [], extra: [] });
+    }
+    stanzas.get(stanza)[kind].push(formatPath(path));
+  };
+
+  missing.forEach(path => add('missing', path));
+  extra.forEach(path => add('extra', path));
+  return [...stanzas.values()];
+}
+
+module.exports = {
+  FORMATS,
+  parseConfig,
+  diffConfigs,
+  formatPath,
+  buildChangeCommands,
+  buildRestoreCommands,
+  stanzaOf,
+  groupByStanza
+};
@@ -0,0 +1,336 @@
+/**
+ * Dependency Graph
+ * Upstream/downstream relations between devices, used to tell which devices are
+ * cut off when other devices go down and which devices explain an incident's alerts.
+ *
+ * Upstream relations come from:
+ * - Device.dependencies: a device depends on (sits behind) the listed devices
+ * - Topology links between devices of different tiers (Topology.device_roles):
+ *   the device closer to the core is upstream. Links between devices of the same
+ *   tier, or without a known role, are peer links and add no direction.
+ */
+
+const Device = require('../models/Device');
+const Topology = require('../models/Topology');
+
+// Network tiers by role, lower is closer to the core
+const ROLE_TIERS = {
+  core: 0,
+  distribution: 1,
+  aggregation: 1,
+  access: 2
+};
+
+/**
+ * Role of a device from a topology's device_roles ({ hostname: role } or { hostname: { role } }),
+ * lower case; null when the topology does not name one
+ */
+function getRoleName(deviceRoles, hostname) {
+  const role = deviceRoles && deviceRoles[hostname];
+  const name = role && typeof role === 'object' ? role.role : role;
+  return name ? String(name).toLowerCase() : null;
+}
+
+/**
+ * Tier of a device from a topology's device_roles
+ */
+function getRoleTier(deviceRoles, hostname) {
+  const tier = ROLE_TIERS[getRoleName(deviceRoles, hostname)];
+  return tier === undefined ? null : tier;
+}
+
+/**
+ * Build the upstream map of the network
+ *
+ * @param {Array} devices - devices with hostname, _id and dependencies
+ * @param {Array} topologies - topologies with links and device_roles
+ * @returns {Map} hostname -> Set of upstream hostnames
+ */
+function buildUpstreamMap(devices, topologies) {
+  const upstream = new Map();
+  const hostnameById = new Map(devices.map(device => [device._id.toString(), device.hostname]));
+
+  const addUpstream = (hostname, parent) => {
+    if (!hostname || !parent || hostname === parent) {
+      return;
+    }
+    if (!upstream.has(hostname)) upstream.set(hostname, new Set());
+    if (!upstream.has(parent)) upstream.set(parent, new Set());
+    upstream.get(hostname).add(parent);
+  };
+
+  devices.forEach(device => {
+    if (!upstream.has(device.hostname)) upstream.set(device.hostname, new Set());
+    (device.dependencies || []).forEach(dependency => {
+      addUpstream(device.hostname, hostnameById.get(dependency.toString()));
+    });
+  });
+
+  (topologies || []).forEach(topology => {
+    (topology.links || []).forEach(link => {
+      const sourceTier = getRoleTier(topology.device_roles, link.source_device);
+      const destinationTier = getRoleTier(topology.device_roles, link.destination_device);
+      if (sourceTier === null || destinationTier === null || sourceTier === destinationTier) {
+        return;
+      }
+      if (sourceTier < destinationTier) {
+        addUpstream(link.destination_device, link.source_device);
+      } else {
+        addUpstream(link.source_device, link.destination_device);
+      }
+    });
+  });
+
+  return upstream;
+}
+
+/**
+ * Invert an upstream map into hostname -> Set of downstream hostnames
+ */
+function buildDownstreamMap(upstream) {
+  const downstream = new Map();
+  upstream.forEach((parents, hostname) => {
+    if (!downstream.has(hostname)) downstream.set(hostname, new Set());
+    parents.forEach(parent => {
+      if (!downstream.has(parent)) downstream.set(parent, new Set());
+      downstream.get(parent).add(hostname);
+    });
+  });
+  return downstream;
+}
+
+/**
+ * Walk a relation map breadth first from the start devices, not entering blocked devices
+ */
+function walk(relations, start, blocked) {
+  const visited = new Set();
+  const queue = start.filter(hostname => !blocked.has(hostname));
+  queue.forEach(hostname => visited.add(hostname));
+
+  while (queue.length > 0) {
+    const hostname = queue.shift();
+    (relations.get(hostname) || new Set()).forEach(next => {
+      if (!visited.has(next) && !blocked.has(next)) {
+        visited.add(next);
+        queue.push(next);
+      }
+    });
+  }
+  return visited;
+}
+
+/**
+ * Find the devices that are reachable only through devices that are down.
+ * A device is cut off when it lies downstream of a down device and no path
+ * from a top-level device (one without upstream devices) reaches it while
+ * avoiding all down devices. Each cut off device is attributed to its nearest
+ * down upstream device.
+ *
+ * @param {Map} upstream - upstream map from buildUpstreamMap
+ * @param {Set} downDevices - hostnames of devices confirmed down
+ * @returns {Map} cut off hostname -> hostname of the down device it sits behind
+ */
+function findIsolatedDevices(upstream, downDevices) {
+  const isolated = new Map();
+  if (downDevices.size === 0) {
+    return isolated;
+  }
+
+  const downstream = buildDownstreamMap(upstream);
+  const roots = Array.from(upstream.keys()).filter(hostname => upstream.get(hostname).size === 0);
+  const reachable = walk(downstream, roots, downDevices);
+
+  const behindDown = walk(downstream, Array.from(downDevices).flatMap(hostname =>
+    Array.from(downstream.get(hostname) || [])
+  ), downDevices);
+
+  behindDown.forEach(hostname => {
+    if (reachable.has(hostname)) {
+      return;
+    }
+
+    // Nearest down device on the way up
+    const visited = new Set([hostname]);
+    let level = [hostname];
+    let parent = null;
+    while (level.length > 0 && !parent) {
+      const next = [];
+      for (const current of level) {
+        for (const candidate of upstream.get(current) || []) {
+          if (downDevices.has(candidate)) {
+            parent = parent || candidate;
+          } else if (!visited.has(candidate)) {
+            visited.add(candidate);
+            next.push(candidate);
+          }
+        }
+      }
+      level = next;
+    }
+
+    if (parent) {
+      isolated.set(hostname, parent);
+    }
+  });
+
+  return isolated;
+}
+
+/**
+ * Upstream paths from a device to each of its ancestors within maxDepth hops
+ *
+ * @returns {Map} ancestor hostname -> path [ancestor, ..., hostname]; the device
+ *   itself is included with a path of its own
+ */
+function findUpstreamPaths(upstream, hostname, maxDepth) {
+  const paths = new Map([[hostname, [hostname]]]);
+  let level = [hostname];
+
+  for (let depth = 0; depth < maxDepth && level.length > 0; depth++) {
+    const next = [];
+    level.forEach(current => {
+      (upstream.get(current) || new Set()).forEach(parent => {
+        if (!paths.has(parent)) {
+          paths.set(parent, [parent, ...paths.get(current)]);
+          next.push(parent);
+        }
+      });
+    });
+    level = next;
+  }
+  return paths;
+}
+
+/**
+ * Localize the root cause of alerts spread over several devices: find a small set
+ * of devices whose failure explains every alerting device, where a device
+ * explains itself and every device below it (within max_depth hops).
+ *
+ * Minimal set cover is NP-hard, so the set is chosen greedily: repeatedly take the
+ * device explaining the largest uncovered alert weight per unit of cost. Silent
+ * devices (no alerts of their own, e.g. too broken to report) cost more than
+ * alerting ones, and an alerting device that alerted no later than the devices it
+ * explains gets a timing bonus.
+ *
+ * @param {Map} upstream - upstream map from buildUpstreamMap
+ * @param {Map} alerting - hostname -> { weight, first_alert (ms) } of alerting devices
+ * @param {Object} options - max_depth, silent_cost, timing_bonus, max_candidates
+ * @returns {Object} { root_set, candidates }: candidates are ranked by score, each
+ *   with the devices it explains and the path from it down to each of them
+ */
+function localizeRootCauses(upstream, alerting, options = {}) {
+  const maxDepth = options.max_depth || 3;
+  const silentCost = options.silent_cost || 1.5;
+  const timingBonus = options.timing_bonus || 0.2;
+
+  const candidates = new Map();
+  alerting.forEach((info, hostname) => {
+    findUpstreamPaths(upstream, hostname, maxDepth).forEach((path, ancestor) => {
+      if (!candidates.has(ancestor)) {
+        candidates.set(ancestor, { device: ancestor, explains: new Map() });
+      }
+      candidates.get(ancestor).explains.set(hostname, path);
+    });
+  });
+
+  const score = (candidate, uncovered) => {
+    let weight = 0;
+    candidate.explains.forEach((path, hostname) => {
+      if (uncovered.has(hostname)) {
+        weight += alerting.get(hostname).weight;
+      }
+    });
+
+    const own = alerting.get(candidate.device);
+    if (!own) {
+      return weight / silentCost;
+    }
+
+    const others = Array.from(candidate.explains.keys()).filter(hostname => hostname !== candidate.device);
+    const alertedFirst = others.length > 0 && others.every(hostname => own.first_alert <= alerting.get(hostname).first_alert);
+    return weight * (alertedFirst ? 1 + timingBonus : 1);
+  };
+
+  // Higher score first, then the device explaining more, then by name for stable output
+  const compare = (a, b) => b.score - a.score || b.candidate.explains.size - a.candidate.explains.size ||
+    a.candidate.device.localeCompare(b.candidate.device);
+
+  const rootSet = [];
+  const uncovered = new Set(alerting.keys());
+  while (uncovered.size > 0) {
+    const [best] = Array.from(candidates.values())
+      .map(candidate => ({ candidate, score: score(candidate, uncovered) }))
+      .filter(entry => entry.score > 0)
+      .sort(compare);
+
+    if (!best) {
+      break;
+    }
+    rootSet.push(best.candidate.device);
+    best.candidate.explains.forEach((path, hostname) => uncovered.delete(hostname));
+  }
+
+  const totalWeight = Array.from(alerting.values()).reduce((sum, info) => sum + info.weight, 0);
+  const all = new Set(alerting.keys());
+  const ranked = Array.from(candidates.values())
+    .map(candidate => ({ candidate, score: score(candidate, all) }))
+    .sort(compare)
+    .slice(0, options.max_candidates || 10)
+    .map(({ candidate, score: value }) => {
+      const explained = Array.from(candidate.explains.keys());
+      return {
+        device: candidate.device,
+        score: Math.round(value * 1000) / 1000,
+        alerting: alerting.has(candidate.device),
+        in_root_set: rootSet.includes(candidate.device),
+        explains: explained,
+        coverage: totalWeight > 0
+          ? Math.round(explained.reduce((sum, hostname) => sum + alerting.get(hostname).weight, 0) / totalWeight * 1000) / 1000
+          : 0,
+        paths: explained.map(hostname => ({ device: hostname, path: candidate.explains.get(hostname) }))
+      };
+    });
+
+  return { root_set: rootSet, candidates: ranked };
+}
+
+// Upstream map last loaded from the database, shared by the services using it
+let loadedGraph = null; // { upstream, loaded_at }
+
+/**
+ * Upstream map of all devices, rebuilt from devices and topologies when older than maxAge ms
+ */
+async function loadUpstreamMap(maxAge) {
+  if (loadedGraph && Date.now() - loadedGraph.loaded_at < maxAge) {
+    return loadedGraph.upstream;
+  }
+
+  const devices = await Device.find({}, { hostname: 1, dependencies: 1 }).lean();
+  const topologies = await Topology.find({}, { links: 1, device_roles: 1 }).lean();
+
+  loadedGraph = {
+    upstream: buildUpstreamMap(devices, topologies),
+    loaded_at: Date.now()
+  };
+  return loadedGraph.upstream;
+}
+
+/**
+ * Upstream map last loaded, null before the first load
+ */
+function getLoadedUpstreamMap() {
+  return loadedGraph ? loadedGraph.upstream : null;
+}
+
+module.exports = {
+  ROLE_TIERS,
+  getRoleName,
+  getRoleTier,
+  buildUpstreamMap,
+  buildDownstreamMap,
+  findIsolatedDevices,
+  findUpstreamPaths,
+  localizeRootCauses,
+  loadUpstreamMap,
+  getLoadedUpstreamMap
+};
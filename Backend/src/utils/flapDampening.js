@@ -0,0 +1,90 @@
+/**
+ * Flap Dampening
+ * BGP style route flap dampening (RFC 2439) applied to alerts. Each flap of a
+ * (device, alert type, resource) key adds a fixed penalty; the penalty decays
+ * exponentially with a configured half-life. Once it reaches the suppress
+ * threshold the key is dampened (its alert is set to 'flapping' and further flaps
+ * raise no new alerts) until the penalty decays below the reuse threshold.
+ * The penalty is capped so that a key is dampened for at most max_suppress_time
+ * after its last flap.
+ *
+ * Down/up pairs and resource keys come from alertPairing.
+ */
+
+// Defaults from common BGP dampening configurations
+const DEFAULT_DAMPENING = {
+  penalty: 1000,                // Penalty added per flap
+  half_life: 15 * 60 * 1000,    // Time for the penalty to halve
+  suppress_threshold: 2000,     // Penalty at which a key is dampened
+  reuse_threshold: 750,         // Penalty below which a dampened key is released
+  max_suppress_time: 60 * 60 * 1000 // Longest time a key stays dampened after its last flap
+};
+
+/**
+ * Penalty after decaying for elapsedMs
+ */
+function decayPenalty(penalty, elapsedMs, halfLife) {
+  if (penalty <= 0 || elapsedMs <= 0) {
+    return Math.max(penalty, 0);
+  }
+  return penalty * Math.pow(0.5, elapsedMs / halfLife);
+}
+
+/**
+ * Highest penalty a key can reach, so it is released within max_suppress_time
+ */
+function getPenaltyCeiling(config) {
+  return config.reuse_threshold * Math.pow(2, config.max_suppress_time / config.half_life);
+}
+
+/**
+ * Current state of a key, with the penalty decayed to now
+ *
+ * @param {Object} state - { penalty, updated_at, flaps, suppressed }
+ * @returns {Object} updated state; suppressed is cleared once below the reuse threshold
+ */
+function evaluateState(state, now, config) {
+  const penalty = decayPenalty(state.penalty, now - state.updated_at, config.half_life);
+  const suppressed = state.suppressed ? penalty >= config.reuse_threshold : penalty >= config.suppress_threshold;
+  return { ...state, penalty, suppressed, updated_at: now };
+}
+
+/**
+ * Apply a flap to a key
+ *
+ * @param {Object} state - current state, or null for a new key
+ * @returns {Object} updated state
+ */
+function recordFlap(state, now, config) {
+  const current = state
+    ? evaluateState(state, now, config)
+    : { penalty: 0, updated_at: now, flaps: 0, suppressed: false };
+
+  const penalty = Math.min(current.penalty + config.penalty, getPenaltyCeiling(config));
+  return {
+    ...current,
+    penalty,
+    flaps: current.flaps + 1,
+    suppressed: current.suppressed || penalty >= config.suppress_threshold,
+    last_flap: now
+  };
+}
+
+/**
+ * Time at which a dampened key decays to the reuse threshold, if it does not flap again
+ */
+function getReuseTime(state, config) {
+  if (state.penalty < config.reuse_threshold) {
+    return state.updated_at;
+  }
+  return state.updated_at + Math.ceil(config.half_life * Math.log2(state.penalty / config.reuse_threshold));
+}
+
+module.exports = {
+  DEFAULT_DAMPENING,
+  decayPenalty,
+  getPenaltyCeiling,
+  evaluateState,
+  recordFlap,
+  getReuseTime
+};
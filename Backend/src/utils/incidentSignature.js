@@ -0,0 +1,132 @@
+/**
+ * Incident Signature
+ * Summarizes an incident's alerts so incidents can be compared with past ones,
+ * e.g. to reuse the root cause operators confirmed for a similar incident or to
+ * show how similar incidents were resolved.
+ *
+ * A signature holds the incident's alert types, the roles and sites of the
+ * alerting devices and the hour of day (UTC) the incident started.
+ */
+
+const { getRoleName } = require('./dependencyGraph');
+
+// Weight of each signature component in the overall similarity
+const COMPONENT_WEIGHTS = {
+  alert_types: 0.5,
+  device_roles: 0.2,
+  sites: 0.15,
+  hour_of_day: 0.15
+};
+
+/**
+ * Sorted unique values, without empty ones
+ */
+function uniqueSorted(values) {
+  return Array.from(new Set(values.filter(Boolean))).sort();
+}
+
+/**
+ * Build the signature of an incident from its alerts
+ *
+ * @param {Array} alerts - alerts with type, device and createdAt
+ * @param {Array} devices - alerting devices with hostname, site and device_type
+ * @param {Array} topologies - topologies with device_roles
+ * @returns {Object} { alert_types, device_roles, sites, hour_of_day }
+ */
+function buildSignature(alerts, devices = [], topologies = []) {
+  const hostnames = new Set(alerts.map(alert => alert.device).filter(Boolean));
+  const alertingDevices = devices.filter(device => hostnames.has(device.hostname));
+
+  // Topology roles are preferred; the device type stands in for devices without one
+  const roles = alertingDevices.map(device => {
+    const topology = topologies.find(candidate => getRoleName(candidate.device_roles, device.hostname));
+    return topology ? getRoleName(topology.device_roles, device.hostname) : device.device_type;
+  });
+
+  const times = alerts
+    .map(alert => new Date(alert.createdAt).getTime())
+    .filter(time => !isNaN(time));
+
+  return {
+    alert_types: uniqueSorted(alerts.map(alert => alert.type)),
+    device_roles: uniqueSorted(roles),
+    sites: uniqueSorted(alertingDevices.map(device => device.site)),
+    hour_of_day: times.length > 0 ? new Date(Math.min(...times)).getUTCHours() : null
+  };
+}
+
+/**
+ * Jaccard similarity of two sets of values (0 when both are empty)
+ */
+function jaccard(a, b) {
+  const setA = new Set(a || []);
+  const setB = new Set(b || []);
+  const union = new Set([...setA, ...setB]);
+  if (union.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  setA.forEach(value => {
+    if (setB.has(value)) shared++;
+  });
+  return shared / union.size;
+}
+
+/**
+ * Similarity of two hours of day, 1 for the same hour down to 0 twelve hours apart
+ */
+function hourSimilarity(a, b) {
+  const distance = Math.abs(a - b) % 24;
+  return 1 - Math.min(distance, 24 - distance) / 12;
+}
+
+/**
+ * Score two signatures by component. Components missing from either signature are
+ * left out and the weights of the others scaled up, so signatures recorded
+ * before roles and sites were collected still compare on alert types.
+ *
+ * @returns {Object} { similarity (0 to 1), components: { name: similarity } }
+ */
+function scoreSignatures(a, b) {
+  const components = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  Object.entries(COMPONENT_WEIGHTS).forEach(([name, weight]) => {
+    const valueA = a && a[name];
+    const valueB = b && b[name];
+    let score;
+
+    if (name === 'hour_of_day') {
+      if (typeof valueA !== 'number' || typeof valueB !== 'number') return;
+      score = hourSimilarity(valueA, valueB);
+    } else {
+      if (!valueA || !valueB || valueA.length === 0 || valueB.length === 0) return;
+      score = jaccard(valueA, valueB);
+    }
+
+    components[name] = Math.round(score * 1000) / 1000;
+    weighted += score * weight;
+    totalWeight += weight;
+  });
+
+  return {
+    similarity: totalWeight > 0 ? weighted / totalWeight : 0,
+    components
+  };
+}
+
+/**
+ * Similarity of two signatures, from 0 (nothing in common) to 1 (identical)
+ */
+function compareSignatures(a, b) {
+  return scoreSignatures(a, b).similarity;
+}
+
+module.exports = {
+  COMPONENT_WEIGHTS,
+  buildSignature,
+  jaccard,
+  scoreSignatures,
+  compareSignatures
+};
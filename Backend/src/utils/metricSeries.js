@@ -0,0 +1,159 @@
+/**
+ * Metric Series Utilities
+ * Helpers for the device metric history: counter deltas that survive counter wraps,
+ * interface traffic rates, and the time range / step handling used by metric queries.
+ */
+
+const COUNTER32_MODULUS = 2 ** 32;
+const COUNTER32_HALF = 2 ** 31;
+
+// Step suffixes accepted by parseStep, in seconds
+const STEP_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Increase of a monotonic counter between two readings, or null when it cannot be trusted.
+ *
+ * A counter that went backwards either wrapped or was reset (reload, clear counters).
+ * Only 32-bit counters wrap in practice; a drop is taken as a wrap when the previous
+ * reading was in the upper half of the 32-bit range, and when the resulting rate does
+ * not exceed the interface speed if one is known. Anything else is a reset.
+ *
+ * @param {Number} current - current counter reading
+ * @param {Number} previous - previous counter reading
+ * @param {Object} options - { elapsedMs, speed (bits per second), octets (counter counts bytes) }
+ */
+function counterDelta(current, previous, options = {}) {
+  if (typeof current !== 'number' || typeof previous !== 'number') {
+    return null;
+  }
+  if (current >= previous) {
+    return current - previous;
+  }
+
+  // 64-bit counters do not wrap within a polling interval
+  if (previous >= COUNTER32_MODULUS || previous < COUNTER32_HALF) {
+    return null;
+  }
+
+  const delta = COUNTER32_MODULUS - previous + current;
+  if (options.speed && options.elapsedMs > 0) {
+    const bits = options.octets ? delta * 8 : delta;
+    if (bits / (options.elapsedMs / 1000) > options.speed) {
+      return null;
+    }
+  }
+  return delta;
+}
+
+/**
+ * Interface traffic rates (bits per second) from the in_octets / out_octets counters
+ *
+ * @param {Object} report - status report with interfaces: [{ name, in_octets, out_octets, speed }]
+ * @param {Object} previousDevice - device document before this report
+ * @param {Date} now - report time
+ * @returns {Array} samples of { metric: 'in_bps'|'out_bps', instance, value }
+ */
+function collectTrafficSamples(report, previousDevice, now) {
+  const samples = [];
+  if (!previousDevice || !previousDevice.last_seen) {
+    return samples;
+  }
+
+  const elapsedMs = now - new Date(previousDevice.last_seen);
+  if (elapsedMs <= 0) {
+    return samples;
+  }
+
+  const previousInterfaces = new Map(
+    (previousDevice.interfaces || []).map(iface => [iface.name, iface])
+  );
+
+  (report.interfaces || []).forEach(iface => {
+    const previous = iface.name ? previousInterfaces.get(iface.name) : null;
+    if (!previous) {
+      return;
+    }
+
+    [['in_octets', 'in_bps'], ['out_octets', 'out_bps']].forEach(([counter, metric]) => {
+      const delta = counterDelta(iface[counter], previous[counter], {
+        elapsedMs,
+        speed: iface.speed || previous.speed,
+        octets: true
+      });
+      if (delta !== null) {
+        samples.push({
+          metric,
+          instance: iface.name,
+          value: Math.round((delta * 8) / (elapsedMs / 1000) * 100) / 100
+        });
+      }
+    });
+  });
+
+  return samples;
+}
+
+/**
+ * Turn samples into metric documents for a device
+ */
+function toMetricDocuments(hostname, samples, timestamp) {
+  return samples.map(sample => ({
+    timestamp,
+    meta: { device: hostname, metric: sample.metric, instance: sample.instance || null },
+    value: sample.value
+  }));
+}
+
+/**
+ * Parse a query step ("30s", "5m", "1h", "1d" or plain seconds) into seconds; null when invalid
+ */
+function parseStep(step) {
+  if (step === undefined || step === null || step === '') {
+    return null;
+  }
+  const match = String(step).trim().match(/^(\d+)([smhd]?)$/);
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * STEP_UNITS[match[2] || 's'];
+}
+
+/**
+ * Parse a query time (ISO 8601 or epoch milliseconds); null when invalid
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Pick the retention tier to answer a query from: the coarsest tier that still resolves
+ * the requested step, among the tiers that retain data back to `from`
+ *
+ * @param {Array} tiers - RETENTION_TIERS, finest first
+ * @param {Date} from - query start
+ * @param {Number} step - requested step in seconds
+ * @param {Date} now - current time
+ */
+function selectTier(tiers, from, step, now = new Date()) {
+  const age = (now - from) / 1000;
+  const retained = tiers.filter(tier => tier.retention >= age);
+  if (retained.length === 0) {
+    return tiers[tiers.length - 1];
+  }
+
+  const resolving = retained.filter(tier => tier.resolution <= step);
+  return resolving.length > 0 ? resolving[resolving.length - 1] : retained[0];
+}
+
+module.exports = {
+  counterDelta,
+  collectTrafficSamples,
+  toMetricDocuments,
+  parseStep,
+  parseTime,
+  selectTier
+};
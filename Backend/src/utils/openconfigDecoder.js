@@ -0,0 +1,432 @@
+/**
+ * OpenConfig Telemetry Decoder
+ * Flattens gNMI notifications (JSON encoded, as emitted by gNMI gateways and collectors)
+ * and JSON-IETF OpenConfig trees into leaf updates, and maps well-known OpenConfig
+ * paths onto normalized event types.
+ */
+
+// Default thresholds for utilization leaves
+const DEFAULT_THRESHOLDS = {
+  cpu_utilization: 80,                                      // Percent
+  memory_utilization: 85                                    // Percent
+};
+
+// BGP session states
+const BGP_ESTABLISHED = 'ESTABLISHED';
+
+/**
+ * Build a decoding error
+ */
+function decodeError(message) {
+  const error = new Error(message);
+  error.code = 'OPENCONFIG_DECODE_ERROR';
+  return error;
+}
+
+/**
+ * Remove a YANG module prefix ("openconfig-interfaces:interfaces" -> "interfaces")
+ */
+function stripModule(name) {
+  const index = name.indexOf(':');
+  return index === -1 ? name : name.substring(index + 1);
+}
+
+/**
+ * Parse a gNMI path string such as "interfaces/interface[name=Ethernet1]/state/oper-status"
+ * into path elements with keys
+ */
+function parsePathString(path) {
+  const elems = [];
+  let current = '';
+  let depth = 0;
+
+  for (const char of path.replace(/^\//, '')) {
+    if (char === '[') depth++;
+    if (char === ']') depth--;
+    if (char === '/' && depth === 0) {
+      if (current) elems.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) elems.push(current);
+
+  return elems.map(elem => {
+    const nameEnd = elem.indexOf('[');
+    const name = stripModule(nameEnd === -1 ? elem : elem.substring(0, nameEnd));
+    const key = {};
+    const keyPattern = /\[([^=\]]+)=([^\]]*)\]/g;
+    let match;
+    while ((match = keyPattern.exec(elem)) !== null) {
+      key[match[1]] = match[2];
+    }
+    return { name, key };
+  });
+}
+
+/**
+ * Normalize a gNMI path (string or { elem: [{ name, key }] }) into path elements
+ */
+function toPathElems(path) {
+  if (!path) {
+    return [];
+  }
+  if (typeof path === 'string') {
+    return parsePathString(path);
+  }
+  if (typeof path !== 'object') {
+    throw decodeError('Unsupported path encoding');
+  }
+  // A prefix may carry only origin/target and no elements
+  return (path.elem || []).map(elem => ({ name: stripModule(elem.name), key: elem.key || {} }));
+}
+
+/**
+ * Decode a gNMI TypedValue, or return plain JSON values unchanged
+ */
+function decodeTypedValue(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+
+  const typedKeys = {
+    json_ietf_val: 'json', jsonIetfVal: 'json', json_val: 'json', jsonVal: 'json',
+    string_val: 'plain', stringVal: 'plain', int_val: 'number', intVal: 'number',
+    uint_val: 'number', uintVal: 'number', bool_val: 'plain', boolVal: 'plain',
+    float_val: 'number', floatVal: 'number', double_val: 'number', doubleVal: 'number'
+  };
+
+  const keys = Object.keys(value);
+  if (keys.length !== 1 || !typedKeys[keys[0]]) {
+    return value;
+  }
+
+  const raw = value[keys[0]];
+  if (typedKeys[keys[0]] === 'number') {
+    return Number(raw);
+  }
+  if (typedKeys[keys[0]] === 'json' && typeof raw === 'string') {
+    // Protobuf JSON mapping encodes bytes fields as base64
+    try {
+      return JSON.parse(Buffer.from(raw, 'base64').toString('utf8'));
+    } catch (error) {
+      try {
+        return JSON.parse(raw);
+      } catch (parseError) {
+        throw decodeError(`Invalid ${keys[0]}: ${parseError.message}`);
+      }
+    }
+  }
+  return raw;
+}
+
+/**
+ * Flatten a JSON-IETF subtree into leaves below the given path.
+ * YANG lists are arrays of entries; key-like scalar members (name, index, ...) become path keys.
+ */
+function flattenTree(value, elems, leaves) {
+  if (value === null || typeof value !== 'object') {
+    leaves.push({ elems, value });
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    // Leaf-lists are arrays of scalars
+    if (value.every(entry => entry === null || typeof entry !== 'object')) {
+      leaves.push({ elems, value });
+      return;
+    }
+
+    // Entries of a YANG list are objects under the list's own path element
+    const last = elems[elems.length - 1];
+    if (!last) {
+      throw decodeError('List value without an enclosing path element');
+    }
+    if (value.some(entry => entry === null || typeof entry !== 'object' || Array.isArray(entry))) {
+      throw decodeError(`List ${describeLeaf(elems).path} has entries that are not objects`);
+    }
+
+    value.forEach(entry => {
+      const key = {};
+      ['name', 'index', 'id', 'neighbor-address', 'identifier', 'address', 'prefix'].forEach(field => {
+        if (entry[field] !== undefined && typeof entry[field] !== 'object') {
+          key[field] = String(entry[field]);
+        }
+      });
+      const keyedElems = elems.slice(0, -1).concat({ name: last.name, key: { ...last.key, ...key } });
+      Object.entries(entry).forEach(([child, childValue]) => {
+        if (key[child] === undefined) {
+          flattenTree(childValue, keyedElems.concat({ name: stripModule(child), key: {} }), leaves);
+        }
+      });
+    });
+    return;
+  }
+
+  Object.entries(value).forEach(([child, childValue]) => {
+    flattenTree(childValue, elems.concat({ name: stripModule(child), key: {} }), leaves);
+  });
+}
+
+/**
+ * Convert path elements to the schema path ("/interfaces/interface/state/oper-status")
+ * and merged list keys
+ */
+function describeLeaf(elems) {
+  const keys = {};
+  elems.forEach(elem => {
+    Object.entries(elem.key || {}).forEach(([name, value]) => {
+      keys[`${elem.name}.${name}`] = value;
+    });
+  });
+
+  return {
+    path: `/${elems.map(elem => elem.name).join('/')}`,
+    instance_path: `/${elems.map(elem => elem.name + Object.entries(elem.key || {}).map(([k, v]) => `[${k}=${v}]`).join('')).join('/')}`,
+    keys
+  };
+}
+
+/**
+ * Convert a gNMI timestamp (nanoseconds since epoch, or ISO string) to a Date
+ */
+function toDate(timestamp) {
+  if (timestamp === undefined || timestamp === null) {
+    return new Date();
+  }
+  if (typeof timestamp === 'string' && !/^\d+$/.test(timestamp)) {
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? new Date() : date;
+  }
+  const value = Number(timestamp);
+  // Nanoseconds, microseconds, milliseconds or seconds since epoch
+  if (value > 1e17) return new Date(Math.floor(value / 1e6));
+  if (value > 1e14) return new Date(Math.floor(value / 1e3));
+  if (value > 1e11) return new Date(value);
+  return new Date(value * 1000);
+}
+
+/**
+ * Decode one gNMI Notification ({ timestamp, prefix, update, delete }) into leaves
+ */
+function decodeNotification(notification, defaults = {}) {
+  const prefix = toPathElems(notification.prefix);
+  const target = (notification.prefix && notification.prefix.target) || notification.target || defaults.target || null;
+  const timestamp = toDate(notification.timestamp || defaults.timestamp);
+  const leaves = [];
+
+  (notification.update || notification.updates || []).forEach(update => {
+    const elems = prefix.concat(toPathElems(update.path));
+    flattenTree(decodeTypedValue(update.val !== undefined ? update.val : update.value), elems, leaves);
+  });
+
+  return leaves.map(leaf => ({ ...describeLeaf(leaf.elems), value: leaf.value, target, timestamp }));
+}
+
+/**
+ * Decode a gnmic "event" message ({ name, timestamp, tags, values })
+ */
+function decodeEventMessage(message, defaults = {}) {
+  const tags = message.tags || {};
+  const target = tags.source || tags.target || defaults.target || null;
+  const timestamp = toDate(message.timestamp || defaults.timestamp);
+  const leaves = [];
+
+  Object.entries(message.values || {}).forEach(([path, value]) => {
+    const elems = parsePathString(path);
+    // Event tags such as interface_name carry the list keys stripped from the value paths
+    elems.forEach(elem => {
+      Object.entries(tags).forEach(([tag, tagValue]) => {
+        const [list, key] = tag.split('_');
+        if (list === elem.name && key && elem.key[key] === undefined) {
+          elem.key[key] = String(tagValue);
+        }
+      });
+    });
+    flattenTree(value, elems, leaves);
+  });
+
+  return leaves.map(leaf => ({ ...describeLeaf(leaf.elems), value: leaf.value, target, timestamp }));
+}
+
+/**
+ * Decode a streaming telemetry payload into leaf updates.
+ * Accepts a gNMI SubscribeResponse ({ update: Notification }), a Notification,
+ * a gnmic event message, a JSON-IETF tree, or an envelope/array of any of these.
+ */
+function decodePayload(payload, defaults = {}) {
+  if (Array.isArray(payload)) {
+    return payload.flatMap(item => decodePayload(item, defaults));
+  }
+  if (!payload || typeof payload !== 'object') {
+    throw decodeError('Telemetry payload must be a JSON object or array');
+  }
+
+  const envelopeDefaults = {
+    target: payload.target || payload.source || payload.device || defaults.target,
+    timestamp: payload.timestamp || defaults.timestamp
+  };
+
+  if (Array.isArray(payload.notifications)) {
+    return payload.notifications.flatMap(item => decodePayload(item, envelopeDefaults));
+  }
+  if (payload.update && !Array.isArray(payload.update) && typeof payload.update === 'object') {
+    return decodeNotification(payload.update, envelopeDefaults);
+  }
+  if (Array.isArray(payload.update) || Array.isArray(payload.updates) || payload.prefix) {
+    return decodeNotification(payload, envelopeDefaults);
+  }
+  if (payload.values && typeof payload.values === 'object') {
+    return decodeEventMessage(payload, envelopeDefaults);
+  }
+  if (payload.sync_response || payload.syncResponse) {
+    return [];
+  }
+
+  // Bare JSON-IETF tree ({ "openconfig-interfaces:interfaces": { ... } })
+  const { target, source, device, timestamp, ...tree } = payload;
+  const leaves = [];
+  flattenTree(tree, [], leaves);
+  return leaves.map(leaf => ({
+    ...describeLeaf(leaf.elems),
+    value: leaf.value,
+    target: envelopeDefaults.target || null,
+    timestamp: toDate(envelopeDefaults.timestamp)
+  }));
+}
+
+/**
+ * Build the state-tracking key for a leaf
+ */
+function stateKey(target, leaf, suffix = '') {
+  return `${target}|${leaf.instance_path}${suffix}`;
+}
+
+/**
+ * Record a leaf value and report whether it changed since the previous update
+ */
+function changed(state, key, value) {
+  const previous = state.get(key);
+  state.set(key, value);
+  return { changed: previous !== value, previous };
+}
+
+/**
+ * Handlers for well-known OpenConfig schema paths.
+ * Each returns an event description or null; state carries previous values per instance.
+ */
+const PATH_HANDLERS = {
+  '/interfaces/interface/state/oper-status': (leaf, context) => {
+    const status = String(leaf.value).toUpperCase();
+    const { changed: isChange, previous } = changed(context.state, stateKey(context.target, leaf), status);
+    if (!isChange) {
+      return null;
+    }
+    const iface = leaf.keys['interface.name'];
+    if (status === 'UP') {
+      // The first UP sample after startup is a baseline, not a recovery
+      return previous === undefined ? null : {
+        event_type: 'interface_up', severity: 'info', interface: iface,
+        message: `Interface ${iface} is up`
+      };
+    }
+    if (['DOWN', 'LOWER_LAYER_DOWN', 'NOT_PRESENT'].includes(status)) {
+      return {
+        event_type: 'interface_down', severity: 'major', interface: iface,
+        message: `Interface ${iface} oper-status ${status}`
+      };
+    }
+    return null;
+  },
+
+  '/system/cpus/cpu/state/total': (leaf, context) => {
+    // Total is a container (instant/avg/min/max) or a bare percentage
+    const value = Number(leaf.value !== null && typeof leaf.value === 'object' ? leaf.value.instant : leaf.value);
+    return thresholdCrossing(leaf, context, value, context.thresholds.cpu_utilization, (cpu) => ({
+      event_type: 'high_cpu',
+      severity: value >= 95 ? 'critical' : 'major',
+      message: `CPU ${cpu} utilization ${value}% exceeds ${context.thresholds.cpu_utilization}%`,
+      metric: { name: 'cpu_utilization', value, cpu }
+    }), leaf.keys['cpu.index']);
+  },
+
+  '/system/cpus/cpu/state/total/instant': (leaf, context) => PATH_HANDLERS['/system/cpus/cpu/state/total'](leaf, context),
+
+  '/system/memory/state/used': (leaf, context) => {
+    const physical = context.state.get(`${context.target}|/system/memory/state/physical`);
+    if (!physical) {
+      return null;
+    }
+    const value = Math.round((Number(leaf.value) / physical) * 1000) / 10;
+    return thresholdCrossing(leaf, context, value, context.thresholds.memory_utilization, () => ({
+      event_type: 'high_memory',
+      severity: value >= 95 ? 'critical' : 'major',
+      message: `Memory utilization ${value}% exceeds ${context.thresholds.memory_utilization}%`,
+      metric: { name: 'memory_utilization', value }
+    }));
+  },
+
+  '/system/memory/state/physical': (leaf, context) => {
+    context.state.set(`${context.target}|/system/memory/state/physical`, Number(leaf.value));
+    return null;
+  },
+
+  '/network-instances/network-instance/protocols/protocol/bgp/neighbors/neighbor/state/session-state': (leaf, context) => {
+    const state = String(leaf.value).toUpperCase();
+    const { changed: isChange, previous } = changed(context.state, stateKey(context.target, leaf), state);
+    const peer = leaf.keys['neighbor.neighbor-address'];
+    if (!isChange || previous === undefined) {
+      return null;
+    }
+    if (state === BGP_ESTABLISHED) {
+      return { event_type: 'bgp_peer_up', severity: 'info', peer, message: `BGP peer ${peer} established` };
+    }
+    if (previous === BGP_ESTABLISHED) {
+      return { event_type: 'bgp_peer_down', severity: 'major', peer, message: `BGP peer ${peer} changed state from ${previous} to ${state}` };
+    }
+    return null;
+  }
+};
+
+/**
+ * Report an event when a utilization value crosses its threshold upwards
+ */
+function thresholdCrossing(leaf, context, value, threshold, buildEvent, instance) {
+  if (isNaN(value)) {
+    return null;
+  }
+  const above = value >= threshold;
+  const { changed: isChange } = changed(context.state, stateKey(context.target, leaf, ':above'), above);
+  return above && isChange ? buildEvent(instance) : null;
+}
+
+/**
+ * Map a decoded leaf onto an event, or null when the path is not mapped or nothing changed
+ *
+ * @param {Object} leaf - decoded leaf update
+ * @param {Object} context - { target, state: Map, thresholds }
+ */
+function mapLeaf(leaf, context) {
+  const handler = PATH_HANDLERS[leaf.path];
+  if (!handler) {
+    return null;
+  }
+  return handler(leaf, {
+    ...context,
+    thresholds: { ...DEFAULT_THRESHOLDS, ...(context.thresholds || {}) }
+  });
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  PATH_HANDLERS,
+  parsePathString,
+  toPathElems,
+  decodeTypedValue,
+  flattenTree,
+  decodeNotification,
+  decodeEventMessage,
+  decodePayload,
+  mapLeaf
+};
@@ -0,0 +1,45 @@
+/**
+ * RCA Feedback
+ * Turns operator feedback on RCA results into per-rule precision and an adjusted
+ * confidence_base. The rule's built-in confidence_base acts as a prior worth
+ * PRIOR_WEIGHT results, so a few verdicts move it only a little and a long
+ * record of verdicts dominates it.
+ */
+
+// Number of results the built-in confidence_base counts as
+const PRIOR_WEIGHT = 5;
+
+// Bounds of an adjusted confidence_base
+const MIN_CONFIDENCE_BASE = 0.2;
+const MAX_CONFIDENCE_BASE = 0.99;
+
+// Feedback verdicts on an RCA result
+const VERDICTS = ['confirmed', 'rejected'];
+
+/**
+ * Observed precision of a rule: confirmed / (confirmed + rejected); null without feedback
+ */
+function computePrecision(stats) {
+  const total = (stats.confirmed || 0) + (stats.rejected || 0);
+  return total > 0 ? stats.confirmed / total : null;
+}
+
+/**
+ * confidence_base adjusted from a rule's observed precision
+ *
+ * @param {Number} defaultBase - the rule's built-in confidence_base
+ * @param {Object} stats - { confirmed, rejected }
+ */
+function adjustConfidenceBase(defaultBase, stats) {
+  const confirmed = (stats && stats.confirmed) || 0;
+  const rejected = (stats && stats.rejected) || 0;
+  const smoothed = (confirmed + defaultBase * PRIOR_WEIGHT) / (confirmed + rejected + PRIOR_WEIGHT);
+  return Math.min(Math.max(smoothed, MIN_CONFIDENCE_BASE), MAX_CONFIDENCE_BASE);
+}
+
+module.exports = {
+  PRIOR_WEIGHT,
+  VERDICTS,
+  computePrecision,
+  adjustConfidenceBase
+};
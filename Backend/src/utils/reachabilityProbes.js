@@ -0,0 +1,138 @@
+/**
+ * Reachability Probes
+ * Probes used by the reachability poller to check a device management address.
+ *
+ * Probe specifications:
+ * - tcp:<port>  TCP connect (e.g. tcp:22 for SSH, tcp:830 for NETCONF, tcp:443 for HTTPS)
+ * - icmp        ICMP echo through the system ping command, where the host permits it
+ *
+ * A refused TCP connection still proves the device answered, so it counts as a response.
+ */
+
+const net = require('net');
+const { execFile } = require('child_process');
+
+// Socket errors that mean the network has no path to the device
+const UNREACHABLE_ERRORS = ['EHOSTUNREACH', 'ENETUNREACH'];
+
+// ping output when it may not open an ICMP socket (no setuid bit, capability or ping_group_range)
+const PING_PERMISSION_DENIED = /operation not permitted|permission denied|lacking privilege|must be (run as )?root|are you root/i;
+
+/**
+ * Parse a probe specification; null when invalid
+ */
+function parseProbe(spec) {
+  const value = String(spec).trim().toLowerCase();
+  if (value === 'icmp') {
+    return { type: 'icmp', name: 'icmp' };
+  }
+
+  const match = value.match(/^tcp:(\d{1,5})$/);
+  if (match && Number(match[1]) > 0 && Number(match[1]) < 65536) {
+    return { type: 'tcp', port: Number(match[1]), name: value };
+  }
+  return null;
+}
+
+/**
+ * Attempt a TCP connection
+ *
+ * @returns {Promise<Object>} { probe, responded, response_time, error }
+ */
+function tcpProbe(host, port, timeout) {
+  return new Promise(resolve => {
+    const startTime = Date.now();
+    const socket = net.createConnection({ host, port });
+    let settled = false;
+
+    const finish = (responded, error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      socket.destroy();
+      resolve({
+        probe: `tcp:${port}`,
+        responded,
+        response_time: Date.now() - startTime,
+        error: error || null
+      });
+    };
+
+    socket.setTimeout(timeout);
+    socket.once('connect', () => finish(true));
+    socket.once('timeout', () => finish(false, 'ETIMEDOUT'));
+    socket.once('error', error => finish(error.code === 'ECONNREFUSED', error.code || error.message));
+  });
+}
+
+/**
+ * Send one ICMP echo with the system ping command.
+ * Hosts without a usable ping report the probe as unsupported so it is ignored.
+ * Only IP addresses are pinged; anything else could be read by ping as an option.
+ *
+ * @returns {Promise<Object>} { probe, responded, response_time, error, unsupported }
+ */
+function icmpProbe(host, timeout) {
+  return new Promise(resolve => {
+    const startTime = Date.now();
+    if (!net.isIP(String(host))) {
+      resolve({ probe: 'icmp', responded: false, response_time: 0, error: 'EINVAL' });
+      return;
+    }
+
+    const args = process.platform === 'win32'
+      ? ['-n', '1', '-w', String(timeout), host]
+      : ['-c', '1', '-W', String(Math.max(Math.ceil(timeout / 1000), 1)), host];
+
+    execFile('ping', args, { timeout: timeout + 1000 }, (error, stdout, stderr) => {
+      const result = {
+        probe: 'icmp',
+        responded: false,
+        response_time: Date.now() - startTime,
+        error: null
+      };
+
+      if (!error) {
+        // Windows ping exits 0 on "Destination host unreachable" replies
+        result.responded = !/unreachable/i.test(stdout);
+        result.error = result.responded ? null : 'EHOSTUNREACH';
+      } else if (error.code === 'ENOENT' || error.code === 'EACCES' || error.code === 'EPERM') {
+        result.unsupported = true;
+        result.error = error.code;
+      } else if (PING_PERMISSION_DENIED.test(`${stderr}\n${stdout}`)) {
+        result.unsupported = true;
+        result.error = 'EPERM';
+      } else {
+        result.error = /unreachable/i.test(stdout) ? 'EHOSTUNREACH' : 'ETIMEDOUT';
+      }
+
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Run a parsed probe against a host
+ */
+function runProbe(probe, host, timeout) {
+  if (probe.type === 'icmp') {
+    return icmpProbe(host, timeout);
+  }
+  return tcpProbe(host, probe.port, timeout);
+}
+
+/**
+ * Whether a failed probe result shows that there is no route to the device
+ */
+function isUnreachableError(result) {
+  return UNREACHABLE_ERRORS.includes(result.error);
+}
+
+module.exports = {
+  parseProbe,
+  tcpProbe,
+  icmpProbe,
+  runProbe,
+  isUnreachableError
+};
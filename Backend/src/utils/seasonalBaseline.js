@@ -0,0 +1,80 @@
+/**
+ * Seasonal Baseline
+ * Hour-of-week baselines for device metrics. Each slot keeps an exponentially
+ * weighted mean and variance (EWMA); a value is scored by how many standard
+ * deviations it lies from the mean of its slot (z-score).
+ */
+
+/**
+ * UTC hour of the week, 0 = Sunday 00:00 to 167 = Saturday 23:00
+ */
+function hourOfWeek(date) {
+  return date.getUTCDay() * 24 + date.getUTCHours();
+}
+
+/**
+ * Build the key of a series slot
+ */
+function buildBaselineKey(device, metric, instance, slot) {
+  return `${device}:${metric}:${instance || ''}:${slot}`;
+}
+
+/**
+ * Fold a value into a baseline slot.
+ * The first value seeds the mean; afterwards mean and variance move by `alpha`.
+ *
+ * @param {Object} baseline - { mean, variance, samples }
+ * @param {Number} value - observed value
+ * @param {Number} alpha - EWMA weight of the new value (0-1)
+ * @returns {Object} updated { mean, variance, samples }
+ */
+function updateBaseline(baseline, value, alpha) {
+  if (!baseline || !baseline.samples) {
+    return { mean: value, variance: 0, samples: 1 };
+  }
+
+  const diff = value - baseline.mean;
+  const increment = alpha * diff;
+  return {
+    mean: baseline.mean + increment,
+    variance: (1 - alpha) * (baseline.variance + diff * increment),
+    samples: baseline.samples + 1
+  };
+}
+
+/**
+ * Score a value against its baseline slot
+ *
+ * @param {Object} baseline - { mean, variance, samples }
+ * @param {Number} value - observed value
+ * @param {Object} options - { min_samples, min_stddev, relative_min_stddev }
+ * @returns {Object|null} { expected, stddev, deviation } or null while the slot is still learning
+ */
+function scoreValue(baseline, value, options = {}) {
+  if (!baseline || baseline.samples < (options.min_samples || 1)) {
+    return null;
+  }
+
+  // Floor the spread so a flat baseline does not turn noise into huge scores
+  const stddev = Math.max(
+    Math.sqrt(Math.max(baseline.variance, 0)),
+    options.min_stddev || 0,
+    Math.abs(baseline.mean) * (options.relative_min_stddev || 0)
+  );
+  if (stddev === 0) {
+    return null;
+  }
+
+  return {
+    expected: Math.round(baseline.mean * 100) / 100,
+    stddev: Math.round(stddev * 100) / 100,
+    deviation: Math.round(((value - baseline.mean) / stddev) * 100) / 100
+  };
+}
+
+module.exports = {
+  hourOfWeek,
+  buildBaselineKey,
+  updateBaseline,
+  scoreValue
+};
@@ -0,0 +1,558 @@
+/**
+ * SNMP Trap Decoder
+ * Minimal BER/ASN.1 decoder for SNMPv1, SNMPv2c and SNMPv3 trap and inform messages.
+ * Extracts the enterprise OID, generic/specific trap, sysUpTime, snmpTrapOID
+ * and varbinds, and maps the standard traps onto normalized event types.
+ */
+
+// ASN.1 / SNMP type tags
+const TAGS = {
+  INTEGER: 0x02,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OBJECT_IDENTIFIER: 0x06,
+  SEQUENCE: 0x30,
+  IP_ADDRESS: 0x40,
+  COUNTER32: 0x41,
+  GAUGE32: 0x42,
+  TIMETICKS: 0x43,
+  OPAQUE: 0x44,
+  COUNTER64: 0x46,
+  NO_SUCH_OBJECT: 0x80,
+  NO_SUCH_INSTANCE: 0x81,
+  END_OF_MIB_VIEW: 0x82
+};
+
+// SNMP PDU tags
+const PDU_TYPES = {
+  0xa0: 'get_request',
+  0xa1: 'get_next_request',
+  0xa2: 'response',
+  0xa3: 'set_request',
+  0xa4: 'trap_v1',
+  0xa5: 'get_bulk_request',
+  0xa6: 'inform_request',
+  0xa7: 'trap_v2',
+  0xa8: 'report'
+};
+
+// Well-known OIDs used when decoding traps
+const OIDS = {
+  SYS_UPTIME: '1.3.6.1.2.1.1.3.0',
+  SNMP_TRAP_OID: '1.3.6.1.6.3.1.1.4.1.0',
+  SNMP_TRAP_ENTERPRISE: '1.3.6.1.6.3.1.1.4.3.0',
+  SNMP_TRAPS: '1.3.6.1.6.3.1.1.5',
+  IF_INDEX: '1.3.6.1.2.1.2.2.1.1',
+  IF_DESCR: '1.3.6.1.2.1.2.2.1.2',
+  IF_ADMIN_STATUS: '1.3.6.1.2.1.2.2.1.7',
+  IF_OPER_STATUS: '1.3.6.1.2.1.2.2.1.8',
+  IF_NAME: '1.3.6.1.2.1.31.1.1.1.1'
+};
+
+// Standard traps (RFC 3418) indexed by SNMPv1 generic-trap number
+const GENERIC_TRAPS = {
+  0: { name: 'coldStart', oid: `${OIDS.SNMP_TRAPS}.1` },
+  1: { name: 'warmStart', oid: `${OIDS.SNMP_TRAPS}.2` },
+  2: { name: 'linkDown', oid: `${OIDS.SNMP_TRAPS}.3` },
+  3: { name: 'linkUp', oid: `${OIDS.SNMP_TRAPS}.4` },
+  4: { name: 'authenticationFailure', oid: `${OIDS.SNMP_TRAPS}.5` },
+  5: { name: 'egpNeighborLoss', oid: `${OIDS.SNMP_TRAPS}.6` },
+  6: { name: 'enterpriseSpecific', oid: null }
+};
+
+// Standard trap name -> normalized event type
+const TRAP_EVENT_TYPES = {
+  coldStart: 'device_reboot',
+  warmStart: 'device_reboot',
+  linkDown: 'interface_down',
+  linkUp: 'interface_up',
+  authenticationFailure: 'authentication_failure'
+};
+
+const IF_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 4: 'unknown', 5: 'dormant', 6: 'notPresent', 7: 'lowerLayerDown' };
+
+/**
+ * Read a single BER TLV starting at offset
+ */
+function readTLV(buffer, offset) {
+  if (offset + 2 > buffer.length) {
+    throw new Error(`Truncated BER element at offset ${offset}`);
+  }
+
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let headerLength = 2;
+
+  // Long form length: low 7 bits give the number of length octets
+  if (length & 0x80) {
+    const lengthOctets = length & 0x7f;
+    if (lengthOctets === 0 || lengthOctets > 4) {
+      throw new Error(`Unsupported BER length encoding at offset ${offset}`);
+    }
+    if (offset + 2 + lengthOctets > buffer.length) {
+      throw new Error(`Truncated BER length at offset ${offset}`);
+    }
+    length = 0;
+    for (let i = 0; i < lengthOctets; i++) {
+      length = (length * 256) + buffer[offset + 2 + i];
+    }
+    headerLength += lengthOctets;
+  }
+
+  const start = offset + headerLength;
+  const end = start + length;
+
+  if (end > buffer.length) {
+    throw new Error(`BER element at offset ${offset} overruns message (${end} > ${buffer.length})`);
+  }
+
+  return {
+    tag: tag,
+    offset: offset,
+    start: start,
+    end: end,
+    value: buffer.subarray(start, end)
+  };
+}
+
+/**
+ * Read all TLVs contained in a constructed element
+ */
+function readChildren(buffer) {
+  const children = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const tlv = readTLV(buffer, offset);
+    children.push(tlv);
+    offset = tlv.end;
+  }
+
+  return children;
+}
+
+/**
+ * Decode a signed two's complement INTEGER
+ */
+function decodeInteger(value) {
+  if (value.length === 0) {
+    return 0;
+  }
+  if (value.length > 6) {
+    return Number(decodeBigInteger(value, true));
+  }
+  return value.readIntBE(0, value.length);
+}
+
+/**
+ * Decode an unsigned integer (Counter32, Gauge32, TimeTicks)
+ */
+function decodeUnsigned(value) {
+  let result = 0;
+  for (const byte of value) {
+    result = (result * 256) + byte;
+  }
+  return result;
+}
+
+/**
+ * Decode an arbitrary length integer as BigInt
+ */
+function decodeBigInteger(value, signed) {
+  let result = 0n;
+  for (const byte of value) {
+    result = (result << 8n) | BigInt(byte);
+  }
+  if (signed && value.length > 0 && (value[0] & 0x80)) {
+    result -= 1n << BigInt(value.length * 8);
+  }
+  return result;
+}
+
+/**
+ * Decode an OBJECT IDENTIFIER into dotted notation
+ */
+function decodeOID(value) {
+  if (value.length === 0) {
+    return '';
+  }
+
+  const first = value[0];
+  const parts = first < 80 ? [Math.floor(first / 40), first % 40] : [2, first - 80];
+  let subId = 0;
+
+  for (let i = 1; i < value.length; i++) {
+    subId = (subId * 128) + (value[i] & 0x7f);
+    if (!(value[i] & 0x80)) {
+      parts.push(subId);
+      subId = 0;
+    }
+  }
+
+  return parts.join('.');
+}
+
+/**
+ * Decode an OCTET STRING, returning printable text when possible
+ */
+function decodeOctetString(value) {
+  const printable = value.every(byte => (byte >= 0x20 && byte < 0x7f) || byte === 0x09 || byte === 0x0a || byte === 0x0d);
+  return printable ? value.toString('utf8') : value.toString('hex');
+}
+
+/**
+ * Decode a varbind value into { type, value }
+ */
+function decodeValue(tlv) {
+  const value = tlv.value;
+
+  switch (tlv.tag) {
+    case TAGS.INTEGER:
+      return { type: 'integer', value: decodeInteger(value) };
+    case TAGS.OCTET_STRING:
+      return { type: 'octet_string', value: decodeOctetString(value) };
+    case TAGS.NULL:
+      return { type: 'null', value: null };
+    case TAGS.OBJECT_IDENTIFIER:
+      return { type: 'oid', value: decodeOID(value) };
+    case TAGS.IP_ADDRESS:
+      return { type: 'ip_address', value: Array.from(value).join('.') };
+    case TAGS.COUNTER32:
+      return { type: 'counter32', value: decodeUnsigned(value) };
+    case TAGS.GAUGE32:
+      return { type: 'gauge32', value: decodeUnsigned(value) };
+    case TAGS.TIMETICKS:
+      return { type: 'timeticks', value: decodeUnsigned(value) };
+    case TAGS.OPAQUE:
+      return { type: 'opaque', value: value.toString('hex') };
+    case TAGS.COUNTER64: {
+      const big = decodeBigInteger(value, false);
+      return { type: 'counter64', value: big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big.toString() };
+    }
+    case TAGS.NO_SUCH_OBJECT:
+      return { type: 'no_such_object', value: null };
+    case TAGS.NO_SUCH_INSTANCE:
+      return { type: 'no_such_instance', value: null };
+    case TAGS.END_OF_MIB_VIEW:
+      return { type: 'end_of_mib_view', value: null };
+    default:
+      return { type: `unknown_0x${tlv.tag.toString(16)}`, value: value.toString('hex') };
+  }
+}
+
+/**
+ * Decode the VarBindList SEQUENCE
+ */
+function decodeVarbinds(tlv) {
+  if (tlv.tag !== TAGS.SEQUENCE) {
+    throw new Error('Expected VarBindList SEQUENCE');
+  }
+
+  return readChildren(tlv.value).map(varbind => {
+    const [name, value] = readChildren(varbind.value);
+    if (!name || name.tag !== TAGS.OBJECT_IDENTIFIER || !value) {
+      throw new Error('Malformed varbind');
+    }
+    return { oid: decodeOID(name.value), ...decodeValue(value) };
+  });
+}
+
+/**
+ * Decode a PDU (trap v1, trap v2, inform) from its TLV
+ */
+function decodePDU(pduTLV) {
+  const pduType = PDU_TYPES[pduTLV.tag];
+  if (!pduType) {
+    throw new Error(`Unknown PDU type 0x${pduTLV.tag.toString(16)}`);
+  }
+
+  const fields = readChildren(pduTLV.value);
+
+  if (pduType === 'trap_v1') {
+    const [enterprise, agentAddr, genericTrap, specificTrap, timeStamp, varbinds] = fields;
+    if (!varbinds) {
+      throw new Error('Truncated SNMPv1 Trap-PDU');
+    }
+    return {
+      pdu_type: pduType,
+      enterprise: decodeOID(enterprise.value),
+      agent_address: Array.from(agentAddr.value).join('.'),
+      generic_trap: decodeInteger(genericTrap.value),
+      specific_trap: decodeInteger(specificTrap.value),
+      sys_uptime: decodeUnsigned(timeStamp.value),
+      varbinds: decodeVarbinds(varbinds)
+    };
+  }
+
+  const [requestId, errorStatus, errorIndex, varbinds] = fields;
+  if (!varbinds) {
+    throw new Error(`Truncated ${pduType} PDU`);
+  }
+  return {
+    pdu_type: pduType,
+    request_id: decodeInteger(requestId.value),
+    error_status: decodeInteger(errorStatus.value),
+    error_index: decodeInteger(errorIndex.value),
+    varbinds: decodeVarbinds(varbinds)
+  };
+}
+
+/**
+ * Resolve the trap OID / name for a decoded PDU.
+ * SNMPv1 traps are translated to their SNMPv2 equivalents (RFC 3584 section 3.1).
+ */
+function resolveTrapIdentity(pdu) {
+  if (pdu.pdu_type === 'trap_v1') {
+    const generic = GENERIC_TRAPS[pdu.generic_trap] || GENERIC_TRAPS[6];
+    const trapOid = generic.oid || `${pdu.enterprise}.0.${pdu.specific_trap}`;
+    return { trap_oid: trapOid, trap_name: generic.name };
+  }
+
+  const trapOidVarbind = pdu.varbinds.find(vb => vb.oid === OIDS.SNMP_TRAP_OID);
+  const upTimeVarbind = pdu.varbinds.find(vb => vb.oid === OIDS.SYS_UPTIME);
+  const enterpriseVarbind = pdu.varbinds.find(vb => vb.oid === OIDS.SNMP_TRAP_ENTERPRISE);
+  const trapOid = trapOidVarbind ? trapOidVarbind.value : null;
+  const standard = Object.values(GENERIC_TRAPS).find(trap => trap.oid && trap.oid === trapOid);
+
+  pdu.sys_uptime = upTimeVarbind ? upTimeVarbind.value : null;
+  if (enterpriseVarbind) {
+    pdu.enterprise = enterpriseVarbind.value;
+  }
+
+  return {
+    trap_oid: trapOid,
+    trap_name: standard ? standard.name : 'enterpriseSpecific'
+  };
+}
+
+/**
+ * Extract interface details (ifIndex, ifDescr, ifName, admin/oper status) from varbinds
+ */
+function extractInterfaceInfo(varbinds) {
+  const info = {};
+
+  for (const vb of varbinds) {
+    const column = vb.oid.substring(0, vb.oid.lastIndexOf('.'));
+    const index = Number(vb.oid.substring(vb.oid.lastIndexOf('.') + 1));
+
+    switch (column) {
+      case OIDS.IF_INDEX:
+        info.index = vb.value;
+        break;
+      case OIDS.IF_DESCR:
+        info.index = info.index || index;
+        info.description = vb.value;
+        break;
+      case OIDS.IF_NAME:
+        info.index = info.index || index;
+        info.name = vb.value;
+        break;
+      case OIDS.IF_ADMIN_STATUS:
+        info.index = info.index || index;
+        info.admin_status = IF_STATUS[vb.value] || vb.value;
+        break;
+      case OIDS.IF_OPER_STATUS:
+        info.index = info.index || index;
+        info.oper_status = IF_STATUS[vb.value] || vb.value;
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (Object.keys(info).length === 0) {
+    return null;
+  }
+
+  info.name = info.name || info.description || (info.index !== undefined ? `ifIndex ${info.index}` : undefined);
+  return info;
+}
+
+/**
+ * Decode an SNMP message header and return the version, community and PDU TLV
+ */
+function decodeMessageHeader(message) {
+  const root = readTLV(message, 0);
+  if (root.tag !== TAGS.SEQUENCE) {
+    throw new Error('SNMP message is not a SEQUENCE');
+  }
+
+  const fields = readChildren(root.value);
+  if (fields.length < 2 || fields[0].tag !== TAGS.INTEGER) {
+    throw new Error('SNMP message is missing its version field');
+  }
+
+  return {
+    version: decodeInteger(fields[0].value),
+    fields: fields,
+    root: root
+  };
+}
+
+/**
+ * Build the structured trap object from a decoded notification PDU
+ */
+function buildTrapResult(version, pdu) {
+  if (!['trap_v1', 'trap_v2', 'inform_request'].includes(pdu.pdu_type)) {
+    throw new Error(`PDU type ${pdu.pdu_type} is not a notification`);
+  }
+
+  const identity = resolveTrapIdentity(pdu);
+
+  return {
+    version: version,
+    ...pdu,
+    ...identity,
+    event_type: TRAP_EVENT_TYPES[identity.trap_name] || null,
+    interface: extractInterfaceInfo(pdu.varbinds)
+  };
+}
+
+/**
+ * Decode a full SNMPv1/v2c trap or inform message.
+ * Returns a structured trap object; throws on malformed or unsupported input.
+ */
+function decodeTrap(message) {
+  const header = decodeMessageHeader(message);
+
+  if (header.version === 3) {
+    const error = new Error('SNMPv3 messages require USM processing');
+    error.code = 'SNMPV3_MESSAGE';
+    throw error;
+  }
+
+  if (header.version !== 0 && header.version !== 1) {
+    throw new Error(`Unsupported SNMP version: ${header.version}`);
+  }
+
+  const [, community, pduTLV] = header.fields;
+  if (!community || community.tag !== TAGS.OCTET_STRING || !pduTLV) {
+    throw new Error('Malformed SNMP community message');
+  }
+
+  const pdu = decodePDU(pduTLV);
+
+  return {
+    ...buildTrapResult(header.version === 0 ? 'v1' : 'v2c', pdu),
+    community: community.value.toString('utf8'),
+    // Byte offset of the PDU tag, used to build the inform acknowledgement
+    pdu_offset: header.root.start + pduTLV.offset
+  };
+}
+
+/**
+ * Decode the SNMPv3 message header and USM security parameters (RFC 3412 / RFC 3414).
+ * The scoped PDU is returned undecoded so it can be authenticated and decrypted first.
+ */
+function decodeV3Message(message) {
+  const header = decodeMessageHeader(message);
+
+  if (header.version !== 3) {
+    throw new Error(`Not an SNMPv3 message (version ${header.version})`);
+  }
+
+  const [, globalData, securityParams, msgData] = header.fields;
+  if (!globalData || globalData.tag !== TAGS.SEQUENCE || !securityParams || !msgData) {
+    throw new Error('Malformed SNMPv3 message');
+  }
+
+  const [msgId, msgMaxSize, msgFlags, msgSecurityModel] = readChildren(globalData.value);
+  if (!msgSecurityModel) {
+    throw new Error('Truncated SNMPv3 msgGlobalData');
+  }
+
+  const flags = msgFlags.value.length > 0 ? msgFlags.value[0] : 0;
+  const usmSequence = readTLV(securityParams.value, 0);
+  const [engineId, engineBoots, engineTime, userName, authParams, privParams] = readChildren(usmSequence.value);
+  if (!privParams) {
+    throw new Error('Truncated USM security parameters');
+  }
+
+  return {
+    version: 'v3',
+    msg_id: decodeInteger(msgId.value),
+    msg_max_size: decodeInteger(msgMaxSize.value),
+    msg_flags: {
+      auth: Boolean(flags & 0x01),
+      priv: Boolean(flags & 0x02),
+      reportable: Boolean(flags & 0x04)
+    },
+    security_model: decodeInteger(msgSecurityModel.value),
+    usm: {
+      engine_id: engineId.value.toString('hex'),
+      engine_boots: decodeInteger(engineBoots.value),
+      engine_time: decodeInteger(engineTime.value),
+      user_name: userName.value.toString('utf8'),
+      auth_params: Buffer.from(authParams.value),
+      priv_params: Buffer.from(privParams.value),
+      // Absolute offset of msgAuthenticationParameters, zeroed when computing the HMAC
+      auth_params_offset: header.root.start + securityParams.start + usmSequence.start + authParams.start
+    },
+    // Plaintext ScopedPDU SEQUENCE or encrypted OCTET STRING
+    msg_data: {
+      encrypted: msgData.tag === TAGS.OCTET_STRING,
+      value: Buffer.from(msgData.tag === TAGS.OCTET_STRING ? msgData.value : message.subarray(header.root.start + msgData.offset, header.root.start + msgData.end))
+    }
+  };
+}
+
+/**
+ * Decode a plaintext ScopedPDU into a structured trap object.
+ * Trailing bytes (e.g. DES padding) after the ScopedPDU are ignored.
+ */
+function decodeScopedPDU(buffer) {
+  const scoped = readTLV(buffer, 0);
+  if (scoped.tag !== TAGS.SEQUENCE) {
+    throw new Error('ScopedPDU is not a SEQUENCE');
+  }
+
+  const [contextEngineId, contextName, pduTLV] = readChildren(scoped.value);
+  if (!pduTLV) {
+    throw new Error('Truncated ScopedPDU');
+  }
+
+  return {
+    ...buildTrapResult('v3', decodePDU(pduTLV)),
+    context_engine_id: contextEngineId.value.toString('hex'),
+    context_name: contextName.value.toString('utf8')
+  };
+}
+
+/**
+ * Build the Response-PDU acknowledging an InformRequest.
+ * Per RFC 3416 4.2.7 the response carries the same request-id and varbinds,
+ * so the original message is reused with the PDU tag rewritten.
+ */
+function buildInformResponse(message, decodedTrap) {
+  if (!decodedTrap || decodedTrap.pdu_type !== 'inform_request') {
+    return null;
+  }
+
+  const response = Buffer.from(message);
+  response[decodedTrap.pdu_offset] = 0xa2;
+  return response;
+}
+
+module.exports = {
+  TAGS,
+  PDU_TYPES,
+  OIDS,
+  TRAP_EVENT_TYPES,
+  readTLV,
+  readChildren,
+  decodeInteger,
+  decodeUnsigned,
+  decodeOID,
+  decodeOctetString,
+  decodeValue,
+  decodePDU,
+  decodeVarbinds,
+  decodeMessageHeader,
+  resolveTrapIdentity,
+  extractInterfaceInfo,
+  buildTrapResult,
+  decodeTrap,
+  decodeV3Message,
+  decodeScopedPDU,
+  buildInformResponse
+};
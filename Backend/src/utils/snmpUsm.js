@@ -0,0 +1,384 @@
+/**
+ * SNMPv3 User-based Security Model (RFC 3414, RFC 3826)
+ * Key localization, HMAC-MD5-96 / HMAC-SHA-96 authentication and
+ * CBC-DES / CFB128-AES-128 privacy for incoming SNMPv3 notifications.
+ */
+
+const crypto = require('crypto');
+const snmpTrapDecoder = require('./snmpTrapDecoder');
+
+// Authentication protocols: digest algorithm and truncated MAC length
+const AUTH_PROTOCOLS = {
+  MD5: { algorithm: 'md5', mac_length: 12 },
+  SHA: { algorithm: 'sha1', mac_length: 12 }
+};
+
+// Privacy protocols
+const PRIV_PROTOCOLS = ['DES', 'AES'];
+
+// Timeliness window in seconds (RFC 3414 section 3.2 step 7)
+const TIME_WINDOW = 150;
+const MAX_ENGINE_BOOTS = 2147483647;
+
+// Master keys by protocol and password: the password hash runs once per configured secret
+const masterKeyCache = new Map();
+
+// Localized keys by engine ID, least recently used engine first. Engine IDs arrive
+// before the message is authenticated, so the cache is bounded and engines it does
+// not hold are admitted at a limited rate.
+const localizedKeyCache = new Map();
+const MAX_CACHED_ENGINES = 1024;
+const MAX_NEW_ENGINES_PER_SECOND = 50;
+const newEngines = { window_start: 0, count: 0 };
+
+/**
+ * Build a USM processing error with a failure reason
+ */
+function usmError(reason, message, details = {}) {
+  const error = new Error(message);
+  error.code = 'USM_FAILURE';
+  error.reason = reason;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Convert a password to a master key (RFC 3414 A.2.1 / A.2.2)
+ */
+function passwordToKey(password, algorithm) {
+  if (!password || password.length === 0) {
+    throw new Error('USM password must not be empty');
+  }
+
+  const hash = crypto.createHash(algorithm);
+  const passwordBuffer = Buffer.from(password, 'utf8');
+  const chunk = Buffer.alloc(64);
+  let index = 0;
+
+  // Hash one megabyte of the repeated password
+  for (let count = 0; count < 1048576; count += 64) {
+    for (let i = 0; i < 64; i++) {
+      chunk[i] = passwordBuffer[index++ % passwordBuffer.length];
+    }
+    hash.update(chunk);
+  }
+
+  return hash.digest();
+}
+
+/**
+ * Localize a master key to an authoritative engine ID
+ */
+function localizeKey(masterKey, engineId, algorithm) {
+  return crypto.createHash(algorithm)
+    .update(masterKey)
+    .update(engineId)
+    .update(masterKey)
+    .digest();
+}
+
+/**
+ * Master key of a password, hashed once
+ */
+function getMasterKey(password, algorithm) {
+  const cacheKey = `${algorithm}:${password}`;
+  if (!masterKeyCache.has(cacheKey)) {
+    masterKeyCache.set(cacheKey, passwordToKey(password, algorithm));
+  }
+  return masterKeyCache.get(cacheKey);
+}
+
+/**
+ * Count an engine ID the key cache does not hold against the per-second limit
+ *
+ * @throws USM failure unknown_engine_id once the limit is reached
+ */
+function admitNewEngine(engineIdHex) {
+  const now = Date.now();
+  if (now - newEngines.window_start >= 1000) {
+    newEngines.window_start = now;
+    newEngines.count = 0;
+  }
+
+  if (newEngines.count >= MAX_NEW_ENGINES_PER_SECOND) {
+    throw usmError('unknown_engine_id', `Too many new engine IDs, engine ${engineIdHex || '(empty)'} not admitted`, { engine_id: engineIdHex });
+  }
+  newEngines.count++;
+}
+
+/**
+ * Get the localized key for a user secret.
+ * Secrets may be given as a password or as an already localized hex key.
+ */
+function getLocalizedKey(secret, engineIdHex, authProtocol) {
+  const protocol = AUTH_PROTOCOLS[authProtocol];
+  if (!protocol) {
+    throw new Error(`Unsupported authentication protocol: ${authProtocol}`);
+  }
+
+  if (secret.key) {
+    return Buffer.from(secret.key, 'hex');
+  }
+
+  let engineKeys = localizedKeyCache.get(engineIdHex);
+  if (engineKeys) {
+    // Re-inserted to mark the engine as most recently used
+    localizedKeyCache.delete(engineIdHex);
+  } else {
+    admitNewEngine(engineIdHex);
+    engineKeys = new Map();
+  }
+  localizedKeyCache.set(engineIdHex, engineKeys);
+  if (localizedKeyCache.size > MAX_CACHED_ENGINES) {
+    localizedKeyCache.delete(localizedKeyCache.keys().next().value);
+  }
+
+  const cacheKey = `${authProtocol}:${secret.password}`;
+  if (!engineKeys.has(cacheKey)) {
+    const masterKey = getMasterKey(secret.password, protocol.algorithm);
+    engineKeys.set(cacheKey, localizeKey(masterKey, Buffer.from(engineIdHex, 'hex'), protocol.algorithm));
+  }
+
+  return engineKeys.get(cacheKey);
+}
+
+/**
+ * Forget cached keys and the new engine count
+ */
+function clearKeyCache() {
+  masterKeyCache.clear();
+  localizedKeyCache.clear();
+  newEngines.window_start = 0;
+  newEngines.count = 0;
+}
+
+/**
+ * Required security level for a user entry
+ */
+function getUserSecurityLevel(user) {
+  if (user.priv_protocol) {
+    return 'authPriv';
+  }
+  if (user.auth_protocol) {
+    return 'authNoPriv';
+  }
+  return 'noAuthNoPriv';
+}
+
+/**
+ * Security level requested by the message flags
+ */
+function getMessageSecurityLevel(flags) {
+  if (flags.auth && flags.priv) {
+    return 'authPriv';
+  }
+  if (flags.auth) {
+    return 'authNoPriv';
+  }
+  return 'noAuthNoPriv';
+}
+
+/**
+ * Verify the HMAC in msgAuthenticationParameters
+ */
+function verifyAuthentication(message, v3Message, user) {
+  const protocol = AUTH_PROTOCOLS[user.auth_protocol];
+  const authParams = v3Message.usm.auth_params;
+
+  if (authParams.length !== protocol.mac_length) {
+    return false;
+  }
+
+  const key = getLocalizedKey(
+    { password: user.auth_password, key: user.auth_key },
+    v3Message.usm.engine_id,
+    user.auth_protocol
+  );
+
+  // The MAC is computed over the whole message with the auth parameters zeroed
+  const wholeMessage = Buffer.from(message);
+  wholeMessage.fill(0, v3Message.usm.auth_params_offset, v3Message.usm.auth_params_offset + authParams.length);
+
+  const mac = crypto.createHmac(protocol.algorithm, key)
+    .update(wholeMessage)
+    .digest()
+    .subarray(0, protocol.mac_length);
+
+  return crypto.timingSafeEqual(mac, authParams);
+}
+
+/**
+ * Decrypt the encrypted ScopedPDU
+ */
+function decryptScopedPDU(v3Message, user) {
+  const privKey = getLocalizedKey(
+    { password: user.priv_password, key: user.priv_key },
+    v3Message.usm.engine_id,
+    user.auth_protocol
+  );
+  const salt = v3Message.usm.priv_params;
+  const encrypted = v3Message.msg_data.value;
+
+  if (salt.length !== 8) {
+    throw usmError('decryption_error', 'Invalid msgPrivacyParameters length');
+  }
+
+  if (user.priv_protocol === 'DES') {
+    // CBC-DES (RFC 3414 8.1.1): IV is the pre-IV XOR the salt.
+    // Single DES is run as 3DES-EDE with identical keys, which OpenSSL 3 still ships by default.
+    if (encrypted.length % 8 !== 0) {
+      throw usmError('decryption_error', 'Encrypted PDU length is not a multiple of 8');
+    }
+    const desKey = privKey.subarray(0, 8);
+    const preIV = privKey.subarray(8, 16);
+    const iv = Buffer.alloc(8);
+    for (let i = 0; i < 8; i++) {
+      iv[i] = preIV[i] ^ salt[i];
+    }
+    const decipher = crypto.createDecipheriv('des-ede3-cbc', Buffer.concat([desKey, desKey, desKey]), iv);
+    decipher.setAutoPadding(false);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  }
+
+  if (user.priv_protocol === 'AES') {
+    // CFB128-AES-128 (RFC 3826 3.1.2.1): IV is engineBoots || engineTime || salt
+    const iv = Buffer.alloc(16);
+    iv.writeUInt32BE(v3Message.usm.engine_boots >>> 0, 0);
+    iv.writeUInt32BE(v3Message.usm.engine_time >>> 0, 4);
+    salt.copy(iv, 8);
+    const decipher = crypto.createDecipheriv('aes-128-cfb', privKey.subarray(0, 16), iv);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  }
+
+  throw usmError('unsupported_security_level', `Unsupported privacy protocol: ${user.priv_protocol}`);
+}
+
+/**
+ * Check message timeliness against the last known boots/time of the authoritative engine
+ * (RFC 3414 section 3.2 step 7b). Updates the engine table when the message is newer.
+ */
+function checkTimeliness(v3Message, engineTimes) {
+  const { engine_id: engineId, engine_boots: boots, engine_time: time } = v3Message.usm;
+  const known = engineTimes.get(engineId);
+
+  if (boots >= MAX_ENGINE_BOOTS) {
+    return false;
+  }
+
+  if (known) {
+    if (boots < known.engine_boots) {
+      return false;
+    }
+    if (boots === known.engine_boots) {
+      const elapsed = Math.floor((Date.now() - known.received_at) / 1000);
+      if (time < known.engine_time + elapsed - TIME_WINDOW) {
+        return false;
+      }
+      // Only a newer engine time advances the table
+      if (time <= known.engine_time) {
+        return true;
+      }
+    }
+  }
+
+  engineTimes.set(engineId, { engine_boots: boots, engine_time: time, received_at: Date.now() });
+  return true;
+}
+
+/**
+ * Process an incoming SNMPv3 message: look up the user, verify the security level,
+ * authenticate, check timeliness and decrypt. Returns the decoded trap.
+ * Throws an error with code 'USM_FAILURE' and a reason on any security failure.
+ *
+ * @param {Buffer} message - raw SNMPv3 message
+ * @param {Function} lookupUser - (engineIdHex, userName) => user entry or null
+ * @param {Map} engineTimes - per-engine boots/time table, updated in place
+ */
+function processIncomingMessage(message, lookupUser, engineTimes) {
+  const v3Message = snmpTrapDecoder.decodeV3Message(message);
+  const { engine_id: engineId, user_name: userName } = v3Message.usm;
+  const details = { user_name: userName, engine_id: engineId };
+
+  if (v3Message.security_model !== 3) {
+    throw usmError('unsupported_security_model', `Unsupported security model: ${v3Message.security_model}`, details);
+  }
+
+  const user = lookupUser(engineId, userName);
+  if (!user) {
+    throw usmError('unknown_user', `Unknown USM user "${userName}" for engine ${engineId || '(empty)'}`, details);
+  }
+
+  const messageLevel = getMessageSecurityLevel(v3Message.msg_flags);
+  const userLevel = getUserSecurityLevel(user);
+  if (messageLevel !== userLevel) {
+    throw usmError('unsupported_security_level', `Message security level ${messageLevel} does not match ${userLevel} configured for "${userName}"`, details);
+  }
+
+  if (v3Message.msg_flags.auth) {
+    let authentic;
+    try {
+      authentic = verifyAuthentication(message, v3Message, user);
+    } catch (error) {
+      if (error.code === 'USM_FAILURE') {
+        error.details = details;
+      }
+      throw error;
+    }
+    if (!authentic) {
+      throw usmError('authentication_failed', `Wrong digest for USM user "${userName}"`, details);
+    }
+    if (!checkTimeliness(v3Message, engineTimes)) {
+      throw usmError('not_in_time_window', `Message from engine ${engineId} is outside the time window`, details);
+    }
+  }
+
+  let scopedPDU = v3Message.msg_data.value;
+  if (v3Message.msg_flags.priv) {
+    if (!v3Message.msg_data.encrypted) {
+      throw usmError('decryption_error', 'Privacy flag set but ScopedPDU is not encrypted', details);
+    }
+    try {
+      scopedPDU = decryptScopedPDU(v3Message, user);
+    } catch (error) {
+      if (error.code === 'USM_FAILURE') {
+        error.details = details;
+        throw error;
+      }
+      throw usmError('decryption_error', `Decryption failed: ${error.message}`, details);
+    }
+  }
+
+  let trap;
+  try {
+    trap = snmpTrapDecoder.decodeScopedPDU(scopedPDU);
+  } catch (error) {
+    // A wrong privacy key yields garbage rather than a cipher error
+    throw v3Message.msg_flags.priv ? usmError('decryption_error', `Decrypted ScopedPDU is invalid: ${error.message}`, details) : error;
+  }
+
+  return {
+    ...trap,
+    security: {
+      user_name: userName,
+      engine_id: engineId,
+      engine_boots: v3Message.usm.engine_boots,
+      engine_time: v3Message.usm.engine_time,
+      security_level: messageLevel
+    }
+  };
+}
+
+module.exports = {
+  AUTH_PROTOCOLS,
+  PRIV_PROTOCOLS,
+  passwordToKey,
+  localizeKey,
+  getLocalizedKey,
+  clearKeyCache,
+  getUserSecurityLevel,
+  getMessageSecurityLevel,
+  verifyAuthentication,
+  decryptScopedPDU,
+  checkTimeliness,
+  processIncomingMessage
+};
@@ -0,0 +1,140 @@
+/**
+ * Syslog Stream Framing
+ * Splits a TCP/TLS byte stream into syslog messages (RFC 6587).
+ * Supports octet-counting ("MSG-LEN SP SYSLOG-MSG", also required by RFC 5425)
+ * and non-transparent framing (messages terminated by LF, CRLF or NUL).
+ * The framing method is detected per message, so senders may mix both.
+ */
+
+const DEFAULT_MAX_MESSAGE_SIZE = 64 * 1024;
+
+// Octet-counting frames start with a non-zero digit; MSG-LEN is at most 7 digits here
+const MAX_LENGTH_DIGITS = 7;
+
+/**
+ * Build a framing error
+ */
+function framingError(message) {
+  const error = new Error(message);
+  error.code = 'SYSLOG_FRAMING_ERROR';
+  return error;
+}
+
+/**
+ * Create a stateful frame decoder for one connection.
+ *
+ * @param {Function} onMessage - called with each complete message Buffer
+ * @param {Object} options - { max_message_size }
+ * @returns {{ push: Function, end: Function, buffered: Function }}
+ */
+function createFrameDecoder(onMessage, options = {}) {
+  const maxMessageSize = options.max_message_size || DEFAULT_MAX_MESSAGE_SIZE;
+  let buffer = Buffer.alloc(0);
+
+  /**
+   * Try to extract one octet-counted frame.
+   * Returns the number of bytes consumed, 0 when more data is needed, or -1 if the frame is not octet-counted.
+   */
+  const readOctetCounted = () => {
+    if (buffer[0] < 0x31 || buffer[0] > 0x39) {
+      return -1;
+    }
+
+    let digits = 1;
+    while (digits < buffer.length && buffer[digits] >= 0x30 && buffer[digits] <= 0x39) {
+      digits++;
+    }
+    if (digits === buffer.length) {
+      if (digits > MAX_LENGTH_DIGITS) {
+        throw framingError('Octet count too long');
+      }
+      return 0;
+    }
+    // A message starting with digits but no SP after them uses newline framing
+    if (buffer[digits] !== 0x20) {
+      return -1;
+    }
+
+    const length = parseInt(buffer.toString('ascii', 0, digits), 10);
+    if (length > maxMessageSize) {
+      throw framingError(`Message length ${length} exceeds ${maxMessageSize} bytes`);
+    }
+
+    const start = digits + 1;
+    if (buffer.length < start + length) {
+      return 0;
+    }
+
+    onMessage(buffer.subarray(start, start + length));
+    return start + length;
+  };
+
+  /**
+   * Try to extract one LF/NUL terminated frame. Returns bytes consumed or 0 when more data is needed.
+   */
+  const readDelimited = () => {
+    let end = -1;
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i] === 0x0a || buffer[i] === 0x00) {
+        end = i;
+        break;
+      }
+    }
+
+    if (end === -1) {
+      if (buffer.length > maxMessageSize) {
+        throw framingError(`Unterminated message exceeds ${maxMessageSize} bytes`);
+      }
+      return 0;
+    }
+
+    const messageEnd = end > 0 && buffer[end - 1] === 0x0d ? end - 1 : end;
+    if (messageEnd > 0) {
+      onMessage(buffer.subarray(0, messageEnd));
+    }
+    return end + 1;
+  };
+
+  return {
+    /**
+     * Append received bytes and emit all complete messages
+     */
+    push(chunk) {
+      buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+
+      while (buffer.length > 0) {
+        let consumed = readOctetCounted();
+        if (consumed === -1) {
+          consumed = readDelimited();
+        }
+        if (consumed === 0) {
+          break;
+        }
+        // Copy the remainder so emitted messages do not pin the whole chunk
+        buffer = Buffer.from(buffer.subarray(consumed));
+      }
+    },
+
+    /**
+     * Flush a trailing unterminated message when the peer closes the connection
+     */
+    end() {
+      if (buffer.length > 0 && !/^\s*$/.test(buffer.toString())) {
+        onMessage(buffer);
+      }
+      buffer = Buffer.alloc(0);
+    },
+
+    /**
+     * Number of bytes waiting for the rest of a frame
+     */
+    buffered() {
+      return buffer.length;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_MESSAGE_SIZE,
+  createFrameDecoder
+};
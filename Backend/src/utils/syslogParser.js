@@ -0,0 +1,422 @@
+/**
+ * Syslog Parser
+ * Parses RFC 5424 and RFC 3164 syslog messages, including the header-less
+ * Cisco IOS format, and extracts vendor message tags:
+ * Cisco %FACILITY-SEVERITY-MNEMONIC and Juniper PROCESS_EVENT tags.
+ * Vendor tags are mapped onto normalized event types.
+ */
+
+// Syslog severity names indexed by severity number
+const SEVERITY_NAMES = ['emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug'];
+
+// RFC 5424: VERSION SP TIMESTAMP SP HOSTNAME SP APP-NAME SP PROCID SP MSGID SP STRUCTURED-DATA [SP MSG]
+const RFC5424_HEADER = /^(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) ?([\s\S]*)$/;
+
+// RFC 3164: TIMESTAMP SP HOSTNAME SP MSG
+const RFC3164_HEADER = /^(\w{3} [ \d]\d \d{2}:\d{2}:\d{2}) (\S+) ([\s\S]*)$/;
+
+// Cisco IOS without an RFC 3164 header: [seq: ][host: ][*|.]Mmm dd [yyyy] hh:mm:ss[.mmm][ TZ]: MSG
+const CISCO_HEADER = /^(?:(\d+):\s+)?(?:([\w.-]+):\s+)?[*.]?(\w{3}\s+\d{1,2}\s+(?:\d{4}\s+)?\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:\s+[A-Z]{2,5})?):\s+([\s\S]*)$/;
+
+// RFC 3164 TAG: app-name[pid]:
+const APP_TAG = /^([\w./-]+)(?:\[(\d+)\])?:\s*([\s\S]*)$/;
+
+// Cisco %FACILITY-SEVERITY-MNEMONIC: description (IOS-XR facilities contain a hyphen)
+const CISCO_TAG = /%([A-Z0-9_]+(?:-[A-Z0-9_]+)*)-([0-7])-([A-Z0-9_]+)\s*:\s*([\s\S]*)$/;
+
+// Juniper event tag: UPPERCASE_WORDS_WITH_UNDERSCORES
+const JUNIPER_TAG = /^([A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+)$/;
+const JUNIPER_MESSAGE = /^([A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+):\s*([\s\S]*)$/;
+
+// Final interface/session state in a free-text message
+const STATE_PATTERN = /\b(?:changed state to|state changed to|is now|went|is)\s+(administratively down|down|up)\b/i;
+
+/**
+ * Read the state a message reports, if any
+ */
+function extractState(text) {
+  const match = text.match(STATE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return match[1].toLowerCase() === 'up' ? 'up' : 'down';
+}
+
+/**
+ * Pick an event type from the reported state
+ */
+function byState(upType, downType) {
+  return (text) => {
+    const state = extractState(text);
+    if (state === 'up') {
+      return upType;
+    }
+    if (state === 'down') {
+      return downType;
+    }
+    return null;
+  };
+}
+
+/**
+ * Classify a BGP neighbor transition: leaving Established is a peer down
+ */
+function bgpTransition(text) {
+  const transition = text.match(/from (\w+) to (\w+)/i);
+  if (transition) {
+    if (/^established$/i.test(transition[2])) {
+      return 'bgp_peer_up';
+    }
+    return /^established$/i.test(transition[1]) ? 'bgp_peer_down' : null;
+  }
+  // Cisco: "neighbor 10.0.0.2 Down BGP Notification sent" / "neighbor 10.0.0.2 Up"
+  const adjacency = text.match(/neighbor \S+(?: vpn vrf \S+)? (Up|Down)\b/i);
+  if (adjacency) {
+    return adjacency[1].toLowerCase() === 'up' ? 'bgp_peer_up' : 'bgp_peer_down';
+  }
+  return null;
+}
+
+/**
+ * Classify an OSPF adjacency transition: reaching FULL is up, dropping to DOWN is down
+ */
+function ospfTransition(text) {
+  const transition = text.match(/from (\S+) to (\S+)/i);
+  if (!transition) {
+    return null;
+  }
+  if (/^full/i.test(transition[2])) {
+    return 'ospf_neighbor_up';
+  }
+  return /^(down|init)/i.test(transition[2]) ? 'ospf_neighbor_down' : null;
+}
+
+// Cisco FACILITY-MNEMONIC -> event type (or classifier on the description)
+const CISCO_MNEMONICS = {
+  'LINK-UPDOWN': byState('interface_up', 'interface_down'),
+  'LINK-CHANGED': byState('interface_up', 'interface_down'),
+  'LINEPROTO-UPDOWN': byState('interface_up', 'interface_down'),
+  'PKT_INFRA-LINK-UPDOWN': byState('interface_up', 'interface_down'),
+  'PKT_INFRA-LINEPROTO-UPDOWN': byState('interface_up', 'interface_down'),
+  'ETHPORT-IF_UP': 'interface_up',
+  'ETHPORT-IF_DOWN_LINK_FAILURE': 'interface_down',
+  'ETHPORT-IF_DOWN_ADMIN_DOWN': 'interface_down',
+  'ETHPORT-IF_DOWN_INTERFACE_REMOVED': 'interface_down',
+  'BGP-ADJCHANGE': bgpTransition,
+  'BGP-NOTIFICATION': 'bgp_peer_down',
+  'ROUTING-BGP-ADJCHANGE': bgpTransition,
+  'OSPF-ADJCHG': ospfTransition,
+  'ROUTING-OSPF-ADJCHG': ospfTransition,
+  'SYS-CONFIG_I': 'config_change',
+  'MGBL-CONFIG-DB_COMMIT': 'config_change',
+  'SYS-RESTART': 'device_reboot',
+  'SYS-RELOAD': 'device_reboot',
+  'SYS-CPURISINGTHRESHOLD': 'high_cpu',
+  'SYS-MALLOCFAIL': 'high_memory',
+  'SEC_LOGIN-LOGIN_FAILED': 'authentication_failure',
+  'SEC_LOGIN-LOGIN_SUCCESS': 'authentication_event',
+  'AUTHMGR-FAIL': 'authentication_failure'
+};
+
+// Juniper event tag -> event type (or classifier on the description)
+const JUNIPER_TAGS = {
+  SNMP_TRAP_LINK_DOWN: 'interface_down',
+  SNMP_TRAP_LINK_UP: 'interface_up',
+  RPD_BGP_NEIGHBOR_STATE_CHANGED: bgpTransition,
+  BGP_NLRI_MISMATCH: 'bgp_peer_down',
+  RPD_OSPF_NBRDOWN: 'ospf_neighbor_down',
+  RPD_OSPF_NBRUP: 'ospf_neighbor_up',
+  UI_COMMIT_COMPLETED: 'config_change',
+  UI_COMMIT: 'config_change',
+  SSHD_LOGIN_FAILED: 'authentication_failure',
+  LOGIN_FAILED: 'authentication_failure',
+  UI_AUTH_EVENT: 'authentication_event',
+  UI_LOGIN_EVENT: 'authentication_event',
+  KERNEL_REBOOT: 'device_reboot',
+  SYSTEM_OPERATIONAL: 'device_reboot'
+};
+
+/**
+ * Parse RFC 5424 structured data: [id param="value" ...][id2 ...]
+ * Returns the parsed elements and the remaining MSG part.
+ */
+function parseStructuredData(text) {
+  if (text.startsWith('-')) {
+    return { structured_data: {}, rest: text.substring(1) };
+  }
+
+  const elements = {};
+  let position = 0;
+
+  while (text[position] === '[') {
+    const idMatch = text.substring(position + 1).match(/^([^\s\]=]+)/);
+    if (!idMatch) {
+      throw new Error(`Invalid SD-ID at offset ${position}`);
+    }
+
+    const sdId = idMatch[1];
+    const params = {};
+    position += 1 + sdId.length;
+
+    while (text[position] === ' ') {
+      const paramMatch = text.substring(position + 1).match(/^([^\s\]="]+)="/);
+      if (!paramMatch) {
+        throw new Error(`Invalid SD-PARAM at offset ${position}`);
+      }
+      position += 1 + paramMatch[0].length;
+
+      // PARAM-VALUE escapes '"', '\' and ']' with a backslash
+      let value = '';
+      while (position < text.length && text[position] !== '"') {
+        if (text[position] === '\\' && ['"', '\\', ']'].includes(text[position + 1])) {
+          position++;
+        }
+        value += text[position++];
+      }
+      if (text[position] !== '"') {
+        throw new Error('Unterminated SD-PARAM value');
+      }
+      position++;
+      params[paramMatch[1]] = value;
+    }
+
+    if (text[position] !== ']') {
+      throw new Error(`Unterminated SD-ELEMENT ${sdId}`);
+    }
+    position++;
+    elements[sdId] = params;
+  }
+
+  if (position === 0) {
+    throw new Error('Missing STRUCTURED-DATA');
+  }
+
+  return { structured_data: elements, rest: text.substring(position) };
+}
+
+/**
+ * Convert the RFC 5424 NILVALUE to null
+ */
+function nil(value) {
+  return value === '-' ? null : value;
+}
+
+/**
+ * Parse the part of an RFC 5424 message after the PRI
+ */
+function parseRFC5424(body) {
+  const match = body.match(RFC5424_HEADER);
+  if (!match || match[1] !== '1') {
+    return null;
+  }
+
+  let structured;
+  try {
+    structured = parseStructuredData(match[7]);
+  } catch (error) {
+    return null;
+  }
+
+  // MSG may be prefixed with a UTF-8 byte order mark
+  const message = structured.rest.replace(/^ /, '').replace(/^\uFEFF/, '');
+
+  return {
+    format: 'rfc5424',
+    version: parseInt(match[1], 10),
+    timestamp: nil(match[2]),
+    hostname: nil(match[3]),
+    app_name: nil(match[4]),
+    procid: nil(match[5]),
+    msgid: nil(match[6]),
+    structured_data: structured.structured_data,
+    message: message
+  };
+}
+
+/**
+ * Parse the part of an RFC 3164 message after the PRI
+ */
+function parseRFC3164(body) {
+  const match = body.match(RFC3164_HEADER);
+  if (!match) {
+    return null;
+  }
+
+  const result = {
+    format: 'rfc3164',
+    timestamp: match[1],
+    hostname: match[2],
+    message: match[3]
+  };
+
+  const tag = match[3].match(APP_TAG);
+  // Cisco sequence numbers ("2345: %SYS-...") look like a tag but are not an app-name
+  if (tag && !/^\d+$/.test(tag[1]) && !match[3].startsWith('%')) {
+    result.app_name = tag[1];
+    result.procid = tag[2] || null;
+  }
+
+  return result;
+}
+
+/**
+ * Parse a Cisco IOS message sent without an RFC 3164 header
+ */
+function parseCiscoHeader(body) {
+  const match = body.match(CISCO_HEADER);
+  if (!match || !CISCO_TAG.test(match[4])) {
+    return null;
+  }
+
+  return {
+    format: 'cisco',
+    sequence: match[1] ? parseInt(match[1], 10) : null,
+    hostname: match[2] || null,
+    timestamp: match[3],
+    message: match[4]
+  };
+}
+
+/**
+ * Extract the interface a vendor message refers to
+ */
+function extractInterface(text) {
+  const match = text.match(/\bifName (\S+?)(?:,|$)/) ||
+    text.match(/\bInterface (\S+?)(?:,|\s|$)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract the BGP or OSPF neighbor address a vendor message refers to
+ */
+function extractPeer(text) {
+  const match = text.match(/\b(?:neighbou?r|peer|Nbr)\s+(\d{1,3}(?:\.\d{1,3}){3}|[0-9a-fA-F]*:[0-9a-fA-F:.]+)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract a Cisco or Juniper message tag from a parsed message
+ */
+function parseVendorTag(parsed) {
+  const cisco = parsed.message.match(CISCO_TAG);
+  if (cisco) {
+    return {
+      vendor: 'cisco',
+      facility: cisco[1],
+      severity: parseInt(cisco[2], 10),
+      mnemonic: cisco[3],
+      tag: `${cisco[1]}-${cisco[3]}`,
+      description: cisco[4].trim(),
+      interface: extractInterface(cisco[4]),
+      peer: extractPeer(cisco[4])
+    };
+  }
+
+  // RFC 5424 Junos messages carry the event tag as MSGID
+  if (parsed.msgid && JUNIPER_TAG.test(parsed.msgid)) {
+    return {
+      vendor: 'juniper',
+      process: parsed.app_name,
+      pid: parsed.procid,
+      tag: parsed.msgid,
+      description: parsed.message.trim(),
+      interface: extractInterface(parsed.message),
+      peer: extractPeer(parsed.message)
+    };
+  }
+
+  // RFC 3164 Junos messages: process[pid]: EVENT_TAG: description
+  const appTag = parsed.message.match(APP_TAG);
+  const junos = appTag ? appTag[3].match(JUNIPER_MESSAGE) : null;
+  if (junos) {
+    return {
+      vendor: 'juniper',
+      process: appTag[1],
+      pid: appTag[2] || null,
+      tag: junos[1],
+      description: junos[2].trim(),
+      interface: extractInterface(junos[2]),
+      peer: extractPeer(junos[2])
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a raw syslog message into structured fields
+ */
+function parseSyslogMessage(text) {
+  const line = text.replace(/[\r\n]+$/, '');
+  const priMatch = line.match(/^<(\d{1,3})>/);
+
+  let result;
+  if (priMatch) {
+    const priority = parseInt(priMatch[1], 10);
+    const body = line.substring(priMatch[0].length);
+
+    result = parseRFC5424(body) || parseRFC3164(body) || parseCiscoHeader(body) ||
+      { format: 'unknown', message: body };
+    result.priority = priority;
+    result.facility = Math.floor(priority / 8);
+    result.severity = priority % 8;
+  } else {
+    result = parseCiscoHeader(line) || { format: 'unknown', message: line };
+  }
+
+  result.vendor = parseVendorTag(result);
+
+  // Without a PRI the vendor tag is the only severity source; default to info
+  if (result.severity === undefined) {
+    result.severity = result.vendor && result.vendor.severity !== undefined ? result.vendor.severity : 6;
+  }
+  result.severity_text = SEVERITY_NAMES[result.severity];
+
+  return result;
+}
+
+/**
+ * Map a vendor tag onto a normalized event type.
+ * Returns null when the tag is unknown or does not indicate a state change.
+ */
+function classifyVendorTag(vendorTag) {
+  const table = vendorTag.vendor === 'cisco' ? CISCO_MNEMONICS : JUNIPER_TAGS;
+  const mapping = table[vendorTag.tag];
+
+  if (typeof mapping === 'function') {
+    return mapping(vendorTag.description);
+  }
+  return mapping || null;
+}
+
+/**
+ * Classify a message without a known vendor tag from the state it reports
+ */
+function classifyFreeText(text) {
+  const state = extractState(text);
+  if (!state) {
+    return null;
+  }
+
+  if (/\bbgp\b/i.test(text)) {
+    return state === 'up' ? 'bgp_peer_up' : 'bgp_peer_down';
+  }
+  if (/\b(?:interface|line protocol|port)\b/i.test(text)) {
+    return state === 'up' ? 'interface_up' : 'interface_down';
+  }
+  return null;
+}
+
+module.exports = {
+  SEVERITY_NAMES,
+  CISCO_MNEMONICS,
+  JUNIPER_TAGS,
+  parseStructuredData,
+  parseRFC5424,
+  parseRFC3164,
+  parseCiscoHeader,
+  parseVendorTag,
+  parseSyslogMessage,
+  classifyVendorTag,
+  classifyFreeText
+};
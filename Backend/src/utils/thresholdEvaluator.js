@@ -0,0 +1,134 @@
+/**
+ * Threshold Evaluator
+ * Turns device status reports into metric samples and decides, per metric instance,
+ * whether an alert should be raised or cleared. Alerts are raised once a value has stayed
+ * at or above the raise threshold for the configured duration, and cleared only once the
+ * value drops to the clear threshold (hysteresis), so a metric hovering around one
+ * threshold does not flap.
+ */
+
+const { counterDelta } = require('./metricSeries');
+
+// Breach start time per device/metric/instance, for the minimum duration check
+const pendingBreaches = new Map();
+
+/**
+ * Build the key identifying one metric instance on a device
+ */
+function buildThresholdKey(hostname, metric, instance) {
+  return instance ? `${hostname}:${metric}:${instance}` : `${hostname}:${metric}`;
+}
+
+/**
+ * Per-minute rate of a counter between two reports; null when it cannot be computed
+ */
+function counterRate(current, previous, elapsedMs) {
+  if (elapsedMs <= 0) {
+    return null;
+  }
+  // Counter wraps are accounted for; a reset (reload, clear counters) gives no rate
+  const delta = counterDelta(current, previous);
+  if (delta === null) {
+    return null;
+  }
+  return Math.round((delta / (elapsedMs / 60000)) * 100) / 100;
+}
+
+/**
+ * Extract metric samples from a status report
+ *
+ * @param {Object} report - { cpu, memory, temperature, interfaces: [{ name, up, errors, drops, utilization }] }
+ * @param {Object} previousDevice - device document before this report, for counter rates
+ * @param {Date} now - report time
+ */
+function collectSamples(report, previousDevice, now) {
+  const samples = [];
+
+  ['cpu', 'memory', 'temperature'].forEach(metric => {
+    if (typeof report[metric] === 'number') {
+      samples.push({ metric, instance: null, value: report[metric] });
+    }
+  });
+
+  const previousInterfaces = new Map(
+    ((previousDevice && previousDevice.interfaces) || []).map(iface => [iface.name, iface])
+  );
+  const elapsedMs = previousDevice && previousDevice.last_seen ? now - new Date(previousDevice.last_seen) : 0;
+
+  (report.interfaces || []).forEach(iface => {
+    if (!iface.name) {
+      return;
+    }
+
+    if (typeof iface.up === 'boolean') {
+      samples.push({ metric: 'interface_status', instance: iface.name, value: iface.up ? 0 : 1 });
+    }
+    if (typeof iface.utilization === 'number') {
+      samples.push({ metric: 'interface_utilization', instance: iface.name, value: iface.utilization });
+    }
+
+    const previous = previousInterfaces.get(iface.name);
+    if (previous) {
+      const errorRate = counterRate(iface.errors, previous.errors, elapsedMs);
+      if (errorRate !== null) {
+        samples.push({ metric: 'interface_errors', instance: iface.name, value: errorRate });
+      }
+      const dropRate = counterRate(iface.drops, previous.drops, elapsedMs);
+      if (dropRate !== null) {
+        samples.push({ metric: 'interface_drops', instance: iface.name, value: dropRate });
+      }
+    }
+  });
+
+  return samples;
+}
+
+/**
+ * Decide what to do with a sample
+ *
+ * @param {String} key - threshold key of the metric instance
+ * @param {Number} value - sampled value
+ * @param {Object} threshold - { raise, clear, duration }
+ * @param {Boolean} active - whether an alert is currently open for this key
+ * @param {Date} now - sample time
+ * @returns {'raise'|'clear'|'pending'|null}
+ */
+function evaluateSample(key, value, threshold, active, now) {
+  if (active) {
+    pendingBreaches.delete(key);
+    return value <= threshold.clear ? 'clear' : null;
+  }
+
+  if (value < threshold.raise) {
+    pendingBreaches.delete(key);
+    return null;
+  }
+
+  if (!pendingBreaches.has(key)) {
+    pendingBreaches.set(key, now.getTime());
+  }
+
+  if (now.getTime() - pendingBreaches.get(key) >= (threshold.duration || 0) * 1000) {
+    pendingBreaches.delete(key);
+    return 'raise';
+  }
+  return 'pending';
+}
+
+/**
+ * Severity for a breaching value
+ */
+function getBreachSeverity(value, threshold) {
+  if (threshold.critical !== undefined && value >= threshold.critical) {
+    return 'critical';
+  }
+  return threshold.severity || 'major';
+}
+
+module.exports = {
+  buildThresholdKey,
+  counterRate,
+  collectSamples,
+  evaluateSample,
+  getBreachSeverity
+};
@@ -0,0 +1,87 @@
+/**
+ * Alert query tests: search filters, sorting and cursor paging
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const alertQuery = require('../src/utils/alertQuery');
+
+describe('alertQuery.buildAlertFilter', () => {
+  it('matches single values exactly and lists with $in', () => {
+    assert.deepEqual(alertQuery.buildAlertFilter({ device: 'sw1', severity: 'critical, major', status: ['open', 'shelved'], type: '' }), {
+      device: 'sw1',
+      severity: { $in: ['critical', 'major'] },
+      status: { $in: ['open', 'shelved'] }
+    });
+  });
+
+  it('filters by creation time, tags and escaped message text', () => {
+    const filter = alertQuery.buildAlertFilter({ from: '2026-01-01T00:00:00Z', to: '1767312000000', tags: 'site:paris,core', q: ' Gi0/1 (uplink) ' });
+
+    assert.deepEqual(filter.createdAt, { $gte: new Date('2026-01-01T00:00:00Z'), $lt: new Date(1767312000000) });
+    assert.deepEqual(filter.tags, { $all: ['site:paris', 'core'] });
+    assert.deepEqual(filter.message, { $regex: 'Gi0/1 \\(uplink\\)', $options: 'i' });
+  });
+
+  it('rejects times that are not dates', () => {
+    assert.throws(() => alertQuery.buildAlertFilter({ from: 'yesterday' }), { code: 'INVALID_QUERY' });
+  });
+});
+
+describe('alertQuery.parseSort', () => {
+  it('sorts by newest first unless told otherwise', () => {
+    assert.deepEqual(alertQuery.parseSort({}), { field: 'createdAt', direction: -1 });
+    assert.deepEqual(alertQuery.parseSort({ sort: 'occurrence_count', order: 'asc' }), { field: 'occurrence_count', direction: 1 });
+  });
+
+  it('rejects unknown fields and orders', () => {
+    assert.throws(() => alertQuery.parseSort({ sort: 'message' }), /sort must be one of: createdAt, last_occurrence, occurrence_count/);
+    assert.throws(() => alertQuery.parseSort({ order: 'up' }), { code: 'INVALID_QUERY', message: 'order must be asc or desc' });
+  });
+});
+
+describe('alertQuery cursors', () => {
+  const alert = {
+    _id: new mongoose.Types.ObjectId('65f0c0ffee0000000000abcd'),
+    createdAt: new Date('2026-03-01T12:00:00.000Z'),
+    occurrence_count: 7
+  };
+
+  it('round-trips the sort value and _id of the last alert', () => {
+    const sort = { field: 'createdAt', direction: -1 };
+    const position = alertQuery.decodeCursor(alertQuery.encodeCursor(alert, sort), sort);
+
+    assert.ok(position.value instanceof Date);
+    assert.equal(position.value.toISOString(), '2026-03-01T12:00:00.000Z');
+    assert.ok(position.id.equals(alert._id));
+  });
+
+  it('keeps numeric sort values as numbers', () => {
+    const sort = { field: 'occurrence_count', direction: 1 };
+    assert.equal(alertQuery.decodeCursor(alertQuery.encodeCursor(alert, sort), sort).value, 7);
+  });
+
+  it('continues after the cursor in sort order, breaking ties by _id', () => {
+    const position = { value: 7, id: alert._id };
+
+    assert.deepEqual(alertQuery.buildCursorCondition(position, { field: 'occurrence_count', direction: -1 }), {
+      $or: [
+        { occurrence_count: { $lt: 7 } },
+        { occurrence_count: 7, _id: { $lt: alert._id } }
+      ]
+    });
+    assert.equal(alertQuery.buildCursorCondition(position, { field: 'occurrence_count', direction: 1 }).$or[0].occurrence_count.$gt, 7);
+  });
+
+  it('rejects cursors that were not issued by encodeCursor', () => {
+    const sort = { field: 'createdAt', direction: -1 };
+    const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    assert.throws(() => alertQuery.decodeCursor('not-a-cursor', sort), { code: 'INVALID_QUERY', message: 'Invalid cursor' });
+    assert.throws(() => alertQuery.decodeCursor(encode({ v: '2026-03-01', id: 'abc' }), sort), /Invalid cursor/);
+    assert.throws(() => alertQuery.decodeCursor(encode({ v: 'soon', id: alert._id.toString() }), sort), /Invalid cursor/);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Configuration compliance tests: template rendering, violations, reports and fix commands
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const configCompliance = require('../src/utils/configCompliance');
+
+const TEMPLATE = [
+  'hostname {{hostname}}',
+  'ntp server {{ ntp_server }}',
+  'interface Gi0/1',
+  ' switchport mode access',
+  ' switchport access vlan {{data_vlan}}',
+  ' description {{hostname}} user port'
+].join('\n');
+
+/**
+ * Golden config of the access role, with overrides
+ */
+function golden(overrides = {}) {
+  return {
+    name: 'access-ios',
+    role: 'access',
+    format: 'ios',
+    template: TEMPLATE,
+    variables: { ntp_server: '10.0.0.5', data_vlan: 10 },
+    strict: false,
+    ignore_lines: [],
+    ...overrides
+  };
+}
+
+const DEVICE = { hostname: 'sw1', mgmt_ip: '192.0.2.1', vendor: 'Cisco', site: '', config_variables: { data_vlan: 30 } };
+
+const COMPLIANT = [
+  'hostname sw1',
+  'ntp server 10.0.0.5',
+  'interface Gi0/1',
+  ' switchport mode access',
+  ' switchport access vlan 30',
+  ' description sw1 user port'
+].join('\n');
+
+describe('configCompliance template rendering', () => {
+  it('takes device variables over template defaults over the device record', () => {
+    const variables = configCompliance.getTemplateVariables(
+      golden({ variables: { ntp_server: '10.0.0.5', data_vlan: 10, hostname: 'template-name' } }),
+      DEVICE
+    );
+
+    assert.deepEqual(variables, {
+      hostname: 'template-name',
+      mgmt_ip: '192.0.2.1',
+      vendor: 'Cisco',
+      ntp_server: '10.0.0.5',
+      data_vlan: 30
+    });
+  });
+
+  it('fills placeholders and lists the ones without a value once', () => {
+    const rendered = configCompliance.renderTemplate('{{a}} {{ b }} {{c}} {{c}} {{d}}', { a: 0, b: 'x', d: null });
+    assert.equal(rendered.content, '0 x {{c}} {{c}} {{d}}');
+    assert.deepEqual(rendered.undefined_variables, ['c', 'd']);
+  });
+
+  it('renders a template for a device', () => {
+    assert.equal(configCompliance.renderForDevice(golden(), DEVICE), COMPLIANT);
+  });
+
+  it('refuses to render a template with variables the device lacks', () => {
+    assert.throws(
+      () => configCompliance.renderForDevice(golden({ variables: {} }), { hostname: 'sw2' }),
+      /Golden config access-ios has no value for ntp_server, data_vlan on sw2/
+    );
+  });
+});
+
+describe('configCompliance.findViolations', () => {
+  const running = COMPLIANT.replace('ntp server 10.0.0.5', 'ntp server 10.0.0.9') + '\nlogging host 192.0.2.10';
+
+  it('reports only missing lines for non-strict templates', () => {
+    const violations = configCompliance.findViolations(golden(), COMPLIANT, running);
+    assert.deepEqual(violations, { missing: [['ntp server 10.0.0.5']], extra: [] });
+  });
+
+  it('reports extra lines too for strict templates', () => {
+    const violations = configCompliance.findViolations(golden({ strict: true }), COMPLIANT, running);
+    assert.deepEqual(violations.missing, [['ntp server 10.0.0.5']]);
+    assert.deepEqual(violations.extra, [['ntp server 10.0.0.9'], ['logging host 192.0.2.10']]);
+  });
+
+  it('never reports lines matching ignore_lines', () => {
+    const violations = configCompliance.findViolations(
+      golden({ strict: true, ignore_lines: ['^ntp server', '^description'] }),
+      COMPLIANT,
+      running.replace(' description sw1 user port', ' description changed')
+    );
+    assert.deepEqual(violations, { missing: [], extra: [['logging host 192.0.2.10']] });
+  });
+});
+
+describe('configCompliance.buildReport', () => {
+  const snapshot = content => ({ version: 7, format: 'ios', content, createdAt: new Date('2026-01-01T00:00:00Z') });
+
+  it('reports a compliant configuration', () => {
+    const report = configCompliance.buildReport(DEVICE, golden(), snapshot(COMPLIANT), 'access');
+
+    assert.equal(report.status, 'compliant');
+    assert.equal(report.compliant, true);
+    assert.equal(report.golden_config, 'access-ios');
+    assert.equal(report.role, 'access');
+    assert.equal(report.snapshot_version, 7);
+    assert.deepEqual(report.violations, []);
+  });
+
+  it('groups violations by stanza and counts them', () => {
+    const running = COMPLIANT.replace(' switchport access vlan 30', ' switchport access vlan 20') + '\nlogging host 192.0.2.10';
+    const report = configCompliance.buildReport(DEVICE, golden({ strict: true }), snapshot(running), 'access');
+
+    assert.equal(report.status, 'non_compliant');
+    assert.equal(report.compliant, false);
+    assert.deepEqual(report.summary, { stanzas: 2, missing_lines: 1, extra_lines: 2 });
+    assert.deepEqual(report.violations, [
+      {
+        stanza: 'interface Gi0/1',
+        missing: ['interface Gi0/1 > switchport access vlan 30'],
+        extra: ['interface Gi0/1 > switchport access vlan 20']
+      },
+      { stanza: 'logging host 192.0.2.10', missing: [], extra: ['logging host 192.0.2.10'] }
+    ]);
+  });
+
+  it('reports devices without a golden config or a snapshot', () => {
+    assert.equal(configCompliance.buildReport(DEVICE, null, snapshot(COMPLIANT)).status, 'no_golden_config');
+    assert.equal(configCompliance.buildReport(DEVICE, golden(), null).status, 'no_snapshot');
+  });
+
+  it('reports a configuration collected in another format as an error', () => {
+    const report = configCompliance.buildReport(DEVICE, golden(), { ...snapshot('{}'), format: 'json' });
+    assert.equal(report.status, 'error');
+    assert.match(report.error, /Golden config access-ios is ios but the configuration of sw1 was collected as json/);
+  });
+
+  it('reports an undefined variable as an error', () => {
+    const report = configCompliance.buildReport({ hostname: 'sw2' }, golden({ variables: {} }), snapshot(COMPLIANT));
+    assert.equal(report.status, 'error');
+    assert.match(report.error, /no value for ntp_server, data_vlan/);
+  });
+});
+
+describe('configCompliance.buildFixCommands', () => {
+  it('adds missing lines and removes extra ones of strict templates', () => {
+    const running = COMPLIANT.replace(' switchport access vlan 30', ' switchport access vlan 20') + '\nlogging host 192.0.2.10';
+
+    assert.deepEqual(configCompliance.buildFixCommands(golden({ strict: true }), DEVICE, running), [
+      'interface Gi0/1',
+      'no switchport access vlan 20',
+      'exit',
+      'no logging host 192.0.2.10',
+      'interface Gi0/1',
+      'switchport access vlan 30',
+      'exit'
+    ]);
+  });
+
+  it('only adds missing lines for non-strict templates', () => {
+    const running = COMPLIANT.replace('ntp server 10.0.0.5\n', '') + '\nlogging host 192.0.2.10';
+    assert.deepEqual(configCompliance.buildFixCommands(golden(), DEVICE, running), ['ntp server 10.0.0.5']);
+  });
+
+  it('has nothing to fix on a compliant device', () => {
+    assert.deepEqual(configCompliance.buildFixCommands(golden({ strict: true }), DEVICE, COMPLIANT), []);
+  });
+});
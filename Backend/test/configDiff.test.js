@@ -0,0 +1,197 @@
+/**
+ * Configuration diff tests: parsing, diffs, restore commands and stanza grouping
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const configDiff = require('../src/utils/configDiff');
+
+const IOS_RUNNING = [
+  'Building configuration...',
+  'Current configuration : 512 bytes',
+  '!',
+  'hostname sw1',
+  '!',
+  'interface Gi0/1',
+  ' description uplink',
+  ' shutdown',
+  'interface Gi0/2',
+  ' ip address 10.0.0.1 255.255.255.0',
+  'router ospf 1',
+  ' network 10.0.0.0 0.0.0.255 area 0',
+  'ntp clock-period 17179869',
+  'end'
+].join('\n');
+
+describe('configDiff parsing', () => {
+  it('reduces an IOS configuration to paths and skips volatile lines', () => {
+    assert.deepEqual(configDiff.parseConfig('ios', IOS_RUNNING), [
+      ['hostname sw1'],
+      ['interface Gi0/1'],
+      ['interface Gi0/1', 'description uplink'],
+      ['interface Gi0/1', 'shutdown'],
+      ['interface Gi0/2'],
+      ['interface Gi0/2', 'ip address 10.0.0.1 255.255.255.0'],
+      ['router ospf 1'],
+      ['router ospf 1', 'network 10.0.0.0 0.0.0.255 area 0']
+    ]);
+  });
+
+  it('normalises Junos set lines and skips comments', () => {
+    assert.deepEqual(configDiff.parseConfig('junos_set', '# Last commit: today\nset  system   host-name mx1\n\n'), [
+      ['set system host-name mx1']
+    ]);
+  });
+
+  it('reads XML leaves without namespace prefixes or attributes', () => {
+    const xml = '<nc:interfaces xmlns:nc="urn:x"><nc:interface><name>ge-0/0/1</name><enabled>true</enabled><shutdown/></nc:interface></nc:interfaces>';
+    assert.deepEqual(configDiff.parseConfig('xml', xml), [
+      ['interfaces', 'interface', 'name', '= ge-0/0/1'],
+      ['interfaces', 'interface', 'enabled', '= true'],
+      ['interfaces', 'interface', 'shutdown']
+    ]);
+  });
+
+  it('keys JSON list entries by name', () => {
+    const json = { interfaces: { interface: [{ name: 'Et1', enabled: true }, { mtu: 9000 }] } };
+    assert.deepEqual(configDiff.parseConfig('json', json), [
+      ['interfaces', 'interface', '[name=Et1]', 'enabled', '= true'],
+      ['interfaces', 'interface', '[name=Et1]', 'name', '= "Et1"'],
+      ['interfaces', 'interface', '[1]', 'mtu', '= 9000']
+    ]);
+  });
+
+  it('rejects invalid JSON and unknown formats', () => {
+    assert.throws(() => configDiff.parseConfig('json', '{"a":'), /Invalid JSON configuration/);
+    assert.throws(() => configDiff.parseConfig('yaml', 'a: 1'), /Unsupported configuration format: yaml/);
+  });
+});
+
+describe('configDiff.diffConfigs', () => {
+  it('finds configurations identical when only volatile lines differ', () => {
+    const rebuilt = IOS_RUNNING
+      .replace('512 bytes', '640 bytes')
+      .replace('ntp clock-period 17179869', 'ntp clock-period 17179870');
+    assert.deepEqual(configDiff.diffConfigs('ios', IOS_RUNNING, rebuilt), { identical: true, missing: [], extra: [] });
+  });
+
+  it('reports missing and extra lines where they sit', () => {
+    const actual = IOS_RUNNING
+      .replace(' shutdown\n', '')
+      .replace('router ospf 1', 'logging host 192.0.2.10\nrouter ospf 1');
+    const diff = configDiff.diffConfigs('ios', IOS_RUNNING, actual);
+
+    assert.equal(diff.identical, false);
+    assert.deepEqual(diff.missing, [['interface Gi0/1', 'shutdown']]);
+    assert.deepEqual(diff.extra, [['logging host 192.0.2.10']]);
+  });
+
+  it('reports a line once however often it repeats', () => {
+    const diff = configDiff.diffConfigs('junos_set', '', 'set snmp community public\nset snmp community public');
+    assert.deepEqual(diff.extra, [['set snmp community public']]);
+  });
+
+  it('ignores the order of JSON keys and named list entries', () => {
+    const expected = { interface: [{ name: 'Et1', enabled: true }, { name: 'Et2', enabled: false }] };
+    const actual = JSON.stringify({ interface: [{ enabled: false, name: 'Et2' }, { enabled: true, name: 'Et1' }] });
+    assert.equal(configDiff.diffConfigs('json', expected, actual).identical, true);
+  });
+
+  it('reports a changed XML value as one missing and one extra leaf', () => {
+    const diff = configDiff.diffConfigs('xml', '<a><enabled>true</enabled></a>', '<a><enabled>false</enabled></a>');
+    assert.deepEqual(diff.missing, [['a', 'enabled', '= true']]);
+    assert.deepEqual(diff.extra, [['a', 'enabled', '= false']]);
+  });
+});
+
+describe('configDiff restore commands', () => {
+  it('removes extra IOS stanzas whole, negates lines and re-adds missing ones', () => {
+    const running = [
+      'hostname sw1',
+      'no ip domain-lookup',
+      'interface Gi0/1',
+      ' description uplink',
+      'interface Gi0/3',
+      ' description temporary',
+      'logging host 192.0.2.10'
+    ].join('\n');
+    const target = [
+      'hostname sw1',
+      'interface Gi0/1',
+      ' description uplink',
+      ' shutdown',
+      'interface Gi0/5',
+      ' description spare'
+    ].join('\n');
+
+    assert.deepEqual(configDiff.buildRestoreCommands('ios', running, target), [
+      'ip domain-lookup',
+      'no interface Gi0/3',
+      'no logging host 192.0.2.10',
+      'interface Gi0/1',
+      'shutdown',
+      'exit',
+      'interface Gi0/5',
+      'description spare',
+      'exit'
+    ]);
+  });
+
+  it('undoes a negated line by entering its parent again', () => {
+    const running = 'hostname sw1\ninterface Gi0/1\n no shutdown\nlogging host 192.0.2.10';
+    const target = 'hostname sw1\ninterface Gi0/1\n shutdown';
+
+    assert.deepEqual(configDiff.buildRestoreCommands('ios', running, target), [
+      'interface Gi0/1',
+      'shutdown',
+      'exit',
+      'no logging host 192.0.2.10',
+      'interface Gi0/1',
+      'shutdown',
+      'exit'
+    ]);
+  });
+
+  it('deletes, activates and sets Junos statements', () => {
+    const running = 'set system host-name mx1\nset snmp community public\ndeactivate interfaces ge-0/0/2';
+    const target = 'set system host-name mx1\nset interfaces ge-0/0/1 disable';
+
+    assert.deepEqual(configDiff.buildRestoreCommands('junos_set', running, target), [
+      'delete snmp community public',
+      'activate interfaces ge-0/0/2',
+      'set interfaces ge-0/0/1 disable'
+    ]);
+  });
+
+  it('returns no commands for matching configurations', () => {
+    assert.deepEqual(configDiff.buildRestoreCommands('ios', IOS_RUNNING, IOS_RUNNING), []);
+  });
+
+  it('has no commands for document formats', () => {
+    assert.throws(() => configDiff.buildChangeCommands('xml', { missing: [['a', '= 1']] }), /No CLI commands for xml/);
+  });
+});
+
+describe('configDiff stanzas', () => {
+  it('names the stanza of a path per format', () => {
+    assert.equal(configDiff.stanzaOf('ios', ['interface Gi0/1', 'shutdown']), 'interface Gi0/1');
+    assert.equal(configDiff.stanzaOf('junos_set', ['set interfaces ge-0/0/1 unit 0 family inet']), 'interfaces ge-0/0/1');
+    assert.equal(configDiff.stanzaOf('junos_set', ['set system']), 'system');
+    assert.equal(configDiff.stanzaOf('json', ['interfaces', 'interface', '[name=Et1]', 'enabled', '= true']), 'interfaces > interface');
+    assert.equal(configDiff.stanzaOf('xml', ['system', '= x']), 'system');
+  });
+
+  it('groups differences by stanza in order of appearance', () => {
+    const groups = configDiff.groupByStanza('ios', {
+      missing: [['interface Gi0/1', 'shutdown'], ['ntp server 192.0.2.1']],
+      extra: [['interface Gi0/1', 'description temp']]
+    });
+
+    assert.deepEqual(groups, [
+      { stanza: 'interface Gi0/1', missing: ['interface Gi0/1 > shutdown'], extra: ['interface Gi0/1 > description temp'] },
+      { stanza: 'ntp server 192.0.2.1', missing: ['ntp server 192.0.2.1'], extra: [] }
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Flap dampening tests: penalty decay, suppression and release (RFC 2439)
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const flapDampening = require('../src/utils/flapDampening');
+
+const CONFIG = flapDampening.DEFAULT_DAMPENING;
+const MINUTE = 60 * 1000;
+
+/**
+ * State after flapping at each of the given times (ms)
+ */
+function flapAt(times, config = CONFIG) {
+  return times.reduce((state, time) => flapDampening.recordFlap(state, time, config), null);
+}
+
+describe('flapDampening penalty', () => {
+  it('halves the penalty every half-life', () => {
+    assert.equal(flapDampening.decayPenalty(1000, 15 * MINUTE, 15 * MINUTE), 500);
+    assert.equal(flapDampening.decayPenalty(1000, 30 * MINUTE, 15 * MINUTE), 250);
+    assert.equal(flapDampening.decayPenalty(1000, 0, 15 * MINUTE), 1000);
+    assert.equal(flapDampening.decayPenalty(-5, MINUTE, 15 * MINUTE), 0);
+  });
+
+  it('caps the penalty so a key is released within max_suppress_time', () => {
+    const ceiling = flapDampening.getPenaltyCeiling(CONFIG);
+    assert.equal(ceiling, 750 * 16);
+
+    const state = flapAt(Array.from({ length: 30 }, (_, index) => index * 1000));
+    assert.equal(state.penalty, ceiling);
+    assert.equal(flapDampening.getReuseTime(state, CONFIG), 29000 + CONFIG.max_suppress_time);
+  });
+});
+
+describe('flapDampening suppression', () => {
+  it('dampens a key once its penalty reaches the suppress threshold', () => {
+    const first = flapAt([0]);
+    assert.deepEqual([first.penalty, first.flaps, first.suppressed, first.last_flap], [1000, 1, false, 0]);
+
+    const second = flapAt([0, 0]);
+    assert.deepEqual([second.penalty, second.suppressed], [2000, true]);
+  });
+
+  it('does not dampen flaps spread over several half-lives', () => {
+    const state = flapAt([0, 15 * MINUTE, 30 * MINUTE, 45 * MINUTE]);
+    assert.equal(state.flaps, 4);
+    assert.equal(state.suppressed, false);
+    assert.ok(state.penalty < CONFIG.suppress_threshold);
+  });
+
+  it('keeps a dampened key suppressed until it decays below the reuse threshold', () => {
+    const state = flapAt([0, 0, 0]);
+    const reuseAt = flapDampening.getReuseTime(state, CONFIG);
+    assert.equal(reuseAt, Math.ceil(15 * MINUTE * Math.log2(3000 / 750)));
+
+    // Below the suppress threshold but above the reuse threshold: still dampened
+    const decaying = flapDampening.evaluateState(state, 20 * MINUTE, CONFIG);
+    assert.ok(decaying.penalty < CONFIG.suppress_threshold);
+    assert.equal(decaying.suppressed, true);
+
+    assert.equal(flapDampening.evaluateState(state, reuseAt - 1000, CONFIG).suppressed, true);
+    const released = flapDampening.evaluateState(state, reuseAt + 1000, CONFIG);
+    assert.equal(released.suppressed, false);
+    assert.equal(released.updated_at, reuseAt + 1000);
+  });
+
+  it('reports the reuse time of an undampened key as now', () => {
+    const state = flapDampening.evaluateState(flapAt([0]), 30 * MINUTE, CONFIG);
+    assert.equal(flapDampening.getReuseTime(state, CONFIG), 30 * MINUTE);
+  });
+});
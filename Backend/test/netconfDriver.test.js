@@ -0,0 +1,228 @@
+/**
+ * NETCONF framing and driver tests against FakeNETCONFServer
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeNETCONFServer = require('../src/drivers/testing/FakeNETCONFServer');
+const drivers = require('../src/drivers');
+const netconf = require('../src/drivers/netconfProtocol');
+const { ERROR_CODES } = require('../src/drivers/DeviceDriver');
+
+const INITIAL = '<interfaces xmlns="urn:ietf:params:xml:ns:yang:ietf-interfaces"><interface><name>ge-0/0/1</name><enabled>false</enabled></interface></interfaces>';
+const CHANGE = '<interfaces xmlns="urn:ietf:params:xml:ns:yang:ietf-interfaces"><interface><name>ge-0/0/1</name><enabled>true</enabled></interface></interfaces>';
+
+const servers = [];
+const sessions = [];
+
+/**
+ * Start a fake server and create a driver for it
+ */
+async function startServer(options = {}, driverOptions = {}) {
+  const server = new FakeNETCONFServer({ running: INITIAL, ...options });
+  servers.push(server);
+  const port = await server.start();
+  const device = { hostname: 'r1', mgmt_ip: '127.0.0.1', credentials: { username: 'admin', password: 'admin', netconf_port: port } };
+  const driver = drivers.createDriver('netconf', device, { confirm_timeout: 1, ...driverOptions });
+  sessions.push(driver);
+  return { server, device, driver };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+after(async () => {
+  await Promise.all(sessions.map(driver => driver.disconnect().catch(() => {})));
+  await Promise.all(servers.map(server => server.stop()));
+});
+
+describe('NETCONF message framing', () => {
+  it('reassembles a chunked message delivered one byte at a time', () => {
+    const parser = new netconf.MessageParser();
+    parser.setFraming('chunked');
+    const framed = netconf.frameMessage('<rpc-reply><ok/></rpc-reply>', 'chunked');
+
+    const messages = [];
+    for (const byte of Buffer.from(framed)) {
+      messages.push(...parser.push(Buffer.from([byte])));
+    }
+    assert.deepEqual(messages, ['<rpc-reply><ok/></rpc-reply>']);
+  });
+
+  it('joins the chunks of one message and counts sizes in bytes', () => {
+    const parser = new netconf.MessageParser();
+    parser.setFraming('chunked');
+    const text = 'descripción';
+    const size = Buffer.byteLength(text, 'utf8');
+
+    const messages = parser.push(`\n#6\n<data>\n#${size}\n${text}\n#7\n</data>\n##\n`);
+    assert.deepEqual(messages, [`<data>${text}</data>`]);
+  });
+
+  it('splits several messages received together', () => {
+    const parser = new netconf.MessageParser();
+    parser.setFraming('chunked');
+    const messages = parser.push(netconf.frameMessage('<a/>', 'chunked') + netconf.frameMessage('<b/>', 'chunked'));
+    assert.deepEqual(messages, ['<a/>', '<b/>']);
+  });
+
+  it('waits for the rest of a chunk', () => {
+    const parser = new netconf.MessageParser();
+    parser.setFraming('chunked');
+    assert.deepEqual(parser.push('\n#1'), []);
+    assert.deepEqual(parser.push('2\n<rpc-'), []);
+    assert.deepEqual(parser.push('reply/>\n#'), []);
+    assert.deepEqual(parser.push('#\n'), ['<rpc-reply/>']);
+  });
+
+  it('rejects a stream that is not chunk framed', () => {
+    const parser = new netconf.MessageParser();
+    parser.setFraming('chunked');
+    assert.throws(() => parser.push('<rpc-reply><ok/></rpc-reply>\n'), /Invalid NETCONF chunk framing/);
+  });
+
+  it('splits base:1.0 messages on the end-of-message marker', () => {
+    const parser = new netconf.MessageParser();
+    const messages = parser.push(netconf.frameMessage('<hello/>', 'eom') + netconf.frameMessage('<rpc-reply/>', 'eom').slice(0, 10));
+    assert.deepEqual(messages, ['<hello/>']);
+  });
+});
+
+describe('NETCONFDriver session', () => {
+  it('uses chunked framing when both sides speak base:1.1', async () => {
+    const { driver } = await startServer();
+    await driver.connect();
+    assert.equal(driver.framing, 'chunked');
+    assert.equal(await driver.getConfig('running'), INITIAL);
+    await driver.disconnect();
+  });
+
+  it('keeps end-of-message framing with a base:1.0 server', async () => {
+    const { driver } = await startServer({ capabilities: [netconf.CAPABILITIES.BASE_1_0, netconf.CAPABILITIES.CANDIDATE] });
+    await driver.connect();
+    assert.equal(driver.framing, 'eom');
+    assert.equal(await driver.getConfig('running'), INITIAL);
+    await driver.disconnect();
+  });
+
+  it('reports refused credentials', async () => {
+    const { device } = await startServer();
+    const driver = drivers.createDriver('netconf', { ...device, credentials: { ...device.credentials, password: 'wrong' } });
+    await assert.rejects(driver.connect(), { code: ERROR_CODES.AUTH_FAILED });
+  });
+});
+
+describe('NETCONFDriver confirmed commit', () => {
+  it('keeps the change once it is confirmed', async () => {
+    const { server, driver } = await startServer();
+    await driver.connect();
+
+    await driver.execute({ mode: 'config', command: CHANGE });
+    assert.ok(server.pendingCommit, 'commit awaits confirmation');
+    assert.match(server.getDatastore('running'), /<enabled>true<\/enabled>/);
+
+    assert.equal(await driver.confirmChanges(), true);
+    assert.equal(server.pendingCommit, null);
+
+    // Past the 1 second confirm-timeout the running configuration stays changed
+    await wait(1500);
+    assert.match(server.getDatastore('running'), /<enabled>true<\/enabled>/);
+    await driver.disconnect();
+  });
+
+  it('reverts the change on cancel-commit', async () => {
+    const { server, driver } = await startServer();
+    await driver.connect();
+
+    await driver.execute({ mode: 'config', command: CHANGE });
+    assert.equal(await driver.cancelChanges(), true);
+    assert.equal(server.getDatastore('running'), INITIAL);
+    assert.ok(server.rpcs.some(rpc => rpc.operation === 'cancel-commit'));
+    await driver.disconnect();
+  });
+
+  it('reverts an unconfirmed change when the confirm-timeout expires', async () => {
+    const { server, driver } = await startServer();
+    await driver.connect();
+
+    await driver.execute({ mode: 'config', command: CHANGE });
+    await wait(1500);
+    assert.equal(server.getDatastore('running'), INITIAL);
+    await driver.disconnect();
+  });
+
+  it('cancels by closing the session without cancel-commit (confirmed-commit:1.0)', async () => {
+    const { CAPABILITIES } = netconf;
+    const { server, driver } = await startServer({
+      capabilities: [CAPABILITIES.BASE_1_0, CAPABILITIES.CANDIDATE, CAPABILITIES.CONFIRMED_COMMIT_1_0]
+    }, { confirm_timeout: 60 });
+    await driver.connect();
+
+    await driver.execute({ mode: 'config', command: CHANGE });
+    assert.equal(await driver.cancelChanges(), true);
+    await wait(200);
+    assert.equal(server.getDatastore('running'), INITIAL);
+    assert.ok(!server.rpcs.some(rpc => rpc.operation === 'cancel-commit'));
+  });
+});
+
+describe('NETCONFDriver rpc-error mapping', () => {
+  it('fails a rejected edit-config with its error-tag and leaves running untouched', async () => {
+    const { server, driver } = await startServer({ reject_config: 'bad-value' });
+    await driver.connect();
+
+    await assert.rejects(driver.execute({ mode: 'config', command: '<system><host-name>bad-value</host-name></system>' }), error => {
+      assert.equal(error.code, ERROR_CODES.COMMAND_REJECTED);
+      assert.equal(error.rpc_errors[0].tag, 'invalid-value');
+      assert.match(error.message, /rejected edit-config: invalid-value/);
+      return true;
+    });
+    assert.equal(server.getDatastore('running'), INITIAL);
+    assert.deepEqual(server.locks, { running: null, candidate: null });
+    await driver.disconnect();
+  });
+
+  it('fails a commit the device refuses with operation-failed', async () => {
+    const { server, driver } = await startServer({ commit_error: 'commit check failed' });
+    await driver.connect();
+
+    await assert.rejects(driver.execute({ mode: 'config', command: CHANGE }), error => {
+      assert.equal(error.code, ERROR_CODES.COMMAND_REJECTED);
+      assert.equal(error.rpc_errors[0].tag, 'operation-failed');
+      assert.equal(error.rpc_errors[0].message, 'commit check failed');
+      return true;
+    });
+    assert.equal(server.getDatastore('running'), INITIAL);
+    await driver.disconnect();
+  });
+
+  it('reports lock-denied while another session holds the candidate', async () => {
+    const { driver, device } = await startServer();
+    const other = drivers.createDriver('netconf', device);
+    sessions.push(other);
+    await driver.connect();
+    await other.connect();
+    await driver.lock();
+
+    await assert.rejects(other.execute({ mode: 'config', command: CHANGE }), error => {
+      assert.equal(error.code, ERROR_CODES.COMMAND_REJECTED);
+      assert.equal(error.rpc_errors[0].tag, 'lock-denied');
+      return true;
+    });
+
+    await driver.unlock();
+    await other.disconnect();
+    await driver.disconnect();
+  });
+
+  it('reports unsupported operations', async () => {
+    const { driver } = await startServer();
+    await driver.connect();
+    await assert.rejects(driver.execute({ command: '<get-schema><identifier>x</identifier></get-schema>' }), error => {
+      assert.equal(error.rpc_errors[0].tag, 'operation-not-supported');
+      return true;
+    });
+    await driver.disconnect();
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * OpenConfig telemetry decoder tests: paths, typed values, payload shapes and event mapping
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const openconfigDecoder = require('../src/utils/openconfigDecoder');
+
+const OPER_STATUS = '/interfaces/interface/state/oper-status';
+
+/**
+ * Leaves of a payload reduced to [instance path, value]
+ */
+function leavesOf(payload) {
+  return openconfigDecoder.decodePayload(payload).map(leaf => [leaf.instance_path, leaf.value]);
+}
+
+describe('openconfigDecoder paths and values', () => {
+  it('parses path strings with keys and module prefixes', () => {
+    assert.deepEqual(openconfigDecoder.parsePathString('/openconfig-interfaces:interfaces/interface[name=Ethernet1/1]/state/oper-status'), [
+      { name: 'interfaces', key: {} },
+      { name: 'interface', key: { name: 'Ethernet1/1' } },
+      { name: 'state', key: {} },
+      { name: 'oper-status', key: {} }
+    ]);
+  });
+
+  it('reads gNMI path elements', () => {
+    assert.deepEqual(openconfigDecoder.toPathElems({ elem: [{ name: 'openconfig-system:system' }, { name: 'cpus' }, { name: 'cpu', key: { index: '0' } }] }), [
+      { name: 'system', key: {} },
+      { name: 'cpus', key: {} },
+      { name: 'cpu', key: { index: '0' } }
+    ]);
+    assert.deepEqual(openconfigDecoder.toPathElems({ target: 'r1' }), []);
+  });
+
+  it('decodes gNMI TypedValues', () => {
+    assert.equal(openconfigDecoder.decodeTypedValue({ uintVal: '42' }), 42);
+    assert.equal(openconfigDecoder.decodeTypedValue({ string_val: 'UP' }), 'UP');
+    assert.deepEqual(openconfigDecoder.decodeTypedValue({ jsonIetfVal: Buffer.from('{"mtu":9000}').toString('base64') }), { mtu: 9000 });
+    assert.deepEqual(openconfigDecoder.decodeTypedValue({ json_val: '{"mtu":1500}' }), { mtu: 1500 });
+    assert.deepEqual(openconfigDecoder.decodeTypedValue({ mtu: 1500 }), { mtu: 1500 });
+    assert.throws(() => openconfigDecoder.decodeTypedValue({ json_val: '{"mtu":' }), { code: 'OPENCONFIG_DECODE_ERROR' });
+  });
+});
+
+describe('openconfigDecoder.decodePayload', () => {
+  it('decodes a gNMI SubscribeResponse with a prefix and nanosecond timestamp', () => {
+    const [leaf] = openconfigDecoder.decodePayload({
+      update: {
+        timestamp: '1700000000000000000',
+        prefix: { target: 'leaf1', elem: [{ name: 'interfaces' }, { name: 'interface', key: { name: 'Ethernet1' } }] },
+        update: [{ path: { elem: [{ name: 'state' }, { name: 'oper-status' }] }, val: { stringVal: 'DOWN' } }]
+      }
+    });
+
+    assert.equal(leaf.path, OPER_STATUS);
+    assert.equal(leaf.instance_path, '/interfaces/interface[name=Ethernet1]/state/oper-status');
+    assert.deepEqual(leaf.keys, { 'interface.name': 'Ethernet1' });
+    assert.deepEqual([leaf.value, leaf.target, leaf.timestamp.toISOString()], ['DOWN', 'leaf1', '2023-11-14T22:13:20.000Z']);
+  });
+
+  it('flattens JSON-IETF trees, keying list entries and keeping leaf-lists whole', () => {
+    assert.deepEqual(leavesOf({
+      target: 'r1',
+      'openconfig-interfaces:interfaces': {
+        interface: [
+          { name: 'Ethernet1', state: { 'oper-status': 'UP', mtu: 9000 } },
+          { name: 'Ethernet2', config: { description: 'uplink', 'tpid-list': ['0x8100', '0x88a8'] } }
+        ]
+      }
+    }), [
+      ['/interfaces/interface[name=Ethernet1]/state/oper-status', 'UP'],
+      ['/interfaces/interface[name=Ethernet1]/state/mtu', 9000],
+      ['/interfaces/interface[name=Ethernet2]/config/description', 'uplink'],
+      ['/interfaces/interface[name=Ethernet2]/config/tpid-list', ['0x8100', '0x88a8']]
+    ]);
+  });
+
+  it('takes list keys of gnmic event messages from their tags', () => {
+    assert.deepEqual(leavesOf({
+      name: 'sub1',
+      timestamp: 1700000000000,
+      tags: { source: 'r1', interface_name: 'Ethernet3' },
+      values: { '/interfaces/interface/state/oper-status': 'LOWER_LAYER_DOWN' }
+    }), [['/interfaces/interface[name=Ethernet3]/state/oper-status', 'LOWER_LAYER_DOWN']]);
+  });
+
+  it('decodes envelopes and arrays of notifications and skips sync responses', () => {
+    const notification = value => ({ prefix: 'system/memory/state', update: [{ path: 'used', val: { uintVal: value } }] });
+    assert.deepEqual(leavesOf({ target: 'r1', notifications: [notification(1), notification(2)] }).map(([, value]) => value), [1, 2]);
+    assert.deepEqual(leavesOf([notification(3), { sync_response: true }]), [['/system/memory/state/used', 3]]);
+  });
+
+  it('reports malformed payloads as decode errors', () => {
+    assert.throws(() => openconfigDecoder.decodePayload('text'), /must be a JSON object or array/);
+    assert.throws(() => openconfigDecoder.decodePayload({ a: [{ name: 'x' }, null] }), { code: 'OPENCONFIG_DECODE_ERROR', message: 'List /a has entries that are not objects' });
+    assert.throws(() => openconfigDecoder.flattenTree([{ name: 'x' }], [], []), { code: 'OPENCONFIG_DECODE_ERROR' });
+    assert.throws(() => openconfigDecoder.decodePayload({ update: [{ path: 42, val: 1 }] }), /Unsupported path encoding/);
+  });
+});
+
+describe('openconfigDecoder.mapLeaf', () => {
+  const leaf = (instancePath, value) => openconfigDecoder.decodePayload({ update: [{ path: instancePath, val: value }] })[0];
+
+  it('reports interface state changes after the first sample', () => {
+    const context = { target: 'r1', state: new Map() };
+    const operStatus = value => openconfigDecoder.mapLeaf(leaf('interfaces/interface[name=Ethernet1]/state/oper-status', value), context);
+
+    assert.equal(operStatus('UP'), null);
+    assert.equal(operStatus('UP'), null);
+    assert.deepEqual(operStatus('DOWN'), { event_type: 'interface_down', severity: 'major', interface: 'Ethernet1', message: 'Interface Ethernet1 oper-status DOWN' });
+    assert.equal(operStatus('DOWN'), null);
+    assert.equal(operStatus('UP').event_type, 'interface_up');
+  });
+
+  it('reports a CPU crossing its threshold once', () => {
+    const context = { target: 'r1', state: new Map(), thresholds: { cpu_utilization: 90 } };
+    const cpu = value => openconfigDecoder.mapLeaf(leaf('system/cpus/cpu[index=0]/state/total', value), context);
+
+    assert.equal(cpu({ instant: 85 }), null);
+    assert.deepEqual(cpu({ instant: 96 }).metric, { name: 'cpu_utilization', value: 96, cpu: '0' });
+    assert.equal(cpu({ instant: 97 }), null);
+    assert.equal(cpu({ instant: 50 }), null);
+    assert.equal(cpu({ instant: 91 }).severity, 'major');
+  });
+
+  it('reports memory utilization against the physical memory seen before', () => {
+    const context = { target: 'r1', state: new Map() };
+    const memory = (path, value) => openconfigDecoder.mapLeaf(leaf(`system/memory/state/${path}`, value), context);
+
+    assert.equal(memory('used', 900), null);
+    assert.equal(memory('physical', 1000), null);
+    assert.deepEqual(memory('used', 900).metric, { name: 'memory_utilization', value: 90 });
+  });
+
+  it('reports BGP sessions leaving and reaching ESTABLISHED', () => {
+    const context = { target: 'r1', state: new Map() };
+    const session = value => openconfigDecoder.mapLeaf(leaf('network-instances/network-instance[name=default]/protocols/protocol[identifier=BGP][name=BGP]/bgp/neighbors/neighbor[neighbor-address=10.0.0.2]/state/session-state', value), context);
+
+    assert.equal(session('ESTABLISHED'), null);
+    assert.deepEqual(session('ACTIVE'), { event_type: 'bgp_peer_down', severity: 'major', peer: '10.0.0.2', message: 'BGP peer 10.0.0.2 changed state from ESTABLISHED to ACTIVE' });
+    assert.equal(session('IDLE'), null);
+    assert.equal(session('ESTABLISHED').event_type, 'bgp_peer_up');
+  });
+
+  it('ignores paths without a handler', () => {
+    assert.equal(openconfigDecoder.mapLeaf(leaf('interfaces/interface[name=Ethernet1]/state/mtu', 9000), { target: 'r1', state: new Map() }), null);
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * RESTCONF and HTTP API driver tests against a local HTTP server, with the
+ * RFC 8040 error mapping and the eAPI / NX-API templates
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const drivers = require('../src/drivers');
+const RESTCONFDriver = require('../src/drivers/RESTCONFDriver');
+const httpApiTemplates = require('../src/drivers/httpApiTemplates');
+const { ERROR_CODES } = require('../src/drivers/DeviceDriver');
+
+const HOST_META = "<XRD xmlns='http://docs.oasis-open.org/ns/xri/xrd-1.0'><Link rel='restconf' href='/top/restconf'/></XRD>";
+
+const INTERFACE = { 'ietf-interfaces:interface': [{ name: 'GigabitEthernet0/1', enabled: true }] };
+
+const servers = [];
+const sessions = [];
+
+/**
+ * Start a local HTTP server answering each request with handler(request), which
+ * returns { status, body, type }. Requests are recorded as { method, url, headers, body }.
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: text ? JSON.parse(text) : null };
+      requests.push(request);
+
+      const reply = handler(request) || { status: 404 };
+      const body = reply.body === undefined ? '' : typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body);
+      res.writeHead(reply.status || 200, { 'Content-Type': reply.type || 'application/yang-data+json' });
+      res.end(body);
+    });
+  });
+  servers.push(server);
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { requests, base_url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Create a driver for a device behind a local server
+ */
+function createDriver(method, base_url, api = {}) {
+  const device = {
+    hostname: 'r1',
+    mgmt_ip: '127.0.0.1',
+    api: { base_url, ...api },
+    credentials: { username: 'admin', password: 'secret', enable_password: 'enable-secret' }
+  };
+  const driver = drivers.createDriver(method, device, { request_timeout: 5000 });
+  sessions.push(driver);
+  return driver;
+}
+
+/**
+ * Local RESTCONF server rooted at /top/restconf (announced in its host-meta);
+ * data requests go to handler
+ */
+async function startRESTCONFServer(handler) {
+  const server = await startServer(request => {
+    if (request.url === '/.well-known/host-meta') {
+      return { status: 200, type: 'application/xrd+xml', body: HOST_META };
+    }
+    if (request.url === '/top/restconf/yang-library-version') {
+      return { status: 200, body: { 'ietf-restconf:yang-library-version': '2019-01-04' } };
+    }
+    return handler(request);
+  });
+  const driver = createDriver('rest_api', server.base_url, { protocol: 'restconf' });
+  await driver.connect();
+  return { ...server, driver };
+}
+
+/**
+ * Assert that a promise rejects with a driver error of the given code, and return the error
+ */
+async function rejectsWith(promise, code) {
+  let failure = null;
+  await assert.rejects(promise, error => {
+    failure = error;
+    return error.code === code;
+  });
+  return failure;
+}
+
+after(async () => {
+  await Promise.all(sessions.map(driver => driver.disconnect().catch(() => {})));
+  await Promise.all(servers.map(server => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  })));
+});
+
+describe('RESTCONF request parsing', () => {
+  it('reads the request line and the YANG-JSON body', () => {
+    const command = `PATCH /ietf-interfaces:interfaces/interface=GigabitEthernet0%2F1\n${JSON.stringify(INTERFACE, null, 2)}`;
+    assert.deepEqual(RESTCONFDriver.parseRequest(command), {
+      method: 'PATCH',
+      path: 'data/ietf-interfaces:interfaces/interface=GigabitEthernet0%2F1',
+      body: INTERFACE
+    });
+  });
+
+  it('keeps operations paths and requests without a body', () => {
+    assert.deepEqual(RESTCONFDriver.parseRequest('POST operations/ietf-system:system-restart'), {
+      method: 'POST',
+      path: 'operations/ietf-system:system-restart',
+      body: null
+    });
+  });
+
+  it('rejects unknown methods and invalid bodies', () => {
+    assert.throws(() => RESTCONFDriver.parseRequest('FETCH data/x'), { code: ERROR_CODES.COMMAND_REJECTED });
+    assert.throws(() => RESTCONFDriver.parseRequest('PUT data/x\n{"a":'), /Invalid YANG-JSON body for PUT data\/x/);
+  });
+});
+
+describe('RESTCONF error mapping (RFC 8040 section 7)', () => {
+  it('reads every error of an ietf-restconf:errors body', () => {
+    const errors = RESTCONFDriver.parseErrors(400, {
+      'ietf-restconf:errors': {
+        error: [
+          { 'error-type': 'application', 'error-tag': 'invalid-value', 'error-path': '/ietf-interfaces:interfaces/interface', 'error-message': 'bad mtu' },
+          { 'error-type': 'protocol', 'error-tag': 'lock-denied', 'error-info': { 'session-id': 7 } }
+        ]
+      }
+    });
+
+    assert.deepEqual(errors, [
+      { type: 'application', tag: 'invalid-value', severity: 'error', message: 'bad mtu', path: '/ietf-interfaces:interfaces/interface', info: null },
+      { type: 'protocol', tag: 'lock-denied', severity: 'error', message: null, path: null, info: { 'session-id': 7 } }
+    ]);
+  });
+
+  it('takes the error-tag from the status when the reply has no errors body', () => {
+    assert.equal(RESTCONFDriver.parseErrors(409, '')[0].tag, 'in-use');
+    assert.equal(RESTCONFDriver.parseErrors(405, null)[0].tag, 'operation-not-supported');
+    assert.equal(RESTCONFDriver.parseErrors(418, null)[0].tag, 'operation-failed');
+    assert.deepEqual(RESTCONFDriver.parseErrors(500, ' upstream crashed \n')[0], {
+      type: 'protocol', tag: 'operation-failed', severity: 'error', message: 'upstream crashed', path: null, info: null
+    });
+  });
+});
+
+describe('RESTCONFDriver', () => {
+  it('finds the RESTCONF root in the host-meta and authenticates', async () => {
+    const { requests } = await startRESTCONFServer(() => ({ status: 204 }));
+
+    assert.deepEqual(requests.map(request => request.url), ['/.well-known/host-meta', '/top/restconf/yang-library-version']);
+    assert.equal(requests[1].headers.authorization, `Basic ${Buffer.from('admin:secret').toString('base64')}`);
+    assert.equal(requests[1].headers.accept, 'application/yang-data+json');
+  });
+
+  it('sends PATCH, PUT and DELETE steps with their YANG-JSON bodies', async () => {
+    const { requests, driver } = await startRESTCONFServer(request => ({ status: request.method === 'PUT' ? 201 : 204 }));
+    const path = 'ietf-interfaces:interfaces/interface=GigabitEthernet0%2F1';
+
+    const patched = await driver.execute({ command: `PATCH ${path}\n${JSON.stringify(INTERFACE)}` });
+    const replaced = await driver.execute({ command: `PUT data/${path}\n${JSON.stringify(INTERFACE)}` });
+    const deleted = await driver.execute({ command: `DELETE ${path}` });
+
+    assert.deepEqual(patched, { operation: 'PATCH', path: `data/${path}`, status: 204, data: null });
+    assert.equal(replaced.status, 201);
+    assert.deepEqual(deleted, { operation: 'DELETE', path: `data/${path}`, status: 204, data: null });
+
+    const sent = requests.slice(2);
+    assert.deepEqual(sent.map(request => [request.method, request.url]), [
+      ['PATCH', `/top/restconf/data/${path}`],
+      ['PUT', `/top/restconf/data/${path}`],
+      ['DELETE', `/top/restconf/data/${path}`]
+    ]);
+    assert.deepEqual(sent[0].body, INTERFACE);
+    assert.equal(sent[0].headers['content-type'], 'application/yang-data+json');
+    assert.equal(sent[2].body, null);
+  });
+
+  it('fails a step with the errors of an ietf-restconf:errors reply', async () => {
+    const { driver } = await startRESTCONFServer(() => ({
+      status: 409,
+      body: { 'ietf-restconf:errors': { error: [{ 'error-type': 'protocol', 'error-tag': 'data-exists', 'error-message': 'interface exists' }] } }
+    }));
+
+    const error = await rejectsWith(driver.execute({ command: `POST data/ietf-interfaces:interfaces\n${JSON.stringify(INTERFACE)}` }), ERROR_CODES.COMMAND_REJECTED);
+    assert.equal(error.status, 409);
+    assert.match(error.message, /r1 rejected POST data\/ietf-interfaces:interfaces: data-exists - interface exists/);
+    assert.deepEqual(error.rpc_errors.map(rpcError => rpcError.tag), ['data-exists']);
+  });
+
+  it('reports access-denied as an authentication failure', async () => {
+    const { driver } = await startRESTCONFServer(() => ({
+      status: 403,
+      body: { 'ietf-restconf:errors': { error: { 'error-type': 'protocol', 'error-tag': 'access-denied' } } }
+    }));
+
+    await rejectsWith(driver.execute({ command: 'DELETE ietf-interfaces:interfaces/interface=lo1' }), ERROR_CODES.AUTH_FAILED);
+  });
+
+  it('refuses to connect when the credentials are rejected', async () => {
+    const { base_url } = await startServer(() => ({ status: 401 }));
+    const driver = createDriver('restconf', base_url, { restconf_root: '/restconf' });
+
+    await rejectsWith(driver.connect(), ERROR_CODES.AUTH_FAILED);
+  });
+
+  it('reads the configuration datastore and restores it with PUT', async () => {
+    const config = { 'ietf-interfaces:interfaces': { interface: [{ name: 'lo0', enabled: true }] } };
+    const { requests, driver } = await startRESTCONFServer(request => request.method === 'GET' ? { status: 200, body: config } : { status: 204 });
+
+    const running = await driver.getRunningConfig();
+    assert.deepEqual(running, { format: 'json', content: JSON.stringify(config) });
+    assert.deepEqual(await driver.restoreConfig(running), { status: 204 });
+
+    assert.deepEqual(requests.slice(2).map(request => [request.method, request.url]), [
+      ['GET', '/top/restconf/data?content=config'],
+      ['PUT', '/top/restconf/data']
+    ]);
+    assert.deepEqual(requests[3].body, config);
+    await rejectsWith(driver.restoreConfig({ format: 'ios', content: 'hostname r1' }), ERROR_CODES.COMMAND_REJECTED);
+  });
+});
+
+describe('HTTP API templates', () => {
+  it('wraps eAPI commands in enable and configure', () => {
+    const { eapi } = httpApiTemplates.TEMPLATES;
+
+    assert.deepEqual(eapi.buildRequest(['show version'], 'exec', {}).params, { version: 1, cmds: ['enable', 'show version'], format: 'text' });
+    assert.deepEqual(eapi.buildRequest(['interface Et1', 'shutdown'], 'config', { enable_password: 'x' }).params.cmds, [
+      { cmd: 'enable', input: 'x' },
+      'configure',
+      'interface Et1',
+      'shutdown',
+      'end'
+    ]);
+  });
+
+  it('reads eAPI outputs and the failing command', () => {
+    const { eapi } = httpApiTemplates.TEMPLATES;
+    const commands = ['interface Et1', 'mtu 99999'];
+
+    assert.deepEqual(eapi.parseResponse({ result: [{}, {}, { output: '' }, { output: ' ok \n' }, {}] }, commands, 'config'), {
+      outputs: ['', 'ok'],
+      error: null
+    });
+    assert.deepEqual(eapi.parseResponse({
+      error: {
+        code: 1002,
+        message: 'CLI command 4 of 5 failed: invalid command',
+        data: [{}, {}, { output: '' }, { errors: ['Invalid input (at token 1)'] }]
+      }
+    }, commands, 'config'), {
+      outputs: [''],
+      error: { index: 1, message: 'Invalid input (at token 1)' }
+    });
+  });
+
+  it('sends one NX-API call per command and stops at the first error', () => {
+    const { nxapi } = httpApiTemplates.TEMPLATES;
+
+    assert.deepEqual(nxapi.buildRequest(['show clock', 'show hostname']), [
+      { jsonrpc: '2.0', method: 'cli_ascii', params: { cmd: 'show clock', version: 1 }, id: 1 },
+      { jsonrpc: '2.0', method: 'cli_ascii', params: { cmd: 'show hostname', version: 1 }, id: 2 }
+    ]);
+    assert.deepEqual(nxapi.parseResponse([
+      { id: 3, result: { msg: 'never run' } },
+      { id: 2, error: { message: 'Input CLI command error', data: { msg: '% Invalid command\n' } } },
+      { id: 1, result: { msg: '12:00:00\n' } }
+    ]), {
+      outputs: ['12:00:00'],
+      error: { index: 1, message: '% Invalid command' }
+    });
+  });
+
+  it('registers templates for other controllers', () => {
+    assert.equal(httpApiTemplates.getTemplate('other'), null);
+    httpApiTemplates.registerTemplate('other', { ...httpApiTemplates.TEMPLATES.nxapi, name: 'Other API' });
+    assert.equal(httpApiTemplates.getTemplate('other').key, 'other');
+    delete httpApiTemplates.TEMPLATES.other;
+  });
+});
+
+describe('HTTPAPIDriver', () => {
+  it('probes eAPI when connecting and runs configuration steps in one request', async () => {
+    const { requests, base_url } = await startServer(request => ({
+      status: 200,
+      type: 'application/json',
+      body: { jsonrpc: '2.0', id: request.body.id, result: request.body.params.cmds.map(cmd => ({ output: cmd === 'show version' ? 'Arista vEOS\n' : '' })) }
+    }));
+    const driver = createDriver('rest_api', base_url, { protocol: 'eapi' });
+    await driver.connect();
+
+    const result = await driver.execute({ command: 'interface Ethernet1\n! comment\n shutdown', mode: 'config' });
+
+    assert.deepEqual(result, {
+      platform: 'eapi',
+      mode: 'config',
+      output: '',
+      transcript: [{ command: 'interface Ethernet1', output: '' }, { command: ' shutdown', output: '' }]
+    });
+    assert.deepEqual(requests.map(request => request.url), ['/command-api', '/command-api']);
+    assert.deepEqual(requests[0].body.params.cmds, [{ cmd: 'enable', input: 'enable-secret' }, 'show version']);
+    assert.deepEqual(requests[1].body.params.cmds.slice(1), ['configure', 'interface Ethernet1', ' shutdown', 'end']);
+  });
+
+  it('fails a step with the transcript up to the command NX-API rejected', async () => {
+    const { base_url } = await startServer(request => ({
+      status: 200,
+      type: 'application/json',
+      body: request.body.map(call => call.params.cmd === 'bogus'
+        ? { jsonrpc: '2.0', id: call.id, error: { message: 'Input CLI command error', data: { msg: '% Invalid command' } } }
+        : { jsonrpc: '2.0', id: call.id, result: { msg: `${call.params.cmd} done\n` } })
+    }));
+    const driver = createDriver('rest_api', base_url, { protocol: 'nxapi' });
+    await driver.connect();
+
+    const error = await rejectsWith(driver.execute({ command: 'show clock\nbogus\nshow hostname' }), ERROR_CODES.COMMAND_REJECTED);
+    assert.match(error.message, /r1 rejected "bogus": % Invalid command/);
+    assert.deepEqual(error.transcript, [
+      { command: 'show clock', output: 'show clock done' },
+      { command: 'bogus', output: '% Invalid command' }
+    ]);
+  });
+
+  it('refuses to connect when the credentials are rejected', async () => {
+    const { base_url } = await startServer(() => ({ status: 401, type: 'text/plain', body: 'Unauthorized' }));
+    const driver = createDriver('rest_api', base_url, { protocol: 'nxapi' });
+
+    await rejectsWith(driver.connect(), ERROR_CODES.AUTH_FAILED);
+  });
+
+  it('does not connect without a template for the protocol', async () => {
+    const driver = createDriver('http_api', 'http://127.0.0.1:9', { protocol: 'unknown' });
+    await rejectsWith(driver.connect(), ERROR_CODES.CONNECT_FAILED);
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * SNMP trap tests: BER decoding, SNMPv1/v2c traps and informs, and SNMPv3 USM
+ * (RFC 3414 key localization, authentication and privacy)
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const snmpTrapDecoder = require('../src/utils/snmpTrapDecoder');
+const snmpUsm = require('../src/utils/snmpUsm');
+
+/**
+ * BER element of a tag and its content, with a long form length past 127 bytes
+ */
+function tlv(tag, content) {
+  let length = Buffer.from([content.length]);
+  if (content.length > 127) {
+    const octets = [];
+    for (let rest = content.length; rest > 0; rest = Math.floor(rest / 256)) {
+      octets.unshift(rest % 256);
+    }
+    length = Buffer.from([0x80 | octets.length, ...octets]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+/**
+ * Two's complement INTEGER, or an unsigned type with the same encoding (TimeTicks, Gauge32)
+ */
+function integer(value, tag = 0x02) {
+  const octets = [];
+  let rest = value;
+  do {
+    octets.unshift(rest & 0xff);
+    rest >>= 8;
+  } while (rest !== 0 && rest !== -1);
+  if (value >= 0 && octets[0] & 0x80) {
+    octets.unshift(0);
+  }
+  if (value < 0 && !(octets[0] & 0x80)) {
+    octets.unshift(0xff);
+  }
+  return tlv(tag, Buffer.from(octets));
+}
+
+/**
+ * OBJECT IDENTIFIER from dotted notation
+ */
+function oid(text) {
+  const [first, second, ...rest] = text.split('.').map(Number);
+  const octets = [first * 40 + second];
+  rest.forEach(subId => {
+    const group = [subId & 0x7f];
+    for (let value = subId >> 7; value > 0; value >>= 7) {
+      group.unshift((value & 0x7f) | 0x80);
+    }
+    octets.push(...group);
+  });
+  return tlv(0x06, Buffer.from(octets));
+}
+
+const octets = value => tlv(0x04, Buffer.from(value));
+const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+const varbind = (name, value) => sequence(oid(name), value);
+
+// linkDown of ifIndex 3 (RFC 2863 varbinds), as sent by SNMPv2c and SNMPv3 agents
+const LINK_DOWN_VARBINDS = sequence(
+  varbind('1.3.6.1.2.1.1.3.0', integer(99999, 0x43)),
+  varbind('1.3.6.1.6.3.1.1.4.1.0', oid('1.3.6.1.6.3.1.1.5.3')),
+  varbind('1.3.6.1.2.1.2.2.1.1.3', integer(3)),
+  varbind('1.3.6.1.2.1.2.2.1.2.3', octets('GigabitEthernet0/1')),
+  varbind('1.3.6.1.2.1.2.2.1.7.3', integer(1)),
+  varbind('1.3.6.1.2.1.2.2.1.8.3', integer(2))
+);
+
+/**
+ * SNMPv2c message with a notification PDU (0xa7 trap, 0xa6 inform)
+ */
+function v2cMessage(pduTag = 0xa7) {
+  return sequence(integer(1), octets('public'), tlv(pduTag, Buffer.concat([integer(1234), integer(0), integer(0), LINK_DOWN_VARBINDS])));
+}
+
+// RFC 3414 A.3 test vectors: password "maplesyrup", engine ID 00...02
+const RFC3414_PASSWORD = 'maplesyrup';
+const RFC3414_ENGINE_ID = Buffer.from('000000000000000000000002', 'hex');
+
+const ENGINE_ID = '80000009030000c0ffee01';
+
+const USERS = {
+  auth: { user_name: 'monitor', auth_protocol: 'SHA', auth_password: 'authpass123' },
+  aes: { user_name: 'secure', auth_protocol: 'SHA', auth_password: 'authpass123', priv_protocol: 'AES', priv_password: 'privpass123' },
+  des: { user_name: 'legacy', auth_protocol: 'MD5', auth_password: 'authpass123', priv_protocol: 'DES', priv_password: 'privpass123' }
+};
+
+/**
+ * SNMPv3 linkDown trap from ENGINE_ID, authenticated and encrypted like an agent
+ * would for the user; options override the passwords, boots and time
+ */
+function v3Message(user, options = {}) {
+  const { boots = 5, time = 1000, auth_password = user.auth_password, priv_password = user.priv_password } = options;
+  const engineId = Buffer.from(ENGINE_ID, 'hex');
+  const pdu = tlv(0xa7, Buffer.concat([integer(77), integer(0), integer(0), LINK_DOWN_VARBINDS]));
+  const scoped = sequence(tlv(0x04, engineId), octets(''), pdu);
+  const salt = crypto.randomBytes(8);
+  const algorithm = snmpUsm.AUTH_PROTOCOLS[user.auth_protocol].algorithm;
+
+  let msgData = scoped;
+  if (user.priv_protocol) {
+    const privKey = snmpUsm.localizeKey(snmpUsm.passwordToKey(priv_password, algorithm), engineId, algorithm);
+    if (user.priv_protocol === 'AES') {
+      const iv = Buffer.alloc(16);
+      iv.writeUInt32BE(boots, 0);
+      iv.writeUInt32BE(time, 4);
+      salt.copy(iv, 8);
+      const cipher = crypto.createCipheriv('aes-128-cfb', privKey.subarray(0, 16), iv);
+      msgData = tlv(0x04, Buffer.concat([cipher.update(scoped), cipher.final()]));
+    } else {
+      const desKey = privKey.subarray(0, 8);
+      const iv = Buffer.from(privKey.subarray(8, 16).map((byte, index) => byte ^ salt[index]));
+      const padded = Buffer.concat([scoped, Buffer.alloc((8 - scoped.length % 8) % 8)]);
+      const cipher = crypto.createCipheriv('des-ede3-cbc', Buffer.concat([desKey, desKey, desKey]), iv);
+      cipher.setAutoPadding(false);
+      msgData = tlv(0x04, Buffer.concat([cipher.update(padded), cipher.final()]));
+    }
+  }
+
+  const flags = 0x04 | 0x01 | (user.priv_protocol ? 0x02 : 0);
+  const usmParameters = sequence(
+    tlv(0x04, engineId), integer(boots), integer(time), octets(user.user_name),
+    tlv(0x04, Buffer.alloc(12)), tlv(0x04, user.priv_protocol ? salt : Buffer.alloc(0))
+  );
+  const message = sequence(integer(3), sequence(integer(42), integer(65507), tlv(0x04, Buffer.from([flags])), integer(3)), tlv(0x04, usmParameters), msgData);
+
+  // The MAC covers the whole message with msgAuthenticationParameters zeroed
+  const authKey = snmpUsm.localizeKey(snmpUsm.passwordToKey(auth_password, algorithm), engineId, algorithm);
+  const mac = crypto.createHmac(algorithm, authKey).update(message).digest().subarray(0, 12);
+  mac.copy(message, message.indexOf(Buffer.alloc(12)));
+  return message;
+}
+
+/**
+ * USM user lookup over USERS
+ */
+function lookupUser(engineId, userName) {
+  return Object.values(USERS).find(user => user.user_name === userName) || null;
+}
+
+/**
+ * Assert that processing a message fails with a USM failure reason
+ */
+function assertUsmFailure(message, reason, engineTimes = new Map()) {
+  assert.throws(() => snmpUsm.processIncomingMessage(message, lookupUser, engineTimes), { code: 'USM_FAILURE', reason });
+}
+
+describe('snmpTrapDecoder BER decoding', () => {
+  it('reads short and long form lengths', () => {
+    const short = snmpTrapDecoder.readTLV(octets('abc'), 0);
+    assert.deepEqual([short.tag, short.start, short.end, short.value.toString()], [0x04, 2, 5, 'abc']);
+
+    const long = snmpTrapDecoder.readTLV(octets('x'.repeat(300)), 0);
+    assert.deepEqual([long.start, long.value.length], [4, 300]);
+  });
+
+  it('rejects truncated and overlong elements', () => {
+    assert.throws(() => snmpTrapDecoder.readTLV(Buffer.from([0x04]), 0), /Truncated BER element/);
+    assert.throws(() => snmpTrapDecoder.readTLV(Buffer.from([0x04, 0x05, 0x61]), 0), /overruns message \(7 > 3\)/);
+    assert.throws(() => snmpTrapDecoder.readTLV(Buffer.from([0x04, 0x85, 1, 2, 3, 4, 5]), 0), /Unsupported BER length encoding/);
+  });
+
+  it('decodes signed integers and unsigned counters', () => {
+    assert.equal(snmpTrapDecoder.decodeInteger(Buffer.from([0xff])), -1);
+    assert.equal(snmpTrapDecoder.decodeInteger(Buffer.from([0x00, 0x80])), 128);
+    assert.equal(snmpTrapDecoder.decodeInteger(Buffer.from([0xff, 0x7f])), -129);
+    assert.equal(snmpTrapDecoder.decodeUnsigned(Buffer.from([0xff, 0xff, 0xff, 0xff])), 4294967295);
+  });
+
+  it('decodes OIDs with multi-byte sub-identifiers', () => {
+    assert.equal(snmpTrapDecoder.decodeOID(oid('1.3.6.1.4.1.2636.3.1.15').subarray(2)), '1.3.6.1.4.1.2636.3.1.15');
+    assert.equal(snmpTrapDecoder.decodeOID(Buffer.from([0x2b, 0x06, 0x01, 0x04, 0x01, 0x89, 0x37])), '1.3.6.1.4.1.1207');
+  });
+
+  it('decodes varbind values by type', () => {
+    const decode = element => snmpTrapDecoder.decodeValue(snmpTrapDecoder.readTLV(element, 0));
+
+    assert.deepEqual(decode(tlv(0x40, Buffer.from([192, 0, 2, 1]))), { type: 'ip_address', value: '192.0.2.1' });
+    assert.deepEqual(decode(integer(4000000000, 0x41)), { type: 'counter32', value: 4000000000 });
+    assert.deepEqual(decode(tlv(0x46, Buffer.from('ffffffffffffffff', 'hex'))), { type: 'counter64', value: '18446744073709551615' });
+    assert.deepEqual(decode(tlv(0x04, Buffer.from([0x00, 0x1b, 0x54]))), { type: 'octet_string', value: '001b54' });
+    assert.deepEqual(decode(tlv(0x81, Buffer.alloc(0))), { type: 'no_such_instance', value: null });
+  });
+});
+
+describe('snmpTrapDecoder.decodeTrap', () => {
+  it('decodes an SNMPv2c linkDown trap with its interface', () => {
+    const trap = snmpTrapDecoder.decodeTrap(v2cMessage());
+
+    assert.equal(trap.version, 'v2c');
+    assert.equal(trap.community, 'public');
+    assert.equal(trap.request_id, 1234);
+    assert.equal(trap.sys_uptime, 99999);
+    assert.equal(trap.trap_oid, '1.3.6.1.6.3.1.1.5.3');
+    assert.equal(trap.trap_name, 'linkDown');
+    assert.equal(trap.event_type, 'interface_down');
+    assert.deepEqual(trap.interface, { index: 3, description: 'GigabitEthernet0/1', admin_status: 'up', oper_status: 'down', name: 'GigabitEthernet0/1' });
+  });
+
+  it('translates SNMPv1 traps to their SNMPv2 trap OIDs (RFC 3584)', () => {
+    const v1Trap = (generic, specific) => snmpTrapDecoder.decodeTrap(sequence(integer(0), octets('public'), tlv(0xa4, Buffer.concat([
+      oid('1.3.6.1.4.1.9.9.41'), tlv(0x40, Buffer.from([10, 0, 0, 5])), integer(generic), integer(specific), integer(500, 0x43), sequence()
+    ]))));
+
+    const linkUp = v1Trap(3, 0);
+    assert.deepEqual([linkUp.version, linkUp.agent_address, linkUp.sys_uptime], ['v1', '10.0.0.5', 500]);
+    assert.deepEqual([linkUp.trap_oid, linkUp.event_type], ['1.3.6.1.6.3.1.1.5.4', 'interface_up']);
+
+    const specific = v1Trap(6, 1);
+    assert.deepEqual([specific.trap_oid, specific.trap_name, specific.event_type], ['1.3.6.1.4.1.9.9.41.0.1', 'enterpriseSpecific', null]);
+  });
+
+  it('acknowledges an inform with the same message as a Response-PDU', () => {
+    const message = v2cMessage(0xa6);
+    const trap = snmpTrapDecoder.decodeTrap(message);
+    const response = snmpTrapDecoder.buildInformResponse(message, trap);
+
+    assert.equal(trap.pdu_type, 'inform_request');
+    assert.equal(response[trap.pdu_offset], 0xa2);
+    response[trap.pdu_offset] = 0xa6;
+    assert.deepEqual(response, message);
+    assert.equal(snmpTrapDecoder.buildInformResponse(v2cMessage(), snmpTrapDecoder.decodeTrap(v2cMessage())), null);
+  });
+
+  it('refuses SNMPv3, unknown versions and PDUs that are not notifications', () => {
+    assert.throws(() => snmpTrapDecoder.decodeTrap(v3Message(USERS.auth)), { code: 'SNMPV3_MESSAGE' });
+    assert.throws(() => snmpTrapDecoder.decodeTrap(sequence(integer(2), octets('public'), tlv(0xa7, Buffer.alloc(0)))), /Unsupported SNMP version: 2/);
+    assert.throws(() => snmpTrapDecoder.decodeTrap(v2cMessage(0xa0)), /PDU type get_request is not a notification/);
+    assert.throws(() => snmpTrapDecoder.decodeTrap(octets('not a message')), /SNMP message is not a SEQUENCE/);
+  });
+});
+
+describe('snmpUsm key localization (RFC 3414 A.3)', () => {
+  beforeEach(() => snmpUsm.clearKeyCache());
+
+  it('derives the MD5 master and localized keys of A.3.1', () => {
+    const masterKey = snmpUsm.passwordToKey(RFC3414_PASSWORD, 'md5');
+    assert.equal(masterKey.toString('hex'), '9faf3283884e92834ebc9847d8edd963');
+    assert.equal(snmpUsm.localizeKey(masterKey, RFC3414_ENGINE_ID, 'md5').toString('hex'), '526f5eed9fcce26f8964c2930787d82b');
+  });
+
+  it('derives the SHA master and localized keys of A.3.2', () => {
+    const masterKey = snmpUsm.passwordToKey(RFC3414_PASSWORD, 'sha1');
+    assert.equal(masterKey.toString('hex'), '9fb5cc0381497b3793528939ff788d5d79145211');
+    assert.equal(snmpUsm.localizeKey(masterKey, RFC3414_ENGINE_ID, 'sha1').toString('hex'), '6695febc9288e36282235fc7151f128497b38f3f');
+  });
+
+  it('localizes passwords per engine and takes stored keys as they are', () => {
+    const key = snmpUsm.getLocalizedKey({ password: RFC3414_PASSWORD }, RFC3414_ENGINE_ID.toString('hex'), 'SHA');
+    assert.equal(key.toString('hex'), '6695febc9288e36282235fc7151f128497b38f3f');
+    assert.equal(snmpUsm.getLocalizedKey({ key: '00ff' }, ENGINE_ID, 'MD5').toString('hex'), '00ff');
+    assert.throws(() => snmpUsm.getLocalizedKey({ password: RFC3414_PASSWORD }, ENGINE_ID, 'SHA256'), /Unsupported authentication protocol/);
+  });
+
+  it('admits a limited number of new engine IDs per second', () => {
+    for (let index = 0; index < 50; index++) {
+      snmpUsm.getLocalizedKey({ password: RFC3414_PASSWORD }, index.toString(16).padStart(10, '0'), 'MD5');
+    }
+
+    assert.throws(() => snmpUsm.getLocalizedKey({ password: RFC3414_PASSWORD }, 'ff00000000', 'MD5'), { code: 'USM_FAILURE', reason: 'unknown_engine_id' });
+    // Engines already known keep working
+    assert.ok(snmpUsm.getLocalizedKey({ password: RFC3414_PASSWORD }, '0000000000', 'MD5'));
+  });
+});
+
+describe('snmpUsm.processIncomingMessage', () => {
+  beforeEach(() => snmpUsm.clearKeyCache());
+
+  for (const [name, user] of Object.entries(USERS)) {
+    it(`authenticates${user.priv_protocol ? ' and decrypts' : ''} a ${name} trap`, () => {
+      const trap = snmpUsm.processIncomingMessage(v3Message(user), lookupUser, new Map());
+
+      assert.equal(trap.version, 'v3');
+      assert.equal(trap.event_type, 'interface_down');
+      assert.equal(trap.context_engine_id, ENGINE_ID);
+      assert.deepEqual(trap.security, {
+        user_name: user.user_name,
+        engine_id: ENGINE_ID,
+        engine_boots: 5,
+        engine_time: 1000,
+        security_level: user.priv_protocol ? 'authPriv' : 'authNoPriv'
+      });
+    });
+  }
+
+  it('rejects a wrong digest and an unknown user', () => {
+    assertUsmFailure(v3Message(USERS.auth, { auth_password: 'wrongpass123' }), 'authentication_failed');
+    assertUsmFailure(v3Message({ ...USERS.auth, user_name: 'nobody' }), 'unknown_user');
+  });
+
+  it('rejects a security level the user is not configured for', () => {
+    assertUsmFailure(v3Message({ ...USERS.auth, user_name: USERS.aes.user_name }), 'unsupported_security_level');
+  });
+
+  it('rejects a wrong privacy password', () => {
+    assertUsmFailure(v3Message(USERS.aes, { priv_password: 'wrongpriv123' }), 'decryption_error');
+  });
+
+  it('rejects messages older than the time window (RFC 3414 section 3.2 step 7)', () => {
+    const engineTimes = new Map();
+    snmpUsm.processIncomingMessage(v3Message(USERS.auth, { boots: 5, time: 1000 }), lookupUser, engineTimes);
+
+    assertUsmFailure(v3Message(USERS.auth, { boots: 4, time: 5000 }), 'not_in_time_window', engineTimes);
+    assertUsmFailure(v3Message(USERS.auth, { boots: 5, time: 800 }), 'not_in_time_window', engineTimes);
+    assert.ok(snmpUsm.processIncomingMessage(v3Message(USERS.auth, { boots: 5, time: 900 }), lookupUser, engineTimes));
+    assert.ok(snmpUsm.processIncomingMessage(v3Message(USERS.auth, { boots: 6, time: 1 }), lookupUser, engineTimes));
+  });
+});
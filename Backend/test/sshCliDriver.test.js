@@ -0,0 +1,206 @@
+/**
+ * SSH CLI driver tests against FakeSSHDevice
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeSSHDevice = require('../src/drivers/testing/FakeSSHDevice');
+const drivers = require('../src/drivers');
+const { ERROR_CODES } = require('../src/drivers/DeviceDriver');
+const configDiff = require('../src/utils/configDiff');
+
+const PLATFORMS = [
+  { platform: 'ios', vendor: 'Cisco', show_config: 'show running-config' },
+  { platform: 'junos', vendor: 'Juniper', show_config: 'show configuration' },
+  { platform: 'eos', vendor: 'Arista', show_config: 'show running-config' }
+];
+
+// Output long enough to be paged at the fake device's 24 lines per page
+const LONG_OUTPUT = Array.from({ length: 60 }, (_, index) => `line ${index + 1}`).join('\n');
+
+const fakes = [];
+
+/**
+ * Start a fake device and open a driver session to it
+ */
+async function connect(options, credentials = {}) {
+  const fake = new FakeSSHDevice({ hostname: 'dev1', enable_password: 'secret', ...options });
+  fakes.push(fake);
+  const port = await fake.start();
+  const device = {
+    hostname: 'dev1',
+    mgmt_ip: '127.0.0.1',
+    vendor: options.vendor,
+    credentials: { username: 'admin', password: 'admin', enable_password: 'secret', ssh_port: port, ...credentials }
+  };
+  const driver = drivers.createDriver('cli', device, { connect_timeout: 5000, command_timeout: 5000 });
+  return { fake, device, driver };
+}
+
+after(async () => {
+  await Promise.all(fakes.map(fake => fake.stop()));
+});
+
+for (const { platform, vendor, show_config } of PLATFORMS) {
+  describe(`SSHCLIDriver on ${platform}`, () => {
+    it('disables paging and returns long output whole', async () => {
+      const { fake, driver } = await connect({ platform, vendor, responses: { 'show version': LONG_OUTPUT } });
+      await driver.connect();
+      try {
+        const result = await driver.execute({ command: 'show version' });
+        assert.equal(result.output, LONG_OUTPUT);
+        assert.ok(driver.platform.paging_commands.every(command => fake.commands.includes(command)));
+      } finally {
+        await driver.disconnect();
+      }
+    });
+
+    it('answers paging prompts when paging cannot be disabled', async () => {
+      const { driver } = await connect({
+        platform,
+        vendor,
+        responses: { 'show version': LONG_OUTPUT },
+        reject_commands: ['^terminal length', '^set cli screen-length']
+      });
+      await driver.connect();
+      try {
+        const result = await driver.execute({ command: 'show version' });
+        assert.equal(result.output.split('\n').filter(Boolean).join('\n'), LONG_OUTPUT);
+      } finally {
+        await driver.disconnect();
+      }
+    });
+
+    it('applies configuration and leaves configuration mode', async () => {
+      const { fake, driver } = await connect({ platform, vendor });
+      const change = platform === 'junos'
+        ? 'set interfaces ge-0/0/1 description uplink'
+        : 'interface Ethernet1\n description uplink';
+      await driver.connect();
+      try {
+        const result = await driver.execute({ command: change, mode: 'config' });
+        assert.deepEqual(
+          result.transcript.slice(-driver.platform.config_exit.length).map(entry => entry.command),
+          driver.platform.config_exit
+        );
+        const shown = await driver.execute({ command: show_config });
+        assert.match(shown.output, /description uplink/);
+        assert.ok(fake.configuration.some(line => line.includes('description uplink')));
+      } finally {
+        await driver.disconnect();
+      }
+    });
+
+    it('aborts configuration mode when a line is rejected', async () => {
+      const { fake, driver } = await connect({ platform, vendor, reject_commands: ['^bogus'] });
+      const change = platform === 'junos'
+        ? 'set interfaces ge-0/0/2 description partial\nbogus line'
+        : 'interface Ethernet2\nbogus line';
+      await driver.connect();
+      try {
+        await assert.rejects(driver.execute({ command: change, mode: 'config' }), error => {
+          assert.equal(error.code, ERROR_CODES.COMMAND_REJECTED);
+          assert.match(error.message, /bogus line/);
+          return true;
+        });
+        const sent = fake.commands.slice(fake.commands.indexOf('bogus line') + 1);
+        assert.deepEqual(sent.slice(0, driver.platform.config_abort.length), driver.platform.config_abort);
+
+        // The session is usable again, and a rejected Junos candidate was never committed
+        const shown = await driver.execute({ command: show_config });
+        if (platform === 'junos') {
+          assert.doesNotMatch(shown.output, /partial/);
+        }
+      } finally {
+        await driver.disconnect();
+      }
+    });
+  });
+}
+
+describe('SSHCLIDriver configuration restore', () => {
+  it('restores an IOS snapshot after lines were added, changed and removed', async () => {
+    const { fake, driver } = await connect({
+      platform: 'ios',
+      vendor: 'Cisco',
+      start_privileged: true,
+      configuration: [
+        'hostname sw1',
+        'interface Gi0/1',
+        ' description uplink',
+        ' shutdown',
+        'interface Gi0/2',
+        ' ip address 10.0.0.1 255.255.255.0',
+        'router ospf 1',
+        ' network 10.0.0.0 0.0.0.255 area 0'
+      ]
+    });
+    const original = [...fake.configuration];
+    await driver.connect();
+    try {
+      const snapshot = await driver.getRunningConfig();
+      assert.equal(snapshot.format, 'ios');
+
+      fake.configuration.splice(fake.configuration.indexOf(' shutdown'), 1);
+      fake.configuration.splice(fake.configuration.indexOf('interface Gi0/2'), 2);
+      fake.configuration.push('logging host 192.0.2.10');
+
+      const { commands } = await driver.restoreConfig(snapshot);
+      assert.ok(commands.includes('no logging host 192.0.2.10'));
+
+      const restored = await driver.getRunningConfig();
+      assert.ok(configDiff.diffConfigs('ios', snapshot.content, restored.content).identical);
+      assert.deepEqual([...fake.configuration].sort(), [...original].sort());
+    } finally {
+      await driver.disconnect();
+    }
+  });
+
+  it('restores a Junos snapshot including deactivated statements', async () => {
+    const { fake, driver } = await connect({
+      platform: 'junos',
+      vendor: 'Juniper',
+      configuration: [
+        'set system host-name mx1',
+        'set interfaces ge-0/0/1 disable',
+        'set interfaces ge-0/0/1 description core',
+        'set interfaces ge-0/0/2 unit 0 family inet address 10.1.1.1/30'
+      ]
+    });
+    await driver.connect();
+    try {
+      const snapshot = await driver.getRunningConfig();
+      assert.equal(snapshot.format, 'junos_set');
+
+      fake.configuration.push('set snmp community public');
+      fake.configuration.splice(fake.configuration.indexOf('set interfaces ge-0/0/1 disable'), 1);
+      fake.configuration.push('deactivate interfaces ge-0/0/2');
+
+      await driver.restoreConfig(snapshot);
+      const restored = await driver.getRunningConfig();
+      assert.ok(configDiff.diffConfigs('junos_set', snapshot.content, restored.content).identical);
+    } finally {
+      await driver.disconnect();
+    }
+  });
+});
+
+describe('SSHCLIDriver connection errors', () => {
+  it('reports refused credentials', async () => {
+    const { driver } = await connect({ platform: 'ios', vendor: 'Cisco' }, { password: 'wrong' });
+    await assert.rejects(driver.connect(), { code: ERROR_CODES.AUTH_FAILED });
+  });
+
+  it('reports a refused enable password', async () => {
+    const { driver } = await connect({ platform: 'ios', vendor: 'Cisco' }, { enable_password: 'wrong' });
+    await assert.rejects(driver.connect(), { code: ERROR_CODES.AUTH_FAILED });
+    await driver.disconnect();
+  });
+
+  it('reports missing credentials without connecting', async () => {
+    const driver = drivers.createDriver('cli', { hostname: 'dev9', mgmt_ip: '127.0.0.1', vendor: 'Cisco', credentials: {} });
+    await assert.rejects(driver.connect(), { code: ERROR_CODES.CREDENTIALS_MISSING });
+  });
+});
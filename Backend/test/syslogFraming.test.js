@@ -0,0 +1,90 @@
+/**
+ * Syslog stream framing tests: octet counting and non-transparent framing (RFC 6587)
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const syslogFraming = require('../src/utils/syslogFraming');
+
+/**
+ * Frame decoder collecting its messages as strings
+ */
+function createDecoder(options) {
+  const messages = [];
+  const decoder = syslogFraming.createFrameDecoder(message => messages.push(message.toString()), options);
+  return { decoder, messages };
+}
+
+const MESSAGE = '<34>1 2003-10-11T22:14:15.003Z host su - ID47 - failed';
+
+describe('syslogFraming octet counting', () => {
+  it('splits counted frames, including a frame holding a newline', () => {
+    const { decoder, messages } = createDecoder();
+    decoder.push(Buffer.from(`${MESSAGE.length} ${MESSAGE}11 line1\nline2`));
+    assert.deepEqual(messages, [MESSAGE, 'line1\nline2']);
+    assert.equal(decoder.buffered(), 0);
+  });
+
+  it('waits for the rest of a frame split across chunks, byte by byte', () => {
+    const { decoder, messages } = createDecoder();
+    for (const byte of Buffer.from(`${MESSAGE.length} ${MESSAGE}`)) {
+      decoder.push(Buffer.from([byte]));
+    }
+    assert.deepEqual(messages, [MESSAGE]);
+  });
+
+  it('counts the length in octets, not characters', () => {
+    const { decoder, messages } = createDecoder();
+    const text = 'interface descripción';
+    decoder.push(Buffer.from(`${Buffer.byteLength(text)} ${text}`));
+    assert.deepEqual(messages, [text]);
+  });
+
+  it('rejects frames longer than the maximum message size', () => {
+    const { decoder } = createDecoder({ max_message_size: 100 });
+    assert.throws(() => decoder.push(Buffer.from('101 <34>')), { code: 'SYSLOG_FRAMING_ERROR', message: 'Message length 101 exceeds 100 bytes' });
+  });
+
+  it('rejects an octet count with too many digits', () => {
+    const { decoder } = createDecoder();
+    assert.throws(() => decoder.push(Buffer.from('12345678')), /Octet count too long/);
+  });
+});
+
+describe('syslogFraming non-transparent framing', () => {
+  it('splits on LF, CRLF and NUL and skips empty frames', () => {
+    const { decoder, messages } = createDecoder();
+    decoder.push(Buffer.from('<13>one\n<13>two\r\n\n<13>three\0<13>fo'));
+    decoder.push(Buffer.from('ur\n'));
+    assert.deepEqual(messages, ['<13>one', '<13>two', '<13>three', '<13>four']);
+  });
+
+  it('takes a message starting with digits but no space for a newline framed one', () => {
+    const { decoder, messages } = createDecoder();
+    decoder.push(Buffer.from('2345: %SYS-5-CONFIG_I: Configured\n'));
+    assert.deepEqual(messages, ['2345: %SYS-5-CONFIG_I: Configured']);
+  });
+
+  it('accepts both framings on one connection', () => {
+    const { decoder, messages } = createDecoder();
+    decoder.push(Buffer.from(`<13>newline\n${MESSAGE.length} ${MESSAGE}<13>again\n`));
+    assert.deepEqual(messages, ['<13>newline', MESSAGE, '<13>again']);
+  });
+
+  it('flushes an unterminated message when the connection ends', () => {
+    const { decoder, messages } = createDecoder();
+    decoder.push(Buffer.from('<13>last words'));
+    assert.equal(decoder.buffered(), 14);
+
+    decoder.end();
+    assert.deepEqual(messages, ['<13>last words']);
+    assert.equal(decoder.buffered(), 0);
+  });
+
+  it('rejects an unterminated message longer than the maximum message size', () => {
+    const { decoder } = createDecoder({ max_message_size: 16 });
+    assert.throws(() => decoder.push(Buffer.from('<13>' + 'x'.repeat(20))), /Unterminated message exceeds 16 bytes/);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Syslog parser tests: the RFC 5424 and RFC 3164 example messages, Cisco and
+ * Juniper message tags and their event types
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const syslogParser = require('../src/utils/syslogParser');
+
+const BOM = '\uFEFF';
+
+describe('syslogParser RFC 5424 (section 6.5 examples)', () => {
+  it('parses example 1, with a BOM before MSG', () => {
+    const parsed = syslogParser.parseSyslogMessage(`<34>1 2003-10-11T22:14:15.003Z mymachine.example.com su - ID47 - ${BOM}'su root' failed for lonvick on /dev/pts/8`);
+
+    assert.equal(parsed.format, 'rfc5424');
+    assert.deepEqual([parsed.priority, parsed.facility, parsed.severity, parsed.severity_text], [34, 4, 2, 'critical']);
+    assert.equal(parsed.timestamp, '2003-10-11T22:14:15.003Z');
+    assert.equal(parsed.hostname, 'mymachine.example.com');
+    assert.deepEqual([parsed.app_name, parsed.procid, parsed.msgid], ['su', null, 'ID47']);
+    assert.deepEqual(parsed.structured_data, {});
+    assert.equal(parsed.message, "'su root' failed for lonvick on /dev/pts/8");
+  });
+
+  it('parses example 2, without a MSGID', () => {
+    const parsed = syslogParser.parseSyslogMessage("<165>1 2003-08-24T05:14:15.000003-07:00 192.0.2.1 myproc 8710 - - %% It's time to make the do-nuts.");
+
+    assert.deepEqual([parsed.facility, parsed.severity], [20, 5]);
+    assert.deepEqual([parsed.timestamp, parsed.hostname, parsed.app_name, parsed.procid, parsed.msgid],
+      ['2003-08-24T05:14:15.000003-07:00', '192.0.2.1', 'myproc', '8710', null]);
+    assert.equal(parsed.message, "%% It's time to make the do-nuts.");
+  });
+
+  it('parses example 3, with structured data and a message', () => {
+    const parsed = syslogParser.parseSyslogMessage(`<165>1 2003-10-11T22:14:15.003Z mymachine.example.com evntslog - ID47 [exampleSDID@32473 iut="3" eventSource="Application" eventID="1011"] ${BOM}An application event log entry...`);
+
+    assert.deepEqual(parsed.structured_data, { 'exampleSDID@32473': { iut: '3', eventSource: 'Application', eventID: '1011' } });
+    assert.equal(parsed.message, 'An application event log entry...');
+  });
+
+  it('parses example 4, with two structured data elements and no message', () => {
+    const parsed = syslogParser.parseSyslogMessage('<165>1 2003-10-11T22:14:15.003Z mymachine.example.com evntslog - ID47 [exampleSDID@32473 iut="3" eventSource="Application" eventID="1011"][examplePriority@32473 class="high"]');
+
+    assert.deepEqual(parsed.structured_data, {
+      'exampleSDID@32473': { iut: '3', eventSource: 'Application', eventID: '1011' },
+      'examplePriority@32473': { class: 'high' }
+    });
+    assert.equal(parsed.message, '');
+  });
+
+  it('unescapes PARAM-VALUEs and rejects malformed structured data', () => {
+    assert.deepEqual(syslogParser.parseStructuredData('[x@1 a="q\\"b\\]c\\\\d"] msg'), {
+      structured_data: { 'x@1': { a: 'q"b]c\\d' } },
+      rest: ' msg'
+    });
+    assert.throws(() => syslogParser.parseStructuredData('[x@1 a="open'), /Unterminated SD-PARAM value/);
+    assert.equal(syslogParser.parseRFC5424('1 2003-10-11T22:14:15.003Z host app - - [broken'), null);
+  });
+});
+
+describe('syslogParser RFC 3164 (section 5.4 examples)', () => {
+  it('parses example 1, with an app-name tag', () => {
+    const parsed = syslogParser.parseSyslogMessage("<34>Oct 11 22:14:15 mymachine su: 'su root' failed for lonvick on /dev/pts/8");
+
+    assert.equal(parsed.format, 'rfc3164');
+    assert.deepEqual([parsed.facility, parsed.severity], [4, 2]);
+    assert.deepEqual([parsed.timestamp, parsed.hostname, parsed.app_name, parsed.procid], ['Oct 11 22:14:15', 'mymachine', 'su', null]);
+    assert.equal(parsed.message, "su: 'su root' failed for lonvick on /dev/pts/8");
+  });
+
+  it('parses example 2, with a single digit day and an IP address as host', () => {
+    const parsed = syslogParser.parseSyslogMessage('<13>Feb  5 17:32:18 10.0.0.99 Use the BFG!\r\n');
+
+    assert.deepEqual([parsed.facility, parsed.severity_text], [1, 'notice']);
+    assert.deepEqual([parsed.timestamp, parsed.hostname, parsed.message], ['Feb  5 17:32:18', '10.0.0.99', 'Use the BFG!']);
+    assert.equal(parsed.app_name, undefined);
+  });
+
+  it('reads the process id of a tag', () => {
+    const parsed = syslogParser.parseSyslogMessage('<30>Mar  1 00:01:02 mx1 mgd[4567]: UI_COMMIT: User \'admin\' requested commit');
+    assert.deepEqual([parsed.app_name, parsed.procid], ['mgd', '4567']);
+  });
+
+  it('keeps messages without a known header whole', () => {
+    const parsed = syslogParser.parseSyslogMessage('<14>just some text');
+    assert.deepEqual([parsed.format, parsed.message, parsed.severity], ['unknown', 'just some text', 6]);
+  });
+});
+
+describe('syslogParser vendor tags', () => {
+  it('reads Cisco tags behind an RFC 3164 header and a sequence number', () => {
+    const parsed = syslogParser.parseSyslogMessage('<187>Mar  1 00:01:02 sw1 2345: %LINEPROTO-5-UPDOWN: Line protocol on Interface GigabitEthernet0/1, changed state to down');
+
+    assert.equal(parsed.app_name, undefined);
+    assert.deepEqual(parsed.vendor, {
+      vendor: 'cisco',
+      facility: 'LINEPROTO',
+      severity: 5,
+      mnemonic: 'UPDOWN',
+      tag: 'LINEPROTO-UPDOWN',
+      description: 'Line protocol on Interface GigabitEthernet0/1, changed state to down',
+      interface: 'GigabitEthernet0/1',
+      peer: null
+    });
+    assert.equal(syslogParser.classifyVendorTag(parsed.vendor), 'interface_down');
+  });
+
+  it('reads header-less Cisco IOS messages, taking the severity from the tag', () => {
+    const parsed = syslogParser.parseSyslogMessage('000123: core1: *Mar  1 00:01:02.123 UTC: %BGP-5-ADJCHANGE: neighbor 10.0.0.2 Down BGP Notification sent');
+
+    assert.equal(parsed.format, 'cisco');
+    assert.deepEqual([parsed.sequence, parsed.hostname, parsed.timestamp], [123, 'core1', 'Mar  1 00:01:02.123 UTC']);
+    assert.deepEqual([parsed.severity, parsed.severity_text], [5, 'notice']);
+    assert.equal(parsed.vendor.peer, '10.0.0.2');
+    assert.equal(syslogParser.classifyVendorTag(parsed.vendor), 'bgp_peer_down');
+  });
+
+  it('reads IOS-XR facilities containing a hyphen', () => {
+    const parsed = syslogParser.parseSyslogMessage('<189>Mar  1 00:01:02 xr1 RP/0/RSP0/CPU0:Mar  1 00:01:02.456 : bgp[1052]: %ROUTING-BGP-5-ADJCHANGE : neighbor 192.0.2.9 Up (VRF: default)');
+    assert.equal(parsed.vendor.tag, 'ROUTING-BGP-ADJCHANGE');
+    assert.equal(syslogParser.classifyVendorTag(parsed.vendor), 'bgp_peer_up');
+  });
+
+  it('reads Juniper tags from the RFC 5424 MSGID and from RFC 3164 messages', () => {
+    const structured = syslogParser.parseSyslogMessage('<28>1 2026-03-01T00:01:02.000Z mx1 mib2d 1234 SNMP_TRAP_LINK_DOWN [junos@2636.1.1.1.2.21 snmp-interface-index="516" admin-status="up" operational-status="down" interface-name="ge-0/0/1"] ifIndex 516, ifAdminStatus up(1), ifOperStatus down(2), ifName ge-0/0/1');
+    assert.deepEqual([structured.vendor.vendor, structured.vendor.process, structured.vendor.tag, structured.vendor.interface], ['juniper', 'mib2d', 'SNMP_TRAP_LINK_DOWN', 'ge-0/0/1']);
+    assert.equal(structured.structured_data['junos@2636.1.1.1.2.21']['interface-name'], 'ge-0/0/1');
+    assert.equal(syslogParser.classifyVendorTag(structured.vendor), 'interface_down');
+
+    const bsd = syslogParser.parseSyslogMessage('<28>Mar  1 00:01:02 mx1 rpd[1500]: RPD_BGP_NEIGHBOR_STATE_CHANGED: BGP peer 10.0.0.2 (External AS 65002) changed state from Established to Idle (event RecvNotify)');
+    assert.deepEqual([bsd.vendor.process, bsd.vendor.pid, bsd.vendor.peer], ['rpd', '1500', '10.0.0.2']);
+    assert.equal(syslogParser.classifyVendorTag(bsd.vendor), 'bgp_peer_down');
+  });
+
+  it('classifies OSPF adjacency changes and leaves other tags unclassified', () => {
+    const ospf = description => syslogParser.classifyVendorTag({ vendor: 'cisco', tag: 'OSPF-ADJCHG', description });
+
+    assert.equal(ospf('Process 1, Nbr 10.0.0.2 on Gi0/1 from LOADING to FULL, Loading Done'), 'ospf_neighbor_up');
+    assert.equal(ospf('Process 1, Nbr 10.0.0.2 on Gi0/1 from FULL to DOWN, Neighbor Down: Dead timer expired'), 'ospf_neighbor_down');
+    assert.equal(ospf('Process 1, Nbr 10.0.0.2 on Gi0/1 from EXSTART to EXCHANGE'), null);
+    assert.equal(syslogParser.classifyVendorTag({ vendor: 'cisco', tag: 'SYS-5-UNKNOWN', description: '' }), null);
+  });
+
+  it('classifies free text by the state it reports', () => {
+    assert.equal(syslogParser.classifyFreeText('Interface Ethernet1 is now down'), 'interface_down');
+    assert.equal(syslogParser.classifyFreeText('BGP session to 10.0.0.2 went up'), 'bgp_peer_up');
+    assert.equal(syslogParser.classifyFreeText('Fan tray 2 is down'), null);
+    assert.equal(syslogParser.classifyFreeText('Interface Ethernet1 flapped'), null);
+  });
+});
@@ -23,6 +23,10 @@ export const useApi = (apiCall, deps = []) => {
   const [error, setError] = useState(null);
   const mountedRef = useRef(true);
   
+  // Latest apiCall, so refetch uses the current parameters
+  const apiCallRef = useRef(apiCall);
+  apiCallRef.current = apiCall;
+  
   // Serialize deps to create stable dependency
   const stableDeps = JSON.stringify(deps);
 
@@ -66,7 +70,7 @@ export const useApi = (apiCall, deps = []) => {
     try {
       setLoading(true);
       setError(null);
-      const response = await apiCall();
+      const response = await apiCallRef.current();
       setData(response.data);
     } catch (err) {
       console.error('API call failed:', err);
@@ -74,8 +78,7 @@ export const useApi = (apiCall, deps = []) => {
     } finally {
       setLoading(false);
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []); // Remove apiCall to prevent infinite loop
+  }, []); // apiCall is read through apiCallRef to prevent infinite loop
 
   useEffect(() => {
     return () => {
@@ -132,18 +135,31 @@ export const useAlerts = (filters = {}, refreshInterval = 10000) => {
     }
   }, [refetch, refreshInterval]);
 
+  // The search endpoint returns a page of alerts with pagination and facet counts
+  // (api.get keeps the whole response body)
+  const alerts = Array.isArray(data?.data) ? data.data :
+                 Array.isArray(data) ? data : [];
+  const pagination = data?.pagination || null;
+  const facets = data?.facets || null;
+
+  // Counts cover every matching alert when the facets came back, the alerts at hand otherwise
+  const countOf = (field, value) => facets?.[field]
+    ? facets[field][value] || 0
+    : alerts.filter(a => a[field] === value).length;
   const alertStats = {
-    total: data?.length || 0,
-    critical: Array.isArray(data) ? data.filter(a => a.severity === 'critical').length : 0,
-    major: Array.isArray(data) ? data.filter(a => a.severity === 'major').length : 0,
-    minor: Array.isArray(data) ? data.filter(a => a.severity === 'minor').length : 0,
-    warning: Array.isArray(data) ? data.filter(a => a.severity === 'warning').length : 0,
-    open: Array.isArray(data) ? data.filter(a => a.status === 'open').length : 0,
-    acknowledged: Array.isArray(data) ? data.filter(a => a.status === 'acknowledged').length : 0,
+    total: pagination?.total ?? alerts.length,
+    critical: countOf('severity', 'critical'),
+    major: countOf('severity', 'major'),
+    minor: countOf('severity', 'minor'),
+    warning: countOf('severity', 'warning'),
+    open: countOf('status', 'open'),
+    acknowledged: countOf('status', 'acknowledged'),
   };
 
   return { 
-    alerts: data || [], 
+    alerts, 
+    pagination,
+    facets,
     loading, 
     error, 
     refetch,
@@ -176,6 +192,26 @@ export const useIncidents = (filters = {}) => {
   };
 };
 
+// Hook for fetching resolved incidents similar to an incident
+export const useSimilarIncidents = (incidentId, limit = 5) => {
+  const { data, loading, error, refetch } = useApi(
+    () => incidentId ? incidentApi.getSimilar(incidentId, { limit }) : Promise.resolve({ data: [] }),
+    [incidentId, limit]
+  );
+  
+  // The similar endpoint wraps the matches with the incident's signature; api.get
+  // keeps that body whole, the placeholder for no incident is the bare list
+  const similarIncidents = Array.isArray(data?.data) ? data.data :
+                           Array.isArray(data) ? data : [];
+  
+  return { 
+    similarIncidents, 
+    loading, 
+    error, 
+    refetch 
+  };
+};
+
 // Hook for fetching policies
 export const usePolicies = () => {
   const { data, loading, error, refetch } = useApi(() => policyApi.getAll());
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   AlertTriangle, 
   Eye, 
@@ -7,29 +7,68 @@ import {
   Clock,
   Filter,
   Search,
-  RefreshCw
+  RefreshCw,
+  Activity,
+  ChevronLeft,
+  ChevronRight
 } from 'lucide-react';
 import { useAlerts } from '../hooks/useApi';
 import { formatRelativeTime, getStatusColor, getSeverityColor } from '../utils/helpers';
 
+// Alerts per page
+const PAGE_SIZE = 50;
+
+const STATUS_OPTIONS = [
+  { value: 'open', label: 'Open' },
+  { value: 'acknowledged', label: 'Acknowledged' },
+  { value: 'flapping', label: 'Flapping' },
+  { value: 'shelved', label: 'Shelved' },
+  { value: 'suppressed', label: 'Suppressed' },
+  { value: 'resolved', label: 'Resolved' },
+];
+
+const SEVERITY_OPTIONS = [
+  { value: 'critical', label: 'Critical' },
+  { value: 'major', label: 'Major' },
+  { value: 'minor', label: 'Minor' },
+  { value: 'warning', label: 'Warning' },
+  { value: 'info', label: 'Info' },
+];
+
 /**
  * Alerts page component for viewing and managing network alerts
- * Shows real-time alerts with filtering, search, and action capabilities
+ * Shows real-time alerts with filtering, search, and action capabilities.
+ * Filtering, search and paging are done by the server.
  */
 export default function Alerts() {
-  const { alerts, loading, error, refetch } = useAlerts();
   const [filter, setFilter] = useState('all');
+  const [severityFilter, setSeverityFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [search, setSearch] = useState('');
+  const [cursors, setCursors] = useState([]); // Cursors of the pages before the current one
   const [selectedAlert, setSelectedAlert] = useState(null);
 
-  // Filter alerts based on status and search term
-  const filteredAlerts = (alerts || []).filter(alert => {
-    const matchesFilter = filter === 'all' || alert.status === filter;
-    const matchesSearch = alert.message?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         alert.device?.toLowerCase().includes(searchTerm.toLowerCase());
-    return matchesFilter && matchesSearch;
+  // Search once typing pauses; a new search starts at the first page
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setSearch(searchTerm.trim());
+      setCursors([]);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  const { alerts, pagination, facets, loading, error, refetch } = useAlerts({
+    status: filter === 'all' ? undefined : filter,
+    severity: severityFilter === 'all' ? undefined : severityFilter,
+    q: search || undefined,
+    cursor: cursors[cursors.length - 1],
+    limit: PAGE_SIZE,
   });
 
+  // Option label with its facet count
+  const withCount = (option, counts) => 
+    counts ? `${option.label} (${counts[option.value] || 0})` : option.label;
+
   // Get severity icon
   const getSeverityIcon = (severity) => {
     switch (severity) {
@@ -46,7 +85,7 @@ export default function Alerts() {
     }
   };
 
-  if (loading) {
+  if (loading && !pagination) {
     return (
       <div className="flex items-center justify-center min-h-screen">
         <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
@@ -102,31 +141,41 @@ export default function Alerts() {
         <select
           className="px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
           value={filter}
-          onChange={(e) => setFilter(e.target.value)}
+          onChange={(e) => { setFilter(e.target.value); setCursors([]); }}
         >
           <option value="all">All Status</option>
-          <option value="open">Open</option>
-          <option value="acknowledged">Acknowledged</option>
-          <option value="resolved">Resolved</option>
+          {STATUS_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{withCount(option, facets?.status)}</option>
+          ))}
+        </select>
+        <select
+          className="px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          value={severityFilter}
+          onChange={(e) => { setSeverityFilter(e.target.value); setCursors([]); }}
+        >
+          <option value="all">All Severities</option>
+          {SEVERITY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{withCount(option, facets?.severity)}</option>
+          ))}
         </select>
       </div>
 
       {/* Alerts List */}
       <div className="bg-white shadow overflow-hidden sm:rounded-md">
         <ul className="divide-y divide-gray-200">
-          {filteredAlerts.length === 0 ? (
+          {alerts.length === 0 ? (
             <li className="px-6 py-12 text-center">
               <AlertTriangle className="mx-auto h-12 w-12 text-gray-400" />
               <h3 className="mt-2 text-sm font-medium text-gray-900">No alerts found</h3>
               <p className="mt-1 text-sm text-gray-500">
-                {alerts?.length === 0 
+                {filter === 'all' && severityFilter === 'all' && !search
                   ? 'No alerts have been generated yet'
                   : 'Try adjusting your filters'
                 }
               </p>
             </li>
           ) : (
-            filteredAlerts.map((alert) => (
+            alerts.map((alert) => (
               <li key={alert._id} className="hover:bg-gray-50">
                 <div className="px-4 py-4 flex items-center justify-between">
                   <div className="flex items-center">
@@ -146,6 +195,15 @@ export default function Alerts() {
                         <span>{alert.device}</span>
                         <span className="mx-2">•</span>
                         <span>{formatRelativeTime(alert.timestamp || alert.createdAt)}</span>
+                        {alert.status === 'flapping' && alert.custom_fields?.flap && (
+                          <>
+                            <span className="mx-2">•</span>
+                            <span className="inline-flex items-center text-purple-600">
+                              <Activity className="h-4 w-4 mr-1" />
+                              {alert.custom_fields.flap.flaps} flaps, penalty {alert.custom_fields.flap.penalty}
+                            </span>
+                          </>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -165,6 +223,31 @@ export default function Alerts() {
             ))
           )}
         </ul>
+        {pagination && (
+          <div className="px-4 py-3 flex items-center justify-between border-t border-gray-200">
+            <p className="text-sm text-gray-500">
+              {pagination.total} matching alerts
+            </p>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setCursors(cursors.slice(0, -1))}
+                disabled={cursors.length === 0}
+                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                <ChevronLeft className="h-4 w-4 mr-1" />
+                Newer
+              </button>
+              <button
+                onClick={() => setCursors([...cursors, pagination.next_cursor])}
+                disabled={!pagination.has_more}
+                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Older
+                <ChevronRight className="h-4 w-4 ml-1" />
+              </button>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Alert Details Modal */}
@@ -203,6 +286,24 @@ export default function Alerts() {
                   <p className="mt-1 text-sm text-gray-900">{formatRelativeTime(selectedAlert.timestamp || selectedAlert.createdAt)}</p>
                 </div>
               </div>
+              {selectedAlert.custom_fields?.flap && (
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Flap Dampening</label>
+                  <div className="mt-1 grid grid-cols-2 gap-2 text-sm text-gray-900">
+                    <p>Flaps: {selectedAlert.custom_fields.flap.flaps}</p>
+                    <p>Last state: {selectedAlert.custom_fields.flap.last_state}</p>
+                    <p>
+                      Penalty: {selectedAlert.custom_fields.flap.penalty}
+                      {' '}(suppress {selectedAlert.custom_fields.flap.suppress_threshold}, reuse {selectedAlert.custom_fields.flap.reuse_threshold})
+                    </p>
+                    <p>
+                      {selectedAlert.status === 'flapping' && selectedAlert.custom_fields.flap.reuse_at
+                        ? `Released ${formatRelativeTime(selectedAlert.custom_fields.flap.reuse_at)} if stable`
+                        : 'Not dampened'}
+                    </p>
+                  </div>
+                </div>
+              )}
               {selectedAlert.description && (
                 <div>
                   <label className="text-sm font-medium text-gray-500">Description</label>
@@ -9,7 +9,7 @@ import {
   CogIcon,
   MagnifyingGlassIcon
 } from '@heroicons/react/24/outline';
-import { useIncidents } from '../hooks/useApi';
+import { useIncidents, useSimilarIncidents } from '../hooks/useApi';
 import { formatDate, getStatusColor, getSeverityColor } from '../utils/helpers';
 
 /**
@@ -21,6 +21,7 @@ export default function Incidents() {
   const [filter, setFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedIncident, setSelectedIncident] = useState(null);
+  const { similarIncidents, loading: similarLoading } = useSimilarIncidents(selectedIncident?._id);
 
   // Filter incidents based on status and search term
   const filteredIncidents = incidents.filter(incident => {
@@ -354,6 +355,50 @@ export default function Incidents() {
                   </div>
                 )}
 
+                <div>
+                  <h4 className="text-sm font-medium text-gray-700 mb-2">Similar Incidents</h4>
+                  {similarLoading ? (
+                    <p className="text-sm text-gray-500">Searching past incidents...</p>
+                  ) : similarIncidents.length === 0 ? (
+                    <p className="text-sm text-gray-500">No similar resolved incidents found</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {similarIncidents.map((similar) => (
+                        <div key={similar._id} className="bg-gray-50 p-3 rounded-lg text-sm">
+                          <div className="flex items-center justify-between">
+                            <span className="font-medium text-gray-900">
+                              {similar.incident_id}{similar.title ? ` - ${similar.title}` : ''}
+                            </span>
+                            <span className="text-blue-700 font-medium">
+                              {Math.round(similar.similarity * 100)}% similar
+                            </span>
+                          </div>
+                          <div className="mt-1 text-gray-600">
+                            <span className="font-medium">Root cause:</span>{' '}
+                            {similar.final_root_cause || 'Not determined'}
+                            {similar.root_cause_confirmed && (
+                              <CheckCircleIcon className="inline h-4 w-4 ml-1 text-green-600" title="Confirmed by an operator" />
+                            )}
+                          </div>
+                          <div className="text-gray-600">
+                            <span className="font-medium">Remediation:</span>{' '}
+                            {similar.successful_remediation
+                              ? (similar.successful_remediation.name || similar.successful_remediation.type)
+                              : 'None recorded'}
+                          </div>
+                          <div className="text-gray-500">
+                            <ClockIcon className="inline h-4 w-4 mr-1" />
+                            {similar.time_to_resolve !== null && similar.time_to_resolve !== undefined
+                              ? `Resolved in ${similar.time_to_resolve} min`
+                              : 'Time to resolve unknown'}
+                            {similar.resolvedAt && ` on ${formatDate(similar.resolvedAt)}`}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
                 {selectedIncident.timeline && selectedIncident.timeline.length > 0 && (
                   <div>
                     <h4 className="text-sm font-medium text-gray-700 mb-2">Timeline</h4>
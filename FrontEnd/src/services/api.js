@@ -63,8 +63,9 @@ const apiRequest = async (endpoint, options = {}) => {
     const responseData = await response.json();
     
     // If the backend returns a structured response with success/data, extract the data
+    // and keep its other fields (pagination, facets, signature, ...) next to it
     if (responseData && typeof responseData === 'object' && 'success' in responseData && 'data' in responseData) {
-      return { data: responseData.data };
+      return { ...responseData, data: responseData.data };
     }
     
     // Otherwise, return the response as-is wrapped in data property for compatibility
@@ -190,7 +191,19 @@ export const alertApi = {
   updateStatus: (id, status) => api.patch(`/alerts/${id}/status`, { status }),
   
   // Acknowledge alert
-  acknowledge: (id, userId) => api.patch(`/alerts/${id}/acknowledge`, { userId }),
+  acknowledge: (id, user, note) => api.post(`/alerts/${id}/acknowledge`, { user, note }),
+  
+  // Shelve alert until a given time
+  shelve: (id, user, until, note) => api.post(`/alerts/${id}/shelve`, { user, until, note }),
+  
+  // Return shelved alert to its previous status
+  unshelve: (id, user, note) => api.post(`/alerts/${id}/unshelve`, { user, note }),
+  
+  // Resolve alert with a resolution code
+  resolve: (id, user, resolutionCode, note) => api.post(`/alerts/${id}/resolve`, { user, resolution_code: resolutionCode, note }),
+  
+  // Apply a lifecycle action (acknowledge, shelve, unshelve, resolve) to many alerts
+  bulkAction: (action, ids, options = {}) => api.post(`/alerts/bulk/${action}`, { ids, ...options }),
   
   // Get alert statistics
   getStats: () => api.get('/alerts/stats'),
@@ -221,6 +234,12 @@ export const incidentApi = {
   
   // Trigger manual RCA
   triggerRCA: (id) => api.post(`/incidents/${id}/rca`),
+  
+  // Confirm or reject an RCA result (verdict: 'confirmed' or 'rejected')
+  submitRcaFeedback: (id, feedback) => api.post(`/incidents/${id}/rca/feedback`, feedback),
+  
+  // Get resolved incidents similar to an incident (params: limit, min_similarity)
+  getSimilar: (id, params = {}) => api.get(`/incidents/${id}/similar`, params),
 };
 
 // Policy API endpoints
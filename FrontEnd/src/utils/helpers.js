@@ -41,6 +41,11 @@ export const getStatusColor = (status) => {
     'resolved': 'text-green-600 bg-green-100',
     'closed': 'text-gray-600 bg-gray-100',
     
+    // Alert statuses
+    'acknowledged': 'text-yellow-600 bg-yellow-100',
+    'suppressed': 'text-gray-600 bg-gray-100',
+    'flapping': 'text-purple-600 bg-purple-100',
+    
     // Action statuses
     'pending': 'text-yellow-600 bg-yellow-100',
     'running': 'text-blue-600 bg-blue-100',